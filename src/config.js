@@ -52,44 +52,11 @@ export const config = {
       name: "Efrain",
       speed: 5,
       jumpPower: 10,
+      gravityScale: 2, // Multiplier on physics gravity so jumps don't float
       health: 100,
       maxFruits: 5
   },
   
-  // Fruit powers settings
-  fruits: [
-      {
-          name: "Flame Fruit",
-          type: "flame",
-          power: 10,
-          attacks: ["Fireball", "Flame Dash", "Inferno"]
-      },
-      {
-          name: "Ice Fruit",
-          type: "ice",
-          power: 8,
-          attacks: ["Ice Spike", "Freeze", "Blizzard"]
-      },
-      {
-          name: "Bomb Fruit",
-          type: "bomb",
-          power: 15,
-          attacks: ["Bomb Toss", "Mine", "Mega Explosion"]
-      },
-      {
-          name: "Light Fruit",
-          type: "light",
-          power: 7,
-          attacks: ["Light Beam", "Flash Step", "Solar Flare"]
-      },
-      {
-          name: "Magma Fruit",
-          type: "magma",
-          power: 12,
-          attacks: ["Magma Ball", "Lava Slam", "Volcanic Eruption"]
-      }
-  ],
-  
   // Debug settings
   debug: {
       enabled: true,
@@ -0,0 +1,209 @@
+/**
+ * Damage pipeline - every hit in the game goes through deal()
+ * Listeners can subscribe to 'beforeDamage' to change or cancel a hit,
+ * and to 'damage' to react to a hit that landed (HUD, stats, audio).
+ * Healing goes through heal() and is announced on 'heal'.
+ */
+import { StatusEffectSystem } from './StatusEffectSystem.js';
+import { getAffinityMultiplier } from '../powers/common/ElementalAffinities.js';
+
+// Damage multiplier of a critical hit when the source doesn't set its own
+const DEFAULT_CRIT_MULTIPLIER = 1.5;
+
+/**
+ * A single hit travelling through the damage pipeline
+ */
+export class DamageEvent {
+    constructor(options = {}) {
+        this.source = options.source || null; // Entity that dealt the damage, null for the environment
+        this.target = options.target || null; // Entity that takes the damage
+        this.amount = options.amount || 0; // Final damage, updated by the pipeline
+        this.baseAmount = this.amount; // Damage before crits, affinities and resistances
+        this.element = options.element || null; // Fruit type of the hit
+        this.attackName = options.attackName || null;
+        this.isCrit = options.isCrit || false;
+        this.canCrit = options.canCrit !== false;
+        this.applyStatus = options.applyStatus !== false;
+        this.position = options.position || null; // Where the hit came from
+        this.maxHeight = options.maxHeight ?? null; // Ground attacks miss targets higher off the ground than this
+        this.affinity = 1; // Multiplier from the element against the target's fruit
+        this.resistance = 0;
+        this.cancelled = false;
+        this.killed = false;
+        this.revived = false; // A fruit brought the target back from this hit
+    }
+    
+    /**
+     * Stop the hit from landing - for 'beforeDamage' listeners
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+}
+
+export class DamageSystem {
+    constructor() {
+        this.listeners = {};
+    }
+    
+    /**
+     * Subscribe to a damage hook
+     * @param {String} eventName - 'beforeDamage', 'damage' or 'heal'
+     * @param {Function} callback - Called with the DamageEvent, or the heal for 'heal'
+     * @returns {Function} Call it to unsubscribe
+     */
+    on(eventName, callback) {
+        if (!this.listeners[eventName]) {
+            this.listeners[eventName] = [];
+        }
+        this.listeners[eventName].push(callback);
+        
+        return () => this.off(eventName, callback);
+    }
+    
+    /**
+     * Unsubscribe from a damage hook
+     */
+    off(eventName, callback) {
+        const listeners = this.listeners[eventName];
+        if (!listeners) return;
+        
+        const index = listeners.indexOf(callback);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Call every listener of a hook
+     */
+    emit(eventName, event) {
+        const listeners = this.listeners[eventName];
+        if (!listeners) return;
+        
+        // Copy so listeners can unsubscribe while being called
+        [...listeners].forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error(`Error in ${eventName} listener:`, error);
+            }
+        });
+    }
+    
+    /**
+     * Deal damage to an entity
+     * @param {DamageEvent|Object} options - The hit, or the options to create it from
+     * @returns {DamageEvent} The hit with its final amount
+     */
+    deal(options) {
+        const event = options instanceof DamageEvent ? options : new DamageEvent(options);
+        const target = event.target;
+        
+        // Dead, missing, banished or invulnerable targets can't be hit
+        if (!target || typeof target.takeDamage !== 'function' || target.isActive === false || target.health <= 0 ||
+            target.banished || (typeof target.isInvulnerable === 'function' && target.isInvulnerable())) {
+            event.cancel();
+            return event;
+        }
+        
+        // Ground attacks pass under targets in the air
+        if (event.maxHeight !== null && typeof target.getHeightAboveGround === 'function' &&
+            target.getHeightAboveGround() > event.maxHeight) {
+            event.cancel();
+            return event;
+        }
+        
+        // Roll for a critical hit
+        const source = event.source;
+        if (event.canCrit && !event.isCrit && source) {
+            event.isCrit = Math.random() < (source.critChance || 0);
+        }
+        if (event.isCrit) {
+            event.amount *= (source && source.critMultiplier) || DEFAULT_CRIT_MULTIPLIER;
+        }
+        
+        // Damage buffs on the source make every hit hurt more
+        if (source && typeof source.getBuffMultiplier === 'function') {
+            event.amount *= source.getBuffMultiplier('damage');
+        }
+        
+        // Elements hit some fruits harder than others
+        event.affinity = getAffinityMultiplier(event.element, target.defenseType);
+        event.amount *= event.affinity;
+        
+        // Apply the target's resistance to the element
+        event.resistance = this.getResistance(target, event.element);
+        event.amount *= 1 - event.resistance;
+        
+        this.emit('beforeDamage', event);
+        if (event.cancelled || event.amount <= 0) return event;
+        
+        // The target can still change the amount, like a player's shield or armor
+        target.takeDamage(event.amount, event.element, event);
+        
+        // A target that was revived still took a killing blow
+        event.killed = target.health <= 0 || event.revived;
+        if (event.amount <= 0) return event;
+        
+        // Status only for hits that got through, and not on a killing blow so it leaves no effects behind
+        if (event.applyStatus && event.element && !event.killed) {
+            StatusEffectSystem.applyForDamageType(target, event.element, event.amount, event.position);
+        }
+        
+        this.emit('damage', event);
+        
+        // Linked entities take a share of the hit, shared hits aren't passed on again
+        if (event.attackName !== 'Link') {
+            StatusEffectSystem.getLinks(target).forEach(link => {
+                this.deal({
+                    source: event.source,
+                    target: link.entity,
+                    amount: event.amount * link.share,
+                    element: event.element,
+                    attackName: 'Link',
+                    canCrit: false,
+                    applyStatus: false,
+                    position: event.position
+                });
+            });
+        }
+        
+        return event;
+    }
+    
+    /**
+     * Heal an entity
+     * @param {Object} options - The heal's source, target, amount and attackName
+     * @returns {Number} Health actually restored, after the target's max health
+     */
+    heal(options) {
+        const target = options.target;
+        if (!target || typeof target.heal !== 'function' || target.isActive === false || !(options.amount > 0)) {
+            return 0;
+        }
+        
+        const oldHealth = target.health;
+        target.heal(options.amount);
+        const healed = target.health - oldHealth;
+        if (healed <= 0) return 0;
+        
+        this.emit('heal', {
+            source: options.source || null,
+            target: target,
+            amount: healed,
+            attackName: options.attackName || null
+        });
+        return healed;
+    }
+    
+    /**
+     * Get an entity's resistance to an element, from -1 (double damage) to 1 (immune)
+     */
+    getResistance(target, element) {
+        if (!element || !target.resistances) return 0;
+        
+        const resistance = target.resistances[element] || 0;
+        return Math.max(-1, Math.min(1, resistance));
+    }
+}
@@ -5,12 +5,18 @@ import { Renderer } from './Renderer.js';
 import { Input } from './Input.js';
 import { Resources } from './Resources.js';
 import { Time } from './Time.js';
+import { DamageSystem } from './DamageSystem.js';
+import { ProjectileSystem } from './ProjectileSystem.js';
+import { MineSystem } from './MineSystem.js';
 import { StateManager } from '../states/StateManager.js';
 import { LoadingState } from '../states/LoadingState.js';
 import { MenuState } from '../states/MenuState.js';
+import { ProfileSelectState } from '../states/ProfileSelectState.js';
 import { FruitSelectState } from '../states/FruitSelectState.js';
 import { GameplayState } from '../states/GameplayState.js';
+import { WorldMap } from '../world/WorldMap.js';
 import audioManager from '../lib/AudioManager.js';
+import saveManager from '../lib/SaveManager.js';
 
 export class Engine {
     constructor(config) {
@@ -25,12 +31,21 @@ export class Engine {
         this.resources = new Resources();
         this.time = new Time();
         
+        // Every hit in the game goes through the damage system
+        this.damageSystem = new DamageSystem();
+        this.projectileSystem = new ProjectileSystem(this);
+        this.mineSystem = new MineSystem(this);
+        
+        // World map with island progress
+        this.worldMap = new WorldMap(config.world);
+        
         // Initialize state manager
         this.stateManager = new StateManager();
         
         // Register game states
         this.stateManager.registerState('loading', new LoadingState(this));
         this.stateManager.registerState('menu', new MenuState(this));
+        this.stateManager.registerState('profileSelect', new ProfileSelectState(this));
         this.stateManager.registerState('fruitSelect', new FruitSelectState(this));
         this.stateManager.registerState('gameplay', new GameplayState(this));
         
@@ -46,6 +61,9 @@ export class Engine {
      */
     init() {
         
+        // Restore saved progress and settings
+        this.loadGame();
+        
         // Transition to loading state
         this.stateManager.changeState('loading');
         
@@ -134,6 +152,11 @@ export class Engine {
             this._onResize();
         });
         
+        // Save progress when the page is closed
+        window.addEventListener('beforeunload', () => {
+            this.saveGame();
+        });
+        
         // Set up sound toggle
         const soundToggle = document.getElementById('sound-toggle');
         if (soundToggle) {
@@ -143,6 +166,22 @@ export class Engine {
         }
     }
     
+    /**
+     * Load the saved game and apply it
+     */
+    loadGame() {
+        saveManager.load();
+        saveManager.apply(this);
+    }
+    
+    /**
+     * Save the current game progress
+     */
+    saveGame() {
+        saveManager.capture(this);
+        return saveManager.save();
+    }
+    
     /**
      * Toggle sound on/off
      */
@@ -163,6 +202,9 @@ export class Engine {
                 soundToggle.querySelector('i').className = 'fas fa-volume-xmark';
             }
         }
+        
+        // Remember the sound setting
+        this.saveGame();
     }
     
     /**
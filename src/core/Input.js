@@ -13,7 +13,8 @@ export class Input {
       this.mouse = {
           position: { x: 0, y: 0 },
           buttons: [false, false, false], // Left, middle, right
-          previousButtons: [false, false, false]
+          previousButtons: [false, false, false],
+          hasMoved: false // Set once the cursor moves over the canvas
       };
       
       // Touch states
@@ -87,6 +88,24 @@ export class Input {
       return { ...this.mouse.position };
   }
   
+  /**
+   * Get mouse position in normalized device coordinates (-1 to 1), as used by raycasting
+   */
+  getNormalizedMousePosition() {
+      const rect = this.element.getBoundingClientRect();
+      return {
+          x: (this.mouse.position.x / rect.width) * 2 - 1,
+          y: -(this.mouse.position.y / rect.height) * 2 + 1
+      };
+  }
+  
+  /**
+   * Check if the mouse has been used over the canvas
+   */
+  hasMouseMoved() {
+      return this.mouse.hasMoved;
+  }
+  
   /**
    * Bind all input event listeners
    */
@@ -145,6 +164,7 @@ export class Input {
    * Handle mouse move events
    */
   _onMouseMove(event) {
+      this.mouse.hasMoved = true;
       this._updateMousePosition(event);
   }
   
@@ -0,0 +1,345 @@
+/**
+ * Mine system - arms mines, sets them off when a hostile entity steps on one and chains the blasts
+ * Ticked by the gameplay state next to the projectile system, so mines only count down during gameplay.
+ */
+import * as THREE from 'three';
+import { EffectsManager } from '../powers/common/EffectsManager.js';
+
+// Collider used for entities that don't define userData.collider
+const DEFAULT_COLLIDER = { radius: 0.7, height: 2.0 };
+
+// Light colors of a mine while it arms, once it's armed and when its fuse is lit
+const ARMING_COLOR = 0xffcc33;
+const ARMED_COLOR = 0xff3322;
+const FUSE_COLOR = 0xffffff;
+
+export class MineSystem {
+    constructor(engine) {
+        this.engine = engine;
+        this.mines = [];
+        
+        // Seconds of gameplay the system has run, for timing chained blasts
+        this.time = 0;
+        
+        // Expanding spheres of recent detonations
+        this.blasts = [];
+    }
+    
+    /**
+     * Lay a mine on the ground
+     * @param {Object} options - Mine settings
+     * @param {Entity} options.owner - Entity that laid it, credited with its damage
+     * @param {THREE.Vector3} options.position - Where it lies, only x and z are used
+     * @param {Number} options.damage - Damage dealt to everyone in the blast
+     * @param {String} options.element - Fruit type of the blast
+     * @param {String} options.attackName - Name of the attack, for damage events
+     * @param {Number} options.color - Color of the mine's casing
+     * @param {Number} options.triggerRadius - How close an entity has to step to set it off
+     * @param {Number} options.blastRadius - Radius of the explosion
+     * @param {Number} options.knockback - Distance entities in the blast are thrown back
+     * @param {Number} options.armingTime - Seconds before stepping on it sets it off
+     * @param {Number} options.lifetime - Seconds before it fizzles out unexploded
+     * @param {Number} options.chainRadius - Other mines this close go off with it
+     * @param {Number} options.chainDelay - Seconds between a blast and the mines it sets off
+     * @param {Function} options.onDetonate - (mine, hitTargets) called when it explodes
+     * @returns {Object} The mine
+     */
+    lay(options = {}) {
+        const mine = {
+            owner: options.owner || null,
+            object3D: this._createMineMesh(options.color ?? 0x999900),
+            damage: options.damage || 0,
+            element: options.element || null,
+            attackName: options.attackName || 'Mine',
+            triggerRadius: options.triggerRadius ?? 0.6,
+            blastRadius: options.blastRadius ?? 3,
+            knockback: options.knockback || 0,
+            armingTime: options.armingTime ?? 0.5,
+            lifetime: options.lifetime ?? 10,
+            chainRadius: options.chainRadius ?? 4,
+            chainDelay: options.chainDelay ?? 0.15,
+            onDetonate: options.onDetonate || null,
+            age: 0,
+            armed: false,
+            detonateAt: null, // When a chained mine blows, null while nothing set it off
+            removed: false
+        };
+        
+        const position = options.position || new THREE.Vector3();
+        mine.object3D.position.set(position.x, 0.05, position.z);
+        mine.object3D.userData.isMine = true;
+        
+        const scene = this.engine.renderer.scene;
+        if (scene) {
+            scene.add(mine.object3D);
+        }
+        
+        this.mines.push(mine);
+        return mine;
+    }
+    
+    /**
+     * Arm the mines, check them against the given entities and run the blasts
+     * @param {Number} deltaTime - Time since last frame in seconds
+     * @param {Array} entities - Entities that can step on mines and be caught in blasts
+     */
+    update(deltaTime, entities = []) {
+        this.time += deltaTime;
+        
+        // Copy, since blasts set off other mines and remove them as they go
+        [...this.mines].forEach(mine => {
+            if (mine.removed) return;
+            
+            mine.age += deltaTime;
+            if (!mine.armed && mine.age >= mine.armingTime) {
+                mine.armed = true;
+            }
+            
+            // A mine set off by a nearby blast goes off once its short fuse burns down
+            if (mine.detonateAt !== null) {
+                if (this.time >= mine.detonateAt) {
+                    this.detonate(mine, entities);
+                    return;
+                }
+            } else if (mine.armed && entities.some(entity => this._isSteppingOn(mine, entity))) {
+                this.detonate(mine, entities);
+                return;
+            }
+            
+            // Unexploded mines fizzle out
+            if (mine.age >= mine.lifetime) {
+                this.remove(mine);
+                return;
+            }
+            
+            this._updateLight(mine);
+        });
+        this.mines = this.mines.filter(mine => !mine.removed);
+        
+        this._updateBlasts(deltaTime);
+    }
+    
+    /**
+     * Blow a mine up - hurt and throw back everyone hostile in the blast and light the fuses of mines nearby
+     * @param {Object} mine - The mine to set off
+     * @param {Array} entities - Entities that can be caught in the blast
+     * @returns {Array} Entities the blast hit
+     */
+    detonate(mine, entities = []) {
+        if (mine.removed) return [];
+        
+        const center = mine.object3D.position.clone();
+        this.remove(mine);
+        this._createBlast(center, mine.blastRadius, mine.object3D.userData.color);
+        
+        const hitTargets = [];
+        entities.forEach(entity => {
+            if (!this._canHit(mine, entity)) return;
+            
+            const position = entity.object3D.position;
+            if (Math.hypot(position.x - center.x, position.z - center.z) > mine.blastRadius) return;
+            
+            // Blasts from the ground don't reach flyers
+            const damageEvent = this.engine.damageSystem.deal({
+                source: mine.owner,
+                target: entity,
+                amount: mine.damage,
+                element: mine.element,
+                attackName: mine.attackName,
+                position: center.clone(),
+                maxHeight: mine.blastRadius * 0.5
+            });
+            if (damageEvent.cancelled || damageEvent.amount <= 0) return;
+            
+            // Blocked hits and killing blows don't throw anyone back, like other status effects
+            hitTargets.push(entity);
+            if (mine.knockback > 0 && !damageEvent.killed) {
+                EffectsManager.applyStatusEffect({ type: mine.element || 'bomb' }, entity.object3D, {
+                    duration: 0.5,
+                    knockback: mine.knockback,
+                    sourcePosition: center
+                });
+            }
+        });
+        
+        // Mines in reach go off one after another
+        this.mines.forEach(other => {
+            if (other.removed || other.detonateAt !== null) return;
+            
+            const position = other.object3D.position;
+            if (Math.hypot(position.x - center.x, position.z - center.z) <= mine.chainRadius) {
+                other.detonateAt = this.time + mine.chainDelay;
+            }
+        });
+        
+        if (mine.onDetonate) {
+            mine.onDetonate(mine, hitTargets);
+        }
+        
+        return hitTargets;
+    }
+    
+    /**
+     * Take a mine off the ground without setting it off
+     */
+    remove(mine) {
+        if (mine.removed) return;
+        mine.removed = true;
+        
+        this._disposeObject(mine.object3D);
+    }
+    
+    /**
+     * Remove all mines and blasts
+     */
+    clear() {
+        this.mines.forEach(mine => this.remove(mine));
+        this.mines = [];
+        
+        this.blasts.forEach(blast => this._disposeObject(blast.object3D));
+        this.blasts = [];
+    }
+    
+    /**
+     * Check if a mine may hurt an entity
+     */
+    _canHit(mine, entity) {
+        if (!entity || !entity.object3D || entity.isActive === false || entity.banished) return false;
+        if (entity === mine.owner) return false;
+        
+        return this._isHostile(mine.owner, entity);
+    }
+    
+    /**
+     * Enemy mines catch the player and their allies, everyone else's catch enemies
+     */
+    _isHostile(owner, entity) {
+        if (!owner || !owner.object3D) return true;
+        
+        const ownerIsEnemy = owner.object3D.userData.type === 'enemy';
+        const entityIsEnemy = entity.object3D.userData.type === 'enemy';
+        return ownerIsEnemy !== entityIsEnemy;
+    }
+    
+    /**
+     * Check if a hostile entity is standing on a mine - flying over it doesn't count
+     */
+    _isSteppingOn(mine, entity) {
+        if (!this._canHit(mine, entity)) return false;
+        if (typeof entity.getHeightAboveGround === 'function' && entity.getHeightAboveGround() > 0.5) return false;
+        
+        const position = mine.object3D.position;
+        const entityPosition = entity.object3D.position;
+        const collider = entity.object3D.userData.collider || DEFAULT_COLLIDER;
+        const reach = collider.radius + mine.triggerRadius;
+        
+        const dx = position.x - entityPosition.x;
+        const dz = position.z - entityPosition.z;
+        return dx * dx + dz * dz <= reach * reach;
+    }
+    
+    /**
+     * Show the mine's state with its light - a slow glow while arming, a red blink once armed
+     * and a quick white flicker when its fuse is lit
+     */
+    _updateLight(mine) {
+        const light = mine.object3D.userData.light;
+        if (!light) return;
+        
+        if (mine.detonateAt !== null) {
+            light.material.color.setHex(FUSE_COLOR);
+            light.visible = Math.floor(mine.age * 30) % 2 === 0;
+        } else if (!mine.armed) {
+            light.material.color.setHex(ARMING_COLOR);
+            light.material.opacity = 0.3 + 0.6 * (mine.age / mine.armingTime);
+            light.visible = true;
+        } else {
+            // Blink faster in the last seconds before the mine fizzles
+            const blinkRate = mine.lifetime - mine.age < 2 ? 8 : 2;
+            light.material.color.setHex(ARMED_COLOR);
+            light.material.opacity = 1;
+            light.visible = (mine.age * blinkRate) % 1 < 0.5;
+        }
+    }
+    
+    /**
+     * Grow the blast spheres and fade them out
+     */
+    _updateBlasts(deltaTime) {
+        this.blasts = this.blasts.filter(blast => {
+            blast.age += deltaTime;
+            const progress = blast.age / blast.lifetime;
+            if (progress >= 1) {
+                this._disposeObject(blast.object3D);
+                return false;
+            }
+            
+            blast.object3D.scale.setScalar(blast.radius * (0.3 + 0.7 * progress));
+            blast.object3D.material.opacity = 0.8 * (1 - progress);
+            return true;
+        });
+    }
+    
+    /**
+     * Create the expanding sphere of a detonation
+     */
+    _createBlast(position, radius, color) {
+        const object3D = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 16, 12),
+            new THREE.MeshBasicMaterial({
+                color: color ?? 0xff8800,
+                transparent: true,
+                opacity: 0.8,
+                depthWrite: false
+            })
+        );
+        object3D.position.copy(position);
+        object3D.scale.setScalar(radius * 0.3);
+        
+        const scene = this.engine.renderer.scene;
+        if (scene) {
+            scene.add(object3D);
+        }
+        
+        this.blasts.push({ object3D: object3D, radius: radius, age: 0, lifetime: 0.35 });
+    }
+    
+    /**
+     * Create a flat mine casing with a light on top
+     */
+    _createMineMesh(color) {
+        const group = new THREE.Group();
+        
+        const casing = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.35, 0.4, 0.15, 12),
+            new THREE.MeshStandardMaterial({ color: color, metalness: 0.4, roughness: 0.6 })
+        );
+        casing.position.y = 0.075;
+        group.add(casing);
+        
+        const light = new THREE.Mesh(
+            new THREE.SphereGeometry(0.1, 8, 8),
+            new THREE.MeshBasicMaterial({ color: ARMING_COLOR, transparent: true, opacity: 0.3 })
+        );
+        light.position.y = 0.18;
+        group.add(light);
+        
+        group.userData.light = light;
+        group.userData.color = color;
+        return group;
+    }
+    
+    /**
+     * Remove an object from the scene and dispose of its geometries and materials
+     */
+    _disposeObject(object3D) {
+        if (object3D.parent) {
+            object3D.parent.remove(object3D);
+        }
+        
+        object3D.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+}
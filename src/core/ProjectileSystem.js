@@ -0,0 +1,308 @@
+/**
+ * Projectile system - moves every projectile in the game and checks it against entity colliders
+ * Ticked by the gameplay state, so projectiles stop when gameplay stops.
+ */
+import * as THREE from 'three';
+
+// Collider used for entities that don't define userData.collider
+const DEFAULT_COLLIDER = { radius: 0.7, height: 2.0 };
+
+export class ProjectileSystem {
+    constructor(engine) {
+        this.engine = engine;
+        this.projectiles = [];
+        
+        // Walls and shields that stop projectiles
+        this.blockers = [];
+    }
+    
+    /**
+     * Launch a projectile
+     * @param {Object} options - Projectile settings
+     * @param {Entity} options.owner - Entity that fired it, credited with its damage
+     * @param {THREE.Object3D} options.object3D - Mesh to move, a sphere is created when missing
+     * @param {THREE.Vector3} options.position - Start position (defaults to the mesh position)
+     * @param {THREE.Vector3} options.direction - Travel direction
+     * @param {Number} options.speed - Units per second
+     * @param {Number} options.lifetime - Seconds before it expires
+     * @param {Number} options.radius - Hit radius of the projectile
+     * @param {Number} options.damage - Damage dealt on hit, 0 for none
+     * @param {String} options.element - Fruit type of the hit
+     * @param {String} options.attackName - Name of the attack, for damage events
+     * @param {Number|Boolean} options.piercing - Extra targets it passes through, true for all
+     * @param {Number} options.homing - Turn rate toward the nearest target in radians per second
+     * @param {Number} options.delay - Seconds to wait before launching
+     * @param {Function} options.canHit - (target) => false to skip a target
+     * @param {Function} options.onHit - (target, projectile, damageEvent) called for each hit
+     * @param {Function} options.onExpire - (projectile) called when its lifetime runs out
+     * @returns {Object} The projectile
+     */
+    spawn(options = {}) {
+        const object3D = options.object3D || this._createDefaultMesh(options);
+        if (options.position) {
+            object3D.position.copy(options.position);
+        }
+        
+        const direction = options.direction ? options.direction.clone() : new THREE.Vector3();
+        if (direction.lengthSq() > 0) {
+            direction.normalize();
+        }
+        
+        const projectile = {
+            owner: options.owner || null,
+            object3D: object3D,
+            direction: direction,
+            speed: options.speed ?? 10,
+            lifetime: options.lifetime ?? 1,
+            radius: options.radius ?? 0.4,
+            damage: options.damage || 0,
+            element: options.element || null,
+            attackName: options.attackName || null,
+            piercing: options.piercing === true ? Infinity : (options.piercing || 0),
+            homing: options.homing || 0,
+            delay: options.delay || 0,
+            canHit: options.canHit || null,
+            onHit: options.onHit || null,
+            onExpire: options.onExpire || null,
+            age: 0,
+            hitTargets: [],
+            removed: false
+        };
+        
+        // Delayed projectiles appear when they launch
+        if (projectile.delay <= 0) {
+            this._addToScene(projectile);
+        }
+        
+        this.projectiles.push(projectile);
+        return projectile;
+    }
+    
+    /**
+     * Move all projectiles and check them against the given entities
+     * @param {Number} deltaTime - Time since last frame in seconds
+     * @param {Array} entities - Entities projectiles can hit
+     */
+    update(deltaTime, entities = []) {
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.projectiles[i];
+            
+            // Wait for delayed launches
+            if (projectile.delay > 0) {
+                projectile.delay -= deltaTime;
+                if (projectile.delay > 0) continue;
+                this._addToScene(projectile);
+            }
+            
+            projectile.age += deltaTime;
+            
+            // Turn toward the nearest target
+            if (projectile.homing > 0) {
+                this._steer(projectile, entities, deltaTime);
+            }
+            
+            // Move
+            projectile.object3D.position.addScaledVector(projectile.direction, projectile.speed * deltaTime);
+            
+            // Stop against walls
+            if (this.blockers.some(blocker => blocker(projectile))) {
+                this.remove(projectile);
+            }
+            
+            // Check for hits
+            for (const entity of entities) {
+                if (projectile.removed) break;
+                if (this._canHit(projectile, entity) && this._overlaps(projectile, entity)) {
+                    this._hit(projectile, entity);
+                }
+            }
+            
+            // Expire
+            if (!projectile.removed && projectile.age >= projectile.lifetime) {
+                if (projectile.onExpire) {
+                    projectile.onExpire(projectile);
+                }
+                this.remove(projectile);
+            }
+            
+            if (projectile.removed) {
+                this.projectiles.splice(this.projectiles.indexOf(projectile), 1);
+            }
+        }
+    }
+    
+    /**
+     * Remove a projectile from the scene
+     */
+    remove(projectile) {
+        if (projectile.removed) return;
+        projectile.removed = true;
+        
+        const object3D = projectile.object3D;
+        if (object3D.parent) {
+            object3D.parent.remove(object3D);
+        }
+        
+        // Dispose geometries and materials
+        object3D.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+    
+    /**
+     * Add something that stops projectiles, like a wall
+     * @param {Function} blocker - (projectile) => true to stop the projectile
+     * @returns {Function} Call it to remove the blocker
+     */
+    addBlocker(blocker) {
+        this.blockers.push(blocker);
+        
+        return () => this.removeBlocker(blocker);
+    }
+    
+    /**
+     * Remove a projectile blocker
+     */
+    removeBlocker(blocker) {
+        const index = this.blockers.indexOf(blocker);
+        if (index !== -1) {
+            this.blockers.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Remove all projectiles and blockers
+     */
+    clear() {
+        this.projectiles.forEach(projectile => this.remove(projectile));
+        this.projectiles = [];
+        this.blockers = [];
+    }
+    
+    /**
+     * Check if a projectile may hit an entity
+     */
+    _canHit(projectile, entity) {
+        if (!entity || !entity.object3D || entity.isActive === false || entity.banished) return false;
+        if (entity === projectile.owner || projectile.hitTargets.includes(entity)) return false;
+        if (!this._isHostile(projectile.owner, entity)) return false;
+        
+        return !projectile.canHit || projectile.canHit(entity) !== false;
+    }
+    
+    /**
+     * Enemies hit the player and their allies, who hit enemies
+     */
+    _isHostile(owner, entity) {
+        if (!owner || !owner.object3D) return true;
+        
+        const ownerIsEnemy = owner.object3D.userData.type === 'enemy';
+        const entityIsEnemy = entity.object3D.userData.type === 'enemy';
+        return ownerIsEnemy !== entityIsEnemy;
+    }
+    
+    /**
+     * Check a projectile against an entity's cylinder collider
+     */
+    _overlaps(projectile, entity) {
+        const position = projectile.object3D.position;
+        const entityPosition = entity.object3D.position;
+        const collider = entity.object3D.userData.collider || DEFAULT_COLLIDER;
+        
+        // Horizontal distance against the combined radius
+        const dx = position.x - entityPosition.x;
+        const dz = position.z - entityPosition.z;
+        const reach = collider.radius + projectile.radius;
+        if (dx * dx + dz * dz > reach * reach) return false;
+        
+        // Height within the collider
+        return position.y >= entityPosition.y - projectile.radius &&
+            position.y <= entityPosition.y + collider.height + projectile.radius;
+    }
+    
+    /**
+     * Damage an entity and spend one hit of the projectile
+     */
+    _hit(projectile, entity) {
+        projectile.hitTargets.push(entity);
+        
+        let damageEvent = null;
+        if (projectile.damage > 0) {
+            damageEvent = this.engine.damageSystem.deal({
+                source: projectile.owner,
+                target: entity,
+                amount: projectile.damage,
+                element: projectile.element,
+                attackName: projectile.attackName,
+                position: projectile.object3D.position.clone()
+            });
+        }
+        
+        if (projectile.onHit) {
+            projectile.onHit(entity, projectile, damageEvent);
+        }
+        
+        // Piercing projectiles keep going until they run out of targets
+        if (projectile.hitTargets.length > projectile.piercing) {
+            this.remove(projectile);
+        }
+    }
+    
+    /**
+     * Turn a homing projectile toward the nearest target it can hit
+     */
+    _steer(projectile, entities, deltaTime) {
+        const position = projectile.object3D.position;
+        let closestTarget = null;
+        let closestDistance = Infinity;
+        
+        entities.forEach(entity => {
+            if (!this._canHit(projectile, entity)) return;
+            
+            const distance = position.distanceToSquared(entity.object3D.position);
+            if (distance < closestDistance) {
+                closestTarget = entity;
+                closestDistance = distance;
+            }
+        });
+        if (!closestTarget) return;
+        
+        // Rotate the flat direction toward the target, limited by the turn rate
+        const targetPosition = closestTarget.object3D.position;
+        const currentAngle = Math.atan2(projectile.direction.z, projectile.direction.x);
+        const targetAngle = Math.atan2(targetPosition.z - position.z, targetPosition.x - position.x);
+        let turn = targetAngle - currentAngle;
+        turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+        
+        const maxTurn = projectile.homing * deltaTime;
+        const angle = currentAngle + Math.max(-maxTurn, Math.min(maxTurn, turn));
+        const flatSpeed = Math.sqrt(projectile.direction.x ** 2 + projectile.direction.z ** 2);
+        projectile.direction.x = Math.cos(angle) * flatSpeed;
+        projectile.direction.z = Math.sin(angle) * flatSpeed;
+    }
+    
+    /**
+     * Add a projectile's mesh to the scene
+     */
+    _addToScene(projectile) {
+        const scene = this.engine.renderer.scene;
+        if (scene && !projectile.object3D.parent) {
+            scene.add(projectile.object3D);
+        }
+    }
+    
+    /**
+     * Create a plain sphere for projectiles without a mesh
+     */
+    _createDefaultMesh(options) {
+        return new THREE.Mesh(
+            new THREE.SphereGeometry(options.radius ?? 0.4, 8, 8),
+            new THREE.MeshBasicMaterial({
+                color: options.color ?? 0xffffff,
+                transparent: true,
+                opacity: 0.9
+            })
+        );
+    }
+}
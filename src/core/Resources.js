@@ -5,6 +5,7 @@ export class Resources {
   constructor() {
       this.loadingManager = null;
       this.textureLoader = null;
+      this.fileLoader = null;
       this.gltfLoader = null;
       this.audioLoader = null;
       
@@ -12,7 +13,8 @@ export class Resources {
           textures: {},
           models: {},
           sounds: {},
-          fonts: {}
+          fonts: {},
+          data: {}
       };
       
       this.onProgress = null;
@@ -70,6 +72,10 @@ export class Resources {
       // Create loaders
       this.textureLoader = new THREE.TextureLoader(this.loadingManager);
       
+      // Create JSON data loader
+      this.fileLoader = new THREE.FileLoader(this.loadingManager);
+      this.fileLoader.setResponseType('json');
+      
       // Create GLTF loader if available
       if (window.THREE && THREE.GLTFLoader) {
           this.gltfLoader = new THREE.GLTFLoader(this.loadingManager);
@@ -162,6 +168,26 @@ export class Resources {
       });
   }
   
+  /**
+   * Load a JSON data file
+   */
+  loadJSON(name, path) {
+      return new Promise((resolve, reject) => {
+          this.fileLoader.load(
+              path,
+              (data) => {
+                  this.resources.data[name] = data;
+                  resolve(data);
+              },
+              undefined,
+              (error) => {
+                  console.error(`Error loading data ${name}:`, error);
+                  reject(error);
+              }
+          );
+      });
+  }
+  
   /**
    * Get a loaded texture
    */
@@ -183,6 +209,13 @@ export class Resources {
       return this.resources.sounds[name];
   }
   
+  /**
+   * Get loaded JSON data
+   */
+  getData(name) {
+      return this.resources.data[name];
+  }
+  
   /**
    * Load multiple resources at once
    */
@@ -210,6 +243,13 @@ export class Resources {
           });
       }
       
+      // Load JSON data
+      if (resources.data) {
+          resources.data.forEach(file => {
+              promises.push(this.loadJSON(file.name, file.path));
+          });
+      }
+      
       return Promise.all(promises);
   }
 }
\ No newline at end of file
@@ -0,0 +1,316 @@
+/**
+ * Runtime for status effects (burns, poison, slows, knockback, pulls, blind and crowd control)
+ * Effects are added with EffectsManager.applyStatusEffect and stored in
+ * object3D.userData.statusEffects of the entity they were applied to.
+ * Crowd control: rooted and pulled entities can't walk, tethered ones can't stray
+ * from their anchor, and linked ones pass part of every hit on to their partner.
+ */
+import * as THREE from 'three';
+import { EffectsManager } from '../powers/common/EffectsManager.js';
+
+// Seconds between two damage ticks of a burn
+const TICK_INTERVAL = 0.5;
+
+// Icons shown above an entity for each kind of active effect
+const STATUS_ICONS = {
+    burn: '🔥',
+    poison: '☠️',
+    slow: '❄️',
+    knockback: '💥',
+    pull: '🌀',
+    blind: '✨',
+    root: '⛓️',
+    tether: '🪢',
+    link: '🔗'
+};
+
+// Shared icon textures, created on first use
+const iconTextures = {};
+
+export class StatusEffectSystem {
+    /**
+     * Apply the status effect of a hit with the given damage type
+     * @param {Object} entity - Entity that was hit
+     * @param {String} damageType - Fruit type of the hit
+     * @param {Number} damage - Damage of the hit
+     * @param {THREE.Vector3} sourcePosition - Where the hit came from, used for knockback
+     */
+    static applyForDamageType(entity, damageType, damage, sourcePosition = null) {
+        if (!entity || !entity.object3D || !damageType) return false;
+        
+        const options = EffectsManager.getStatusEffectForType(damageType, damage);
+        if (!options) return false;
+        
+        return EffectsManager.applyStatusEffect({ type: damageType }, entity.object3D, {
+            ...options,
+            sourcePosition: sourcePosition
+        });
+    }
+    
+    /**
+     * Update the status effects of all given entities
+     * @param {Array} entities - Player, enemies and boss
+     * @param {Number} deltaTime - Time since last frame in seconds
+     * @param {Number} arenaRadius - Knockback never pushes entities past this radius
+     */
+    static update(entities, deltaTime, arenaRadius = Infinity) {
+        entities.forEach(entity => {
+            if (!entity || !entity.object3D) return;
+            
+            const effects = entity.object3D.userData.statusEffects;
+            if (!effects) return;
+            
+            // Dead entities lose their effects
+            if (entity.isActive === false) {
+                effects.length = 0;
+            }
+            
+            for (let i = effects.length - 1; i >= 0; i--) {
+                const effect = effects[i];
+                const activeTime = Math.min(deltaTime, effect.remainingTime);
+                effect.remainingTime -= deltaTime;
+                
+                // Burn and poison damage every tick, through the damage system so it shows up like any hit
+                if (effect.tickDamage > 0) {
+                    effect.tickTimer = (effect.tickTimer || 0) + activeTime;
+                    while (effect.tickTimer >= TICK_INTERVAL && entity.isActive !== false) {
+                        effect.tickTimer -= TICK_INTERVAL;
+                        entity.engine.damageSystem.deal({
+                            target: entity,
+                            amount: effect.tickDamage,
+                            element: effect.type,
+                            attackName: effect.poison ? 'Poison' : 'Burn',
+                            canCrit: false,
+                            applyStatus: false
+                        });
+                    }
+                }
+                
+                // Push the entity away over the effect's duration
+                if (effect.knockback > 0) {
+                    this._applyKnockback(entity, effect, activeTime, arenaRadius);
+                }
+                
+                // Drag the entity toward where the hit came from
+                if (effect.pull > 0 && effect.sourcePosition) {
+                    this._applyPull(entity, effect, activeTime);
+                }
+                
+                // Keep the entity within reach of its tether
+                if (effect.tetherAnchor) {
+                    this._applyTether(entity, effect);
+                }
+                
+                if (effect.remainingTime <= 0) {
+                    effects.splice(i, 1);
+                }
+            }
+            
+            this._updateIcons(entity);
+        });
+    }
+    
+    /**
+     * Get the movement speed multiplier of an entity - the strongest slow wins
+     * Rooted and pulled entities can't walk at all
+     */
+    static getSpeedMultiplier(entity) {
+        const effects = this._getEffects(entity);
+        if (effects.some(effect => effect.root || effect.pull > 0)) return 0;
+        
+        return effects.reduce((multiplier, effect) => Math.min(multiplier, effect.slowFactor), 1);
+    }
+    
+    /**
+     * Check if an entity is rooted in place
+     */
+    static isRooted(entity) {
+        return this._getEffects(entity).some(effect => effect.root);
+    }
+    
+    /**
+     * Get the entities linked to an entity and the share of its hits each of them takes
+     * @returns {Array} Objects with the linked entity and its share
+     */
+    static getLinks(entity) {
+        return this._getEffects(entity)
+            .filter(effect => effect.linkedTo && effect.linkedTo.isActive !== false)
+            .map(effect => ({ entity: effect.linkedTo, share: effect.linkShare }));
+    }
+    
+    /**
+     * Check if an entity is blinded
+     */
+    static isBlinded(entity) {
+        return this._getEffects(entity).some(effect => effect.blind);
+    }
+    
+    /**
+     * Remove all status effects and icons from an entity
+     */
+    static clear(entity) {
+        const effects = this._getEffects(entity);
+        effects.length = 0;
+        
+        if (entity && entity.object3D) {
+            this._updateIcons(entity);
+        }
+    }
+    
+    /**
+     * Get the active status effects of an entity
+     */
+    static _getEffects(entity) {
+        if (!entity || !entity.object3D) return [];
+        return entity.object3D.userData.statusEffects || [];
+    }
+    
+    /**
+     * Move an entity for one frame of a knockback
+     */
+    static _applyKnockback(entity, effect, activeTime, arenaRadius) {
+        const position = entity.object3D.position;
+        
+        // Pick the push direction on the first frame
+        if (!effect.knockbackDirection) {
+            const direction = new THREE.Vector3();
+            if (effect.sourcePosition) {
+                direction.set(position.x - effect.sourcePosition.x, 0, position.z - effect.sourcePosition.z);
+            }
+            if (direction.lengthSq() < 0.0001) {
+                const angle = Math.random() * Math.PI * 2;
+                direction.set(Math.cos(angle), 0, Math.sin(angle));
+            }
+            effect.knockbackDirection = direction.normalize();
+        }
+        
+        // Cover the knockback distance evenly over the duration
+        const distance = effect.knockback * (activeTime / effect.duration);
+        position.x += effect.knockbackDirection.x * distance;
+        position.z += effect.knockbackDirection.z * distance;
+        
+        // Keep the entity on the island
+        const distanceFromCenter = Math.sqrt(position.x * position.x + position.z * position.z);
+        if (distanceFromCenter > arenaRadius) {
+            position.x *= arenaRadius / distanceFromCenter;
+            position.z *= arenaRadius / distanceFromCenter;
+        }
+    }
+    
+    /**
+     * Move an entity for one frame of a pull, stopping once it reaches the center
+     */
+    static _applyPull(entity, effect, activeTime) {
+        const position = entity.object3D.position;
+        const dx = effect.sourcePosition.x - position.x;
+        const dz = effect.sourcePosition.z - position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (distance < 0.5) return;
+        
+        // Cover the pull distance evenly over the duration, never past the center
+        const step = Math.min(effect.pull * (activeTime / effect.duration), distance - 0.5);
+        position.x += (dx / distance) * step;
+        position.z += (dz / distance) * step;
+    }
+    
+    /**
+     * Pull an entity back to the edge of its tether's reach
+     */
+    static _applyTether(entity, effect) {
+        const position = entity.object3D.position;
+        const dx = position.x - effect.tetherAnchor.x;
+        const dz = position.z - effect.tetherAnchor.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (distance <= effect.tetherLength) return;
+        
+        position.x = effect.tetherAnchor.x + (dx / distance) * effect.tetherLength;
+        position.z = effect.tetherAnchor.z + (dz / distance) * effect.tetherLength;
+    }
+    
+    /**
+     * Show one icon above the entity for each kind of active effect
+     */
+    static _updateIcons(entity) {
+        const userData = entity.object3D.userData;
+        const effects = userData.statusEffects || [];
+        
+        // Work out which kinds of effects are active
+        const kinds = [];
+        if (effects.some(effect => effect.tickDamage > 0 && !effect.poison)) kinds.push('burn');
+        if (effects.some(effect => effect.poison)) kinds.push('poison');
+        if (effects.some(effect => effect.slowFactor < 1)) kinds.push('slow');
+        if (effects.some(effect => effect.knockback > 0)) kinds.push('knockback');
+        if (effects.some(effect => effect.pull > 0)) kinds.push('pull');
+        if (effects.some(effect => effect.blind)) kinds.push('blind');
+        if (effects.some(effect => effect.root)) kinds.push('root');
+        if (effects.some(effect => effect.tetherAnchor)) kinds.push('tether');
+        if (effects.some(effect => effect.linkedTo)) kinds.push('link');
+        
+        // Skip the work if nothing changed
+        const key = kinds.join(',');
+        if (userData.statusIconKey === key) {
+            this._alignIcons(entity);
+            return;
+        }
+        userData.statusIconKey = key;
+        
+        // Remove the old icons
+        if (userData.statusIconGroup) {
+            entity.object3D.remove(userData.statusIconGroup);
+            userData.statusIconGroup.children.forEach(icon => icon.material.dispose());
+            userData.statusIconGroup = null;
+        }
+        
+        if (kinds.length === 0) return;
+        
+        // Create a row of icons above the entity
+        const group = new THREE.Group();
+        group.position.y = userData.statusIconHeight || 3.5;
+        
+        kinds.forEach((kind, index) => {
+            const icon = new THREE.Sprite(new THREE.SpriteMaterial({
+                map: this._getIconTexture(kind),
+                transparent: true,
+                depthTest: false
+            }));
+            icon.scale.set(0.8, 0.8, 1);
+            icon.position.x = (index - (kinds.length - 1) / 2) * 0.9;
+            group.add(icon);
+        });
+        
+        entity.object3D.add(group);
+        userData.statusIconGroup = group;
+        this._alignIcons(entity);
+    }
+    
+    /**
+     * Undo the entity's rotation so the icon row always faces the same way
+     */
+    static _alignIcons(entity) {
+        const group = entity.object3D.userData.statusIconGroup;
+        if (group) {
+            group.rotation.y = -entity.object3D.rotation.y;
+        }
+    }
+    
+    /**
+     * Get the texture for an icon, drawing it on a canvas the first time
+     */
+    static _getIconTexture(kind) {
+        if (!iconTextures[kind]) {
+            const canvas = document.createElement('canvas');
+            canvas.width = 64;
+            canvas.height = 64;
+            
+            const context = canvas.getContext('2d');
+            context.font = '48px sans-serif';
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText(STATUS_ICONS[kind], 32, 36);
+            
+            iconTextures[kind] = new THREE.CanvasTexture(canvas);
+        }
+        
+        return iconTextures[kind];
+    }
+}
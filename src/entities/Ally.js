@@ -0,0 +1,367 @@
+/**
+ * Ally entity class - a minion or turret summoned by a fruit to fight for the player
+ * Allies go after the nearest enemy until their lifetime or health runs out. They stand on a
+ * glowing ring and carry a blue health bar, so they can't be mistaken for villains.
+ */
+import { Entity } from './Entity.js';
+import * as THREE from 'three';
+import { StatusEffectSystem } from '../core/StatusEffectSystem.js';
+
+export class Ally extends Entity {
+    constructor(engine, options = {}) {
+        super(engine);
+        
+        this.name = options.name || 'Ally';
+        this.owner = options.owner || null;
+        this.type = options.type || null;
+        this.color = options.color || 0x66ffcc;
+        this.kind = options.kind || 'minion'; // minion or turret
+        
+        this.health = options.health || 30;
+        this.maxHealth = this.health;
+        this.speed = this.kind === 'turret' ? 0 : (options.speed || 4);
+        this.attackPower = options.attackPower || 5;
+        this.attackRange = options.attackRange || 2;
+        this.sightRange = options.sightRange || 15;
+        this.ranged = !!options.ranged;
+        
+        // Attack settings
+        this.attackCooldown = 0;
+        this.attackCooldownTime = options.attackCooldown || 1; // seconds
+        
+        // Seconds until the ally fades away
+        this.lifetime = options.lifetime || 10;
+        this.age = 0;
+        
+        // Enemy currently being fought
+        this.target = null;
+        
+        // Create 3D representation
+        this.object3D = this._createAllyModel(options.opacity ?? 1, !!options.hover);
+        
+        this.isActive = true;
+        
+        // Initialize ally
+        this._init();
+        
+        if (options.position) {
+            this.setPosition(options.position.x, 0, options.position.z);
+        }
+    }
+    
+    /**
+     * Initialize the ally
+     */
+    _init() {
+        // Add ally to scene
+        this.engine.renderer.add(this.object3D);
+        
+        // Allies are a bit smaller than enemies
+        this.object3D.userData.collider = {
+            radius: 0.5,
+            height: 1.6
+        };
+        
+        // Tell enemy projectiles apart from the player's side
+        this.object3D.userData.type = 'ally';
+        this.object3D.userData.entity = this;
+        this.object3D.userData.statusIconHeight = 2.6;
+        
+        // Create health bar
+        this._createHealthBar();
+    }
+    
+    /**
+     * Create the ally 3D model - a sentry on a base for turrets, a floating spirit for minions
+     */
+    _createAllyModel(opacity, hover) {
+        const allyGroup = new THREE.Group();
+        const transparent = opacity < 1;
+        
+        const material = new THREE.MeshStandardMaterial({
+            color: this.color,
+            emissive: this.color,
+            emissiveIntensity: 0.4,
+            transparent: transparent,
+            opacity: opacity
+        });
+        
+        // Body parts are kept together so a hovering ally can bob as one
+        const body = new THREE.Group();
+        if (this.kind === 'turret') {
+            const base = new THREE.Mesh(new THREE.CylinderGeometry(0.5, 0.6, 0.8, 8), material);
+            base.position.y = 0.4;
+            body.add(base);
+            
+            const head = new THREE.Mesh(new THREE.SphereGeometry(0.4, 12, 12), material.clone());
+            head.position.y = 1.1;
+            body.add(head);
+        } else {
+            const torso = new THREE.Mesh(new THREE.ConeGeometry(0.45, 1.2, 8), material);
+            torso.position.y = 0.6;
+            body.add(torso);
+            
+            const head = new THREE.Mesh(new THREE.SphereGeometry(0.3, 12, 12), material.clone());
+            head.position.y = 1.4;
+            body.add(head);
+        }
+        allyGroup.add(body);
+        this.body = body;
+        this.hover = hover;
+        
+        // Glowing ring under the ally marks it as a friend
+        const ring = new THREE.Mesh(
+            new THREE.RingGeometry(0.6, 0.8, 24),
+            new THREE.MeshBasicMaterial({
+                color: 0x44ddff,
+                transparent: true,
+                opacity: 0.7,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        );
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.y = 0.02;
+        allyGroup.add(ring);
+        
+        return allyGroup;
+    }
+    
+    /**
+     * Create health bar visualization
+     */
+    _createHealthBar() {
+        const healthBarGroup = new THREE.Group();
+        
+        const background = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 0.15),
+            new THREE.MeshBasicMaterial({
+                color: 0x222222,
+                transparent: true,
+                opacity: 0.7,
+                side: THREE.DoubleSide
+            })
+        );
+        healthBarGroup.add(background);
+        
+        // Allies' bars stay blue, villains' go from green to red
+        const foreground = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 0.15),
+            new THREE.MeshBasicMaterial({
+                color: 0x44ddff,
+                transparent: true,
+                opacity: 0.9,
+                side: THREE.DoubleSide
+            })
+        );
+        foreground.position.z = 0.01;
+        healthBarGroup.add(foreground);
+        
+        healthBarGroup.position.y = 2.1;
+        this.object3D.add(healthBarGroup);
+        
+        this.healthBar = {
+            group: healthBarGroup,
+            foreground: foreground
+        };
+    }
+    
+    /**
+     * Update health bar to reflect current health
+     */
+    _updateHealthBar() {
+        if (!this.healthBar) return;
+        
+        const healthPercent = Math.max(0, this.health / this.maxHealth);
+        this.healthBar.foreground.scale.x = healthPercent;
+        this.healthBar.foreground.position.x = -(1 - healthPercent) * 0.5;
+    }
+    
+    /**
+     * Update ally state
+     */
+    update(deltaTime) {
+        if (!this.isActive || this.banished) return;
+        
+        // Fade away when the summon runs out
+        this.age += deltaTime;
+        if (this.age >= this.lifetime) {
+            this.die();
+            return;
+        }
+        
+        // Blink during the last second so the player sees it going
+        this.object3D.visible = this.lifetime - this.age > 1 || Math.floor(this.age * 10) % 2 === 0;
+        
+        if (this.hover && this.body) {
+            this.body.position.y = 0.3 + Math.sin(this.age * 3) * 0.15;
+        }
+        
+        // Make health bar face the camera
+        const camera = this.engine.renderer.camera;
+        if (camera && this.healthBar) {
+            this.healthBar.group.lookAt(camera.position);
+        }
+        
+        // Update attack cooldown
+        if (this.attackCooldown > 0) {
+            this.attackCooldown = Math.max(0, this.attackCooldown - deltaTime);
+        }
+        
+        this.target = this._findTarget();
+        if (!this.target) {
+            this._followOwner(deltaTime);
+            return;
+        }
+        
+        const position = this.object3D.position;
+        const targetPosition = this.target.object3D.position;
+        const dirX = targetPosition.x - position.x;
+        const dirZ = targetPosition.z - position.z;
+        const distance = Math.sqrt(dirX * dirX + dirZ * dirZ);
+        
+        // Face the enemy
+        this.object3D.rotation.y = Math.atan2(dirX, dirZ);
+        
+        if (distance > this.attackRange) {
+            this._moveToward(dirX / distance, dirZ / distance, deltaTime);
+        } else if (this.attackCooldown <= 0 && !StatusEffectSystem.isBlinded(this)) {
+            this._attack(this.target);
+        }
+    }
+    
+    /**
+     * Find the closest enemy or boss the ally can see
+     */
+    _findTarget() {
+        const gameState = this.engine.stateManager.getCurrentState();
+        if (!gameState) return null;
+        
+        const position = this.object3D.position;
+        let closestTarget = null;
+        let closestDistance = this.sightRange;
+        
+        [...(gameState.enemies || []), gameState.boss].forEach(enemy => {
+            if (!enemy || !enemy.object3D || !enemy.isActive || enemy.banished) return;
+            
+            const enemyPosition = enemy.object3D.position;
+            const distance = Math.hypot(enemyPosition.x - position.x, enemyPosition.z - position.z);
+            if (distance <= closestDistance) {
+                closestTarget = enemy;
+                closestDistance = distance;
+            }
+        });
+        
+        return closestTarget;
+    }
+    
+    /**
+     * Stay close to the player while there's nobody to fight
+     */
+    _followOwner(deltaTime) {
+        if (!this.owner || !this.owner.object3D) return;
+        
+        const position = this.object3D.position;
+        const ownerPosition = this.owner.object3D.position;
+        const dirX = ownerPosition.x - position.x;
+        const dirZ = ownerPosition.z - position.z;
+        const distance = Math.sqrt(dirX * dirX + dirZ * dirZ);
+        if (distance <= 3) return;
+        
+        this._moveToward(dirX / distance, dirZ / distance, deltaTime);
+    }
+    
+    /**
+     * Walk along a direction, slowed by status effects - turrets don't move
+     */
+    _moveToward(dirX, dirZ, deltaTime) {
+        const moveSpeed = this.speed * StatusEffectSystem.getSpeedMultiplier(this) * deltaTime;
+        if (moveSpeed <= 0) return;
+        
+        this.object3D.position.x += dirX * moveSpeed;
+        this.object3D.position.z += dirZ * moveSpeed;
+        this.object3D.rotation.y = Math.atan2(dirX, dirZ);
+    }
+    
+    /**
+     * Attack an enemy - ranged allies shoot, the others strike it directly
+     */
+    _attack(enemy) {
+        this.attackCooldown = this.attackCooldownTime;
+        
+        const position = this.object3D.position;
+        if (!this.ranged) {
+            this.dealDamage(enemy, this.attackPower, {
+                element: this.type,
+                attackName: this.name,
+                position: position.clone()
+            });
+            return;
+        }
+        
+        const enemyPosition = enemy.object3D.position;
+        const direction = new THREE.Vector3(enemyPosition.x - position.x, 0, enemyPosition.z - position.z);
+        
+        // Launch a bolt - the projectile system moves it and checks for hits
+        this.engine.projectileSystem.spawn({
+            owner: this,
+            object3D: new THREE.Mesh(
+                new THREE.SphereGeometry(0.2, 8, 8),
+                new THREE.MeshBasicMaterial({ color: this.color })
+            ),
+            position: new THREE.Vector3(position.x, position.y + 1, position.z),
+            direction: direction,
+            speed: 14,
+            lifetime: this.attackRange / 14 + 0.3,
+            radius: 0.3,
+            damage: this.attackPower,
+            element: this.type,
+            attackName: this.name
+        });
+    }
+    
+    /**
+     * Make the ally take damage
+     */
+    takeDamage(amount, damageType) {
+        this.health -= amount;
+        this._updateHealthBar();
+        
+        if (this.health <= 0) {
+            this.health = 0;
+            this.die();
+        }
+        
+        return this.health;
+    }
+    
+    /**
+     * Ally death - it vanishes at once, leaving the fight to the others
+     */
+    die() {
+        if (!this.isActive) return;
+        this.isActive = false;
+        
+        // Drop any burns or slows still running
+        StatusEffectSystem.clear(this);
+        
+        this.destroy();
+    }
+    
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        if (!this.object3D) return;
+        
+        if (this.object3D.parent) {
+            this.object3D.parent.remove(this.object3D);
+        }
+        
+        // Dispose of geometries and materials
+        this.object3D.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+    }
+}
\ No newline at end of file
@@ -4,6 +4,9 @@
 import { Entity } from './Entity.js';
 import * as THREE from 'three';
 import fruitStore from '../lib/FruitStore.js';
+import fruitRegistry from '../powers/FruitRegistry.js';
+import { getVillainTarget } from './VillainTargeting.js';
+import { StatusEffectSystem } from '../core/StatusEffectSystem.js';
 
 export class Enemy extends Entity {
     constructor(engine, options = {}) {
@@ -16,6 +19,13 @@ export class Enemy extends Entity {
         this.attackPower = options.attackPower || 10;
         this.attackRange = options.attackRange || 4; // Increased attack range from 5 to 8 units
         
+        // Melee swings miss anything flying higher than this above the ground
+        this.meleeReach = 2;
+        
+        // Critical hit chance and damage multiplier
+        this.critChance = options.critChance ?? 0.05;
+        this.critMultiplier = options.critMultiplier || 1.5;
+        
         // Create 3D representation
         this.object3D = this._createEnemyModel();
         
@@ -32,19 +42,34 @@ export class Enemy extends Entity {
         this.attackCooldown = 0;
         this.attackCooldownTime = 2; // seconds
         
+        // Bomb fruit users drop a mine instead of shooting every so often
+        this.mineCooldown = 0;
+        this.mineCooldownTime = 6; // seconds
+        
         // Player proximity timer for delayed attacks - not used anymore since we attack immediately
         this.playerProximityTimer = 0;
         this.attackDelay = 0; // Set to 0 to attack immediately when in range
         this.playerInRange = false;
         
+        // The player or the ally closest to the enemy, which it chases and attacks
+        this.target = null;
+        
         // Attack range visualization
         this.rangeIndicator = null;
         
         // Health bar
         this.healthBar = null;
         
-        // Assign a random fruit to the enemy
-        this._assignRandomFruit();
+        // Assign the fruit from the island roster, or a random one
+        if (options.fruitType) {
+            this._assignFruit(options.fruitType, options.fruitPower);
+        } else {
+            this._assignRandomFruit();
+        }
+        
+        // Elemental affinities against this enemy follow its fruit
+        this.defenseType = this.fruit.type;
+        this.resistances = options.resistances || {};
         
         // Initialize enemy
         this._init();
@@ -54,16 +79,23 @@ export class Enemy extends Entity {
      * Assign a random fruit to the enemy
      */
     _assignRandomFruit() {
-        const fruitTypes = ['flame', 'ice', 'bomb', 'light', 'magma', 'dark', 'gas'];
+        const fruitTypes = fruitRegistry.getTypes();
         const randomType = fruitTypes[Math.floor(Math.random() * fruitTypes.length)];
         
-        // Create a random name for the fruit
-        const fruitName = `${randomType.charAt(0).toUpperCase() + randomType.slice(1)} Fruit`;
+        this._assignFruit(randomType);
+    }
+    
+    /**
+     * Assign a fruit of the given type to the enemy
+     */
+    _assignFruit(type, power) {
+        // Create a name for the fruit - kept apart from the player's fruits in the store
+        const fruitName = `Villain ${type.charAt(0).toUpperCase() + type.slice(1)} Fruit`;
         
         this.fruit = {
             name: fruitName,
-            type: randomType,
-            power: 5 + Math.floor(Math.random() * 10), // Random power between 5-15
+            type: type,
+            power: power || 5 + Math.floor(Math.random() * 10), // Random power between 5-15
             attacks: ['Basic Attack', 'Special Attack']
         };
         
@@ -94,6 +126,13 @@ export class Enemy extends Entity {
             height: 2.0   // Enemy collision height
         };
         
+        // Let fruit area attacks find and damage this enemy
+        this.object3D.userData.type = 'enemy';
+        this.object3D.userData.entity = this;
+        
+        // Status effect icons go above the health bar
+        this.object3D.userData.statusIconHeight = 3.6;
+        
         // Create health bar
         this._createHealthBar();
     }
@@ -244,7 +283,7 @@ export class Enemy extends Entity {
      * Update enemy state
      */
     update(deltaTime) {
-        if (!this.isActive) return;
+        if (!this.isActive || this.banished) return;
         
         // Check player proximity on every update to determine if they're in range
         this._checkPlayerProximity();
@@ -278,9 +317,13 @@ export class Enemy extends Entity {
                 this.attackCooldown = 0;
             }
         }
+        if (this.mineCooldown > 0) {
+            this.mineCooldown = Math.max(0, this.mineCooldown - deltaTime);
+        }
         
         // If player is in range and we're not already attacking, switch to attack state
-        if (this.playerInRange && this.currentState !== 'attack' && this.attackCooldown <= 0) {
+        // Blinded enemies can't aim, so they hold their attacks
+        if (this.playerInRange && this.currentState !== 'attack' && this.attackCooldown <= 0 && !StatusEffectSystem.isBlinded(this)) {
             this.currentState = 'attack';
             this._performAttack();
         } else if (!this.playerInRange && this.currentState === 'attack') {
@@ -290,20 +333,20 @@ export class Enemy extends Entity {
     }
     
     /**
-     * Check if player is within attack range
+     * Check if the target - the player or their closest ally - is within attack range
      */
     _checkPlayerProximity() {
         // Get the game state to access player
         const gameState = this.engine.stateManager.getCurrentState();
         if (!gameState || !gameState.player) return;
         
-        const player = gameState.player;
-        const playerPos = player.getPosition();
+        this.target = getVillainTarget(this, gameState);
+        const playerPos = this.target.getPosition();
         const enemyPos = this.getPosition();
         
         if (!playerPos || !enemyPos) return;
         
-        // Calculate distance to player
+        // Calculate distance to target
         const distance = Math.sqrt(
             Math.pow(playerPos.x - enemyPos.x, 2) + 
             Math.pow(playerPos.z - enemyPos.z, 2)
@@ -469,8 +512,8 @@ export class Enemy extends Entity {
         const normalizedDirX = dirX / distanceToTarget;
         const normalizedDirZ = dirZ / distanceToTarget;
         
-        // Move toward target at patrol speed
-        const moveSpeed = this.patrolSpeed * deltaTime;
+        // Move toward target at patrol speed, slowed by status effects
+        const moveSpeed = this.patrolSpeed * StatusEffectSystem.getSpeedMultiplier(this) * deltaTime;
         this.object3D.position.x += normalizedDirX * moveSpeed;
         this.object3D.position.z += normalizedDirZ * moveSpeed;
         
@@ -499,7 +542,7 @@ export class Enemy extends Entity {
             return;
         }
         
-        const playerPos = gameState.player.getPosition();
+        const playerPos = (this.target || gameState.player).getPosition();
         const enemyPos = this.getPosition();
         
         if (!playerPos || !enemyPos) {
@@ -529,8 +572,8 @@ export class Enemy extends Entity {
         const normalizedDirX = dirX / distanceToPlayer;
         const normalizedDirZ = dirZ / distanceToPlayer;
         
-        // Move toward player at chase speed
-        const moveSpeed = this.speed * deltaTime;
+        // Move toward player at chase speed, slowed by status effects
+        const moveSpeed = this.speed * StatusEffectSystem.getSpeedMultiplier(this) * deltaTime;
         this.object3D.position.x += normalizedDirX * moveSpeed;
         this.object3D.position.z += normalizedDirZ * moveSpeed;
         
@@ -558,14 +601,14 @@ export class Enemy extends Entity {
             return;
         }
         
-        // If we can attack again (cooldown is over)
-        if (this.attackCooldown <= 0) {
+        // If we can attack again (cooldown is over) and can see the player
+        if (this.attackCooldown <= 0 && !StatusEffectSystem.isBlinded(this)) {
             this._performAttack();
         }
     }
     
     /**
-     * Perform an attack against the player
+     * Perform an attack against the player or the ally being fought
      */
     _performAttack() {
         console.log(`${this.name} attacks player!`);
@@ -574,15 +617,19 @@ export class Enemy extends Entity {
         const gameState = this.engine.stateManager.getCurrentState();
         if (!gameState || !gameState.player) return;
         
-        // Check if we have a fruit to attack with
-        if (this.fruit) {
-            this._shootFruit(gameState.player.getPosition());
+        const target = this.target || gameState.player;
+        
+        // Check if we have a fruit to attack with - bomb users lay a mine when they can
+        if (this.fruit && this.fruit.type === 'bomb' && this.mineCooldown <= 0) {
+            this._layMine(target.getPosition());
+        } else if (this.fruit) {
+            this._shootFruit(target.getPosition());
         } else {
-            // Deal damage to player with regular attack
-            gameState.player.takeDamage(this.attackPower);
+            // Deal damage to the target with regular attack
+            this.dealDamage(target, this.attackPower, { attackName: 'Melee', maxHeight: this.meleeReach });
             
             // Create attack effect
-            const playerPos = gameState.player.getPosition();
+            const playerPos = target.getPosition();
             if (playerPos) {
                 this._createAttackEffect(playerPos);
             }
@@ -592,6 +639,37 @@ export class Enemy extends Entity {
         this.attackCooldown = this.attackCooldownTime;
     }
     
+    /**
+     * Drop a mine halfway to the target - it arms slowly, so there's time to spot it blinking
+     */
+    _layMine(targetPos) {
+        const enemyPos = this.getPosition();
+        if (!targetPos || !enemyPos) return;
+        
+        const fruitData = fruitStore.getFruit(this.fruit.name);
+        if (!fruitData) return;
+        
+        const dirX = targetPos.x - enemyPos.x;
+        const dirZ = targetPos.z - enemyPos.z;
+        const distance = Math.sqrt(dirX * dirX + dirZ * dirZ) || 1;
+        const step = Math.min(distance * 0.5, 3);
+        
+        // The mine system arms it and blows it up when the player or an ally steps on it
+        this.engine.mineSystem.lay({
+            owner: this,
+            position: new THREE.Vector3(enemyPos.x + dirX / distance * step, 0, enemyPos.z + dirZ / distance * step),
+            damage: fruitData.damageValues['Basic Attack'],
+            element: this.fruit.type,
+            attackName: 'Mine',
+            color: this._getFruitColor(this.fruit.type),
+            armingTime: 1,
+            lifetime: 10,
+            knockback: 3
+        });
+        
+        this.mineCooldown = this.mineCooldownTime;
+    }
+    
     /**
      * Shoot a fruit projectile at the player
      */
@@ -614,7 +692,7 @@ export class Enemy extends Entity {
             console.log(`${this.name} couldn't use fruit power, using regular attack`);
             const gameState = this.engine.stateManager.getCurrentState();
             if (gameState && gameState.player) {
-                gameState.player.takeDamage(this.attackPower);
+                this.dealDamage(this.target || gameState.player, this.attackPower, { attackName: 'Melee', maxHeight: this.meleeReach });
                 this._createAttackEffect(targetPos);
             }
             return;
@@ -632,9 +710,6 @@ export class Enemy extends Entity {
         const fruitProjectile = new THREE.Mesh(geometry, material);
         fruitProjectile.position.set(enemyPos.x, enemyPos.y + 1, enemyPos.z);
         
-        // Add to scene
-        this.engine.renderer.scene.add(fruitProjectile);
-        
         // Calculate direction to player
         const direction = new THREE.Vector3(
             targetPos.x - enemyPos.x,
@@ -642,65 +717,22 @@ export class Enemy extends Entity {
             targetPos.z - enemyPos.z
         ).normalize();
         
-        // Animation variables
-        const startTime = Date.now();
-        const duration = 1000; // ms
-        const speed = 10; // units per second
-        const damage = fruitData.damageValues[attackName];
+        // Launch the projectile - the projectile system moves it and checks for hits
+        this.engine.projectileSystem.spawn({
+            owner: this,
+            object3D: fruitProjectile,
+            direction: direction,
+            speed: 10,
+            lifetime: 1,
+            radius: 0.3,
+            damage: fruitData.damageValues[attackName],
+            element: this.fruit.type,
+            attackName: attackName,
+            onHit: (target) => this._createHitEffect(target.getPosition(), this.fruit.type)
+        });
         
         // Add trail effect
         this._createFruitTrail(fruitProjectile, fruitColor);
-        
-        // Animate projectile
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = elapsed / duration;
-            
-            // Move projectile
-            fruitProjectile.position.x += direction.x * speed * (this.engine.time.deltaTime || 0.016);
-            fruitProjectile.position.y += direction.y * speed * (this.engine.time.deltaTime || 0.016);
-            fruitProjectile.position.z += direction.z * speed * (this.engine.time.deltaTime || 0.016);
-            
-            // Check if projectile reached target
-            const gameState = this.engine.stateManager.getCurrentState();
-            if (gameState && gameState.player) {
-                const playerPos = gameState.player.getPosition();
-                if (playerPos) {
-                    const distanceToPlayer = Math.sqrt(
-                        Math.pow(fruitProjectile.position.x - playerPos.x, 2) +
-                        Math.pow(fruitProjectile.position.z - playerPos.z, 2)
-                    );
-                    
-                    // If hit player or time elapsed
-                    if (distanceToPlayer < 1 || progress >= 1) {
-                        // Deal damage only if we hit the player
-                        if (distanceToPlayer < 1) {
-                            gameState.player.takeDamage(damage, this.fruit.type);
-                            this._createHitEffect(playerPos, this.fruit.type);
-                        }
-                        
-                        // Remove projectile
-                        this.engine.renderer.scene.remove(fruitProjectile);
-                        fruitProjectile.geometry.dispose();
-                        fruitProjectile.material.dispose();
-                        return;
-                    }
-                }
-            }
-            
-            // Continue animation if not hit
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                // Remove projectile when animation is complete
-                this.engine.renderer.scene.remove(fruitProjectile);
-                fruitProjectile.geometry.dispose();
-                fruitProjectile.material.dispose();
-            }
-        };
-        
-        // Start animation
-        animate();
     }
     
     /**
@@ -845,18 +877,7 @@ export class Enemy extends Entity {
      * Get color based on fruit type
      */
     _getFruitColor(type) {
-        const colors = {
-            flame: 0xff5500,
-            ice: 0x00aaff,
-            bomb: 0x555555,
-            light: 0xffffaa,
-            magma: 0xff3300,
-            dark: 0x222222,
-            gas: 0xccffee,
-            default: 0xaaaaaa
-        };
-        
-        return colors[type] || colors.default;
+        return fruitRegistry.getColor(type, 0xaaaaaa);
     }
     
     /**
@@ -994,6 +1015,9 @@ export class Enemy extends Entity {
     die() {
         this.isActive = false;
         
+        // Drop any burns or slows still running
+        StatusEffectSystem.clear(this);
+        
         // Hide health bar
         if (this.healthBar && this.healthBar.group) {
             this.healthBar.group.visible = false;
@@ -1068,6 +1092,16 @@ export class Enemy extends Entity {
         return null;
     }
     
+    /**
+     * Teleport the enemy, picking a new patrol target from where it lands
+     */
+    teleport(position) {
+        if (!super.teleport(position)) return false;
+        
+        this.patrolTarget = null;
+        return true;
+    }
+    
     /**
      * Clean up resources
      */
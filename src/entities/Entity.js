@@ -10,6 +10,9 @@ export class Entity {
         this.id = Entity.generateId();
         this.tags = [];
         this.active = true;
+        
+        // Banished entities are out of the fight - hidden, idle and untouchable
+        this.banished = false;
     }
     
     /**
@@ -52,6 +55,51 @@ export class Entity {
         return null;
     }
     
+    /**
+     * Move the entity straight to a position, without passing anything in between
+     * Colliders and health bars are part of object3D and move with it; range indicators
+     * live in the scene and are moved here. Subclasses reset their movement state.
+     * @param {Object} position - Destination, the current height is kept when y is missing
+     * @returns {Boolean} True if the entity moved
+     */
+    teleport(position) {
+        if (!this.object3D || !position) return false;
+        
+        const object3D = this.object3D;
+        object3D.position.set(position.x, position.y ?? object3D.position.y, position.z);
+        object3D.updateMatrixWorld(true);
+        
+        // Knockback, pulls and tethers were aimed from the old position and would drag the entity back
+        const effects = object3D.userData.statusEffects || [];
+        effects.forEach(effect => {
+            effect.knockback = 0;
+            effect.pull = 0;
+            effect.tetherAnchor = null;
+        });
+        
+        // Keep the range indicator under the entity
+        if (this.rangeIndicator) {
+            this.rangeIndicator.position.x = object3D.position.x;
+            this.rangeIndicator.position.z = object3D.position.z;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Send the entity out of the fight, or bring it back
+     */
+    setBanished(banished) {
+        this.banished = banished;
+        
+        if (this.object3D) {
+            this.object3D.visible = !banished;
+        }
+        if (this.rangeIndicator && banished) {
+            this.rangeIndicator.visible = false;
+        }
+    }
+    
     /**
      * Set entity rotation
      */
@@ -80,6 +128,21 @@ export class Entity {
         }
     }
     
+    /**
+     * Deal damage to another entity through the damage system
+     * @param {Entity} target - Entity to hit
+     * @param {Number} amount - Damage before crits and resistances
+     * @param {Object} options - Other DamageEvent fields (element, attackName, position...)
+     */
+    dealDamage(target, amount, options = {}) {
+        return this.engine.damageSystem.deal({
+            ...options,
+            source: this,
+            target: target,
+            amount: amount
+        });
+    }
+    
     /**
      * Add a tag to the entity
      */
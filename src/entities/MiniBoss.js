@@ -4,6 +4,9 @@
 import { Entity } from './Entity.js';
 import * as THREE from 'three';
 import fruitStore from '../lib/FruitStore.js';
+import fruitRegistry from '../powers/FruitRegistry.js';
+import { getVillainTarget } from './VillainTargeting.js';
+import { StatusEffectSystem } from '../core/StatusEffectSystem.js';
 
 export class MiniBoss extends Entity {
     constructor(engine, options = {}) {
@@ -16,11 +19,19 @@ export class MiniBoss extends Entity {
         this.attackPower = options.attackPower || 25;
         this.attackRange = options.attackRange || 4; // Increased attack range from 5 to 10 units
         
+        // Melee can't reach targets hovering higher than this
+        this.meleeReach = 2;
+        
+        // Critical hit chance and damage multiplier
+        this.critChance = options.critChance ?? 0.05;
+        this.critMultiplier = options.critMultiplier || 1.5;
+        
         // Boss abilities
         this.abilities = options.abilities || [];
         this.currentAbilityIndex = 0;
         this.abilityRechargeTime = 5; // seconds
         this.abilityTimer = 0;
+        this.activeAbility = null; // Ability the special state is about to use
         
         // Attack settings
         this.attackCooldown = 0;
@@ -31,6 +42,9 @@ export class MiniBoss extends Entity {
         this.attackDelay = 0; // Set to 0 to attack immediately when in range
         this.playerInRange = false;
         
+        // The player or the ally closest to the boss, which it chases and attacks
+        this.target = null;
+        
         // Create 3D representation
         this.object3D = this._createBossModel();
         
@@ -41,8 +55,12 @@ export class MiniBoss extends Entity {
         // Attack range visualization
         this.rangeIndicator = null;
         
-        // Assign multiple random fruits to the boss
-        this._assignRandomFruits();
+        // Assign the fruits from the island definition, or random ones
+        this._assignRandomFruits(options.fruitTypes);
+        
+        // Elemental affinities against the boss follow its signature (first) fruit
+        this.defenseType = this.fruits[0].type;
+        this.resistances = options.resistances || {};
         
         // Initialize boss
         this._init();
@@ -50,14 +68,15 @@ export class MiniBoss extends Entity {
     
     /**
      * Assign multiple random fruits to the boss
+     * @param {Array<string>} presetTypes - Fruit types to use before picking random ones
      */
-    _assignRandomFruits() {
+    _assignRandomFruits(presetTypes = []) {
         // Boss gets 3 different fruits
-        const fruitTypes = ['flame', 'ice', 'bomb', 'light', 'magma', 'dark', 'gas'];
+        const fruitTypes = fruitRegistry.getTypes();
         this.fruits = [];
         
-        // Select 3 unique random fruits
-        const selectedTypes = [];
+        // Start with the preset fruits, then fill up with unique random fruits
+        const selectedTypes = [...new Set(presetTypes)].slice(0, 3);
         while (selectedTypes.length < 3) {
             const randomType = fruitTypes[Math.floor(Math.random() * fruitTypes.length)];
             if (!selectedTypes.includes(randomType)) {
@@ -108,6 +127,13 @@ export class MiniBoss extends Entity {
                 radius: 1.2,  // Boss collision radius (larger than enemies)
                 height: 3.0   // Boss collision height
             };
+            
+            // Let fruit area attacks find and damage the boss
+            this.object3D.userData.type = 'enemy';
+            this.object3D.userData.entity = this;
+            
+            // Status effect icons go above the health bar
+            this.object3D.userData.statusIconHeight = 5.1;
         }
         
         // Create health bar
@@ -274,7 +300,7 @@ export class MiniBoss extends Entity {
      * Update boss state
      */
     update(deltaTime) {
-        if (!this.isActive) return;
+        if (!this.isActive || this.banished) return;
         
         // Check player proximity on every update to determine if they're in range
         this._checkPlayerProximity();
@@ -313,7 +339,8 @@ export class MiniBoss extends Entity {
         }
         
         // If player is in range and we're not already attacking, switch to attack state
-        if (this.playerInRange && this.currentState !== 'attack' && this.attackCooldown <= 0) {
+        // A blinded boss can't aim, so it holds its attacks
+        if (this.playerInRange && this.currentState !== 'attack' && this.attackCooldown <= 0 && !StatusEffectSystem.isBlinded(this)) {
             this.currentState = 'attack';
             this._performAttack();
         } else if (!this.playerInRange && this.currentState === 'attack') {
@@ -323,20 +350,20 @@ export class MiniBoss extends Entity {
     }
     
     /**
-     * Check if player is within attack range
+     * Check if the target - the player or their closest ally - is within attack range
      */
     _checkPlayerProximity() {
         // Get the game state to access player
         const gameState = this.engine.stateManager.getCurrentState();
         if (!gameState || !gameState.player) return;
         
-        const player = gameState.player;
-        const playerPos = player.getPosition();
+        this.target = getVillainTarget(this, gameState);
+        const playerPos = this.target.getPosition();
         const bossPos = this.getPosition();
         
         if (!playerPos || !bossPos) return;
         
-        // Calculate distance to player
+        // Calculate distance to target
         const distance = Math.sqrt(
             Math.pow(playerPos.x - bossPos.x, 2) + 
             Math.pow(playerPos.z - bossPos.z, 2)
@@ -460,7 +487,7 @@ export class MiniBoss extends Entity {
             return;
         }
         
-        const playerPos = gameState.player.getPosition();
+        const playerPos = (this.target || gameState.player).getPosition();
         const bossPos = this.getPosition();
         
         if (!playerPos || !bossPos) {
@@ -490,8 +517,8 @@ export class MiniBoss extends Entity {
         const normalizedDirX = dirX / distanceToPlayer;
         const normalizedDirZ = dirZ / distanceToPlayer;
         
-        // Move toward player at chase speed
-        const moveSpeed = this.speed * deltaTime;
+        // Move toward player at chase speed, slowed by status effects
+        const moveSpeed = this.speed * StatusEffectSystem.getSpeedMultiplier(this) * deltaTime;
         this.object3D.position.x += normalizedDirX * moveSpeed;
         this.object3D.position.z += normalizedDirZ * moveSpeed;
         
@@ -545,8 +572,8 @@ export class MiniBoss extends Entity {
         const normalizedDirX = dirX / distanceToTarget;
         const normalizedDirZ = dirZ / distanceToTarget;
         
-        // Move toward target at half speed
-        const moveSpeed = (this.speed * 0.5) * deltaTime;
+        // Move toward target at half speed, slowed by status effects
+        const moveSpeed = (this.speed * 0.5) * StatusEffectSystem.getSpeedMultiplier(this) * deltaTime;
         this.object3D.position.x += normalizedDirX * moveSpeed;
         this.object3D.position.z += normalizedDirZ * moveSpeed;
         
@@ -574,20 +601,19 @@ export class MiniBoss extends Entity {
             return;
         }
         
-        // If we can attack again (cooldown is over)
-        if (this.attackCooldown <= 0) {
+        // If we can attack again (cooldown is over) and can see the player
+        if (this.attackCooldown <= 0 && !StatusEffectSystem.isBlinded(this)) {
             this._performAttack();
             
             // Sometimes use a special ability after attacking
-            if (this.abilityTimer >= this.abilityRechargeTime && Math.random() < 0.3) {
-                this.currentState = 'special';
-                this.abilityTimer = 0;
+            if (Math.random() < 0.3) {
+                this.useSpecialAbility();
             }
         }
     }
     
     /**
-     * Perform an attack against the player
+     * Perform an attack against the player or the ally being fought
      */
     _performAttack() {
         console.log(`${this.name} attacks player!`);
@@ -596,6 +622,8 @@ export class MiniBoss extends Entity {
         const gameState = this.engine.stateManager.getCurrentState();
         if (!gameState || !gameState.player) return;
         
+        const target = this.target || gameState.player;
+        
         // Select which type of attack to perform
         const attackType = Math.random() > 0.3 ? 'fruit' : 'regular';
         
@@ -603,18 +631,18 @@ export class MiniBoss extends Entity {
             // Switch to a random fruit for variety
             this.currentFruitIndex = Math.floor(Math.random() * this.fruits.length);
             
-            // Get player position
-            const playerPos = gameState.player.getPosition();
+            // Get target position
+            const playerPos = target.getPosition();
             if (playerPos) {
                 // Multi-fruit attack pattern
                 this._shootMultiFruitAttack(playerPos);
             }
         } else {
-            // Regular attack - deal damage to player
-            gameState.player.takeDamage(this.attackPower);
+            // Regular attack - deal damage to the target
+            this.dealDamage(target, this.attackPower, { attackName: 'Melee', maxHeight: this.meleeReach });
             
             // Create attack effect
-            const playerPos = gameState.player.getPosition();
+            const playerPos = target.getPosition();
             if (playerPos) {
                 this._createAttackEffect(playerPos);
             }
@@ -638,8 +666,11 @@ export class MiniBoss extends Entity {
         const fruitData = fruitStore.getFruit(currentFruit.name);
         if (!fruitData) return;
         
-        // Determine attack pattern (random)
+        // Determine attack pattern (random) - bomb fruits can also mine the ground
         const patterns = ['circle', 'line', 'burst'];
+        if (currentFruit.type === 'bomb') {
+            patterns.push('mines');
+        }
         const pattern = patterns[Math.floor(Math.random() * patterns.length)];
         
         // Use the attack via fruitStore
@@ -653,7 +684,7 @@ export class MiniBoss extends Entity {
             console.log(`${this.name} couldn't use fruit power, using regular attack`);
             const gameState = this.engine.stateManager.getCurrentState();
             if (gameState && gameState.player) {
-                gameState.player.takeDamage(this.attackPower);
+                this.dealDamage(this.target || gameState.player, this.attackPower, { attackName: 'Melee', maxHeight: this.meleeReach });
                 this._createAttackEffect(targetPos);
             }
             return;
@@ -670,6 +701,36 @@ export class MiniBoss extends Entity {
             case 'burst':
                 this._createBurstAttack(bossPos, targetPos, currentFruit);
                 break;
+            case 'mines':
+                this._createMineAttack(bossPos, targetPos, currentFruit);
+                break;
+        }
+    }
+    
+    /**
+     * Lay a row of mines from the boss toward the target, which chain into each other when one goes off
+     */
+    _createMineAttack(sourcePos, targetPos, fruit) {
+        const fruitData = fruitStore.getFruit(fruit.name);
+        const dirX = targetPos.x - sourcePos.x;
+        const dirZ = targetPos.z - sourcePos.z;
+        const distance = Math.sqrt(dirX * dirX + dirZ * dirZ) || 1;
+        
+        const mineCount = 3;
+        for (let i = 0; i < mineCount; i++) {
+            const step = distance * (i + 1) / (mineCount + 1);
+            
+            this.engine.mineSystem.lay({
+                owner: this,
+                position: new THREE.Vector3(sourcePos.x + dirX / distance * step, 0, sourcePos.z + dirZ / distance * step),
+                damage: fruitData.damageValues['Basic Attack'],
+                element: fruit.type,
+                attackName: 'Mine',
+                color: this._getFruitColor(fruit.type),
+                armingTime: 1,
+                lifetime: 12,
+                knockback: 4
+            });
         }
     }
     
@@ -693,74 +754,16 @@ export class MiniBoss extends Entity {
                 Math.sin(angle)
             ).normalize();
             
-            // Create projectile
-            const geometry = new THREE.SphereGeometry(0.4, 8, 8);
-            const material = new THREE.MeshBasicMaterial({ 
+            this._launchFruitProjectile({
+                position: new THREE.Vector3(sourcePos.x, sourcePos.y + 1.5, sourcePos.z),
+                direction: direction,
+                size: 0.4,
                 color: fruitColor,
-                transparent: true,
-                opacity: 0.9
+                speed: 7,
+                lifetime: 2,
+                damage: damage,
+                fruitType: fruit.type
             });
-            
-            const projectile = new THREE.Mesh(geometry, material);
-            projectile.position.set(sourcePos.x, sourcePos.y + 1.5, sourcePos.z);
-            
-            // Add to scene
-            this.engine.renderer.scene.add(projectile);
-            
-            // Create trail effect
-            this._createFruitTrail(projectile, fruitColor);
-            
-            // Animate projectile
-            const startTime = Date.now();
-            const duration = 2000; // ms
-            const speed = 7; // units per second
-            
-            const animate = () => {
-                const elapsed = Date.now() - startTime;
-                const progress = elapsed / duration;
-                
-                // Move projectile
-                projectile.position.x += direction.x * speed * (this.engine.time.deltaTime || 0.016);
-                projectile.position.y += 0; // No vertical movement
-                projectile.position.z += direction.z * speed * (this.engine.time.deltaTime || 0.016);
-                
-                // Check if hit player
-                const gameState = this.engine.stateManager.getCurrentState();
-                if (gameState && gameState.player && gameState.player.isActive) {
-                    const playerPos = gameState.player.getPosition();
-                    if (playerPos) {
-                        const distanceToPlayer = Math.sqrt(
-                            Math.pow(projectile.position.x - playerPos.x, 2) +
-                            Math.pow(projectile.position.z - playerPos.z, 2)
-                        );
-                        
-                        // If hit player
-                        if (distanceToPlayer < 1) {
-                            gameState.player.takeDamage(damage, fruit.type);
-                            this._createHitEffect(playerPos, fruit.type);
-                            
-                            // Remove projectile
-                            this.engine.renderer.scene.remove(projectile);
-                            projectile.geometry.dispose();
-                            projectile.material.dispose();
-                            return;
-                        }
-                    }
-                }
-                
-                // Continue animation if not hit and not completed
-                if (progress < 1) {
-                    requestAnimationFrame(animate);
-                } else {
-                    // Remove projectile when animation is complete
-                    this.engine.renderer.scene.remove(projectile);
-                    projectile.geometry.dispose();
-                    projectile.material.dispose();
-                }
-            };
-            
-            // Start animation
-            animate();
         }
     }
     
@@ -781,80 +784,19 @@ export class MiniBoss extends Entity {
         
         // Create 5 projectiles in a line
         const projectileCount = 5;
-        const projectileSpacing = 0.8; // spacing between projectiles
         
         for (let i = 0; i < projectileCount; i++) {
-            // Delayed creation for sequential firing
-            setTimeout(() => {
-                // Create projectile
-                const geometry = new THREE.SphereGeometry(0.4, 8, 8);
-                const material = new THREE.MeshBasicMaterial({ 
-                    color: fruitColor,
-                    transparent: true,
-                    opacity: 0.9
-                });
-                
-                const projectile = new THREE.Mesh(geometry, material);
-                projectile.position.set(sourcePos.x, sourcePos.y + 1.5, sourcePos.z);
-                
-                // Add to scene
-                this.engine.renderer.scene.add(projectile);
-                
-                // Create trail effect
-                this._createFruitTrail(projectile, fruitColor);
-                
-                // Animate projectile
-                const startTime = Date.now();
-                const duration = 2000; // ms
-                const speed = 12; // units per second
-                
-                const animate = () => {
-                    const elapsed = Date.now() - startTime;
-                    const progress = elapsed / duration;
-                    
-                    // Move projectile
-                    projectile.position.x += direction.x * speed * (this.engine.time.deltaTime || 0.016);
-                    projectile.position.y += 0; // No vertical movement
-                    projectile.position.z += direction.z * speed * (this.engine.time.deltaTime || 0.016);
-                    
-                    // Check if hit player
-                    const gameState = this.engine.stateManager.getCurrentState();
-                    if (gameState && gameState.player && gameState.player.isActive) {
-                        const playerPos = gameState.player.getPosition();
-                        if (playerPos) {
-                            const distanceToPlayer = Math.sqrt(
-                                Math.pow(projectile.position.x - playerPos.x, 2) +
-                                Math.pow(projectile.position.z - playerPos.z, 2)
-                            );
-                            
-                            // If hit player
-                            if (distanceToPlayer < 1) {
-                                gameState.player.takeDamage(damage, fruit.type);
-                                this._createHitEffect(playerPos, fruit.type);
-                                
-                                // Remove projectile
-                                this.engine.renderer.scene.remove(projectile);
-                                projectile.geometry.dispose();
-                                projectile.material.dispose();
-                                return;
-                            }
-                        }
-                    }
-                    
-                    // Continue animation if not hit and not completed
-                    if (progress < 1) {
-                        requestAnimationFrame(animate);
-                    } else {
-                        // Remove projectile when animation is complete
-                        this.engine.renderer.scene.remove(projectile);
-                        projectile.geometry.dispose();
-                        projectile.material.dispose();
-                    }
-                };
-                
-                // Start animation
-                animate();
-            }, i * 200); // Stagger launch times
+            this._launchFruitProjectile({
+                position: new THREE.Vector3(sourcePos.x, sourcePos.y + 1.5, sourcePos.z),
+                direction: direction,
+                size: 0.4,
+                color: fruitColor,
+                speed: 12,
+                lifetime: 2,
+                damage: damage,
+                fruitType: fruit.type,
+                delay: i * 0.2 // Stagger launch times
+            });
         }
     }
     
@@ -869,20 +811,6 @@ export class MiniBoss extends Entity {
         // Create a burst of projectiles that spread outward
         const burstCount = 12;
         
-        // Create a single large projectile that then bursts
-        const mainGeometry = new THREE.SphereGeometry(0.6, 10, 10);
-        const mainMaterial = new THREE.MeshBasicMaterial({ 
-            color: fruitColor,
-            transparent: true,
-            opacity: 0.9
-        });
-        
-        const mainProjectile = new THREE.Mesh(mainGeometry, mainMaterial);
-        mainProjectile.position.set(sourcePos.x, sourcePos.y + 1.5, sourcePos.z);
-        
-        // Add to scene
-        this.engine.renderer.scene.add(mainProjectile);
-        
         // Create direction to player
         const direction = new THREE.Vector3(
             targetPos.x - sourcePos.x,
@@ -890,78 +818,23 @@ export class MiniBoss extends Entity {
             targetPos.z - sourcePos.z
         ).normalize();
         
-        // Create trail effect for main projectile
-        this._createFruitTrail(mainProjectile, fruitColor);
-        
-        // Animate main projectile
-        const startTime = Date.now();
-        // Calculate distance manually instead of using targetPos.distanceTo
-        // const distance = Math.sqrt(
-        //     Math.pow(targetPos.x - sourcePos.x, 2) + 
-        //     Math.pow(targetPos.z - sourcePos.z, 2)
-        // );
-        // const travelDistance = Math.min(10, distance * 0.7);
-        const duration = 800; // ms - time to reach burst point
-        const speed = 10; // units per second
-        
-        // Create the burst animation
-        const animateMain = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            
-            // Move main projectile
-            mainProjectile.position.x += direction.x * speed * (this.engine.time.deltaTime || 0.016);
-            mainProjectile.position.z += direction.z * speed * (this.engine.time.deltaTime || 0.016);
-            
-            // Slightly grow the projectile
-            mainProjectile.scale.set(1 + progress * 0.5, 1 + progress * 0.5, 1 + progress * 0.5);
-            
-            // If reached burst point or hit player
-            if (progress >= 1) {
-                // Create burst of smaller projectiles
-                this._createBurstProjectiles(mainProjectile.position.clone(), burstCount, fruitColor, damage, fruit.type);
-                
-                // Remove main projectile
-                this.engine.renderer.scene.remove(mainProjectile);
-                mainProjectile.geometry.dispose();
-                mainProjectile.material.dispose();
-                return;
-            }
-            
-            // Check if hit player before burst point
-            const gameState = this.engine.stateManager.getCurrentState();
-            if (gameState && gameState.player && gameState.player.isActive) {
-                const playerPos = gameState.player.getPosition();
-                if (playerPos) {
-                    const distanceToPlayer = Math.sqrt(
-                        Math.pow(mainProjectile.position.x - playerPos.x, 2) +
-                        Math.pow(mainProjectile.position.z - playerPos.z, 2)
-                    );
-                    
-                    // If hit player
-                    if (distanceToPlayer < 1) {
-                        // Create burst at player position
-                        this._createBurstProjectiles(mainProjectile.position.clone(), burstCount, fruitColor, damage, fruit.type);
-                        
-                        // Deal direct damage
-                        gameState.player.takeDamage(damage * 1.5, fruit.type);
-                        this._createHitEffect(playerPos, fruit.type);
-                        
-                        // Remove main projectile
-                        this.engine.renderer.scene.remove(mainProjectile);
-                        mainProjectile.geometry.dispose();
-                        mainProjectile.material.dispose();
-                        return;
-                    }
-                }
-            }
-            
-            // Continue animation
-            requestAnimationFrame(animateMain);
+        // A single large projectile that slowly homes in, then bursts on hit or after 0.8 seconds
+        const burst = (projectile) => {
+            this._createBurstProjectiles(projectile.object3D.position.clone(), burstCount, fruitColor, damage, fruit.type);
         };
-        
-        // Start main animation
-        animateMain();
+        this._launchFruitProjectile({
+            position: new THREE.Vector3(sourcePos.x, sourcePos.y + 1.5, sourcePos.z),
+            direction: direction,
+            size: 0.6,
+            color: fruitColor,
+            speed: 10,
+            lifetime: 0.8,
+            damage: damage * 1.5,
+            fruitType: fruit.type,
+            homing: 1,
+            onHit: (target, projectile) => burst(projectile),
+            onExpire: burst
+        });
     }
     
     /**
@@ -977,76 +850,58 @@ export class MiniBoss extends Entity {
                 Math.sin(angle)
             ).normalize();
             
-            // Create projectile
-            const geometry = new THREE.SphereGeometry(0.3, 6, 6);
-            const material = new THREE.MeshBasicMaterial({ 
+            this._launchFruitProjectile({
+                position: position,
+                direction: direction,
+                size: 0.3,
                 color: color,
-                transparent: true,
-                opacity: 0.9
+                speed: 8,
+                lifetime: 1,
+                damage: damage * 0.5, // Less damage for burst particles
+                fruitType: fruitType
             });
-            
-            const projectile = new THREE.Mesh(geometry, material);
-            projectile.position.copy(position);
-            
-            // Add to scene
-            this.engine.renderer.scene.add(projectile);
-            
-            // Create trail effect
-            this._createFruitTrail(projectile, color);
-            
-            // Animate projectile
-            const startTime = Date.now();
-            const duration = 1000; // ms
-            const speed = 8; // units per second
-            
-            const animate = () => {
-                const elapsed = Date.now() - startTime;
-                const progress = elapsed / duration;
-                
-                // Move projectile
-                projectile.position.x += direction.x * speed * (this.engine.time.deltaTime || 0.016);
-                projectile.position.z += direction.z * speed * (this.engine.time.deltaTime || 0.016);
-                
-                // Check if hit player
-                const gameState = this.engine.stateManager.getCurrentState();
-                if (gameState && gameState.player && gameState.player.isActive) {
-                    const playerPos = gameState.player.getPosition();
-                    if (playerPos) {
-                        const distanceToPlayer = Math.sqrt(
-                            Math.pow(projectile.position.x - playerPos.x, 2) +
-                            Math.pow(projectile.position.z - playerPos.z, 2)
-                        );
-                        
-                        // If hit player
-                        if (distanceToPlayer < 1) {
-                            gameState.player.takeDamage(damage * 0.5, fruitType); // Less damage for burst particles
-                            this._createHitEffect(playerPos, fruitType);
-                            
-                            // Remove projectile
-                            this.engine.renderer.scene.remove(projectile);
-                            projectile.geometry.dispose();
-                            projectile.material.dispose();
-                            return;
-                        }
-                    }
-                }
-                
-                // Continue animation if not hit and not completed
-                if (progress < 1) {
-                    requestAnimationFrame(animate);
-                } else {
-                    // Remove projectile when animation is complete
-                    this.engine.renderer.scene.remove(projectile);
-                    projectile.geometry.dispose();
-                    projectile.material.dispose();
-                }
-            };
-            
-            // Start animation
-            animate();
         }
     }
     
+    /**
+     * Launch a fruit projectile with a trail through the projectile system
+     */
+    _launchFruitProjectile(options) {
+        const projectile = new THREE.Mesh(
+            new THREE.SphereGeometry(options.size, 8, 8),
+            new THREE.MeshBasicMaterial({
+                color: options.color,
+                transparent: true,
+                opacity: 0.9
+            })
+        );
+        
+        this.engine.projectileSystem.spawn({
+            owner: this,
+            object3D: projectile,
+            position: options.position,
+            direction: options.direction,
+            speed: options.speed,
+            lifetime: options.lifetime,
+            radius: options.size,
+            damage: options.damage,
+            element: options.fruitType,
+            attackName: 'Basic Attack',
+            delay: options.delay,
+            homing: options.homing,
+            onHit: (target, spawned, damageEvent) => {
+                this._createHitEffect(target.getPosition(), options.fruitType);
+                if (options.onHit) options.onHit(target, spawned, damageEvent);
+            },
+            onExpire: options.onExpire
+        });
+        
+        // Create trail effect
+        this._createFruitTrail(projectile, options.color);
+        
+        return projectile;
+    }
+    
     /**
      * Create a trail effect for a fruit projectile
      */
@@ -1093,17 +948,19 @@ export class MiniBoss extends Entity {
             animateParticle();
         };
         
-        // Create particles every 80ms
+        // Create particles every 80ms, waiting for delayed projectiles to launch
+        let launched = false;
         const trailInterval = setInterval(() => {
             if (!projectile.parent) {
-                clearInterval(trailInterval);
+                if (launched) clearInterval(trailInterval);
                 return;
             }
+            launched = true;
             createTrailParticle();
         }, 80);
         
-        // Clear interval after 2.5 seconds (safety)
-        setTimeout(() => clearInterval(trailInterval), 2500);
+        // Clear interval after 3 seconds (safety)
+        setTimeout(() => clearInterval(trailInterval), 3000);
     }
     
     /**
@@ -1189,18 +1046,7 @@ export class MiniBoss extends Entity {
      * Get color based on fruit type
      */
     _getFruitColor(type) {
-        const colors = {
-            flame: 0xff5500,
-            ice: 0x00aaff,
-            bomb: 0x555555,
-            light: 0xffffaa,
-            magma: 0xff3300,
-            dark: 0x222222,
-            gas: 0xccffee,
-            default: 0xaaaaaa
-        };
-        
-        return colors[type] || colors.default;
+        return fruitRegistry.getColor(type, 0xaaaaaa);
     }
     
     /**
@@ -1213,12 +1059,85 @@ export class MiniBoss extends Entity {
             return; // Pause special attack if player is solving math
         }
         
-        // Execute a special attack
-        // For now, just transition back to chase after a brief pause
+        // Execute the chosen special attack
+        if (this.activeAbility && this.activeAbility.name === 'shockwave') {
+            this._createShockwave(this.activeAbility.power);
+        }
+        this.activeAbility = null;
+        
+        // Transition back to chase
         this.attackCooldown = this.attackCooldownTime * 1.5; // Longer cooldown after special
         this.currentState = 'chase';
     }
     
+    /**
+     * Send a ring of the current fruit's element along the ground
+     * It only hits the player on the ground, so it can be jumped over
+     */
+    _createShockwave(power) {
+        const position = this.getPosition();
+        const fruit = this.fruits[this.currentFruitIndex];
+        const fruitType = fruit ? fruit.type : null;
+        const maxRadius = 15;
+        const speed = 12; // Units per second
+        let radius = 1;
+        let hasHit = false;
+        
+        const ring = new THREE.Mesh(
+            new THREE.RingGeometry(0.85, 1, 48),
+            new THREE.MeshBasicMaterial({
+                color: this._getFruitColor(fruitType),
+                transparent: true,
+                opacity: 0.8,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        );
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.set(position.x, 0.1, position.z);
+        this.engine.renderer.scene.add(ring);
+        
+        ring.userData.update = (deltaTime) => {
+            radius += speed * deltaTime;
+            ring.scale.setScalar(radius);
+            ring.material.opacity = 0.8 * (1 - radius / maxRadius);
+            
+            // Hit the player once when the ring passes under them
+            const gameState = this.engine.stateManager.getCurrentState();
+            const player = gameState && gameState.player;
+            if (!hasHit && player && player.isActive) {
+                const playerPos = player.getPosition();
+                const distance = Math.sqrt(
+                    Math.pow(playerPos.x - ring.position.x, 2) +
+                    Math.pow(playerPos.z - ring.position.z, 2)
+                );
+                
+                if (distance >= radius * 0.85 - 0.7 && distance <= radius + 0.7) {
+                    const damageEvent = this.dealDamage(player, power, {
+                        element: fruitType,
+                        attackName: 'Shockwave',
+                        position: ring.position.clone(),
+                        maxHeight: 0.5
+                    });
+                    hasHit = !damageEvent.cancelled;
+                }
+            }
+            
+            if (radius >= maxRadius) {
+                this.engine.renderer.scene.remove(ring);
+                ring.geometry.dispose();
+                ring.material.dispose();
+                return false;
+            }
+            return true;
+        };
+        
+        if (!this.engine.effectsToUpdate) {
+            this.engine.effectsToUpdate = [];
+        }
+        this.engine.effectsToUpdate.push(ring);
+    }
+    
     /**
      * Try to use a special ability
      */
@@ -1228,7 +1147,7 @@ export class MiniBoss extends Entity {
         }
         
         // Use the current ability
-        const ability = this.abilities[this.currentAbilityIndex];
+        this.activeAbility = this.abilities[this.currentAbilityIndex];
         
         // Reset timer
         this.abilityTimer = 0;
@@ -1338,6 +1257,9 @@ export class MiniBoss extends Entity {
     die() {
         this.isActive = false;
         
+        // Drop any burns or slows still running
+        StatusEffectSystem.clear(this);
+        
         // Play death animation or effect
         this._playBossDeathEffect();
         
@@ -1490,6 +1412,16 @@ export class MiniBoss extends Entity {
         return null;
     }
     
+    /**
+     * Teleport the boss, picking a new roam target from where it lands
+     */
+    teleport(position) {
+        if (!super.teleport(position)) return false;
+        
+        this.roamTarget = null;
+        return true;
+    }
+    
     /**
      * Clean up resources
      */
@@ -3,12 +3,10 @@
  */
 import { Entity } from './Entity.js';
 import * as THREE from 'three';
-import { FlameFruit } from '../powers/FlameFruit.js';
-import { IceFruit } from '../powers/IceFruit.js';
-import { BombFruit } from '../powers/BombFruit.js';
-import { LightFruit } from '../powers/LightFruit.js';
-import { MagmaFruit } from '../powers/MagmaFruit.js';
+import fruitRegistry from '../powers/FruitRegistry.js';
 import fruitStore from '../lib/FruitStore.js';
+import saveManager from '../lib/SaveManager.js';
+import { StatusEffectSystem } from '../core/StatusEffectSystem.js';
 
 export class Player extends Entity {
     constructor(engine, options = {}) {
@@ -19,6 +17,16 @@ export class Player extends Entity {
         this.maxHealth = options.maxHealth || 100;
         this.speed = options.speed || 5;
         this.jumpPower = options.jumpPower || 10;
+        this.isActive = true;
+        
+        // Critical hit chance and damage multiplier, resistances by element
+        this.critChance = options.critChance ?? 0.1;
+        this.critMultiplier = options.critMultiplier || 1.5;
+        this.resistances = options.resistances || {};
+        this.defenseType = null; // The player has no elemental affinity
+        
+        // Radius of the island area the player can move in
+        this.arenaRadius = options.arenaRadius || 45;
         
         // Initialize fruit powers from config objects
         this.fruits = this._initializeFruits(options.fruits || []);
@@ -33,6 +41,11 @@ export class Player extends Entity {
         // Current velocity
         this.velocity = { x: 0, y: 0, z: 0 };
         
+        // Vertical motion - gravity pulls the player back down to the island ground
+        this.gravity = (options.gravity ?? -9.8) * (options.gravityScale || 1);
+        this.groundHeight = 0.01; // Just above ground
+        this.isGrounded = true;
+        
         // Attack cooldowns
         this.attackCooldown = 0;
         this.attackCooldownTime = 0.5; // seconds
@@ -52,6 +65,52 @@ export class Player extends Entity {
         this.damageThreshold = 2; // Seconds in enemy range before taking damage
         this.inEnemyRange = false;
         
+        // Out of combat - no hits taken and no enemy in range for a few seconds
+        this.timeSinceCombat = 0;
+        this.combatCooldown = 4; // seconds
+        
+        // Revival grants a moment to get away
+        this.reviveInvulnerableTime = 2; // seconds
+        
+        // Dash - a quick burst of movement with invulnerability frames
+        this.dashDistance = options.dashDistance || 6;
+        this.dashDuration = 0.2; // seconds
+        this.dashCooldownTime = 1.2; // seconds
+        this.dashInvulnerableTime = 0.35; // seconds, a little longer than the dash itself
+        this.dashCooldown = 0;
+        this.dashTimer = 0;
+        this.dashSpeed = 0;
+        this.dashDirection = new THREE.Vector3();
+        this.dashTrailTimer = 0;
+        this.dashFruit = null;
+        this.dashTrailHits = [];
+        this.invulnerableTimer = 0;
+        this.lastMoveDirection = new THREE.Vector3(0, 0, 1);
+        
+        // Shields, armor and reflection from fruits - each one changes a hit before it lands
+        this.damageModifiers = [];
+        
+        // Timed speed, damage and defense multipliers from fruits
+        this.buffs = [];
+        
+        // Beast form from a transformation fruit, null in normal form
+        this.transformation = null;
+        
+        // Flight from a fruit that allows it - stamina drains in the air and refills on the ground
+        this.flight = null; // { fruit, settings } while airborne
+        this.maxStamina = options.maxStamina || 100;
+        this.stamina = this.maxStamina;
+        this.staminaRegen = 15; // per second on the ground
+        this.minTakeoffStamina = 20;
+        
+        // Aiming - 'mouse' fires at the cursor on the ground, 'auto' at the nearest enemy
+        this.aimMode = options.aimMode || 'mouse';
+        this.autoAimRange = 25;
+        this.aimTarget = null; // World-space point attacks are fired toward
+        this.aimReticle = null;
+        this.raycaster = new THREE.Raycaster();
+        this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        
         // Initialize player
         this._init();
     }
@@ -64,7 +123,7 @@ export class Player extends Entity {
         this.engine.renderer.add(this.object3D);
         
         // Set initial position
-        this.object3D.position.y = 0.01; // Just above ground
+        this.object3D.position.y = this.groundHeight;
         
         // Ensure userData exists
         if (!this.object3D.userData) {
@@ -76,6 +135,10 @@ export class Player extends Entity {
             radius: 0.7,  // Player collision radius
             height: 2.0   // Player collision height
         };
+        this.object3D.userData.entity = this;
+        
+        // Status effect icons go above the player's head
+        this.object3D.userData.statusIconHeight = 4.2;
         
         // Update UI when active fruit changes
         this._setupKeyboardControls();
@@ -199,30 +262,12 @@ export class Player extends Entity {
         const initializedFruits = [];
         
         for (const fruitConfig of fruitConfigs) {
-            let fruit;
-            
-            // Create the appropriate fruit class based on type
-            switch (fruitConfig.type) {
-                case 'flame':
-                    fruit = new FlameFruit(this.engine, fruitConfig);
-                    break;
-                case 'ice':
-                    fruit = new IceFruit(this.engine, fruitConfig);
-                    break;
-                case 'bomb':
-                    fruit = new BombFruit(this.engine, fruitConfig);
-                    break;
-                case 'light':
-                    fruit = new LightFruit(this.engine, fruitConfig);
-                    break;
-                case 'magma':
-                    fruit = new MagmaFruit(this.engine, fruitConfig);
-                    break;
-                default:
-                    console.warn(`Unknown fruit type: ${fruitConfig.type}`);
-                    continue;
-            }
+            // Create the fruit class registered for the type
+            const fruit = fruitRegistry.createFruit(this.engine, fruitConfig);
+            if (!fruit) continue;
             
+            // Hits of the fruit are credited to the player
+            fruit.owner = this;
             initializedFruits.push(fruit);
         }
         
@@ -275,6 +320,9 @@ export class Player extends Entity {
             shadowPlane.rotation.x = -Math.PI / 2; // Flat on ground
             shadowPlane.position.y = 0.01; // Slightly above ground to avoid z-fighting
             playerGroup.add(shadowPlane);
+            
+            // Store reference to shadow so it stays on the ground during jumps
+            this.shadowPlane = shadowPlane;
         } else {
             // Fallback to simple 3D model if texture not available
             // Player body
@@ -307,9 +355,40 @@ export class Player extends Entity {
      * Update player state
      */
     update(deltaTime) {
+        // Dash and invulnerability timers
+        if (this.dashCooldown > 0) {
+            this.dashCooldown -= deltaTime;
+        }
+        if (this.invulnerableTimer > 0) {
+            this.invulnerableTimer -= deltaTime;
+        }
+        if (this.dashTimer > 0) {
+            this._updateDash(deltaTime);
+        }
+        
+        // Beast forms wear off when their timer runs out
+        if (this.transformation) {
+            this.transformation.timeRemaining -= deltaTime;
+            if (this.transformation.timeRemaining <= 0) {
+                this.revertTransformation();
+            }
+        }
+        
+        // Count down buffs and drop the ones that ran out
+        this._updateBuffs(deltaTime);
+        
+        // Drain stamina in the air, refill it on the ground
+        this._updateStamina(deltaTime);
+        
         // Update player movement
         this._updateMovement(deltaTime);
         
+        // Fall back to the ground after a jump
+        this._updateVertical(deltaTime);
+        
+        // Follow the cursor or nearest enemy with the reticle
+        this._updateAim(deltaTime);
+        
         // Update animations
         this._updateAnimations(deltaTime);
         
@@ -318,9 +397,12 @@ export class Player extends Entity {
             this.attackCooldown -= deltaTime;
         }
         
-        // Update damage timer if in enemy range
-        if (this.inEnemyRange) {
-            this.damageTimer += deltaTime;
+        // Update damage timer if in enemy range - it holds still while invulnerable, and
+        // enemies on the ground can't wear down a flying player
+        if (this.inEnemyRange && !this.isFlying()) {
+            if (!this.isInvulnerable()) {
+                this.damageTimer += deltaTime;
+            }
             
             // Apply automatic damage if timer exceeds threshold
             if (this.damageTimer >= this.damageThreshold) {
@@ -329,12 +411,12 @@ export class Player extends Entity {
                 // Get the current game state
                 const gameState = this.engine.stateManager.getCurrentState();
                 let damageAmount = 10; // Default damage amount
+                let closestEnemy = null;
                 
                 // Try to get the enemy/boss that's causing this damage
                 if (gameState && gameState.enemies) {
                     // Find the closest enemy/boss in range to determine damage amount
                     const playerPos = this.getPosition();
-                    let closestEnemy = null;
                     let closestDistance = Infinity;
                     
                     // Check regular enemies
@@ -378,14 +460,31 @@ export class Player extends Entity {
                     }
                 }
                 
-                // Apply the damage
-                this.takeDamage(damageAmount);
+                // Apply the damage, credited to the enemy causing it
+                this.engine.damageSystem.deal({
+                    source: closestEnemy,
+                    target: this,
+                    amount: damageAmount,
+                    attackName: 'Danger Zone',
+                    canCrit: false
+                });
+                this.damageTimer = 0;
             }
         } else {
             // Reset damage timer if not in enemy range
             this.damageTimer = 0;
         }
         
+        // Count the time since the last fight, for out of combat regeneration
+        if (this.inEnemyRange) {
+            this.timeSinceCombat = 0;
+        } else {
+            this.timeSinceCombat += deltaTime;
+        }
+        
+        // Passives of every held fruit, not just the active one
+        this.fruits.forEach(fruit => fruit.updatePassive(deltaTime, this));
+        
         // Check for fruit uses from math challenges (key "M")
         if (this.engine.input.isKeyPressed('KeyM') && !this.mathChallengeActive) {
             this._startMathChallenge();
@@ -403,7 +502,9 @@ export class Player extends Entity {
      */
     _updateMovement(deltaTime) {
         const input = this.engine.input;
-        const speed = this.speed * deltaTime;
+        const flightSpeed = this.flight ? this.flight.settings.speedMultiplier || 1 : 1;
+        const speed = this.speed * flightSpeed * this.getBuffMultiplier('speed') *
+            StatusEffectSystem.getSpeedMultiplier(this) * deltaTime;
         
         // Check if math challenge is active - don't process movement if it is
         if (this.mathChallengeActive) {
@@ -439,11 +540,20 @@ export class Player extends Entity {
             moveZ -= speed;
         }
         
+        // Dashing replaces walking
+        if (this.dashTimer > 0) {
+            moveX = 0;
+            moveZ = 0;
+        }
+        
         // Update moving state
         this.isMoving = (moveX !== 0 || moveZ !== 0);
         
         // Apply movement directly to match isometric view
         if (this.isMoving) {
+            // Remember the direction for dashes
+            this.lastMoveDirection.set(moveX, 0, moveZ).normalize();
+            
             // Apply movement
             this.object3D.position.x += moveX;
             this.object3D.position.z += moveZ;
@@ -484,27 +594,53 @@ export class Player extends Entity {
             this._updateFruitUI();
         }
         
-        // Handle basic attack with space
-        if (input.isKeyPressed('Space')) {
+        // Handle basic attack with space or left click
+        const mouseAiming = this.aimMode === 'mouse';
+        if (input.isKeyPressed('Space') || (mouseAiming && input.isMouseButtonPressed(0))) {
             this._useBasicAttack();
         }
         
-        // Handle special attack with shift
-        if (input.isKeyPressed('ShiftLeft') || input.isKeyPressed('ShiftRight')) {
+        // Handle special attack with shift or right click
+        if (input.isKeyPressed('ShiftLeft') || input.isKeyPressed('ShiftRight') || (mouseAiming && input.isMouseButtonPressed(2))) {
             this._useSpecialAttack();
         }
         
+        // Dash with Q
+        if (input.isKeyPressed('KeyQ')) {
+            this._startDash();
+        }
+        
+        // Jump with R
+        if (input.isKeyPressed('KeyR')) {
+            this.jump();
+        }
+        
+        // Take off or land with F, if a held fruit can fly
+        if (input.isKeyPressed('KeyF')) {
+            this.toggleFlight();
+        }
+        
+        // Toggle between mouse aim and auto-aim with V
+        if (input.isKeyPressed('KeyV')) {
+            this.toggleAimMode();
+        }
+        
+        // Handle ultimate attack with E once the combo meter is full
+        if (input.isKeyPressed('KeyE')) {
+            this._useUltimateAttack();
+        }
+        
         // Keep player within island bounds
         const distanceFromCenter = Math.sqrt(
             this.object3D.position.x * this.object3D.position.x + 
             this.object3D.position.z * this.object3D.position.z
         );
         
-        if (distanceFromCenter > 45) { // Increased from 29 to 45 for a larger playing area
+        if (distanceFromCenter > this.arenaRadius) {
             // Player is too close to edge, push back
             const angle = Math.atan2(this.object3D.position.x, this.object3D.position.z);
-            this.object3D.position.x = Math.sin(angle) * 45;
-            this.object3D.position.z = Math.cos(angle) * 45;
+            this.object3D.position.x = Math.sin(angle) * this.arenaRadius;
+            this.object3D.position.z = Math.cos(angle) * this.arenaRadius;
         }
     }
     
@@ -530,6 +666,13 @@ export class Player extends Entity {
         }
     }
     
+    /**
+     * Get the fruit attacks come from - the beast form's fruit while transformed
+     */
+    _getAttackingFruit() {
+        return this.transformation ? this.transformation.fruit : this.getActiveFruit();
+    }
+    
     /**
      * Use basic attack with current fruit
      */
@@ -540,8 +683,8 @@ export class Player extends Entity {
             return;
         }
         
-        // Get active fruit
-        const fruit = this.getActiveFruit();
+        // Get the fruit to attack with
+        const fruit = this._getAttackingFruit();
         if (!fruit) {
             console.log("No active fruit found!");
             return;
@@ -553,44 +696,32 @@ export class Player extends Entity {
             return;
         }
         
-        // Get player position and direction
+        // Get player position and the direction toward the aim target
         const position = this.getPosition();
+        const direction = this._getAimDirection(position);
         
-        // Calculate attack direction based on player orientation
-        let direction = new THREE.Vector3(0, 0, -1); // Default: forward
-        
-        // Get facing angle from either the sprite or the 3D model
-        let facingAngle = 0;
-        if (this.object3D.userData.facingAngle !== undefined) {
-            facingAngle = this.object3D.userData.facingAngle;
-        } else {
-            facingAngle = this.object3D.rotation.y;
-        }
-        
-        // We don't need to apply rotation since we're not using directional attacks
-        
-        // Position the attack at the player's position
+        // Position the attack just in front of the player
         const attackStartPosition = new THREE.Vector3(
-            position.x,
+            position.x + direction.x,
             position.y + 1.0, // At approximately player's "hand" height
-            position.z
+            position.z + direction.z
         );
         
-        // Set the attack range (area around player)
+        // Set the attack range (reach along the aim direction)
         const attackRange = 8; 
         
         // Set cooldown
         this.attackCooldown = this.attackCooldownTime;
         
-        // Use fruit's basic attack without direction (passing null for direction)
-        const attackResult = fruit.useBasicAttack(attackStartPosition, null);
+        // Use fruit's basic attack toward the aim target
+        const attackResult = fruit.useBasicAttack(attackStartPosition, direction);
         
         // Check if attack was successful
         if (attackResult) {
-            // Get game state and check for direct hits on the closest enemy
+            // Get game state and check for direct hits on the closest enemy in the aim direction
             const gameState = this.engine.stateManager.getCurrentState();
             if (gameState && gameState.checkDirectAttackHits) {
-                gameState.checkDirectAttackHits(attackStartPosition, attackRange, fruit.power, fruit.type);
+                gameState.checkDirectAttackHits(attackStartPosition, attackRange, fruit, 'Basic Attack', direction);
             }
             
             // Create visual feedback for attack
@@ -613,8 +744,8 @@ export class Player extends Entity {
             return;
         }
         
-        // Get active fruit
-        const fruit = this.getActiveFruit();
+        // Get the fruit to attack with
+        const fruit = this._getAttackingFruit();
         if (!fruit) {
             console.log("No active fruit found!");
             return;
@@ -632,22 +763,9 @@ export class Player extends Entity {
             return;
         }
         
-        // Get player position and direction
+        // Get player position and the direction toward the aim target
         const position = this.getPosition();
-        
-        // Calculate attack direction based on player orientation
-        let direction = new THREE.Vector3(0, 0, -1); // Default: forward
-        
-        // Get facing angle from either the sprite or the 3D model
-        let facingAngle = 0;
-        if (this.object3D.userData.facingAngle !== undefined) {
-            facingAngle = this.object3D.userData.facingAngle;
-        } else {
-            facingAngle = this.object3D.rotation.y;
-        }
-        
-        // Apply rotation to direction vector
-        direction.applyAxisAngle(new THREE.Vector3(0, 1, 0), facingAngle);
+        const direction = this._getAimDirection(position);
         
         // Position the attack start point slightly in front of the player
         const attackStartPosition = new THREE.Vector3(
@@ -670,7 +788,7 @@ export class Player extends Entity {
             // Get game state and check for direct hits on the closest enemy
             const gameState = this.engine.stateManager.getCurrentState();
             if (gameState && gameState.checkDirectAttackHits) {
-                gameState.checkDirectAttackHits(attackStartPosition, attackRange, fruit.power * 1.5, fruit.type);
+                gameState.checkDirectAttackHits(attackStartPosition, attackRange, fruit, 'Special Attack', direction);
             }
             
             // Create visual feedback for special attack
@@ -683,6 +801,104 @@ export class Player extends Entity {
         return attackResult;
     }
     
+    /**
+     * Use ultimate attack with current fruit - needs a full combo meter
+     */
+    _useUltimateAttack() {
+        // Check cooldown
+        if (this.attackCooldown > 0) {
+            console.log(`Attack on cooldown: ${this.attackCooldown.toFixed(2)}s remaining`);
+            return;
+        }
+        
+        // In beast form the ultimate key turns the player back
+        if (this.transformation) {
+            this.attackCooldown = this.attackCooldownTime;
+            this.revertTransformation();
+            return true;
+        }
+        
+        // Get the fruit to attack with
+        const fruit = this._getAttackingFruit();
+        if (!fruit) {
+            console.log("No active fruit found!");
+            return;
+        }
+        
+        // Check if the ultimate meter is full
+        if (!fruit.isUltimateReady()) {
+            const gameState = this.engine.stateManager.getCurrentState();
+            if (gameState && gameState.showMessage) {
+                gameState.showMessage("Land a basic then a special attack to charge your ultimate!", 2000);
+            }
+            return;
+        }
+        
+        // Check if fruit has uses remaining
+        if (fruit.usesRemaining <= 0) {
+            console.log(`No uses remaining for ${fruit.name}`);
+            return;
+        }
+        
+        // The ultimate is centered on the player
+        const position = this.getPosition();
+        const attackStartPosition = new THREE.Vector3(
+            position.x,
+            position.y + 1.0,
+            position.z
+        );
+        const direction = this._getAimDirection(position);
+        
+        // Ultimate attack reaches further than the special attack
+        const attackRange = 16;
+        
+        // Set cooldown
+        this.attackCooldown = this.attackCooldownTime;
+        
+        // Use fruit's ultimate attack
+        const attackResult = fruit.useUltimateAttack(attackStartPosition, direction);
+        
+        // Check if attack was successful
+        if (attackResult) {
+            // Get game state and check for direct hits on the closest enemy
+            const gameState = this.engine.stateManager.getCurrentState();
+            if (gameState && gameState.checkDirectAttackHits) {
+                gameState.checkDirectAttackHits(attackStartPosition, attackRange, fruit, 'Ultimate Attack');
+            }
+            
+            // Create visual feedback for ultimate attack
+            this._createSpecialAttackEffect(attackStartPosition, direction, fruit.type);
+        }
+        
+        // Update UI to reflect updated uses count
+        this._updateFruitUI();
+        
+        return attackResult;
+    }
+    
+    /**
+     * Called by a fruit when one of its attacks first hits an enemy
+     */
+    onFruitHit(fruit, attackName) {
+        this._registerComboHit(fruit, attackName);
+    }
+    
+    /**
+     * Advance the combo chain after an attack hits and announce finished combos
+     */
+    _registerComboHit(fruit, attackName) {
+        if (!fruitStore.registerHit(fruit.name, attackName)) return;
+        
+        const gameState = this.engine.stateManager.getCurrentState();
+        if (!gameState || !gameState.showMessage) return;
+        
+        if (fruit.isUltimateReady()) {
+            gameState.showMessage("Ultimate ready! Press E to unleash it", 2000);
+        } else {
+            gameState.showMessage(`Combo! Ultimate ${Math.round(fruit.getUltimateChargePercentage())}%`, 1200);
+        }
+    }
+    
     /**
      * Create visual effect for basic attack
      */
@@ -1079,12 +1295,24 @@ export class Player extends Entity {
     }
     
     /**
-     * Take damage
+     * Take damage - other entities should hit the player through the damage system
+     * @param {number} amount - Damage dealt
+     * @param {string} damageType - Fruit type of the hit
+     * @param {DamageEvent} damageEvent - The hit, when it came through the damage system
      */
-    takeDamage(amount) {
-        // Only apply damage if damage timer has reached threshold
-        if (this.inEnemyRange && this.damageTimer < this.damageThreshold) {
-            console.log(`Player in danger zone for ${this.damageTimer.toFixed(1)}s of ${this.damageThreshold}s required`);
+    takeDamage(amount, damageType = null, damageEvent = null) {
+        // Dodged during a dash
+        if (this.isInvulnerable()) {
+            return this.health;
+        }
+        
+        // Defense buffs soften the hit, then shields and armor get a say before it lands
+        amount /= this.getBuffMultiplier('defense');
+        amount = this._applyDamageModifiers(amount, damageType, damageEvent);
+        if (damageEvent) {
+            damageEvent.amount = amount;
+        }
+        if (amount <= 0) {
             return this.health;
         }
         
@@ -1101,6 +1329,7 @@ export class Player extends Entity {
         
         // Reset damage timer after damage is applied
         this.damageTimer = 0;
+        this.timeSinceCombat = 0;
         
         // Create visual hit effect
         this._showHitEffect();
@@ -1111,6 +1340,16 @@ export class Player extends Entity {
         // Check for game over if health is depleted
         if (this.health <= 0) {
             console.log("Player health depleted!");
+            this.isActive = false;
+            
+            // A fruit may bring the player back before it's game over
+            if (this.fruits.some(fruit => fruit.onOwnerDeath(this))) {
+                if (damageEvent) {
+                    damageEvent.revived = true;
+                }
+                return this.health;
+            }
+            
             // Could trigger game over here
             const gameState = this.engine.stateManager.getCurrentState();
             if (gameState && typeof gameState.onPlayerDeath === 'function') {
@@ -1121,6 +1360,95 @@ export class Player extends Entity {
         return this.health;
     }
     
+    /**
+     * Add a damage modifier, such as a shield that absorbs hits or armor that reflects them
+     * @param {Function} modifier - (amount, damageType, damageEvent) returns the damage still to take
+     * @returns {Function} Call it to remove the modifier
+     */
+    addDamageModifier(modifier) {
+        this.damageModifiers.push(modifier);
+        
+        return () => this.removeDamageModifier(modifier);
+    }
+    
+    /**
+     * Remove a damage modifier
+     */
+    removeDamageModifier(modifier) {
+        const index = this.damageModifiers.indexOf(modifier);
+        if (index !== -1) {
+            this.damageModifiers.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Run a hit through the damage modifiers in the order they were added
+     */
+    _applyDamageModifiers(amount, damageType, damageEvent) {
+        // Copy so modifiers can remove themselves, like a shield that breaks
+        for (const modifier of [...this.damageModifiers]) {
+            if (amount <= 0) break;
+            amount = Math.max(0, modifier(amount, damageType, damageEvent));
+        }
+        
+        return amount;
+    }
+    
+    /**
+     * Add a timed buff - different buffs stack, the same buff again refreshes instead
+     * @param {Object} buff - name, stat ('speed', 'damage' or 'defense'), multiplier, duration in seconds and fruit type
+     * @returns {Object} The active buff
+     */
+    addBuff(buff) {
+        const existing = this.buffs.find(active => active.name === buff.name && active.stat === buff.stat);
+        if (existing) {
+            existing.multiplier = Math.max(existing.multiplier, buff.multiplier);
+            existing.duration = Math.max(existing.timeRemaining, buff.duration);
+            existing.timeRemaining = existing.duration;
+            return existing;
+        }
+        
+        const active = {
+            name: buff.name,
+            stat: buff.stat,
+            multiplier: buff.multiplier,
+            duration: buff.duration,
+            timeRemaining: buff.duration,
+            type: buff.type || null
+        };
+        this.buffs.push(active);
+        return active;
+    }
+    
+    /**
+     * End a buff early
+     */
+    removeBuff(buff) {
+        const index = this.buffs.indexOf(buff);
+        if (index !== -1) {
+            this.buffs.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Get the combined multiplier of every active buff to a stat, 1 without buffs
+     */
+    getBuffMultiplier(stat) {
+        return this.buffs.reduce((multiplier, buff) => buff.stat === stat ? multiplier * buff.multiplier : multiplier, 1);
+    }
+    
+    /**
+     * Count down the buffs and expire the ones that ran out
+     */
+    _updateBuffs(deltaTime) {
+        if (this.buffs.length === 0) return;
+        
+        this.buffs.forEach(buff => {
+            buff.timeRemaining -= deltaTime;
+        });
+        this.buffs = this.buffs.filter(buff => buff.timeRemaining > 0);
+    }
+    
     /**
      * Show a visual effect when the player is hit
      */
@@ -1152,12 +1480,6 @@ export class Player extends Entity {
             }
         });
         
-        // Create damage text effect
-        const position = this.getPosition();
-        if (position) {
-            this._createDamageText(position);
-        }
-        
         // Restore original colors after a delay
         setTimeout(() => {
             this._restoreOriginalColors();
@@ -1185,18 +1507,6 @@ export class Player extends Entity {
         });
     }
     
-    /**
-     * Create floating damage text
-     */
-    _createDamageText(position) {
-        // Get the game state
-        const gameState = this.engine.stateManager.getCurrentState();
-        if (!gameState || typeof gameState._showDamageText !== 'function') return;
-        
-        // Use the game state's damage text method
-        gameState._showDamageText(position, "DAMAGED!", 0xff0000);
-    }
-    
     /**
      * Update health UI if available
      */
@@ -1226,14 +1536,169 @@ export class Player extends Entity {
     }
     
     /**
-     * Heal player
+     * Heal player - fruits heal through the damage system so the HUD shows it
      */
     heal(amount) {
         this.health += amount;
         if (this.health > this.maxHealth) this.health = this.maxHealth;
+        this._updateHealthUI();
         return this.health;
     }
     
+    /**
+     * Bring the player back after their health ran out
+     * @param {Number} healthFraction - Share of max health the player comes back with
+     * @param {Fruit} fruit - Fruit that brought the player back
+     */
+    revive(healthFraction, fruit = null) {
+        this.isActive = true;
+        this.invulnerableTimer = this.reviveInvulnerableTime;
+        this.damageTimer = 0;
+        
+        // Come back without the burns and poison that finished the player off
+        if (this.object3D.userData.statusEffects) {
+            this.object3D.userData.statusEffects.length = 0;
+        }
+        
+        this.engine.damageSystem.heal({
+            source: this,
+            target: this,
+            amount: this.maxHealth * healthFraction,
+            attackName: 'Revive'
+        });
+        
+        // Let the game show the revival
+        const gameState = this.engine.stateManager.getCurrentState();
+        if (gameState && typeof gameState.onPlayerRevived === 'function') {
+            gameState.onPlayerRevived(fruit);
+        }
+    }
+    
+    /**
+     * Take on a beast form - it replaces the look, speed, collider and attacks until it runs out
+     * @param {Fruit} fruit - Fruit whose form the player takes, its form attacks are used while it lasts
+     * @param {Object} form - Form settings from the fruit's configuration
+     * @param {Number} duration - Seconds the form lasts
+     */
+    transform(fruit, form, duration) {
+        // One form at a time
+        if (this.transformation) {
+            this.revertTransformation();
+        }
+        
+        this.transformation = {
+            fruit: fruit,
+            form: form,
+            duration: duration,
+            timeRemaining: duration,
+            normalSpeed: this.speed,
+            normalCollider: this.object3D.userData.collider,
+            normalIconHeight: this.object3D.userData.statusIconHeight,
+            removeArmor: null
+        };
+        
+        if (form.speed) {
+            this.speed = form.speed;
+        }
+        if (form.collider) {
+            this.object3D.userData.collider = { ...form.collider };
+            this.object3D.userData.statusIconHeight = form.collider.height + 2;
+        }
+        
+        // Tank forms shrug off part of every hit
+        if (form.armor) {
+            this.transformation.removeArmor = this.addDamageModifier(amount => amount * (1 - form.armor));
+        }
+        
+        this._setFormAppearance(form, fruit);
+        
+        // Flying forms take off right away
+        if (form.flightHeight) {
+            this.isGrounded = false;
+        }
+        
+        const gameState = this.engine.stateManager.getCurrentState();
+        if (gameState && gameState.showMessage) {
+            gameState.showMessage(`${form.name}! Press E to turn back`, 2000);
+        }
+    }
+    
+    /**
+     * Leave the beast form and get the normal fruit kit back
+     */
+    revertTransformation() {
+        const transformation = this.transformation;
+        if (!transformation) return;
+        
+        this.transformation = null;
+        this.speed = transformation.normalSpeed;
+        this.object3D.userData.collider = transformation.normalCollider;
+        this.object3D.userData.statusIconHeight = transformation.normalIconHeight;
+        if (transformation.removeArmor) {
+            transformation.removeArmor();
+        }
+        
+        this._setFormAppearance(null);
+        
+        // Flyers fall back to the ground
+        if (transformation.form.flightHeight) {
+            this.isGrounded = false;
+        }
+    }
+    
+    /**
+     * Get how much of the beast form is left, from 0 to 1
+     */
+    getTransformationPercentage() {
+        if (!this.transformation) return 0;
+        return Math.max(0, this.transformation.timeRemaining / this.transformation.duration);
+    }
+    
+    /**
+     * Swap the player's sprite for a beast form's, or back to the normal one
+     * @param {Object} form - Form settings, null for the normal look
+     * @param {Fruit} fruit - Fruit of the form, its icon is used when the form has no texture
+     */
+    _setFormAppearance(form, fruit = null) {
+        if (!this.playerSprite) return;
+        
+        const sprite = this.playerSprite;
+        
+        // Remember the normal look the first time the player transforms
+        if (!this.normalAppearance) {
+            this.normalAppearance = {
+                map: sprite.material.map,
+                size: Math.abs(sprite.scale.y),
+                height: sprite.position.y
+            };
+        }
+        
+        const normal = this.normalAppearance;
+        let map = normal.map;
+        let tint = 0xffffff;
+        let size = normal.size;
+        
+        if (form) {
+            const textureName = form.texture || fruitRegistry.getTextureName(fruit.type);
+            map = this.engine.resources.getTexture(textureName) || normal.map;
+            tint = form.tint ?? 0xffffff;
+            size = normal.size * (form.scale || 1);
+        }
+        
+        sprite.material.map = map;
+        sprite.material.color.setHex(tint);
+        sprite.material.needsUpdate = true;
+        sprite.scale.set(size * this.facingDirection, size, 1);
+        sprite.position.y = normal.height * size / normal.size;
+    }
+    
+    /**
+     * Check if the player has been in a fight recently
+     */
+    isInCombat() {
+        return this.timeSinceCombat < this.combatCooldown;
+    }
+    
     /**
      * Get health as percentage
      */
@@ -1265,6 +1730,16 @@ export class Player extends Entity {
         };
     }
     
+    /**
+     * Teleport the player, ending any dash that was carrying them along
+     */
+    teleport(position) {
+        if (!super.teleport(position)) return false;
+        
+        this.dashTimer = 0;
+        return true;
+    }
+    
     /**
      * Check if player is near any enemies or bosses
      */
@@ -1284,7 +1759,7 @@ export class Player extends Entity {
         // Check proximity to regular enemies
         if (gameState.enemies && Array.isArray(gameState.enemies)) {
             gameState.enemies.forEach(enemy => {
-                if (!enemy) return;
+                if (!enemy || enemy.banished) return;
                 
                 const enemyPos = enemy.getPosition();
                 if (!enemyPos) return;
@@ -1318,7 +1793,7 @@ export class Player extends Entity {
         // Check proximity to mini boss (changed from bosses array to single boss)
         if (gameState.boss) {
             const boss = gameState.boss;
-            if (boss && boss.isActive) {
+            if (boss && boss.isActive && !boss.banished) {
                 const bossPos = boss.getPosition();
                 if (bossPos) {
                     const distance = Math.sqrt(
@@ -1762,8 +2237,20 @@ export class Player extends Entity {
             return;
         }
         
+        // Record the answer in the profile's math history
+        const problem = this.currentMathProblem;
+        const isCorrect = userAnswer === problem.answer;
+        const activeFruit = this.getActiveFruit();
+        saveManager.recordMathChallenge({
+            problem: `${problem.num1} ${problem.operation} ${problem.num2}`,
+            answer: problem.answer,
+            userAnswer: userAnswer,
+            correct: isCorrect,
+            fruit: activeFruit ? activeFruit.name : null
+        });
+        
         // Check if it's correct
-        if (userAnswer === this.currentMathProblem.answer) {
+        if (isCorrect) {
             // Correct answer
             resultDiv.textContent = '✓ Correct! You earned more fruit uses.';
             resultDiv.className = 'math-result success';
@@ -1937,12 +2424,506 @@ export class Player extends Entity {
         }
     }
     
+    /**
+     * Check if the player is in the invulnerability frames of a dash
+     */
+    isInvulnerable() {
+        return this.invulnerableTimer > 0;
+    }
+    
+    /**
+     * Start a dash in the walking direction, or toward the aim target when standing still
+     * The active fruit can change the dash: Light teleports, Flame leaves a burning trail
+     */
+    _startDash() {
+        if (this.dashCooldown > 0 || this.dashTimer > 0 || this.mathChallengeActive) return;
+        
+        const fruit = this.getActiveFruit();
+        const dashSettings = (fruit && fruit.dashSettings) || {};
+        const direction = this.isMoving ? this.lastMoveDirection.clone() : this._getAimDirection(this.getPosition());
+        const distance = dashSettings.distance || this.dashDistance;
+        
+        this.dashCooldown = this.dashCooldownTime;
+        this.invulnerableTimer = this.dashInvulnerableTime;
+        
+        if (dashSettings.teleport) {
+            this._teleportDash(direction, distance, fruit);
+            return;
+        }
+        
+        this.dashDirection.copy(direction);
+        this.dashSpeed = distance / this.dashDuration;
+        this.dashTimer = this.dashDuration;
+        this.dashTrailTimer = 0;
+        this.dashFruit = fruit;
+        this.dashTrailHits = [];
+    }
+    
+    /**
+     * Move the player along the dash and leave a trail behind
+     */
+    _updateDash(deltaTime) {
+        const step = Math.min(deltaTime, this.dashTimer);
+        this.dashTimer -= deltaTime;
+        
+        this.object3D.position.x += this.dashDirection.x * this.dashSpeed * step;
+        this.object3D.position.z += this.dashDirection.z * this.dashSpeed * step;
+        
+        // Drop an afterimage every few hundredths of a second
+        this.dashTrailTimer -= deltaTime;
+        if (this.dashTrailTimer <= 0) {
+            this.dashTrailTimer = 0.04;
+            
+            const fruit = this.dashFruit;
+            this._createDashAfterimage(this.getPosition(), fruit ? fruit.type : null);
+            
+            if (fruit && fruit.dashSettings && fruit.dashSettings.burningTrail) {
+                this._createBurningPatch(this.getPosition(), fruit);
+            }
+        }
+    }
+    
+    /**
+     * Teleport along the dash direction, staying on the island
+     */
+    _teleportDash(direction, distance, fruit) {
+        const position = this.getPosition();
+        this._createDashFlash(position, fruit ? fruit.type : null);
+        
+        const target = new THREE.Vector3(
+            position.x + direction.x * distance,
+            position.y,
+            position.z + direction.z * distance
+        );
+        const distanceFromCenter = Math.sqrt(target.x * target.x + target.z * target.z);
+        if (distanceFromCenter > this.arenaRadius) {
+            target.x *= this.arenaRadius / distanceFromCenter;
+            target.z *= this.arenaRadius / distanceFromCenter;
+        }
+        
+        this.teleport(target);
+        this._createDashFlash(target, fruit ? fruit.type : null);
+    }
+    
+    /**
+     * Add a fading effect mesh to the engine's effects
+     */
+    _addFadingEffect(mesh, lifetime, grow = 0) {
+        this.engine.renderer.scene.add(mesh);
+        
+        const startOpacity = mesh.material.opacity;
+        let age = 0;
+        mesh.userData.update = (deltaTime) => {
+            age += deltaTime;
+            const progress = Math.min(age / lifetime, 1);
+            mesh.material.opacity = startOpacity * (1 - progress);
+            if (grow) {
+                mesh.scale.setScalar(1 + progress * grow);
+            }
+            
+            if (progress >= 1) {
+                this.engine.renderer.scene.remove(mesh);
+                mesh.geometry.dispose();
+                mesh.material.dispose();
+                return false;
+            }
+            return true;
+        };
+        
+        if (!this.engine.effectsToUpdate) {
+            this.engine.effectsToUpdate = [];
+        }
+        this.engine.effectsToUpdate.push(mesh);
+    }
+    
+    /**
+     * Leave a see-through copy of the player behind during a dash
+     */
+    _createDashAfterimage(position, fruitType) {
+        const afterimage = new THREE.Mesh(
+            new THREE.CapsuleGeometry(0.5, 1, 4, 8),
+            new THREE.MeshBasicMaterial({
+                color: fruitType ? this._getFruitColor(fruitType) : 0xffffff,
+                transparent: true,
+                opacity: 0.4,
+                depthWrite: false
+            })
+        );
+        afterimage.position.set(position.x, position.y + 1, position.z);
+        this._addFadingEffect(afterimage, 0.3);
+    }
+    
+    /**
+     * Show a flash where a teleport dash starts and ends
+     */
+    _createDashFlash(position, fruitType) {
+        const flash = new THREE.Mesh(
+            new THREE.SphereGeometry(0.8, 12, 12),
+            new THREE.MeshBasicMaterial({
+                color: fruitType ? this._getFruitColor(fruitType) : 0xffffff,
+                transparent: true,
+                opacity: 0.8,
+                depthWrite: false
+            })
+        );
+        flash.position.set(position.x, position.y + 1, position.z);
+        this._addFadingEffect(flash, 0.35, 2);
+    }
+    
+    /**
+     * Leave a patch of fire that burns enemies walking into it
+     * Each enemy is hurt once per dash, the burn status does the rest
+     */
+    _createBurningPatch(position, fruit) {
+        const patchRadius = 1.2;
+        const lifetime = fruit.dashSettings.trailLifetime || 2;
+        const damage = fruit.power * (fruit.dashSettings.trailDamage || 0.3);
+        const hitTargets = this.dashTrailHits;
+        
+        const patch = new THREE.Mesh(
+            new THREE.CircleGeometry(patchRadius, 16),
+            new THREE.MeshBasicMaterial({
+                color: this._getFruitColor(fruit.type),
+                transparent: true,
+                opacity: 0.6,
+                depthWrite: false
+            })
+        );
+        patch.rotation.x = -Math.PI / 2;
+        patch.position.set(position.x, 0.05, position.z);
+        this._addFadingEffect(patch, lifetime);
+        
+        // Burn enemies standing in the patch while it lasts
+        const fade = patch.userData.update;
+        patch.userData.update = (deltaTime) => {
+            const gameState = this.engine.stateManager.getCurrentState();
+            const enemies = gameState && gameState.enemies ? [...gameState.enemies, gameState.boss] : [];
+            
+            enemies.forEach(enemy => {
+                if (!enemy || !enemy.isActive || hitTargets.includes(enemy)) return;
+                
+                const enemyPos = enemy.getPosition();
+                const dx = enemyPos.x - patch.position.x;
+                const dz = enemyPos.z - patch.position.z;
+                if (dx * dx + dz * dz <= patchRadius * patchRadius) {
+                    hitTargets.push(enemy);
+                    this.dealDamage(enemy, damage, {
+                        element: fruit.type,
+                        attackName: 'Burning Trail',
+                        position: patch.position.clone()
+                    });
+                }
+            });
+            
+            return fade(deltaTime);
+        };
+    }
+    
+    /**
+     * Jump if standing on the ground
+     * @returns {Boolean} Whether the player jumped
+     */
+    jump() {
+        if (!this.isGrounded || this.mathChallengeActive) return false;
+        
+        this.velocity.y = this.jumpPower;
+        this.isGrounded = false;
+        return true;
+    }
+    
+    /**
+     * Get how high the player is above the island ground
+     */
+    getHeightAboveGround() {
+        if (!this.object3D) return 0;
+        return Math.max(0, this.object3D.position.y - this.groundHeight);
+    }
+    
+    /**
+     * Apply gravity while in the air and land on the island ground plane - flying forms hover instead
+     */
+    _updateVertical(deltaTime) {
+        if (this.isGrounded) return;
+        
+        const position = this.object3D.position;
+        const flightHeight = this._getFlightHeight();
+        
+        if (flightHeight > 0) {
+            // Flyers glide up to their flight height and stay there
+            position.y += (this.groundHeight + flightHeight - position.y) * Math.min(1, deltaTime * 4);
+            this.velocity.y = 0;
+        } else {
+            this.velocity.y += this.gravity * deltaTime;
+            position.y += this.velocity.y * deltaTime;
+            
+            // Ground detection
+            if (position.y <= this.groundHeight) {
+                const impactSpeed = -this.velocity.y;
+                position.y = this.groundHeight;
+                this.velocity.y = 0;
+                this.isGrounded = true;
+                this._createLandingEffect(impactSpeed);
+            }
+        }
+        
+        // Keep the shadow on the ground, shrinking it the higher the player is
+        if (this.shadowPlane) {
+            const height = this.getHeightAboveGround();
+            this.shadowPlane.position.y = 0.01 - height;
+            this.shadowPlane.scale.setScalar(1 / (1 + height * 0.3));
+        }
+    }
+    
+    /**
+     * Get the height the player hovers at - from a flying beast form or fruit flight, 0 when not flying
+     */
+    _getFlightHeight() {
+        if (this.transformation && this.transformation.form.flightHeight) {
+            return this.transformation.form.flightHeight;
+        }
+        return this.flight ? this.flight.settings.height : 0;
+    }
+    
+    /**
+     * Check if the player is up in the air through fruit flight or a flying form
+     */
+    isFlying() {
+        return this._getFlightHeight() > 0;
+    }
+    
+    /**
+     * Take off with the active fruit, or the first held fruit that can fly - or land if already flying
+     * @returns {Boolean} Whether the player is flying afterwards
+     */
+    toggleFlight() {
+        if (this.flight) {
+            this.land();
+            return false;
+        }
+        if (this.mathChallengeActive) return false;
+        
+        const gameState = this.engine.stateManager.getCurrentState();
+        const activeFruit = this.getActiveFruit();
+        const fruit = activeFruit && activeFruit.flight ? activeFruit : this.fruits.find(held => held.flight);
+        
+        if (!fruit) {
+            if (gameState && gameState.showMessage) {
+                gameState.showMessage('None of your fruits can fly', 1500);
+            }
+            return false;
+        }
+        if (this.stamina < this.minTakeoffStamina) {
+            if (gameState && gameState.showMessage) {
+                gameState.showMessage('Too tired to fly - land and catch your breath', 1500);
+            }
+            return false;
+        }
+        
+        this.flight = { fruit: fruit, settings: fruit.flight };
+        this.isGrounded = false;
+        return true;
+    }
+    
+    /**
+     * Stop flying and fall back to the ground
+     */
+    land() {
+        if (!this.flight) return;
+        
+        this.flight = null;
+        this.isGrounded = false;
+    }
+    
+    /**
+     * Drain stamina while flying and land when it runs out, refill it while standing
+     */
+    _updateStamina(deltaTime) {
+        if (this.flight) {
+            this.stamina = Math.max(0, this.stamina - (this.flight.settings.staminaDrain || 20) * deltaTime);
+            if (this.stamina <= 0) {
+                this.land();
+            }
+        } else if (this.isGrounded) {
+            this.stamina = Math.min(this.maxStamina, this.stamina + this.staminaRegen * deltaTime);
+        }
+    }
+    
+    /**
+     * Get how much stamina is left, from 0 to 1
+     */
+    getStaminaPercentage() {
+        return this.stamina / this.maxStamina;
+    }
+    
+    /**
+     * Kick up a ring of dust where the player lands, bigger for harder landings
+     */
+    _createLandingEffect(impactSpeed) {
+        const position = this.getPosition();
+        const strength = Math.min(impactSpeed / this.jumpPower, 1.5);
+        
+        const dust = new THREE.Mesh(
+            new THREE.RingGeometry(0.5, 0.9, 24),
+            new THREE.MeshBasicMaterial({
+                color: 0xd2b48c,
+                transparent: true,
+                opacity: 0.7,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        );
+        dust.rotation.x = -Math.PI / 2;
+        dust.position.set(position.x, 0.05, position.z);
+        this._addFadingEffect(dust, 0.35, 1.5 * strength);
+    }
+    
+    /**
+     * Switch between mouse aim and auto-aim
+     */
+    toggleAimMode() {
+        this.aimMode = this.aimMode === 'mouse' ? 'auto' : 'mouse';
+        
+        const gameState = this.engine.stateManager.getCurrentState();
+        if (gameState && gameState.showMessage) {
+            gameState.showMessage(this.aimMode === 'mouse' ?
+                'Mouse aim: attacks fire at the cursor' :
+                'Auto-aim: attacks fire at the nearest enemy', 2000);
+        }
+    }
+    
+    /**
+     * Update the aim target and move the reticle onto it
+     */
+    _updateAim(deltaTime) {
+        // Mouse aim until the cursor is used falls back to auto-aim
+        const useMouse = this.aimMode === 'mouse' && this.engine.input.hasMouseMoved();
+        this.aimTarget = useMouse ? this._getMouseGroundPoint() : this._getAutoAimTarget();
+        
+        const reticle = this._getReticle();
+        if (!reticle) return;
+        
+        reticle.visible = !!this.aimTarget;
+        if (this.aimTarget) {
+            reticle.position.set(this.aimTarget.x, 0.05, this.aimTarget.z);
+            reticle.rotation.z += deltaTime * 2;
+            
+            // White for the cursor, red when locked onto an enemy
+            reticle.material.color.set(useMouse ? 0xffffff : 0xff4444);
+        }
+    }
+    
+    /**
+     * Raycast the mouse cursor onto the ground plane
+     */
+    _getMouseGroundPoint() {
+        const camera = this.engine.renderer.camera;
+        if (!camera) return null;
+        
+        this.raycaster.setFromCamera(this.engine.input.getNormalizedMousePosition(), camera);
+        return this.raycaster.ray.intersectPlane(this.groundPlane, new THREE.Vector3());
+    }
+    
+    /**
+     * Get the position of the nearest enemy or boss within auto-aim range
+     */
+    _getAutoAimTarget() {
+        const gameState = this.engine.stateManager.getCurrentState();
+        if (!gameState || !gameState.enemies) return null;
+        
+        const targets = [...gameState.enemies];
+        if (gameState.boss) {
+            targets.push(gameState.boss);
+        }
+        
+        const playerPos = this.getPosition();
+        let closestPosition = null;
+        let closestDistance = this.autoAimRange;
+        
+        targets.forEach(enemy => {
+            if (!enemy || !enemy.isActive || enemy.banished) return;
+            
+            const enemyPos = enemy.getPosition();
+            if (!enemyPos) return;
+            
+            const distance = Math.sqrt(
+                Math.pow(playerPos.x - enemyPos.x, 2) + 
+                Math.pow(playerPos.z - enemyPos.z, 2)
+            );
+            
+            if (distance < closestDistance) {
+                closestPosition = enemyPos.clone();
+                closestDistance = distance;
+            }
+        });
+        
+        return closestPosition;
+    }
+    
+    /**
+     * Get the flat direction from a position toward the aim target
+     * Falls back to the way the player is facing when there is nothing to aim at
+     */
+    _getAimDirection(position) {
+        if (this.aimTarget) {
+            const direction = new THREE.Vector3(
+                this.aimTarget.x - position.x,
+                0,
+                this.aimTarget.z - position.z
+            );
+            if (direction.lengthSq() > 0.01) {
+                return direction.normalize();
+            }
+        }
+        
+        // Get facing angle from either the sprite or the 3D model
+        const facingAngle = this.object3D.userData.facingAngle !== undefined ?
+            this.object3D.userData.facingAngle :
+            this.object3D.rotation.y;
+        
+        return new THREE.Vector3(Math.sin(facingAngle), 0, Math.cos(facingAngle));
+    }
+    
+    /**
+     * Get the ground reticle, creating it on first use
+     */
+    _getReticle() {
+        if (!this.aimReticle) {
+            const scene = this.engine.renderer.scene;
+            if (!scene) return null;
+            
+            this.aimReticle = new THREE.Mesh(
+                new THREE.RingGeometry(0.5, 0.7, 4),
+                new THREE.MeshBasicMaterial({
+                    color: 0xffffff,
+                    transparent: true,
+                    opacity: 0.8,
+                    side: THREE.DoubleSide,
+                    depthWrite: false
+                })
+            );
+            this.aimReticle.rotation.x = -Math.PI / 2;
+            scene.add(this.aimReticle);
+        }
+        
+        return this.aimReticle;
+    }
+    
     destroy() {
         // Remove player from scene
         if (this.object3D && this.engine && this.engine.renderer) {
             this.engine.renderer.remove(this.object3D);
         }
         
+        // Remove the aim reticle
+        if (this.aimReticle) {
+            if (this.aimReticle.parent) {
+                this.aimReticle.parent.remove(this.aimReticle);
+            }
+            this.aimReticle.geometry.dispose();
+            this.aimReticle.material.dispose();
+            this.aimReticle = null;
+        }
+        
         // Dispose of geometries and materials
         if (this.object3D) {
             this.object3D.traverse((object) => {
@@ -0,0 +1,18 @@
+/**
+ * Targeting shared by the villains - island enemies and bosses
+ */
+
+/**
+ * Get the closest of the player and their allies - summons draw a villain's attention away from the player
+ * @param {Entity} villain - Enemy or boss looking for a target
+ * @param {Object} gameState - Gameplay state with the player and their allies
+ * @returns {Entity} The player or one of their allies
+ */
+export function getVillainTarget(villain, gameState) {
+    const position = villain.object3D.position;
+    const distanceTo = target => Math.hypot(target.object3D.position.x - position.x, target.object3D.position.z - position.z);
+    
+    return (gameState.allies || [])
+        .filter(ally => ally.isActive && !ally.banished)
+        .reduce((closest, ally) => (distanceTo(ally) < distanceTo(closest) ? ally : closest), gameState.player);
+}
@@ -77,6 +77,26 @@ class AudioManager {
         }
     }
     
+    /**
+     * Switch the background music to another track
+     * Keeps playing without a restart if the track is already playing
+     * @param {AudioBuffer} audioBuffer - The audio buffer to play
+     * @param {number} volume - Volume level (0.0 to 1.0)
+     * @param {boolean} loop - Whether to loop the music
+     */
+    switchBackgroundMusic(audioBuffer, volume = 0.5, loop = true) {
+        if (!this.initialized || !audioBuffer) {
+            return;
+        }
+        
+        if (this.bgMusic.buffer === audioBuffer && this.bgMusic.isPlaying) {
+            return;
+        }
+        
+        this.stopBackgroundMusic();
+        this.playBackgroundMusic(audioBuffer, volume, loop);
+    }
+    
     /**
      * Toggle sound on/off
      */
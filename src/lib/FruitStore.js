@@ -14,6 +14,18 @@ export class FruitStore {
             'Ultimate Attack': 15
         };
         
+        // Combo settings - a basic hit followed by a special hit within the window charges the ultimate
+        this.comboWindow = 2; // seconds
+        this.comboCharge = 34; // ultimate charge gained per combo
+        this.maxUltimateCharge = 100;
+        
+        // Mastery settings - fruits earn experience from hits and kills to level up
+        this.maxMasteryLevel = 10;
+        this.masteryXpPerHit = 5;
+        this.masteryXpPerKill = 25;
+        this.masteryDamageBonus = 0.1; // extra damage per level above 1
+        this.masteryCooldownReduction = 0.05; // shorter cooldowns per level above 1
+        
         // Initialize with empty store
         this.initialize();
     }
@@ -26,15 +38,13 @@ export class FruitStore {
     }
     
     /**
-     * Add a fruit to the store
+     * Add a fruit to the store - a fruit that's already there keeps its entry
      */
     addFruit(fruit) {
-        // Calculate damage values based on power
-        const damageValues = {
-            'Basic Attack': Math.round(fruit.power * 0.8),
-            'Special Attack': Math.round(fruit.power * 1.5),
-            'Ultimate Attack': Math.round(fruit.power * 3)
-        };
+        const existing = this.getFruit(fruit.name);
+        if (existing) {
+            return existing;
+        }
         
         // Create fruit entry with damage and cooldown info
         const fruitEntry = {
@@ -42,15 +52,20 @@ export class FruitStore {
             type: fruit.type,
             power: fruit.power,
             attacks: fruit.attacks,
-            damageValues,
-            cooldowns: { ...this.defaultCooldowns },
+            masteryLevel: 1,
+            masteryXp: 0, // Experience toward the next level
+            damageValues: {},
+            cooldowns: {},
             currentCooldowns: {
                 'Basic Attack': 0,
                 'Special Attack': 0,
                 'Ultimate Attack': 0
             },
-            usesRemaining: 2  // Default number of uses
+            usesRemaining: 2,  // Default number of uses
+            ultimateCharge: 0,
+            comboTimer: 0  // Time left to land a special after a basic hit
         };
+        this._applyMastery(fruitEntry);
         
         this.fruits.push(fruitEntry);
         return fruitEntry;
@@ -83,6 +98,11 @@ export class FruitStore {
                     }
                 }
             }
+            
+            // Let the combo window run out
+            if (fruit.comboTimer > 0) {
+                fruit.comboTimer = Math.max(0, fruit.comboTimer - deltaTime);
+            }
         });
     }
     
@@ -105,10 +125,21 @@ export class FruitStore {
             return false;
         }
         
+        // The ultimate needs a full combo meter
+        if (attackName === 'Ultimate Attack' && !this.isUltimateReady(fruitName)) {
+            console.log(`Ultimate for ${fruitName} is not charged yet`);
+            return false;
+        }
+        
         // Use the attack
         fruit.usesRemaining--;
         fruit.currentCooldowns[attackName] = fruit.cooldowns[attackName];
         
+        // Using the ultimate empties the meter
+        if (attackName === 'Ultimate Attack') {
+            fruit.ultimateCharge = 0;
+        }
+        
         console.log(`Used ${attackName} for ${fruitName}. Damage: ${fruit.damageValues[attackName]}`);
         return true;
     }
@@ -125,6 +156,117 @@ export class FruitStore {
         ));
     }
     
+    /**
+     * Register an attack that hit an enemy and advance the combo chain
+     * @returns {boolean} Whether the hit completed a basic → special combo
+     */
+    registerHit(fruitName, attackName) {
+        const fruit = this.getFruit(fruitName);
+        if (!fruit) return false;
+        
+        // A basic hit opens the combo window
+        if (attackName === 'Basic Attack') {
+            fruit.comboTimer = this.comboWindow;
+            return false;
+        }
+        
+        // A special hit inside the window completes the combo
+        if (attackName === 'Special Attack' && fruit.comboTimer > 0) {
+            fruit.comboTimer = 0;
+            fruit.ultimateCharge = Math.min(this.maxUltimateCharge, fruit.ultimateCharge + this.comboCharge);
+            console.log(`Combo for ${fruitName}! Ultimate charge: ${fruit.ultimateCharge}`);
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Get ultimate charge percentage for a fruit
+     */
+    getUltimateChargePercentage(fruitName) {
+        const fruit = this.getFruit(fruitName);
+        if (!fruit) return 0;
+        
+        return (fruit.ultimateCharge / this.maxUltimateCharge) * 100;
+    }
+    
+    /**
+     * Check if a fruit's ultimate meter is full
+     */
+    isUltimateReady(fruitName) {
+        const fruit = this.getFruit(fruitName);
+        return !!fruit && fruit.ultimateCharge >= this.maxUltimateCharge;
+    }
+    
+    /**
+     * Get the experience a fruit needs to go from a mastery level to the next
+     */
+    getMasteryXpForLevel(level) {
+        return level * 100;
+    }
+    
+    /**
+     * Give mastery experience to a fruit, levelling it up when it has enough
+     * @returns {number} The number of levels gained
+     */
+    addMasteryXp(fruitName, amount) {
+        const fruit = this.getFruit(fruitName);
+        if (!fruit || fruit.masteryLevel >= this.maxMasteryLevel) return 0;
+        
+        fruit.masteryXp += amount;
+        
+        let levelsGained = 0;
+        while (fruit.masteryLevel < this.maxMasteryLevel && fruit.masteryXp >= this.getMasteryXpForLevel(fruit.masteryLevel)) {
+            fruit.masteryXp -= this.getMasteryXpForLevel(fruit.masteryLevel);
+            fruit.masteryLevel++;
+            levelsGained++;
+        }
+        
+        // No experience is kept at the top level
+        if (fruit.masteryLevel >= this.maxMasteryLevel) {
+            fruit.masteryXp = 0;
+        }
+        
+        if (levelsGained > 0) {
+            this._applyMastery(fruit);
+            console.log(`${fruitName} reached mastery level ${fruit.masteryLevel}`);
+        }
+        
+        return levelsGained;
+    }
+    
+    /**
+     * Get mastery progress toward the next level as a percentage
+     */
+    getMasteryPercentage(fruitName) {
+        const fruit = this.getFruit(fruitName);
+        if (!fruit) return 0;
+        if (fruit.masteryLevel >= this.maxMasteryLevel) return 100;
+        
+        return (fruit.masteryXp / this.getMasteryXpForLevel(fruit.masteryLevel)) * 100;
+    }
+    
+    /**
+     * Recalculate a fruit's damage and cooldowns from its power and mastery level
+     */
+    _applyMastery(fruit) {
+        const bonusLevels = fruit.masteryLevel - 1;
+        const damageMultiplier = 1 + bonusLevels * this.masteryDamageBonus;
+        const cooldownMultiplier = Math.max(0.5, 1 - bonusLevels * this.masteryCooldownReduction);
+        
+        // Calculate damage values based on power
+        fruit.damageValues = {
+            'Basic Attack': Math.round(fruit.power * 0.8 * damageMultiplier),
+            'Special Attack': Math.round(fruit.power * 1.5 * damageMultiplier),
+            'Ultimate Attack': Math.round(fruit.power * 3 * damageMultiplier)
+        };
+        
+        for (const attack in this.defaultCooldowns) {
+            fruit.cooldowns[attack] = Math.round(this.defaultCooldowns[attack] * cooldownMultiplier * 10) / 10;
+        }
+    }
+    
     /**
      * Reset all cooldowns for a fruit
      */
@@ -147,6 +289,43 @@ export class FruitStore {
         fruit.usesRemaining += amount;
         console.log(`Added ${amount} uses to ${fruitName}. Now has ${fruit.usesRemaining} uses.`);
     }
+    
+    /**
+     * Get the state of fruits that should be saved
+     * @param {Array<string>} names - Only include these fruits (all fruits if not given)
+     */
+    serialize(names = null) {
+        return this.fruits
+            .filter(fruit => !names || names.includes(fruit.name))
+            .map(fruit => ({
+                name: fruit.name,
+                type: fruit.type,
+                power: fruit.power,
+                attacks: fruit.attacks,
+                usesRemaining: fruit.usesRemaining,
+                masteryLevel: fruit.masteryLevel,
+                masteryXp: fruit.masteryXp
+            }));
+    }
+    
+    /**
+     * Restore saved fruit state, adding fruits that aren't in the store yet
+     */
+    restore(entries = []) {
+        entries.forEach(entry => {
+            const fruit = this.addFruit(entry);
+            
+            if (typeof entry.usesRemaining === 'number') {
+                fruit.usesRemaining = entry.usesRemaining;
+            }
+            
+            if (typeof entry.masteryLevel === 'number') {
+                fruit.masteryLevel = Math.max(1, Math.min(this.maxMasteryLevel, entry.masteryLevel));
+                fruit.masteryXp = entry.masteryXp || 0;
+                this._applyMastery(fruit);
+            }
+        });
+    }
 }
 
 // Create a singleton instance
@@ -0,0 +1,407 @@
+/**
+ * Save manager - keeps game progress in localStorage
+ * Each profile stores its own island progress, chosen fruits, fruit store state
+ * and math challenge history. Settings are shared by all profiles.
+ */
+import fruitStore from './FruitStore.js';
+
+// Current version of the save schema - bump it and add a migration when the format changes
+export const SAVE_VERSION = 3;
+
+// localStorage key for the save
+const STORAGE_KEY = 'bloxFruits.save';
+
+// Number of math challenge answers kept per profile
+const MAX_MATH_HISTORY = 100;
+
+/**
+ * Migrations that upgrade a save to the version they are keyed by
+ * Each one receives a save of the previous version and returns the upgraded save
+ */
+const MIGRATIONS = {
+    // Saves written before the schema version existed: fill in any missing sections
+    1: (save) => {
+        const defaults = {
+            progress: { unlockedSeas: [0], unlockedIslands: [], clearedIslands: [] },
+            loadout: [],
+            fruitStore: [],
+            settings: { soundEnabled: true }
+        };
+        
+        return {
+            ...defaults,
+            ...save,
+            version: 1,
+            progress: { ...defaults.progress, ...(save.progress || {}) },
+            settings: { ...defaults.settings, ...(save.settings || {}) }
+        };
+    },
+    
+    // Profiles were added: the single save becomes the first profile
+    2: (save) => {
+        const profile = createProfile('Player 1');
+        profile.progress = save.progress;
+        profile.loadout = save.loadout;
+        profile.fruitStore = save.fruitStore;
+        
+        return {
+            version: 2,
+            savedAt: save.savedAt,
+            activeProfileId: profile.id,
+            profiles: [profile],
+            settings: save.settings
+        };
+    },
+    
+    // Fruit mastery was added: saved fruits start at level 1
+    3: (save) => {
+        save.profiles.forEach(profile => {
+            profile.fruitStore = (profile.fruitStore || []).map(entry => ({
+                masteryLevel: 1,
+                masteryXp: 0,
+                ...entry
+            }));
+        });
+        
+        return save;
+    }
+};
+
+/**
+ * Create an empty save of the current version
+ */
+function createDefaultSave() {
+    return {
+        version: SAVE_VERSION,
+        savedAt: null,
+        activeProfileId: null,
+        profiles: [],
+        settings: {
+            soundEnabled: true
+        }
+    };
+}
+
+/**
+ * Create a unique profile id
+ */
+function createProfileId() {
+    return `profile_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Create a profile with no progress
+ */
+function createProfile(name) {
+    const now = Date.now();
+    
+    return {
+        id: createProfileId(),
+        name: name,
+        createdAt: now,
+        updatedAt: now,
+        progress: {
+            unlockedSeas: [0],
+            unlockedIslands: [],
+            clearedIslands: []
+        },
+        loadout: [],
+        fruitStore: [],
+        mathHistory: []
+    };
+}
+
+export class SaveManager {
+    constructor(storage = null) {
+        this.storage = storage;
+        this.data = createDefaultSave();
+    }
+    
+    /**
+     * Get the storage backend, if the browser allows it
+     */
+    _getStorage() {
+        if (this.storage) return this.storage;
+        
+        try {
+            return window.localStorage;
+        } catch (error) {
+            console.warn("localStorage is not available, progress won't be saved:", error);
+            return null;
+        }
+    }
+    
+    /**
+     * Load the save from storage
+     * @returns {Object} The loaded save, or a new empty save
+     */
+    load() {
+        const storage = this._getStorage();
+        if (!storage) return this.data;
+        
+        try {
+            const json = storage.getItem(STORAGE_KEY);
+            this.data = json ? this.migrate(JSON.parse(json)) : createDefaultSave();
+        } catch (error) {
+            console.error("Error loading save, starting fresh:", error);
+            this.data = createDefaultSave();
+        }
+        
+        return this.data;
+    }
+    
+    /**
+     * Write the current save to storage
+     */
+    save() {
+        const storage = this._getStorage();
+        if (!storage) return false;
+        
+        this.data.version = SAVE_VERSION;
+        this.data.savedAt = Date.now();
+        
+        try {
+            storage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+            return true;
+        } catch (error) {
+            console.error("Error writing save:", error);
+            return false;
+        }
+    }
+    
+    /**
+     * Upgrade a save to the current schema version
+     */
+    migrate(save) {
+        if (!save || typeof save !== 'object') {
+            throw new Error("Save data is not an object");
+        }
+        
+        let version = typeof save.version === 'number' ? save.version : 0;
+        if (version > SAVE_VERSION) {
+            throw new Error(`Save version ${version} is newer than supported version ${SAVE_VERSION}`);
+        }
+        
+        let migrated = save;
+        while (version < SAVE_VERSION) {
+            version++;
+            
+            const migration = MIGRATIONS[version];
+            if (migration) {
+                migrated = migration(migrated);
+            }
+            migrated.version = version;
+        }
+        
+        return migrated;
+    }
+    
+    /**
+     * Get all profiles
+     */
+    getProfiles() {
+        return this.data.profiles;
+    }
+    
+    /**
+     * Get a profile by id
+     */
+    getProfile(profileId) {
+        return this.data.profiles.find(profile => profile.id === profileId) || null;
+    }
+    
+    /**
+     * Get the profile that is currently playing
+     */
+    getActiveProfile() {
+        return this.getProfile(this.data.activeProfileId);
+    }
+    
+    /**
+     * Create a new profile
+     * @returns {Object} The new profile
+     */
+    createProfile(name = '') {
+        const profile = createProfile(name.trim() || `Player ${this.data.profiles.length + 1}`);
+        this.data.profiles.push(profile);
+        this.save();
+        
+        return profile;
+    }
+    
+    /**
+     * Rename a profile
+     */
+    renameProfile(profileId, name) {
+        const profile = this.getProfile(profileId);
+        if (!profile || !name.trim()) return false;
+        
+        profile.name = name.trim();
+        this.save();
+        return true;
+    }
+    
+    /**
+     * Delete a profile and all of its progress
+     */
+    deleteProfile(profileId) {
+        const index = this.data.profiles.findIndex(profile => profile.id === profileId);
+        if (index === -1) return false;
+        
+        this.data.profiles.splice(index, 1);
+        if (this.data.activeProfileId === profileId) {
+            this.data.activeProfileId = null;
+        }
+        
+        this.save();
+        return true;
+    }
+    
+    /**
+     * Make a profile the one that is playing
+     */
+    selectProfile(profileId) {
+        if (!this.getProfile(profileId)) return false;
+        
+        this.data.activeProfileId = profileId;
+        this.save();
+        return true;
+    }
+    
+    /**
+     * Copy the current game state into the active profile
+     */
+    capture(engine) {
+        this.data.settings.soundEnabled = engine.soundEnabled;
+        
+        const profile = this.getActiveProfile();
+        if (!profile) return;
+        
+        if (engine.worldMap) {
+            profile.progress = engine.worldMap.getProgress();
+        }
+        
+        // Only store the plain fruit configs of the loadout
+        if (engine.playerFruits) {
+            profile.loadout = engine.playerFruits.map(fruit => ({
+                name: fruit.name,
+                type: fruit.type,
+                power: fruit.power,
+                attacks: fruit.attacks
+            }));
+        }
+        
+        // Update the saved fruits, keeping fruits from earlier loadouts
+        const savedFruits = new Map(profile.fruitStore.map(entry => [entry.name, entry]));
+        fruitStore.serialize(profile.loadout.map(fruit => fruit.name)).forEach(entry => {
+            savedFruits.set(entry.name, entry);
+        });
+        profile.fruitStore = [...savedFruits.values()];
+        profile.updatedAt = Date.now();
+    }
+    
+    /**
+     * Apply the settings and the active profile to the game
+     * Without an active profile the game is reset to a fresh start
+     */
+    apply(engine) {
+        const profile = this.getActiveProfile() || createProfile('');
+        
+        if (engine.worldMap) {
+            engine.worldMap.setProgress(profile.progress);
+        }
+        
+        engine.playerFruits = profile.loadout.length > 0 ? profile.loadout : null;
+        
+        // Drop the fruits of the previous profile before restoring this one
+        fruitStore.initialize();
+        fruitStore.restore(profile.fruitStore);
+        
+        // Sound last - toggling it saves the game, which must see the restored profile
+        if (engine.soundEnabled !== this.data.settings.soundEnabled) {
+            engine.toggleSound();
+        }
+    }
+    
+    /**
+     * Get the saved fruit store entries of the active profile
+     */
+    getFruitStoreState() {
+        const profile = this.getActiveProfile();
+        return profile ? profile.fruitStore : [];
+    }
+    
+    /**
+     * Add a math challenge answer to the active profile's history
+     */
+    recordMathChallenge(entry) {
+        const profile = this.getActiveProfile();
+        if (!profile) return;
+        
+        profile.mathHistory.push({ ...entry, time: Date.now() });
+        
+        // Only keep the most recent answers
+        if (profile.mathHistory.length > MAX_MATH_HISTORY) {
+            profile.mathHistory.splice(0, profile.mathHistory.length - MAX_MATH_HISTORY);
+        }
+        
+        this.save();
+    }
+    
+    /**
+     * Export all profiles as a JSON string
+     */
+    exportToJSON() {
+        return JSON.stringify(this.data, null, 2);
+    }
+    
+    /**
+     * Import the profiles of a JSON save next to the existing profiles
+     * The first imported profile becomes the active one
+     * @returns {boolean} Whether the import worked
+     */
+    importFromJSON(json) {
+        try {
+            const imported = this.migrate(JSON.parse(json));
+            if (!Array.isArray(imported.profiles) || imported.profiles.length === 0) {
+                throw new Error("Save has no profiles");
+            }
+            
+            imported.profiles.forEach((importedProfile, index) => {
+                // Fresh ids so an import never overwrites an existing profile
+                const profile = {
+                    ...createProfile('Imported Player'),
+                    ...importedProfile,
+                    id: createProfileId()
+                };
+                
+                this.data.profiles.push(profile);
+                if (index === 0) {
+                    this.data.activeProfileId = profile.id;
+                }
+            });
+            
+            this.save();
+            return true;
+        } catch (error) {
+            console.error("Error importing save:", error);
+            return false;
+        }
+    }
+    
+    /**
+     * Delete the save and all profiles
+     */
+    clear() {
+        this.data = createDefaultSave();
+        
+        const storage = this._getStorage();
+        if (storage) {
+            storage.removeItem(STORAGE_KEY);
+        }
+    }
+}
+
+// Create a singleton instance
+const saveManager = new SaveManager();
+export default saveManager;
@@ -0,0 +1,331 @@
+/**
+ * Barrier Fruit power class
+ */
+import { Fruit } from './Fruit.js';
+import * as THREE from 'three';
+import fruitStore from '../lib/FruitStore.js';
+import { AttackImplementations } from './common/AttackImplementations.js';
+import { EffectsManager } from './common/EffectsManager.js';
+
+export class BarrierFruit extends Fruit {
+    constructor(engine, options = {}) {
+        // Get barrier fruit configuration
+        const config = fruitDefinition.config;
+        
+        // Set default options for Barrier Fruit
+        const barrierOptions = {
+            name: options.name || config.name,
+            type: config.type,
+            power: options.power || config.power,
+            attacks: config.attacks,
+            awakenings: config.awakenings,
+            ...options
+        };
+        
+        super(engine, barrierOptions);
+        
+        // Special properties for Barrier Fruit
+        this.wallHeight = config.specialProperties.wallHeight;
+        this.wallThickness = config.specialProperties.wallThickness;
+        
+        // Store colors for attacks
+        this.colors = config.colors;
+        
+        // Store attack settings
+        this.attackSettings = config.attackSettings;
+        
+        // Dome currently on the owner, replaced when a new one goes up
+        this.activeDome = null;
+    }
+    
+    /**
+     * Use a basic attack - Barrier Wall
+     * A wall across the aim direction that stops enemy projectiles
+     */
+    useBasicAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Basic Attack');
+            
+            const wallPosition = new THREE.Vector3(
+                pos.x + dir.x * attackSettings.distance,
+                0,
+                pos.z + dir.z * attackSettings.distance
+            );
+            this._createWall(wallPosition, dir, attackSettings.length, attackSettings.lifetime);
+            
+            // The wall slams into the enemies it goes up on
+            this.checkEnemiesInRange(
+                wallPosition,
+                attackSettings.hitRadius,
+                fruitStore.getFruit(this.name).damageValues['Basic Attack'],
+                this.type,
+                'Basic Attack'
+            );
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use a special attack - Barrier Dome
+     * A dome around the player that absorbs damage until it breaks
+     */
+    useSpecialAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Special Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Special Attack');
+            
+            this._createDome(attackSettings.shield, attackSettings.lifetime, attackSettings.opacity);
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use an ultimate attack - Barrier Fortress
+     * A ring of walls around the player that hits the enemies inside it
+     */
+    useUltimateAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
+            const center = this.owner ? this.owner.getPosition() : pos;
+            
+            // Create the fortress's burst using common implementation
+            const fortress = AttackImplementations.createAreaEffectAttack(this, pos, {
+                color: this.colors.ultimate,
+                radius: attackSettings.radius,
+                lifetime: 1,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            // Each wall faces outward and is long enough to close the ring
+            const wallLength = 2 * Math.PI * attackSettings.radius / attackSettings.wallCount;
+            for (let i = 0; i < attackSettings.wallCount; i++) {
+                const angle = (i / attackSettings.wallCount) * Math.PI * 2;
+                const outward = new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle));
+                const wallPosition = new THREE.Vector3(
+                    center.x + outward.x * attackSettings.radius,
+                    0,
+                    center.z + outward.z * attackSettings.radius
+                );
+                this._createWall(wallPosition, outward, wallLength, attackSettings.lifetime);
+            }
+            
+            // Citadel adds a dome inside the walls
+            if (attackSettings.shield) {
+                this._createDome(attackSettings.shield, attackSettings.lifetime, 0.25);
+            }
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Raise a wall that stops the projectiles of everyone but the owner
+     * @param {THREE.Vector3} position - Center of the wall on the ground
+     * @param {THREE.Vector3} facing - Direction the wall faces, it runs across it
+     * @param {Number} length - Length of the wall
+     * @param {Number} lifetime - Seconds before it comes down
+     */
+    _createWall(position, facing, length, lifetime) {
+        const normal = new THREE.Vector3(facing.x, 0, facing.z).normalize();
+        const along = new THREE.Vector3(-normal.z, 0, normal.x);
+        const height = this.wallHeight;
+        const thickness = this.wallThickness;
+        
+        const wall = new THREE.Mesh(
+            new THREE.BoxGeometry(length, height, thickness),
+            new THREE.MeshBasicMaterial({
+                color: this.colors.primary,
+                transparent: true,
+                opacity: 0.5,
+                depthWrite: false
+            })
+        );
+        wall.position.set(position.x, height / 2, position.z);
+        wall.rotation.y = Math.atan2(-along.z, along.x);
+        
+        // Stop projectiles inside the wall's box, grown by their radius
+        const owner = this.owner;
+        const removeBlocker = this.engine.projectileSystem.addBlocker(projectile => {
+            if (projectile.owner === owner) return false;
+            
+            const offset = projectile.object3D.position.clone().sub(wall.position);
+            return Math.abs(offset.dot(along)) <= length / 2 + projectile.radius &&
+                Math.abs(offset.dot(normal)) <= thickness / 2 + projectile.radius &&
+                projectile.object3D.position.y <= height + projectile.radius;
+        });
+        
+        let age = 0;
+        wall.userData.update = (deltaTime) => {
+            age += deltaTime;
+            
+            // Rise quickly and fade over the last half second
+            wall.scale.y = Math.min(1, age * 5);
+            wall.material.opacity = 0.5 * Math.min(1, (lifetime - age) * 2);
+            
+            if (age >= lifetime) {
+                removeBlocker();
+                this.engine.renderer.scene.remove(wall);
+                wall.geometry.dispose();
+                wall.material.dispose();
+                return false;
+            }
+            return true;
+        };
+        
+        this.trackEffect(wall);
+        
+        EffectsManager.createParticles(this, wall.position, {
+            count: 6,
+            color: this.colors.secondary,
+            type: this.type,
+            lifetime: 0.5,
+            size: 0.2,
+            speed: 2
+        });
+    }
+    
+    /**
+     * Put a dome around the owner that absorbs damage until it breaks or runs out
+     */
+    _createDome(shield, lifetime, opacity) {
+        const owner = this.owner;
+        if (!owner || typeof owner.addDamageModifier !== 'function') return;
+        
+        // Only one dome at a time
+        if (this.activeDome) {
+            this.activeDome.userData.broken = true;
+        }
+        
+        const dome = new THREE.Mesh(
+            new THREE.SphereGeometry(1.6, 24, 16),
+            new THREE.MeshBasicMaterial({
+                color: this.colors.secondary,
+                transparent: true,
+                opacity: opacity,
+                depthWrite: false
+            })
+        );
+        dome.position.y = 1;
+        owner.object3D.add(dome);
+        this.activeDome = dome;
+        
+        let shieldLeft = shield;
+        const removeModifier = owner.addDamageModifier(amount => {
+            const absorbed = Math.min(amount, shieldLeft);
+            shieldLeft -= absorbed;
+            if (shieldLeft <= 0) {
+                dome.userData.broken = true;
+            }
+            return amount - absorbed;
+        });
+        
+        let age = 0;
+        dome.userData.update = (deltaTime) => {
+            age += deltaTime;
+            
+            // Weaker domes are fainter
+            dome.material.opacity = opacity * (0.4 + 0.6 * shieldLeft / shield);
+            
+            if (age >= lifetime || dome.userData.broken) {
+                removeModifier();
+                owner.object3D.remove(dome);
+                dome.geometry.dispose();
+                dome.material.dispose();
+                if (this.activeDome === dome) {
+                    this.activeDome = null;
+                }
+                return false;
+            }
+            return true;
+        };
+        
+        // The dome rides on the owner, so it's tracked without adding it to the scene
+        if (!this.engine.effectsToUpdate) {
+            this.engine.effectsToUpdate = [];
+        }
+        this.engine.effectsToUpdate.push(dome);
+    }
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'barrier',
+    FruitClass: BarrierFruit,
+    power: 9,
+    icon: 'models/fruits/BarrierFruit.png',
+    color: 0xaaddff,
+    emoji: '🛡️',
+    geometry: () => new THREE.BoxGeometry(0.7, 0.7, 0.15),
+    statusEffect: null,
+    unlock: { islandsCleared: 1 },
+    config: {
+        name: 'Barrier Fruit',
+        type: 'barrier',
+        power: 30,
+        attacks: ['Barrier Wall', 'Barrier Dome', 'Barrier Fortress'],
+        specialProperties: {
+            wallHeight: 2.5,
+            wallThickness: 0.4
+        },
+        colors: {
+            primary: 0xaaddff,
+            secondary: 0x88bbee,
+            ultimate: 0xccf0ff
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Barrier Wall',
+                distance: 3,   // how far in front of the player the wall stands
+                length: 5,
+                lifetime: 4,
+                hitRadius: 2.5 // enemies this close to the wall are hit when it goes up
+            },
+            'Special Attack': {
+                name: 'Barrier Dome',
+                shield: 40,    // damage the dome absorbs before it breaks
+                lifetime: 6,
+                opacity: 0.3
+            },
+            'Ultimate Attack': {
+                name: 'Barrier Fortress',
+                radius: 5,     // walls go up in a ring this far from the player
+                wallCount: 8,
+                lifetime: 6,
+                opacity: 0.4
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Great Wall',
+                description: 'Longer walls that stand for longer',
+                settings: { length: 8, lifetime: 6 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Reinforced Dome',
+                description: 'The dome absorbs twice as much damage',
+                settings: { shield: 80, lifetime: 8 }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Citadel',
+                description: 'A wider fortress with a dome inside it',
+                settings: { radius: 7, wallCount: 12, shield: 60 }
+            }
+        ]
+    }
+};
\ No newline at end of file
@@ -0,0 +1,193 @@
+/**
+ * Base class for beast fruits - their ultimate transforms the owner into a beast
+ * Each attack's settings name the style of move it is (claw, breath, pounce or stomp),
+ * and while the owner is transformed the basic and special attacks come from the form's kit.
+ */
+import { Fruit } from './Fruit.js';
+import * as THREE from 'three';
+import fruitStore from '../lib/FruitStore.js';
+import { AttackImplementations } from './common/AttackImplementations.js';
+import { EffectsManager } from './common/EffectsManager.js';
+
+export class BeastFruit extends Fruit {
+    constructor(engine, options = {}) {
+        super(engine, options);
+        
+        // Beast form the ultimate turns the owner into
+        this.form = options.form || null;
+    }
+    
+    /**
+     * Check if the owner is in this fruit's beast form
+     */
+    isTransformed() {
+        return !!(this.owner && this.owner.transformation && this.owner.transformation.fruit === this);
+    }
+    
+    /**
+     * Get the settings of an attack - the form's attacks replace the basic and special while transformed
+     */
+    getAttackSettings(attackName) {
+        const formSettings = this.isTransformed() && this.form.attackSettings ? this.form.attackSettings[attackName] : null;
+        if (formSettings) {
+            return { ...formSettings, awakened: false, formAttack: true };
+        }
+        
+        return super.getAttackSettings(attackName);
+    }
+    
+    /**
+     * Use a basic attack - the hybrid move, or the form's while transformed
+     */
+    useBasicAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
+            return this._useBeastMove('Basic Attack', pos, dir);
+        });
+    }
+    
+    /**
+     * Use a special attack - the hybrid move, or the form's while transformed
+     */
+    useSpecialAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Special Attack', position, direction, (pos, dir) => {
+            return this._useBeastMove('Special Attack', pos, dir);
+        });
+    }
+    
+    /**
+     * Use an ultimate attack - transform into the beast form with a burst around the owner
+     */
+    useUltimateAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
+            if (!this.form || !this.owner || typeof this.owner.transform !== 'function') return false;
+            
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
+            
+            // Create the transformation burst using common implementation
+            const burst = AttackImplementations.createAreaEffectAttack(this, pos, {
+                color: this.colors.ultimate,
+                radius: attackSettings.radius,
+                lifetime: attackSettings.lifetime,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            // Pillars and ground fields from the attack settings, added by awakenings
+            AttackImplementations.createAwakenedEffects(this, pos, attackSettings, {
+                color: this.colors.ultimate,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            this.owner.transform(this, this.form, attackSettings.duration);
+            
+            EffectsManager.createParticles(this, pos, {
+                count: 30,
+                color: this.colors.ultimate,
+                type: this.type,
+                lifetime: 1,
+                size: 0.4,
+                speed: 5
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Do the move an attack's settings describe
+     * @param {String} attackName - 'Basic Attack' or 'Special Attack'
+     * @param {THREE.Vector3} position - Where the attack starts
+     * @param {THREE.Vector3} direction - Aim direction
+     * @returns {Boolean} Whether the move went off
+     */
+    _useBeastMove(attackName, position, direction) {
+        const attackSettings = this.getAttackSettings(attackName);
+        const options = {
+            color: this.isTransformed() ? this.colors.form : (attackName === 'Basic Attack' ? this.colors.primary : this.colors.secondary),
+            type: this.type,
+            attackName: attackName,
+            fruitStore: fruitStore
+        };
+        
+        // Moves land at the enemies' height, even when a flying form uses them
+        const pos = new THREE.Vector3(position.x, Math.min(position.y, 1), position.z);
+        
+        let result = true;
+        switch (attackSettings.style) {
+            case 'breath':
+                this._createBreath(pos, direction, attackSettings, options);
+                break;
+            case 'pounce':
+                result = AttackImplementations.createBlink(this, direction, {
+                    ...options,
+                    distance: attackSettings.distance,
+                    hitRadius: attackSettings.radius,
+                    opacity: attackSettings.opacity
+                }) !== null;
+                break;
+            case 'stomp':
+                AttackImplementations.createAreaEffectAttack(this, pos, {
+                    ...options,
+                    radius: attackSettings.radius,
+                    lifetime: attackSettings.lifetime,
+                    opacity: attackSettings.opacity
+                });
+                break;
+            default:
+                this._createClaw(pos, direction, attackSettings, options);
+        }
+        
+        // Pillars and ground fields from the attack settings, added by awakenings
+        AttackImplementations.createAwakenedEffects(this, pos, attackSettings, options);
+        
+        return result;
+    }
+    
+    /**
+     * Swipe at the enemies just in front of the owner
+     */
+    _createClaw(position, direction, attackSettings, options) {
+        const reach = attackSettings.reach || 1.5;
+        const center = new THREE.Vector3(
+            position.x + direction.x * reach,
+            position.y,
+            position.z + direction.z * reach
+        );
+        
+        AttackImplementations.createAreaEffectAttack(this, center, {
+            ...options,
+            radius: attackSettings.radius,
+            lifetime: attackSettings.lifetime,
+            opacity: attackSettings.opacity
+        });
+    }
+    
+    /**
+     * Breathe a fan of projectiles along the aim direction
+     */
+    _createBreath(position, direction, attackSettings, options) {
+        const count = attackSettings.count || 1;
+        
+        for (let i = 0; i < count; i++) {
+            const angle = (i - (count - 1) / 2) * (attackSettings.spread || 0);
+            const breathDirection = direction.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+            
+            AttackImplementations.createProjectileAttack(this, position, breathDirection, {
+                ...options,
+                speed: attackSettings.speed,
+                lifetime: attackSettings.lifetime,
+                opacity: 0.8,
+                piercing: attackSettings.piercing,
+                homing: attackSettings.homing
+            });
+        }
+    }
+}
\ No newline at end of file
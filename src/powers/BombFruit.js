@@ -6,12 +6,11 @@ import * as THREE from 'three';
 import fruitStore from '../lib/FruitStore.js';
 import { AttackImplementations } from './common/AttackImplementations.js';
 import { EffectsManager } from './common/EffectsManager.js';
-import { fruitConfigurations } from './common/FruitConfigurations.js';
 
 export class BombFruit extends Fruit {
     constructor(engine, options = {}) {
         // Get bomb fruit configuration
-        const config = fruitConfigurations.bomb;
+        const config = fruitDefinition.config;
         
         // Set default options for Bomb Fruit
         const bombOptions = {
@@ -19,6 +18,7 @@ export class BombFruit extends Fruit {
             type: config.type,
             power: options.power || config.power,
             attacks: config.attacks,
+            awakenings: config.awakenings,
             ...options
         };
         
@@ -42,17 +42,19 @@ export class BombFruit extends Fruit {
         // Use the centralized attack logic
         return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
             // Get attack settings
-            const attackSettings = this.attackSettings['Basic Attack'];
+            const attackSettings = this.getAttackSettings('Basic Attack');
             
             // Create a bomb projectile using common implementation
             const bomb = AttackImplementations.createProjectileAttack(this, pos, dir, {
-                color: this.colors.primary,
+                color: attackSettings.color || this.colors.primary,
                 speed: attackSettings.speed,
                 lifetime: attackSettings.lifetime,
                 type: this.type,
                 attackName: 'Basic Attack',
                 fruitStore: fruitStore,
-                immediateRange: attackSettings.range
+                immediateRange: attackSettings.range,
+                piercing: attackSettings.piercing,
+                homing: attackSettings.homing
             });
             
             return true;
@@ -66,7 +68,7 @@ export class BombFruit extends Fruit {
         // Use the centralized attack logic
         return this._useAttack('Special Attack', position, direction, (pos, dir) => {
             // Get attack settings
-            const attackSettings = this.attackSettings['Special Attack'];
+            const attackSettings = this.getAttackSettings('Special Attack');
             
             // Create a mine at player's feet
             const minePosition = new THREE.Vector3(pos.x, 0.05, pos.z);
@@ -83,7 +85,7 @@ export class BombFruit extends Fruit {
             });
             
             // Deploy multiple mines in the area
-            this._deployMines(pos, attackSettings.radius, 5);
+            this._deployMines(pos, attackSettings);
             
             return true;
         });
@@ -96,7 +98,7 @@ export class BombFruit extends Fruit {
         // Use the centralized attack logic
         return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
             // Get attack settings
-            const attackSettings = this.attackSettings['Ultimate Attack'];
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
             
             // Create a mega explosion area effect using common implementation
             const megaExplosion = AttackImplementations.createAreaEffectAttack(this, pos, {
@@ -120,7 +122,7 @@ export class BombFruit extends Fruit {
             });
             
             // Create multiple smaller explosions in a circular pattern
-            const explosionCount = 8;
+            const explosionCount = attackSettings.explosionCount || 8;
             const radius = attackSettings.radius;
             
             // Set delays for secondary explosions to create a wave effect
@@ -150,7 +152,8 @@ export class BombFruit extends Fruit {
                         expPos, 
                         radius * 0.3, 
                         fruitStore.getFruit(this.name).damageValues['Ultimate Attack'] * 0.5, 
-                        this.type
+                        this.type,
+                        'Ultimate Attack'
                     );
                 }, i * 200); // 200ms delay between explosions
             }
@@ -160,50 +163,118 @@ export class BombFruit extends Fruit {
     }
     
     /**
-     * Deploy mines in an area
+     * Scatter mines around a position - each one goes off when an enemy steps on it,
+     * setting off the others close enough
      */
-    _deployMines(position, radius, count) {
+    _deployMines(position, attackSettings) {
+        const radius = attackSettings.radius;
+        const count = attackSettings.mineCount || 5;
+        const damage = fruitStore.getFruit(this.name).damageValues['Special Attack'] * 0.7;
+        const attack = this.currentAttack;
+        
         for (let i = 0; i < count; i++) {
             // Random position within radius
             const angle = Math.random() * Math.PI * 2;
             const distance = Math.random() * radius;
             
-            const minePos = new THREE.Vector3(
+            const minePos = AttackImplementations.keepOnIsland(this, new THREE.Vector3(
                 position.x + Math.cos(angle) * distance,
-                0.05,
+                0,
                 position.z + Math.sin(angle) * distance
-            );
+            ));
             
-            // Create a small indicator for each mine
-            const mineIndicator = this.createAreaEffect(minePos, {
+            // The mine system arms the mine and watches for enemies stepping on it
+            this.engine.mineSystem.lay({
+                owner: this.owner,
+                position: minePos,
+                damage: damage,
+                element: this.type,
+                attackName: 'Special Attack',
                 color: this.colors.secondary,
-                radius: 0.5,
-                damage: fruitStore.getFruit(this.name).damageValues['Special Attack'] * 0.7,
-                lifetime: 4, // Reduced from 10 to 4 seconds
-                opacity: 0.4,
-                type: this.type
+                blastRadius: attackSettings.blastRadius,
+                knockback: this.knockback,
+                armingTime: attackSettings.armingTime,
+                lifetime: attackSettings.mineLifetime,
+                chainRadius: this.explosionRadius,
+                onDetonate: (mine, hitTargets) => {
+                    hitTargets.forEach(target => this.recordHit(target, attack));
+                }
             });
-            
-            // Add trigger logic to the mine
-            if (mineIndicator) {
-                mineIndicator.userData.isMine = true;
-                mineIndicator.userData.armed = false;
-                mineIndicator.userData.armingTime = 0.5; // Arm faster (was 1 second)
-                
-                // Override update logic to include mine behavior
-                const originalUpdate = mineIndicator.userData.update;
-                mineIndicator.userData.update = function(deltaTime) {
-                    // Update standard area effect behavior
-                    const result = originalUpdate.call(this, deltaTime);
-                    
-                    // Handle mine-specific logic
-                    if (!this.userData.armed && this.userData.currentLifetime >= this.userData.armingTime) {
-                        this.userData.armed = true;
-                    }
-                    
-                    return result;
-                }.bind(mineIndicator);
-            }
         }
     }
-}
\ No newline at end of file
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'bomb',
+    FruitClass: BombFruit,
+    power: 15,
+    icon: 'models/fruits/BombFruit.png',
+    color: 0x777700,
+    emoji: '💣',
+    geometry: () => new THREE.SphereGeometry(0.5, 8, 8),
+    statusEffect: () => ({ duration: 0.5, knockback: 5 }),
+    unlock: null,
+    config: {
+        name: 'Bomb Fruit',
+        type: 'bomb',
+        power: 45,
+        attacks: ['Bomb Toss', 'Mine Field', 'Mega Explosion'],
+        specialProperties: {
+            explosionRadius: 4,
+            knockback: 5
+        },
+        colors: {
+            primary: 0x777700,
+            secondary: 0x999900,
+            ultimate: 0xbbbb00
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Bomb Toss',
+                range: 4,
+                speed: 10,
+                lifetime: 1
+            },
+            'Special Attack': {
+                name: 'Mine Field',
+                radius: 6,
+                lifetime: 3,
+                opacity: 0.6,
+                mineCount: 5,
+                blastRadius: 2.5,
+                armingTime: 0.5,
+                mineLifetime: 12 // seconds an unexploded mine stays down
+            },
+            'Ultimate Attack': {
+                name: 'Mega Explosion',
+                radius: 10,
+                lifetime: 2,
+                opacity: 0.9
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Sticky Bomb',
+                description: 'Bombs curve toward the nearest enemy',
+                settings: { speed: 12, homing: 2 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Cluster Mines',
+                description: 'Scatters twice as many mines over a wider area',
+                settings: { radius: 8, mineCount: 10 }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Chain Reaction',
+                description: 'Mega Explosion sets off a bigger ring of blasts',
+                settings: { radius: 12, explosionCount: 12 }
+            }
+        ]
+    }
+};
\ No newline at end of file
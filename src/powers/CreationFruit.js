@@ -0,0 +1,236 @@
+/**
+ * Creation Fruit power class
+ */
+import { Fruit } from './Fruit.js';
+import * as THREE from 'three';
+import fruitStore from '../lib/FruitStore.js';
+import { AttackImplementations } from './common/AttackImplementations.js';
+import { EffectsManager } from './common/EffectsManager.js';
+
+export class CreationFruit extends Fruit {
+    constructor(engine, options = {}) {
+        // Get creation fruit configuration
+        const config = fruitDefinition.config;
+        
+        // Set default options for Creation Fruit
+        const creationOptions = {
+            name: options.name || config.name,
+            type: config.type,
+            power: options.power || config.power,
+            attacks: config.attacks,
+            awakenings: config.awakenings,
+            ...options
+        };
+        
+        super(engine, creationOptions);
+        
+        // Store colors for attacks
+        this.colors = config.colors;
+        
+        // Store attack settings
+        this.attackSettings = config.attackSettings;
+    }
+    
+    /**
+     * Use a basic attack - Creation Spear
+     */
+    useBasicAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Basic Attack');
+            
+            // Create a spear projectile using common implementation
+            AttackImplementations.createProjectileAttack(this, pos, dir, {
+                color: attackSettings.color || this.colors.primary,
+                speed: attackSettings.speed,
+                lifetime: attackSettings.lifetime,
+                type: this.type,
+                attackName: 'Basic Attack',
+                fruitStore: fruitStore,
+                immediateRange: attackSettings.range,
+                piercing: attackSettings.piercing,
+                homing: attackSettings.homing
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use a special attack - Sentry Turret
+     * A turret is built ahead of the player and shoots the nearest enemy until it runs down
+     */
+    useSpecialAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Special Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Special Attack');
+            
+            const site = new THREE.Vector3(
+                pos.x + dir.x * attackSettings.distance,
+                0,
+                pos.z + dir.z * attackSettings.distance
+            );
+            
+            // Build the turrets using common implementation
+            AttackImplementations.createSummon(this, site, {
+                name: 'Sentry Turret',
+                kind: 'turret',
+                ranged: true,
+                color: this.colors.secondary,
+                count: attackSettings.count,
+                spread: 1.2,
+                health: attackSettings.health,
+                attackRange: attackSettings.attackRange,
+                sightRange: attackSettings.attackRange,
+                attackCooldown: attackSettings.attackCooldown,
+                attackPower: this._getSummonDamage('Special Attack', attackSettings),
+                lifetime: attackSettings.lifetime
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use an ultimate attack - Living Army
+     * A burst of creation around the player, out of which an army of minions steps
+     */
+    useUltimateAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
+            
+            // Create a creation burst using common implementation
+            const burst = AttackImplementations.createAreaEffectAttack(this, pos, {
+                color: this.colors.ultimate,
+                radius: attackSettings.radius,
+                lifetime: attackSettings.lifetime,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            // Pillars and ground fields from the attack settings, added by awakenings
+            AttackImplementations.createAwakenedEffects(this, pos, attackSettings, {
+                color: this.colors.secondary,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            AttackImplementations.createSummon(this, pos, {
+                name: 'Living Soldier',
+                color: this.colors.primary,
+                count: attackSettings.count,
+                spread: attackSettings.spread,
+                health: attackSettings.health,
+                speed: attackSettings.speed,
+                attackRange: attackSettings.attackRange,
+                attackCooldown: attackSettings.attackCooldown,
+                attackPower: this._getSummonDamage('Ultimate Attack', attackSettings),
+                lifetime: attackSettings.minionLifetime
+            });
+            
+            EffectsManager.createParticles(this, pos, {
+                count: 25,
+                color: this.colors.ultimate,
+                type: this.type,
+                lifetime: 1,
+                size: 0.3,
+                speed: 5
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Get the damage of each hit an attack's summons deal
+     */
+    _getSummonDamage(attackName, attackSettings) {
+        return fruitStore.getFruit(this.name).damageValues[attackName] * attackSettings.damageScale;
+    }
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'creation',
+    FruitClass: CreationFruit,
+    power: 10,
+    icon: 'models/fruits/CreationFruit.png',
+    color: 0xffdd88,
+    emoji: '🛠️',
+    geometry: () => new THREE.BoxGeometry(0.5, 0.5, 0.5),
+    statusEffect: null,
+    unlock: { islandsCleared: 7 },
+    config: {
+        name: 'Creation Fruit',
+        type: 'creation',
+        power: 28,
+        attacks: ['Creation Spear', 'Sentry Turret', 'Living Army'],
+        colors: {
+            primary: 0xffdd88,
+            secondary: 0xccaa55,
+            ultimate: 0xffeecc
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Creation Spear',
+                range: 2,
+                speed: 14,
+                lifetime: 1.2
+            },
+            'Special Attack': {
+                name: 'Sentry Turret',
+                distance: 2,        // the turret is built this far ahead of the player
+                count: 1,
+                health: 40,
+                attackRange: 9,
+                attackCooldown: 0.8,
+                damageScale: 0.25,  // share of the attack's damage each turret shot deals
+                lifetime: 10
+            },
+            'Ultimate Attack': {
+                name: 'Living Army',
+                radius: 5,
+                lifetime: 1,
+                opacity: 0.4,
+                count: 4,
+                spread: 2,
+                health: 30,
+                speed: 5,
+                attackRange: 1.8,
+                attackCooldown: 1,
+                damageScale: 0.2,
+                minionLifetime: 12
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Creation Lance',
+                description: 'The spear pierces through two more enemies',
+                settings: { piercing: 2 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Twin Sentries',
+                description: 'Two turrets are built at once',
+                settings: { count: 2 }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Grand Army',
+                description: 'A bigger army that stays longer',
+                settings: { count: 6, minionLifetime: 15 }
+            }
+        ]
+    }
+};
\ No newline at end of file
@@ -0,0 +1,264 @@
+/**
+ * Dark Fruit power class
+ */
+import { Fruit } from './Fruit.js';
+import * as THREE from 'three';
+import fruitStore from '../lib/FruitStore.js';
+import { AttackImplementations } from './common/AttackImplementations.js';
+import { EffectsManager } from './common/EffectsManager.js';
+
+export class DarkFruit extends Fruit {
+    constructor(engine, options = {}) {
+        // Get dark fruit configuration
+        const config = fruitDefinition.config;
+        
+        // Set default options for Dark Fruit
+        const darkOptions = {
+            name: options.name || config.name,
+            type: config.type,
+            power: options.power || config.power,
+            attacks: config.attacks,
+            awakenings: config.awakenings,
+            ...options
+        };
+        
+        super(engine, darkOptions);
+        
+        // Special properties for Dark Fruit
+        this.pullStrength = config.specialProperties.pullStrength;
+        this.blackHoleRadius = config.specialProperties.blackHoleRadius;
+        
+        // Store colors for attacks
+        this.colors = config.colors;
+        
+        // Store attack settings
+        this.attackSettings = config.attackSettings;
+    }
+    
+    /**
+     * Use a basic attack - Dark Orb
+     */
+    useBasicAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Basic Attack');
+            
+            // Create a dark orb projectile using common implementation
+            const darkOrb = AttackImplementations.createProjectileAttack(this, pos, dir, {
+                color: attackSettings.color || this.colors.primary,
+                speed: attackSettings.speed,
+                lifetime: attackSettings.lifetime,
+                type: this.type,
+                attackName: 'Basic Attack',
+                fruitStore: fruitStore,
+                immediateRange: attackSettings.range,
+                opacity: 0.8,
+                piercing: attackSettings.piercing,
+                homing: attackSettings.homing
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use a special attack - Gravity Pull
+     * Enemies around the aimed point are dragged into its center
+     */
+    useSpecialAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Special Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Special Attack');
+            
+            // Center the pull in front of the player
+            const pullPosition = new THREE.Vector3(
+                pos.x + dir.x * attackSettings.distance,
+                pos.y,
+                pos.z + dir.z * attackSettings.distance
+            );
+            
+            // Create a gravity pull area effect using common implementation
+            const gravityPull = AttackImplementations.createAreaEffectAttack(this, pullPosition, {
+                color: this.colors.secondary,
+                radius: attackSettings.radius,
+                lifetime: attackSettings.lifetime,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Special Attack',
+                fruitStore: fruitStore
+            });
+            
+            // Pillars and ground fields from the attack settings, added by awakenings
+            AttackImplementations.createAwakenedEffects(this, pullPosition, attackSettings, {
+                color: this.colors.secondary,
+                type: this.type,
+                attackName: 'Special Attack',
+                fruitStore: fruitStore
+            });
+            
+            // Create dark particles
+            EffectsManager.createParticles(this, pullPosition, {
+                count: 10,
+                color: this.colors.primary,
+                type: this.type,
+                lifetime: 0.8,
+                size: 0.3,
+                speed: 2
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use an ultimate attack - Black Hole
+     * A spinning core that keeps pulling in and hurting enemies while it lasts
+     */
+    useUltimateAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
+            
+            // Create the black hole's pull area using common implementation
+            const blackHole = AttackImplementations.createAreaEffectAttack(this, pos, {
+                color: this.colors.secondary,
+                radius: attackSettings.radius,
+                lifetime: 1,
+                opacity: 0.3,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            // The ground field keeps pulling enemies in every tick
+            AttackImplementations.createAwakenedEffects(this, pos, attackSettings, {
+                color: this.colors.secondary,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            this._createBlackHoleCore(pos, attackSettings.groundField.lifetime);
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Create the spinning core of a black hole
+     */
+    _createBlackHoleCore(position, lifetime) {
+        const core = new THREE.Group();
+        core.position.set(position.x, 1.5, position.z);
+        
+        const sphere = new THREE.Mesh(
+            new THREE.SphereGeometry(1.2, 16, 16),
+            new THREE.MeshBasicMaterial({ color: this.colors.ultimate, transparent: true, opacity: 0.95 })
+        );
+        const ring = new THREE.Mesh(
+            new THREE.TorusGeometry(2, 0.25, 8, 32),
+            new THREE.MeshBasicMaterial({ color: this.colors.primary, transparent: true, opacity: 0.7 })
+        );
+        ring.rotation.x = Math.PI / 2.5;
+        core.add(sphere);
+        core.add(ring);
+        
+        let age = 0;
+        core.userData.update = (deltaTime) => {
+            age += deltaTime;
+            ring.rotation.z += deltaTime * 4;
+            
+            // Collapse over the last half second
+            const scale = Math.min(1, (lifetime - age) * 2);
+            core.scale.setScalar(Math.max(0.01, scale));
+            
+            if (age >= lifetime) {
+                this.engine.renderer.scene.remove(core);
+                [sphere, ring].forEach(mesh => {
+                    mesh.geometry.dispose();
+                    mesh.material.dispose();
+                });
+                return false;
+            }
+            return true;
+        };
+        
+        this.trackEffect(core);
+    }
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'dark',
+    FruitClass: DarkFruit,
+    power: 11,
+    icon: 'models/fruits/DarkFruit.png',
+    color: 0x330044,
+    emoji: '🌑',
+    geometry: () => new THREE.TorusGeometry(0.35, 0.15, 8, 16),
+    statusEffect: () => ({ duration: 0.5, pull: 3 }),
+    unlock: { islandsCleared: 2 },
+    config: {
+        name: 'Dark Fruit',
+        type: 'dark',
+        power: 38,
+        attacks: ['Dark Orb', 'Gravity Pull', 'Black Hole'],
+        specialProperties: {
+            pullStrength: 3,     // units an enemy is dragged per hit
+            blackHoleRadius: 9
+        },
+        colors: {
+            primary: 0x550077,
+            secondary: 0x330044,
+            ultimate: 0x110011
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Dark Orb',
+                range: 3,
+                speed: 10,
+                lifetime: 1.8
+            },
+            'Special Attack': {
+                name: 'Gravity Pull',
+                radius: 6,
+                distance: 6, // how far in front of the player the pull is centered
+                lifetime: 1,
+                opacity: 0.6
+            },
+            'Ultimate Attack': {
+                name: 'Black Hole',
+                radius: 9,
+                lifetime: 3,
+                opacity: 0.9,
+                groundField: { radius: 9, lifetime: 3, tickInterval: 0.3, damageScale: 0.08 }
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Void Orb',
+                description: 'Dark orbs seek out enemies and pass through one of them',
+                settings: { homing: 1.5, piercing: 1 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Gravity Crush',
+                description: 'A wider pull that crushes enemies with pillars of darkness',
+                settings: { radius: 8, pillars: { count: 5, distance: 3, radius: 1.2, height: 5, damageScale: 0.4 } }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Event Horizon',
+                description: 'Black Hole grows bigger and lasts longer',
+                settings: { radius: 12, groundField: { radius: 12, lifetime: 5, tickInterval: 0.25, damageScale: 0.08 } }
+            }
+        ]
+    }
+};
\ No newline at end of file
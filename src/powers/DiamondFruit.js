@@ -0,0 +1,300 @@
+/**
+ * Diamond Fruit power class
+ */
+import { Fruit } from './Fruit.js';
+import * as THREE from 'three';
+import fruitStore from '../lib/FruitStore.js';
+import { AttackImplementations } from './common/AttackImplementations.js';
+import { EffectsManager } from './common/EffectsManager.js';
+
+export class DiamondFruit extends Fruit {
+    constructor(engine, options = {}) {
+        // Get diamond fruit configuration
+        const config = fruitDefinition.config;
+        
+        // Set default options for Diamond Fruit
+        const diamondOptions = {
+            name: options.name || config.name,
+            type: config.type,
+            power: options.power || config.power,
+            attacks: config.attacks,
+            awakenings: config.awakenings,
+            ...options
+        };
+        
+        super(engine, diamondOptions);
+        
+        // Special properties for Diamond Fruit
+        this.shardCount = config.specialProperties.shardCount;
+        
+        // Store colors for attacks
+        this.colors = config.colors;
+        
+        // Store attack settings
+        this.attackSettings = config.attackSettings;
+        
+        // Skin currently on the owner, replaced when a new one forms
+        this.activeSkin = null;
+    }
+    
+    /**
+     * Use a basic attack - Diamond Shard
+     * A fan of shards along the aim direction
+     */
+    useBasicAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Basic Attack');
+            const shardCount = attackSettings.shardCount || this.shardCount;
+            
+            for (let i = 0; i < shardCount; i++) {
+                // Spread the shards evenly around the aim direction
+                const angle = (i - (shardCount - 1) / 2) * attackSettings.spread;
+                const shardDirection = dir.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+                
+                // Create a diamond shard projectile using common implementation
+                AttackImplementations.createProjectileAttack(this, pos, shardDirection, {
+                    color: attackSettings.color || this.colors.primary,
+                    speed: attackSettings.speed,
+                    lifetime: attackSettings.lifetime,
+                    type: this.type,
+                    attackName: 'Basic Attack',
+                    fruitStore: fruitStore,
+                    geometry: new THREE.OctahedronGeometry(0.3, 0),
+                    opacity: 0.9,
+                    piercing: attackSettings.piercing,
+                    homing: attackSettings.homing
+                });
+            }
+            
+            // Hurt whoever is right in front of the player once, not once per shard
+            this.checkEnemiesInRange(
+                pos,
+                attackSettings.range,
+                fruitStore.getFruit(this.name).damageValues['Basic Attack'],
+                this.type,
+                'Basic Attack'
+            );
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use a special attack - Diamond Skin
+     * Armor that stops part of every hit and sends part of it back to the attacker
+     */
+    useSpecialAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Special Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Special Attack');
+            
+            this._createSkin(attackSettings.armor, attackSettings.reflect, attackSettings.lifetime, attackSettings.opacity);
+            
+            EffectsManager.createParticles(this, pos, {
+                count: 12,
+                color: this.colors.secondary,
+                type: this.type,
+                lifetime: 0.6,
+                size: 0.25,
+                speed: 3
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use an ultimate attack - Diamond Burst
+     * Diamonds burst out around the player, who is left with a hard skin
+     */
+    useUltimateAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
+            
+            // Create a diamond burst area effect using common implementation
+            const burst = AttackImplementations.createAreaEffectAttack(this, pos, {
+                color: this.colors.ultimate,
+                radius: attackSettings.radius,
+                lifetime: attackSettings.lifetime,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            // Pillars and ground fields from the attack settings, added by awakenings
+            AttackImplementations.createAwakenedEffects(this, pos, attackSettings, {
+                color: this.colors.secondary,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            this._createSkin(attackSettings.armor, attackSettings.reflect, attackSettings.skinLifetime, 0.45);
+            
+            EffectsManager.createParticles(this, pos, {
+                count: 30,
+                color: this.colors.ultimate,
+                type: this.type,
+                lifetime: 1,
+                size: 0.3,
+                speed: 6
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Cover the owner in diamond that reduces and reflects incoming damage
+     * @param {Number} armor - Share of each hit that is stopped
+     * @param {Number} reflect - Share of each hit dealt back to the attacker
+     * @param {Number} lifetime - Seconds the skin lasts
+     * @param {Number} opacity - Opacity of the skin's shell
+     */
+    _createSkin(armor, reflect, lifetime, opacity) {
+        const owner = this.owner;
+        if (!owner || typeof owner.addDamageModifier !== 'function') return;
+        
+        // A new skin replaces the old one
+        if (this.activeSkin) {
+            this.activeSkin.userData.expired = true;
+        }
+        
+        const skin = new THREE.Mesh(
+            new THREE.IcosahedronGeometry(1.3, 0),
+            new THREE.MeshBasicMaterial({
+                color: this.colors.secondary,
+                transparent: true,
+                opacity: opacity,
+                wireframe: true
+            })
+        );
+        skin.position.y = 1;
+        owner.object3D.add(skin);
+        this.activeSkin = skin;
+        
+        const removeModifier = owner.addDamageModifier((amount, damageType, damageEvent) => {
+            // Reflect hits from enemies, but not burns or other reflections
+            const attacker = damageEvent ? damageEvent.source : null;
+            if (attacker && attacker !== owner && attacker.isActive !== false && damageEvent.attackName !== 'Reflect') {
+                this.engine.damageSystem.deal({
+                    source: owner,
+                    target: attacker,
+                    amount: amount * reflect,
+                    element: this.type,
+                    attackName: 'Reflect',
+                    canCrit: false,
+                    applyStatus: false,
+                    position: owner.object3D.position.clone()
+                });
+            }
+            
+            return amount * (1 - armor);
+        });
+        
+        let age = 0;
+        skin.userData.update = (deltaTime) => {
+            age += deltaTime;
+            skin.rotation.y += deltaTime;
+            
+            if (age >= lifetime || skin.userData.expired) {
+                removeModifier();
+                owner.object3D.remove(skin);
+                skin.geometry.dispose();
+                skin.material.dispose();
+                if (this.activeSkin === skin) {
+                    this.activeSkin = null;
+                }
+                return false;
+            }
+            return true;
+        };
+        
+        // Tracked directly - this.trackEffect would move the skin off the owner and into the scene
+        if (!this.engine.effectsToUpdate) {
+            this.engine.effectsToUpdate = [];
+        }
+        this.engine.effectsToUpdate.push(skin);
+    }
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'diamond',
+    FruitClass: DiamondFruit,
+    power: 10,
+    icon: 'models/fruits/DiamondFruit.png',
+    color: 0xe0ffff,
+    emoji: '💎',
+    geometry: () => new THREE.OctahedronGeometry(0.5, 0),
+    statusEffect: null,
+    unlock: { islandsCleared: 6 },
+    config: {
+        name: 'Diamond Fruit',
+        type: 'diamond',
+        power: 34,
+        attacks: ['Diamond Shard', 'Diamond Skin', 'Diamond Burst'],
+        specialProperties: {
+            shardCount: 3 // shards fired in a fan by the basic attack
+        },
+        colors: {
+            primary: 0xe0ffff,
+            secondary: 0x99ffff,
+            ultimate: 0xffffff
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Diamond Shard',
+                range: 2,
+                speed: 14,
+                lifetime: 1.2,
+                spread: 0.25 // radians between the shards
+            },
+            'Special Attack': {
+                name: 'Diamond Skin',
+                armor: 0.4,    // share of incoming damage the skin stops
+                reflect: 0.3,  // share of incoming damage sent back to the attacker
+                lifetime: 6,
+                opacity: 0.35
+            },
+            'Ultimate Attack': {
+                name: 'Diamond Burst',
+                radius: 8,
+                lifetime: 1.2,
+                opacity: 0.5,
+                armor: 0.6,
+                reflect: 0.5,
+                skinLifetime: 5
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Diamond Storm',
+                description: 'Five shards that cut through an enemy each',
+                settings: { shardCount: 5, piercing: 1 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Brilliant Skin',
+                description: 'Tougher skin that sends back more of every hit',
+                settings: { armor: 0.5, reflect: 0.5, lifetime: 8 }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Crystal Cathedral',
+                description: 'A bigger burst that raises pillars of diamond',
+                settings: { radius: 11, pillars: { count: 6, distance: 6, radius: 1.2, height: 5, damageScale: 0.4 } }
+            }
+        ]
+    }
+};
\ No newline at end of file
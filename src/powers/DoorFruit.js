@@ -0,0 +1,320 @@
+/**
+ * Door Fruit power class
+ */
+import { Fruit } from './Fruit.js';
+import * as THREE from 'three';
+import fruitStore from '../lib/FruitStore.js';
+import { AttackImplementations } from './common/AttackImplementations.js';
+import { EffectsManager } from './common/EffectsManager.js';
+
+export class DoorFruit extends Fruit {
+    constructor(engine, options = {}) {
+        // Get door fruit configuration
+        const config = fruitDefinition.config;
+        
+        // Set default options for Door Fruit
+        const doorOptions = {
+            name: options.name || config.name,
+            type: config.type,
+            power: options.power || config.power,
+            attacks: config.attacks,
+            awakenings: config.awakenings,
+            ...options
+        };
+        
+        super(engine, doorOptions);
+        
+        // Special properties for Door Fruit
+        this.doorWidth = config.specialProperties.doorWidth;
+        this.doorHeight = config.specialProperties.doorHeight;
+        
+        // Store colors for attacks
+        this.colors = config.colors;
+        
+        // Store attack settings
+        this.attackSettings = config.attackSettings;
+    }
+    
+    /**
+     * Use a basic attack - Door Step
+     */
+    useBasicAttack(position, direction) {
+        // Owners that can't teleport keep the attack for later
+        if (!AttackImplementations.canBlink(this)) return false;
+        
+        // Use the centralized attack logic
+        return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Basic Attack');
+            
+            // Step the player through a door using common implementation
+            const destination = AttackImplementations.createBlink(this, dir, {
+                color: this.colors.primary,
+                distance: attackSettings.distance,
+                hitRadius: attackSettings.hitRadius,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Basic Attack',
+                fruitStore: fruitStore
+            });
+            
+            return destination !== null;
+        });
+    }
+    
+    /**
+     * Use a special attack - Back Door
+     * A door in front of the player opens onto a second door further along the aim
+     */
+    useSpecialAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Special Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Special Attack');
+            
+            const entrance = AttackImplementations.keepOnIsland(this, new THREE.Vector3(pos.x + dir.x, 0, pos.z + dir.z));
+            const exit = AttackImplementations.keepOnIsland(this, new THREE.Vector3(
+                pos.x + dir.x * attackSettings.distance,
+                0,
+                pos.z + dir.z * attackSettings.distance
+            ));
+            
+            // Link the two doors using common implementation
+            const doors = AttackImplementations.createLinkedPortals(this, entrance, exit, {
+                radius: attackSettings.radius,
+                lifetime: attackSettings.lifetime,
+                createMesh: () => this._createDoorMesh(this.colors.secondary)
+            });
+            
+            // Doors face the way the player is aiming
+            const facing = Math.atan2(dir.x, dir.z);
+            doors.children.forEach(door => {
+                door.rotation.y = facing;
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use an ultimate attack - Banishing Door
+     * A door opens on the closest enemy and shuts it away for a few seconds
+     */
+    useUltimateAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
+            const attack = this.currentAttack;
+            
+            // Open the door on the closest enemy in reach, or straight ahead
+            const targets = this._getBanishTargets(pos, attackSettings.range);
+            const doorPosition = targets.length > 0 ?
+                new THREE.Vector3(targets[0].object3D.position.x, 0, targets[0].object3D.position.z) :
+                AttackImplementations.keepOnIsland(this, new THREE.Vector3(pos.x + dir.x * 5, 0, pos.z + dir.z * 5));
+            
+            // Everyone close enough to the door goes through it
+            const banished = targets
+                .filter(enemy => enemy.object3D.position.distanceTo(doorPosition.clone().setY(enemy.object3D.position.y)) <= attackSettings.radius)
+                .slice(0, attackSettings.targets);
+            
+            // Create the door's burst using common implementation
+            const doorBurst = AttackImplementations.createAreaEffectAttack(this, doorPosition, {
+                color: this.colors.ultimate,
+                radius: attackSettings.radius,
+                lifetime: attackSettings.lifetime,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            // The burst can finish some of them off before they go through
+            const survivors = banished.filter(enemy => enemy.isActive);
+            this._createBanishingDoor(doorPosition, survivors, attackSettings.banishDuration, attack);
+            
+            EffectsManager.createParticles(this, doorPosition, {
+                count: 15,
+                color: this.colors.ultimate,
+                type: this.type,
+                lifetime: 0.8,
+                size: 0.3,
+                speed: 3
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Get the enemies and boss within range, closest first
+     */
+    _getBanishTargets(position, range) {
+        const gameState = this.engine.stateManager.getCurrentState();
+        if (!gameState) return [];
+        
+        const origin = new THREE.Vector3(position.x, 0, position.z);
+        const distanceTo = enemy => origin.distanceTo(new THREE.Vector3(enemy.object3D.position.x, 0, enemy.object3D.position.z));
+        
+        return [...(gameState.enemies || []), gameState.boss]
+            .filter(enemy => enemy && enemy.object3D && enemy.isActive && !enemy.banished && distanceTo(enemy) <= range)
+            .sort((a, b) => distanceTo(a) - distanceTo(b));
+    }
+    
+    /**
+     * Shut enemies behind a door, then let them back out with a slam that hurts
+     */
+    _createBanishingDoor(position, enemies, duration, attack) {
+        const door = this._createDoorMesh(this.colors.ultimate);
+        door.position.copy(position);
+        
+        enemies.forEach(enemy => enemy.setBanished(true));
+        
+        const slamDamage = fruitStore.getFruit(this.name).damageValues['Ultimate Attack'] * 0.5;
+        let age = 0;
+        door.userData.update = (deltaTime) => {
+            age += deltaTime;
+            
+            // The door shows when it swallows the enemies and again right before it lets them out
+            const shown = age < 1 || age > duration - 1;
+            door.visible = shown;
+            door.scale.setScalar(Math.max(0.01, Math.min(1, age * 4)));
+            
+            if (age >= duration) {
+                enemies.forEach(enemy => {
+                    enemy.setBanished(false);
+                    if (!enemy.isActive) return;
+                    
+                    this.engine.damageSystem.deal({
+                        source: this.owner,
+                        target: enemy,
+                        amount: slamDamage,
+                        element: this.type,
+                        attackName: 'Ultimate Attack',
+                        position: position
+                    });
+                    this.recordHit(enemy, attack);
+                });
+                
+                this.engine.renderer.scene.remove(door);
+                door.traverse(child => {
+                    if (child.geometry) child.geometry.dispose();
+                    if (child.material) child.material.dispose();
+                });
+                return false;
+            }
+            return true;
+        };
+        
+        this.trackEffect(door);
+    }
+    
+    /**
+     * Create a door standing on the ground - a frame around a glowing doorway
+     */
+    _createDoorMesh(color) {
+        const door = new THREE.Group();
+        const frameMaterial = new THREE.MeshBasicMaterial({ color: this.colors.primary });
+        const width = this.doorWidth;
+        const height = this.doorHeight;
+        
+        // Two posts and a lintel
+        [-1, 1].forEach(side => {
+            const post = new THREE.Mesh(new THREE.BoxGeometry(0.2, height, 0.2), frameMaterial);
+            post.position.set(side * width / 2, height / 2, 0);
+            door.add(post);
+        });
+        const lintel = new THREE.Mesh(new THREE.BoxGeometry(width + 0.2, 0.2, 0.2), frameMaterial);
+        lintel.position.y = height;
+        door.add(lintel);
+        
+        const doorway = new THREE.Mesh(
+            new THREE.PlaneGeometry(width, height),
+            new THREE.MeshBasicMaterial({
+                color: color,
+                transparent: true,
+                opacity: 0.6,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        );
+        doorway.position.y = height / 2;
+        door.add(doorway);
+        
+        return door;
+    }
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'door',
+    FruitClass: DoorFruit,
+    power: 8,
+    icon: 'models/fruits/DoorFruit.png',
+    color: 0xcc9966,
+    emoji: '🚪',
+    geometry: () => new THREE.BoxGeometry(0.5, 0.8, 0.1),
+    statusEffect: null,
+    unlock: { islandsCleared: 5 },
+    config: {
+        name: 'Door Fruit',
+        type: 'door',
+        power: 30,
+        attacks: ['Door Step', 'Back Door', 'Banishing Door'],
+        specialProperties: {
+            doorWidth: 1.6,
+            doorHeight: 3
+        },
+        colors: {
+            primary: 0xcc9966,
+            secondary: 0x996633,
+            ultimate: 0xffcc66
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Door Step',
+                distance: 4,
+                hitRadius: 2,
+                opacity: 0.5
+            },
+            'Special Attack': {
+                name: 'Back Door',
+                distance: 10,
+                radius: 1.5,
+                lifetime: 5
+            },
+            'Ultimate Attack': {
+                name: 'Banishing Door',
+                range: 12,     // how far away the door can open on an enemy
+                radius: 3,     // enemies this close to the door are pulled through
+                targets: 1,
+                banishDuration: 4, // seconds a banished enemy is gone for
+                lifetime: 1,
+                opacity: 0.4
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Door Dash',
+                description: 'Step further through the door and knock over everyone at the other side',
+                settings: { distance: 6, hitRadius: 3 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Hidden Passage',
+                description: 'Doors stay open longer and can be placed further away',
+                settings: { distance: 15, lifetime: 9 }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Sealed Door',
+                description: 'The door swallows up to three enemies and keeps them away longer',
+                settings: { radius: 5, targets: 3, banishDuration: 6 }
+            }
+        ]
+    }
+};
\ No newline at end of file
@@ -0,0 +1,135 @@
+/**
+ * Dragon Fruit power class
+ */
+import { BeastFruit } from './BeastFruit.js';
+import * as THREE from 'three';
+
+export class DragonFruit extends BeastFruit {
+    constructor(engine, options = {}) {
+        // Get dragon fruit configuration
+        const config = fruitDefinition.config;
+        
+        // Set default options for Dragon Fruit
+        const dragonOptions = {
+            name: options.name || config.name,
+            type: config.type,
+            power: options.power || config.power,
+            attacks: config.attacks,
+            awakenings: config.awakenings,
+            form: config.form,
+            flight: config.flight,
+            ...options
+        };
+        
+        super(engine, dragonOptions);
+        
+        // Store colors for attacks
+        this.colors = config.colors;
+        
+        // Store attack settings
+        this.attackSettings = config.attackSettings;
+    }
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'dragon',
+    FruitClass: DragonFruit,
+    power: 14,
+    icon: 'models/fruits/DragonFruit.png',
+    color: 0xff6633,
+    emoji: '🐉',
+    geometry: () => new THREE.TetrahedronGeometry(0.5, 0),
+    statusEffect: damage => ({ duration: 1, tickDamage: damage * 0.1 }),
+    unlock: { islandsCleared: 9 },
+    config: {
+        name: 'Dragon Fruit',
+        type: 'dragon',
+        power: 36,
+        attacks: ['Dragon Claw', 'Dragon Breath', 'Dragon Transformation'],
+        flight: {
+            height: 3,
+            speedMultiplier: 1.3,
+            staminaDrain: 20
+        },
+        form: {
+            name: 'Dragon Form',
+            speed: 7,
+            scale: 1.8,          // sprite size against the normal player
+            collider: { radius: 1.4, height: 3 },
+            flightHeight: 3,     // flies this high above the ground
+            armor: 0.2,
+            tint: 0xffaa88,
+            attackSettings: {
+                'Basic Attack': {
+                    name: 'Fire Breath',
+                    style: 'breath',
+                    speed: 14,
+                    lifetime: 0.9,
+                    count: 3,
+                    spread: 0.15
+                },
+                'Special Attack': {
+                    name: 'Dragon Dive',
+                    style: 'pounce',
+                    distance: 8,
+                    radius: 4,
+                    opacity: 0.6
+                }
+            }
+        },
+        colors: {
+            primary: 0xff6633,
+            secondary: 0xff9933,
+            ultimate: 0xff3300,
+            form: 0xffcc00
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Dragon Claw',
+                style: 'claw',
+                reach: 1.5,
+                radius: 2,
+                lifetime: 0.4,
+                opacity: 0.5
+            },
+            'Special Attack': {
+                name: 'Dragon Breath',
+                style: 'breath',
+                speed: 12,
+                lifetime: 1.2,
+                count: 1
+            },
+            'Ultimate Attack': {
+                name: 'Dragon Transformation',
+                radius: 6,
+                lifetime: 1,
+                opacity: 0.5,
+                duration: 15 // seconds in dragon form
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Dragon Talon',
+                description: 'A wider swipe that reaches further',
+                settings: { reach: 2, radius: 2.8 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Dragon Flame Fan',
+                description: 'Breathe three flames at once',
+                settings: { count: 3, spread: 0.2 }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Ancient Dragon',
+                description: 'Stay in dragon form longer and scorch the ground when transforming',
+                settings: { duration: 25, groundField: { radius: 6, lifetime: 4, damageScale: 0.1 } }
+            }
+        ]
+    }
+};
\ No newline at end of file
@@ -6,12 +6,11 @@ import * as THREE from 'three';
 import fruitStore from '../lib/FruitStore.js';
 import { AttackImplementations } from './common/AttackImplementations.js';
 import { EffectsManager } from './common/EffectsManager.js';
-import { fruitConfigurations } from './common/FruitConfigurations.js';
 
 export class FlameFruit extends Fruit {
     constructor(engine, options = {}) {
         // Get flame fruit configuration
-        const config = fruitConfigurations.flame;
+        const config = fruitDefinition.config;
         
         // Set default options for Flame Fruit
         const flameOptions = {
@@ -19,6 +18,8 @@ export class FlameFruit extends Fruit {
             type: config.type,
             power: options.power || config.power,
             attacks: config.attacks,
+            dash: config.dash,
+            awakenings: config.awakenings,
             ...options
         };
         
@@ -42,17 +43,19 @@ export class FlameFruit extends Fruit {
         // Use the centralized attack logic
         return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
             // Get attack settings
-            const attackSettings = this.attackSettings['Basic Attack'];
+            const attackSettings = this.getAttackSettings('Basic Attack');
             
             // Create a fireball projectile using common implementation
             const fireball = AttackImplementations.createProjectileAttack(this, pos, dir, {
-                color: this.colors.primary,
+                color: attackSettings.color || this.colors.primary,
                 speed: attackSettings.speed,
                 lifetime: attackSettings.lifetime,
                 type: this.type,
                 attackName: 'Basic Attack',
                 fruitStore: fruitStore,
-                immediateRange: attackSettings.range
+                immediateRange: attackSettings.range,
+                piercing: attackSettings.piercing,
+                homing: attackSettings.homing
             });
             
             return true;
@@ -66,7 +69,7 @@ export class FlameFruit extends Fruit {
         // Use the centralized attack logic
         return this._useAttack('Special Attack', position, direction, (pos, dir) => {
             // Get attack settings
-            const attackSettings = this.attackSettings['Special Attack'];
+            const attackSettings = this.getAttackSettings('Special Attack');
             
             // Create a flame wave area effect using common implementation
             const flameWave = AttackImplementations.createAreaEffectAttack(this, pos, {
@@ -79,6 +82,14 @@ export class FlameFruit extends Fruit {
                 fruitStore: fruitStore
             });
             
+            // Awakened versions add their own effects
+            AttackImplementations.createAwakenedEffects(this, pos, attackSettings, {
+                color: this.colors.secondary,
+                type: this.type,
+                attackName: 'Special Attack',
+                fruitStore: fruitStore
+            });
+            
             // Create flame particles with reduced count and lifetime
             EffectsManager.createParticles(this, pos, {
                 count: 10, // Reduced from 15
@@ -100,7 +111,7 @@ export class FlameFruit extends Fruit {
         // Use the centralized attack logic
         return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
             // Get attack settings
-            const attackSettings = this.attackSettings['Ultimate Attack'];
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
             
             // Create a large inferno area effect using common implementation
             const inferno = AttackImplementations.createAreaEffectAttack(this, pos, {
@@ -113,6 +124,14 @@ export class FlameFruit extends Fruit {
                 fruitStore: fruitStore
             });
             
+            // Awakened versions add their own effects
+            AttackImplementations.createAwakenedEffects(this, pos, attackSettings, {
+                color: this.colors.ultimate,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
             // Create flame particles with reduced count and lifetime
             EffectsManager.createParticles(this, pos, {
                 count: 20, // Reduced from 30
@@ -134,4 +153,81 @@ export class FlameFruit extends Fruit {
         // Disabled to remove particle effects
         return null;
     }
-}
\ No newline at end of file
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'flame',
+    FruitClass: FlameFruit,
+    power: 10,
+    icon: 'models/fruits/FlameFruit.png',
+    color: 0xff5500,
+    emoji: '🔥',
+    geometry: () => new THREE.TetrahedronGeometry(0.5, 0),
+    statusEffect: damage => ({ duration: 1, tickDamage: damage * 0.1 }),
+    unlock: null,
+    config: {
+        name: 'Flame Fruit',
+        type: 'flame',
+        power: 40,
+        attacks: ['Fireball', 'Flame Wave', 'Inferno'],
+        specialProperties: {
+            burnDuration: 3, // seconds
+            burnDamage: 2    // damage per second
+        },
+        dash: {
+            burningTrail: true, // Leaves patches of fire that burn enemies
+            trailDamage: 0.3,   // fraction of the fruit's power
+            trailLifetime: 2    // seconds
+        },
+        colors: {
+            primary: 0xff5500,
+            secondary: 0xff3300,
+            ultimate: 0xff0000
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Fireball',
+                range: 3,
+                speed: 15,
+                lifetime: 1.5
+            },
+            'Special Attack': {
+                name: 'Flame Wave',
+                radius: 5,
+                lifetime: 1.5,
+                opacity: 0.7
+            },
+            'Ultimate Attack': {
+                name: 'Inferno',
+                radius: 8,
+                lifetime: 3,
+                opacity: 0.8
+            }
+        },
+        // Awakened attacks unlocked by mastery level - their settings replace the base attack settings
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Blue Fireball',
+                description: 'Hotter, faster fireballs that burn through two enemies',
+                settings: { speed: 20, piercing: 2, color: 0x3399ff }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Scorching Wave',
+                description: 'A wider flame wave that leaves the ground burning',
+                settings: { radius: 6, groundField: { radius: 6, lifetime: 3, damageScale: 0.1 } }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Inferno Pillars',
+                description: 'Inferno raises a ring of fire pillars around you',
+                settings: { pillars: { count: 8, distance: 6, radius: 1.5, height: 7, damageScale: 0.5 } }
+            }
+        ]
+    }
+};
\ No newline at end of file
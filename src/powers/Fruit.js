@@ -15,6 +15,24 @@ export class Fruit {
         this.power = options.power || 25;
         this.attacks = options.attacks || [];
         
+        // Entity holding this fruit - the source of its hits
+        this.owner = options.owner || null;
+        
+        // How the fruit changes the owner's dash (teleport, burning trail...)
+        this.dashSettings = options.dash || {};
+        
+        // Always-on effect of the fruit while it's held (regeneration, revival...)
+        this.passive = options.passive || null;
+        
+        // Lets the owner take to the air (hover height, speed, stamina drain)
+        this.flight = options.flight || null;
+        
+        // Awakened versions of the attacks, unlocked by mastery level
+        this.awakenings = options.awakenings || [];
+        
+        // Name, hit enemies and projectiles of the latest attack
+        this.currentAttack = null;
+        
         // Store this fruit in the shared store if not already there
         if (!fruitStore.getFruit(this.name)) {
             fruitStore.addFruit({
@@ -109,6 +127,9 @@ export class Fruit {
         
         // Play drop sound
         this.playDropSound();
+        
+        // Start tracking the hits of this attack
+        this.currentAttack = { name: attackName, hitTargets: [], projectileCount: 0 };
 
         // Execute the attack-specific logic if provided
         let result = true;
@@ -157,7 +178,7 @@ export class Fruit {
             });
             
             // Apply damage to all enemies in range
-            const affectedEnemies = this.checkEnemiesInRange(pos, range, damage, this.type);
+            const affectedEnemies = this.checkEnemiesInRange(pos, range, damage, this.type, 'Special Attack');
             
             // Create particle effects for visual feedback
             for (let i = 0; i < 20; i++) {
@@ -183,6 +204,42 @@ export class Fruit {
         });
     }
     
+    /**
+     * Get the awakenings unlocked at the fruit's current mastery level
+     */
+    getUnlockedAwakenings() {
+        const fruitData = fruitStore.getFruit(this.name);
+        const level = fruitData ? fruitData.masteryLevel : 1;
+        
+        return this.awakenings.filter(awakening => awakening.level <= level);
+    }
+    
+    /**
+     * Get the awakenings that unlock between two mastery levels
+     * @param {Number} fromLevel - Level before levelling up (excluded)
+     * @param {Number} toLevel - Level after levelling up (included)
+     */
+    getAwakeningsBetween(fromLevel, toLevel) {
+        return this.awakenings.filter(awakening => awakening.level > fromLevel && awakening.level <= toLevel);
+    }
+    
+    /**
+     * Get the settings of an attack, with its unlocked awakenings applied in level order
+     */
+    getAttackSettings(attackName) {
+        const baseSettings = (this.attackSettings && this.attackSettings[attackName]) || {};
+        const settings = { ...baseSettings, awakened: false };
+        
+        this.getUnlockedAwakenings()
+            .filter(awakening => awakening.attack === attackName)
+            .sort((a, b) => a.level - b.level)
+            .forEach(awakening => {
+                Object.assign(settings, awakening.settings, { name: awakening.name, awakened: true });
+            });
+        
+        return settings;
+    }
+    
     /**
      * Check if an attack is on cooldown
      */
@@ -200,6 +257,20 @@ export class Fruit {
         return fruitStore.getCooldownPercentage(this.name, attackName);
     }
     
+    /**
+     * Get how full the ultimate meter is, as a percentage
+     */
+    getUltimateChargePercentage() {
+        return fruitStore.getUltimateChargePercentage(this.name);
+    }
+    
+    /**
+     * Check if the ultimate meter is full
+     */
+    isUltimateReady() {
+        return fruitStore.isUltimateReady(this.name);
+    }
+    
     /**
      * Get cooldown time remaining for an attack
      */
@@ -217,13 +288,38 @@ export class Fruit {
         // The actual cooldown updates are now handled by the FruitStore
     }
     
+    /**
+     * Update the fruit's passive - called every frame for every fruit the owner holds
+     * @param {Number} deltaTime - Time since last frame in seconds
+     * @param {Entity} owner - Entity holding the fruit
+     */
+    updatePassive(deltaTime, owner) {
+        // Override in fruits with a passive
+    }
+    
+    /**
+     * Called when the owner's health runs out, before they're defeated
+     * @param {Entity} owner - Entity holding the fruit
+     * @returns {Boolean} True if the fruit brought the owner back
+     */
+    onOwnerDeath(owner) {
+        return false;
+    }
+    
     /**
      * Create a projectile or effect - leveraging common implementations
+     * The projectile system moves it and damages the enemies it touches
      */
     createProjectile(position, direction, options = {}) {
         const scene = this.engine.renderer.scene;
         if (!scene) return null;
         
+        // Hits are credited to the attack that fired the projectile
+        const attack = this.currentAttack;
+        if (attack) {
+            attack.projectileCount++;
+        }
+        
         // Create a projectile group
         const projectileGroup = new THREE.Group();
         
@@ -238,47 +334,37 @@ export class Fruit {
         const mesh = new THREE.Mesh(geometry, material);
         projectileGroup.add(mesh);
         
-        // Set position
-        projectileGroup.position.copy(position);
-        
-        // Store projectile data
-        projectileGroup.userData = {
-            direction: direction ? direction.clone().normalize() : new THREE.Vector3(0, 0, 0),
+        // Launch it through the projectile system
+        this.engine.projectileSystem.spawn({
+            owner: this.owner,
+            object3D: projectileGroup,
+            position: position,
+            direction: direction,
             speed: options.speed || 10,
-            damage: options.damage || this.power,
             lifetime: options.lifetime || 1, // reduced from 2 seconds to 1 second
-            currentLifetime: 0,
-            type: options.type || this.type,
-            source: options.source || 'player',
-            update: function(deltaTime) {
-                // Update position
-                this.position.x += this.userData.direction.x * this.userData.speed * deltaTime;
-                this.position.y += this.userData.direction.y * this.userData.speed * deltaTime;
-                this.position.z += this.userData.direction.z * this.userData.speed * deltaTime;
-                
-                // Update lifetime
-                this.userData.currentLifetime += deltaTime;
-                
-                // Destroy if lifetime is exceeded
-                if (this.userData.currentLifetime >= this.userData.lifetime) {
-                    scene.remove(this);
-                    return false;
-                }
-                
-                return true;
-            }.bind(projectileGroup)
-        };
+            radius: options.radius || 0.5,
+            damage: options.damage || this.power,
+            element: options.type || this.type,
+            attackName: attack ? attack.name : null,
+            piercing: options.piercing,
+            homing: options.homing,
+            canHit: target => !attack || !attack.hitTargets.includes(target),
+            onHit: target => this.recordHit(target, attack)
+        });
         
-        // Add to scene
-        scene.add(projectileGroup);
+        return projectileGroup;
+    }
+    
+    /**
+     * Remember an enemy hit by an attack, telling the owner about the attack's first hit
+     */
+    recordHit(target, attack = this.currentAttack) {
+        if (!attack || attack.hitTargets.includes(target)) return;
         
-        // Track the projectile in engine effects
-        if (!this.engine.effectsToUpdate) {
-            this.engine.effectsToUpdate = [];
+        attack.hitTargets.push(target);
+        if (attack.hitTargets.length === 1 && this.owner && typeof this.owner.onFruitHit === 'function') {
+            this.owner.onFruitHit(this, attack.name);
         }
-        this.engine.effectsToUpdate.push(projectileGroup);
-        
-        return projectileGroup;
     }
     
     /**
@@ -431,92 +517,58 @@ export class Fruit {
     }
     
     /**
-     * Check enemies in range - common implementation 
+     * Add a fruit's own effect mesh to the scene, updated through its userData.update until that returns false
      */
-    checkEnemiesInRange(position, range, damage, damageType) {
-        // This would be implemented by the game's collision system
-        // Stub implementation for now
-        console.log(`Checking enemies in range ${range}, damage ${damage}, type ${damageType}`);
+    trackEffect(mesh) {
+        this.engine.renderer.scene.add(mesh);
         
+        if (!this.engine.effectsToUpdate) {
+            this.engine.effectsToUpdate = [];
+        }
+        this.engine.effectsToUpdate.push(mesh);
+    }
+    
+    /**
+     * Damage all enemies in range through the damage system
+     * @returns {Array} Enemies that were hit
+     */
+    checkEnemiesInRange(position, range, damage, damageType, attackName = null) {
         // Get all objects in the scene
         const scene = this.engine.renderer.scene;
         if (!scene) return [];
         
         const affectedEnemies = [];
         
-        // Check distance to each object
+        // Check distance to each enemy
         scene.traverse(object => {
-            // Only consider objects with userData.type === 'enemy'
-            if (object.userData && object.userData.type === 'enemy') {
-                // Calculate distance
-                const distance = position.distanceTo(object.position);
-                
-                // If within range, apply damage
-                if (distance <= range) {
-                    // Add to affected enemies
-                    affectedEnemies.push(object);
-                    
-                    // Apply status effect based on damage type
-                    if (damageType) {
-                        const statusEffectOptions = this._getStatusEffectForType(damageType, damage);
-                        if (statusEffectOptions) {
-                            EffectsManager.applyStatusEffect(this, object, statusEffectOptions);
-                        }
-                    }
-                    
-                    // Apply damage
-                    if (object.userData.takeDamage) {
-                        object.userData.takeDamage(damage, damageType);
-                    } else {
-                        // Default damage handling
-                        if (!object.userData.health) {
-                            object.userData.health = 100;
-                        }
-                        object.userData.health -= damage;
-                        console.log(`Enemy took ${damage} damage, health: ${object.userData.health}`);
-                    }
-                }
+            if (!object.userData || object.userData.type !== 'enemy') return;
+            
+            const enemy = object.userData.entity;
+            if (!enemy || !enemy.isActive || enemy.banished) return;
+            
+            // If within range, apply damage
+            if (position.distanceTo(object.position) <= range) {
+                affectedEnemies.push(enemy);
             }
         });
         
+        // Deal damage after traversing, since a killing blow changes the scene
+        affectedEnemies.forEach(enemy => {
+            this.engine.damageSystem.deal({
+                source: this.owner,
+                target: enemy,
+                amount: damage,
+                element: damageType,
+                attackName: attackName,
+                position: position
+            });
+            
+            this.recordHit(enemy);
+        });
+        
         return affectedEnemies;
     }
     
-    /**
-     * Get the appropriate status effect based on damage type
-     */
-    _getStatusEffectForType(damageType, damage) {
-        switch (damageType) {
-            case 'flame':
-            case 'magma':
-                return {
-                    type: damageType,
-                    duration: 1,
-                    tickDamage: damage * 0.1
-                };
-            case 'ice':
-                return {
-                    type: damageType,
-                    duration: 1,
-                    slowFactor: 0.5
-                };
-            case 'bomb':
-                return {
-                    type: damageType,
-                    duration: 0.5,
-                    knockback: 5
-                };
-            case 'light':
-                return {
-                    type: damageType,
-                    duration: 1,
-                    blindEffect: true
-                };
-            default:
-                return null;
-        }
-    }
-    
     /**
      * Clean up all effects created by this fruit
      */
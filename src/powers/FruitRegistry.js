@@ -0,0 +1,206 @@
+/**
+ * Registry of every fruit in the game
+ * Each fruit module exports a fruitDefinition next to its class, and the registry
+ * picks them all up - adding a fruit only means adding its module to this folder.
+ */
+
+// Every fruit module in this folder, loaded when the game starts
+const fruitModules = import.meta.glob('./*Fruit.js', { eager: true });
+
+export class FruitRegistry {
+    constructor(modules = {}) {
+        // Definitions by fruit type
+        this.fruits = new Map();
+        
+        // Base classes like Fruit.js and BeastFruit.js have no definition
+        const definitions = Object.values(modules)
+            .map(module => module.fruitDefinition)
+            .filter(Boolean);
+        
+        // Fruits everyone starts with come first, then by unlock requirement
+        definitions
+            .sort((a, b) => this._getIslandsRequired(a) - this._getIslandsRequired(b))
+            .forEach(definition => this.register(definition));
+    }
+    
+    /**
+     * Add a fruit to the registry
+     * @param {Object} definition - The fruit's registry entry
+     * @param {String} definition.type - Fruit type, also the element of its hits
+     * @param {Function} definition.FruitClass - Fruit subclass that implements the attacks
+     * @param {Object} definition.config - Name, attacks, colors, attack settings and awakenings of the fruit
+     * @param {Number} definition.power - Starting power of the player's fruit
+     * @param {String} definition.icon - Image path, relative to the assets folder
+     * @param {Number} definition.color - Color of the fruit's effects and UI
+     * @param {String} definition.emoji - Emoji shown next to the fruit's name
+     * @param {Function} definition.geometry - Creates the shape of the fruit's particles
+     * @param {Function} definition.statusEffect - (damage) => status effect of a hit, null if hits apply none
+     * @param {Object} definition.unlock - Requirement to pick the fruit, null if always available
+     * @returns {Boolean} True if the fruit was added
+     */
+    register(definition) {
+        if (!definition || !definition.type || typeof definition.FruitClass !== 'function') {
+            console.warn('Invalid fruit definition:', definition);
+            return false;
+        }
+        
+        if (this.fruits.has(definition.type)) {
+            console.warn(`Fruit type registered twice: ${definition.type}`);
+            return false;
+        }
+        
+        this.fruits.set(definition.type, {
+            ...definition,
+            name: definition.config.name,
+            attacks: definition.config.attacks,
+            unlock: definition.unlock || null
+        });
+        return true;
+    }
+    
+    /**
+     * Get the definition of a fruit type
+     */
+    get(type) {
+        return this.fruits.get(type) || null;
+    }
+    
+    /**
+     * Check if a fruit type is registered
+     */
+    has(type) {
+        return this.fruits.has(type);
+    }
+    
+    /**
+     * Get all fruit definitions
+     */
+    getAll() {
+        return [...this.fruits.values()];
+    }
+    
+    /**
+     * Get all registered fruit types
+     */
+    getTypes() {
+        return [...this.fruits.keys()];
+    }
+    
+    /**
+     * Get the image path of a fruit type
+     */
+    getIcon(type) {
+        const definition = this.get(type);
+        return definition ? definition.icon : '';
+    }
+    
+    /**
+     * Get the color of a fruit type's effects and UI
+     * @param {String} type - The fruit type
+     * @param {Number} fallback - Color for unknown types
+     */
+    getColor(type, fallback = 0xffffff) {
+        const definition = this.get(type);
+        return definition && definition.color !== undefined ? definition.color : fallback;
+    }
+    
+    /**
+     * Get the emoji of a fruit type
+     */
+    getEmoji(type) {
+        const definition = this.get(type);
+        return (definition && definition.emoji) || '🍎';
+    }
+    
+    /**
+     * Create the particle geometry of a fruit type
+     * @returns {THREE.BufferGeometry|null} The geometry, null if the type has no shape of its own
+     */
+    createGeometry(type) {
+        const definition = this.get(type);
+        return definition && definition.geometry ? definition.geometry() : null;
+    }
+    
+    /**
+     * Get the status effect a hit of a fruit type applies
+     * @param {String} type - The fruit type that dealt the damage
+     * @param {Number} damage - Damage of the hit
+     * @returns {Object|null} Status effect options, null if the type applies none
+     */
+    getStatusEffect(type, damage) {
+        const definition = this.get(type);
+        if (!definition || !definition.statusEffect) return null;
+        
+        return { type: type, ...definition.statusEffect(damage) };
+    }
+    
+    /**
+     * Get the name a fruit type's icon is loaded under in Resources
+     */
+    getTextureName(type) {
+        return `${type}Fruit`;
+    }
+    
+    /**
+     * Create the fruit class instance for a fruit config
+     * @param {Engine} engine - Game engine
+     * @param {Object} fruitConfig - Selected fruit with name, type and power
+     * @returns {Fruit|null} The fruit, null for unknown types
+     */
+    createFruit(engine, fruitConfig) {
+        const definition = this.get(fruitConfig.type);
+        if (!definition) {
+            console.warn(`Unknown fruit type: ${fruitConfig.type}`);
+            return null;
+        }
+        
+        return new definition.FruitClass(engine, fruitConfig);
+    }
+    
+    /**
+     * Get the fruits the player can pick, as plain fruit configs
+     * @param {Number} islandsCleared - Cleared island count, leave out to include locked fruits
+     */
+    getSelectableFruits(islandsCleared = Infinity) {
+        return this.getAll()
+            .filter(definition => this.isUnlocked(definition.type, islandsCleared))
+            .map(definition => ({
+                name: definition.name,
+                type: definition.type,
+                power: definition.power,
+                attacks: definition.attacks
+            }));
+    }
+    
+    /**
+     * Check if the player has met a fruit's unlock requirement
+     */
+    isUnlocked(type, islandsCleared = 0) {
+        const definition = this.get(type);
+        if (!definition) return false;
+        
+        return islandsCleared >= this._getIslandsRequired(definition);
+    }
+    
+    /**
+     * Describe what the player has to do to unlock a fruit
+     */
+    getUnlockLabel(type) {
+        const definition = this.get(type);
+        const islands = definition ? this._getIslandsRequired(definition) : 0;
+        if (islands <= 0) return '';
+        
+        return `Clear ${islands} island${islands === 1 ? '' : 's'} to unlock`;
+    }
+    
+    /**
+     * Get how many islands have to be cleared before a fruit can be picked
+     */
+    _getIslandsRequired(definition) {
+        return (definition.unlock && definition.unlock.islandsCleared) || 0;
+    }
+}
+
+// Create a singleton instance
+const fruitRegistry = new FruitRegistry(fruitModules);
+export default fruitRegistry;
\ No newline at end of file
@@ -0,0 +1,225 @@
+/**
+ * Gas Fruit power class
+ */
+import { Fruit } from './Fruit.js';
+import * as THREE from 'three';
+import fruitStore from '../lib/FruitStore.js';
+import { AttackImplementations } from './common/AttackImplementations.js';
+import { EffectsManager } from './common/EffectsManager.js';
+
+export class GasFruit extends Fruit {
+    constructor(engine, options = {}) {
+        // Get gas fruit configuration
+        const config = fruitDefinition.config;
+        
+        // Set default options for Gas Fruit
+        const gasOptions = {
+            name: options.name || config.name,
+            type: config.type,
+            power: options.power || config.power,
+            attacks: config.attacks,
+            awakenings: config.awakenings,
+            ...options
+        };
+        
+        super(engine, gasOptions);
+        
+        // Special properties for Gas Fruit
+        this.poisonDuration = config.specialProperties.poisonDuration;
+        this.cloudLifetime = config.specialProperties.cloudLifetime;
+        
+        // Store colors for attacks
+        this.colors = config.colors;
+        
+        // Store attack settings
+        this.attackSettings = config.attackSettings;
+    }
+    
+    /**
+     * Use a basic attack - Gas Puff
+     */
+    useBasicAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Basic Attack');
+            
+            // Create a gas puff projectile using common implementation
+            const gasPuff = AttackImplementations.createProjectileAttack(this, pos, dir, {
+                color: attackSettings.color || this.colors.primary,
+                speed: attackSettings.speed,
+                lifetime: attackSettings.lifetime,
+                type: this.type,
+                attackName: 'Basic Attack',
+                fruitStore: fruitStore,
+                immediateRange: attackSettings.range,
+                opacity: 0.5,
+                piercing: attackSettings.piercing,
+                homing: attackSettings.homing
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use a special attack - Poison Cloud
+     * The cloud lingers where it forms, poisoning enemies inside it
+     */
+    useSpecialAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Special Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Special Attack');
+            
+            // Form the cloud in front of the player
+            const cloudPosition = new THREE.Vector3(
+                pos.x + dir.x * attackSettings.distance,
+                pos.y,
+                pos.z + dir.z * attackSettings.distance
+            );
+            
+            // Create the first burst of gas using common implementation
+            const poisonBurst = AttackImplementations.createAreaEffectAttack(this, cloudPosition, {
+                color: this.colors.secondary,
+                radius: attackSettings.radius,
+                lifetime: attackSettings.lifetime,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Special Attack',
+                fruitStore: fruitStore
+            });
+            
+            // The cloud itself, hurting enemies every tick
+            AttackImplementations.createAwakenedEffects(this, cloudPosition, attackSettings, {
+                color: this.colors.secondary,
+                type: this.type,
+                attackName: 'Special Attack',
+                fruitStore: fruitStore
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use an ultimate attack - Toxic Fog
+     */
+    useUltimateAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
+            
+            // Create a toxic burst around the player using common implementation
+            const toxicBurst = AttackImplementations.createAreaEffectAttack(this, pos, {
+                color: this.colors.ultimate,
+                radius: attackSettings.radius,
+                lifetime: attackSettings.lifetime,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            // The fog that stays behind
+            AttackImplementations.createAwakenedEffects(this, pos, attackSettings, {
+                color: this.colors.ultimate,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            // Create gas particles
+            EffectsManager.createParticles(this, pos, {
+                count: 20,
+                color: this.colors.primary,
+                type: this.type,
+                lifetime: 2,
+                size: 0.5,
+                speed: 2
+            });
+            
+            return true;
+        });
+    }
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'gas',
+    FruitClass: GasFruit,
+    power: 9,
+    icon: 'models/fruits/GasFruit.png',
+    color: 0x99cc66,
+    emoji: '💨',
+    geometry: () => new THREE.SphereGeometry(0.6, 6, 4),
+    statusEffect: damage => ({ duration: 2, tickDamage: damage * 0.08, poison: true }),
+    unlock: { islandsCleared: 4 },
+    config: {
+        name: 'Gas Fruit',
+        type: 'gas',
+        power: 30,
+        attacks: ['Gas Puff', 'Poison Cloud', 'Toxic Fog'],
+        specialProperties: {
+            poisonDuration: 2, // seconds
+            cloudLifetime: 4
+        },
+        colors: {
+            primary: 0x99cc66,
+            secondary: 0x77aa44,
+            ultimate: 0x558822
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Gas Puff',
+                range: 3,
+                speed: 9,
+                lifetime: 1.5,
+                piercing: true // The puff drifts through every enemy in its path
+            },
+            'Special Attack': {
+                name: 'Poison Cloud',
+                radius: 4,
+                distance: 5, // how far in front of the player the cloud forms
+                lifetime: 1,
+                opacity: 0.4,
+                groundField: { radius: 4, lifetime: 4, tickInterval: 0.5, damageScale: 0.15, cloud: true, opacity: 0.35 }
+            },
+            'Ultimate Attack': {
+                name: 'Toxic Fog',
+                radius: 10,
+                lifetime: 1.5,
+                opacity: 0.4,
+                groundField: { radius: 10, lifetime: 6, tickInterval: 0.5, damageScale: 0.1, cloud: true, opacity: 0.3 }
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Choking Puff',
+                description: 'Faster gas puffs that drift toward enemies',
+                settings: { speed: 12, homing: 1 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Plague Cloud',
+                description: 'Poison clouds grow larger and linger longer',
+                settings: { radius: 6, groundField: { radius: 6, lifetime: 6, tickInterval: 0.5, damageScale: 0.15, cloud: true, opacity: 0.35 } }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Miasma',
+                description: 'Toxic Fog covers a huge area and bursts out of poison vents',
+                settings: {
+                    radius: 13,
+                    groundField: { radius: 13, lifetime: 6, tickInterval: 0.5, damageScale: 0.1, cloud: true, opacity: 0.3 },
+                    pillars: { count: 6, distance: 7, radius: 1.5, height: 4, damageScale: 0.4 }
+                }
+            }
+        ]
+    }
+};
\ No newline at end of file
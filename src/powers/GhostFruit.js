@@ -0,0 +1,226 @@
+/**
+ * Ghost Fruit power class
+ */
+import { Fruit } from './Fruit.js';
+import * as THREE from 'three';
+import fruitStore from '../lib/FruitStore.js';
+import { AttackImplementations } from './common/AttackImplementations.js';
+import { EffectsManager } from './common/EffectsManager.js';
+
+export class GhostFruit extends Fruit {
+    constructor(engine, options = {}) {
+        // Get ghost fruit configuration
+        const config = fruitDefinition.config;
+        
+        // Set default options for Ghost Fruit
+        const ghostOptions = {
+            name: options.name || config.name,
+            type: config.type,
+            power: options.power || config.power,
+            attacks: config.attacks,
+            awakenings: config.awakenings,
+            ...options
+        };
+        
+        super(engine, ghostOptions);
+        
+        // Store colors for attacks
+        this.colors = config.colors;
+        
+        // Store attack settings
+        this.attackSettings = config.attackSettings;
+    }
+    
+    /**
+     * Use a basic attack - Spirit Bolt
+     * A slow bolt that drifts after the nearest enemy
+     */
+    useBasicAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Basic Attack');
+            
+            // Create a spirit bolt projectile using common implementation
+            AttackImplementations.createProjectileAttack(this, pos, dir, {
+                color: attackSettings.color || this.colors.primary,
+                speed: attackSettings.speed,
+                lifetime: attackSettings.lifetime,
+                type: this.type,
+                attackName: 'Basic Attack',
+                fruitStore: fruitStore,
+                opacity: 0.6,
+                immediateRange: attackSettings.range,
+                piercing: attackSettings.piercing,
+                homing: attackSettings.homing
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use a special attack - Haunting Spirits
+     * Spirits rise around the player and haunt the closest enemies
+     */
+    useSpecialAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Special Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Special Attack');
+            
+            this._summonSpirits(pos, attackSettings, 'Special Attack', attackSettings.lifetime);
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use an ultimate attack - Spirit Parade
+     * A cold wave around the player, followed by a parade of spirits
+     */
+    useUltimateAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
+            
+            // Create a cold wave area effect using common implementation
+            const wave = AttackImplementations.createAreaEffectAttack(this, pos, {
+                color: this.colors.ultimate,
+                radius: attackSettings.radius,
+                lifetime: attackSettings.lifetime,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            // Pillars and ground fields from the attack settings, added by awakenings
+            AttackImplementations.createAwakenedEffects(this, pos, attackSettings, {
+                color: this.colors.secondary,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            this._summonSpirits(pos, attackSettings, 'Ultimate Attack', attackSettings.spiritLifetime);
+            
+            EffectsManager.createParticles(this, pos, {
+                count: 20,
+                color: this.colors.primary,
+                type: this.type,
+                lifetime: 1.2,
+                size: 0.3,
+                speed: 3
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Summon see-through spirits that float after enemies
+     * @param {THREE.Vector3} position - Where the spirits rise
+     * @param {Object} attackSettings - Settings of the attack summoning them
+     * @param {String} attackName - Attack whose damage the spirits' touch is based on
+     * @param {Number} lifetime - Seconds the spirits stay
+     */
+    _summonSpirits(position, attackSettings, attackName, lifetime) {
+        AttackImplementations.createSummon(this, position, {
+            name: 'Spirit',
+            color: this.colors.primary,
+            opacity: 0.55,
+            hover: true,
+            count: attackSettings.count,
+            spread: attackSettings.spread,
+            health: attackSettings.health,
+            speed: attackSettings.speed,
+            attackRange: attackSettings.attackRange,
+            attackCooldown: attackSettings.attackCooldown,
+            attackPower: fruitStore.getFruit(this.name).damageValues[attackName] * attackSettings.damageScale,
+            lifetime: lifetime
+        });
+    }
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'ghost',
+    FruitClass: GhostFruit,
+    power: 9,
+    icon: 'models/fruits/GhostFruit.png',
+    color: 0xccddff,
+    emoji: '👻',
+    geometry: () => new THREE.CapsuleGeometry(0.3, 0.4, 4, 8),
+    statusEffect: () => ({ duration: 1.5, slowFactor: 0.7 }),
+    unlock: { islandsCleared: 4 },
+    config: {
+        name: 'Ghost Fruit',
+        type: 'ghost',
+        power: 26,
+        attacks: ['Spirit Bolt', 'Haunting Spirits', 'Spirit Parade'],
+        colors: {
+            primary: 0xccddff,
+            secondary: 0x99aadd,
+            ultimate: 0xeeeeff
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Spirit Bolt',
+                range: 2,
+                speed: 9,
+                lifetime: 1.8,
+                homing: 2
+            },
+            'Special Attack': {
+                name: 'Haunting Spirits',
+                count: 2,
+                spread: 1.5,
+                health: 20,
+                speed: 6,
+                attackRange: 1.5,
+                attackCooldown: 0.8,
+                damageScale: 0.2,   // share of the attack's damage each spirit's touch deals
+                lifetime: 8
+            },
+            'Ultimate Attack': {
+                name: 'Spirit Parade',
+                radius: 6,
+                lifetime: 1.2,
+                opacity: 0.35,
+                count: 5,
+                spread: 3,
+                health: 20,
+                speed: 6,
+                attackRange: 1.5,
+                attackCooldown: 0.8,
+                damageScale: 0.2,
+                spiritLifetime: 6
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Wailing Bolt',
+                description: 'Bolts chase enemies harder and pass through one of them',
+                settings: { homing: 4, piercing: 1 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Spirit Swarm',
+                description: 'Three spirits answer the call',
+                settings: { count: 3 }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Underworld Parade',
+                description: 'A wider parade that leaves a cold mist behind',
+                settings: { radius: 8, groundField: { radius: 7, lifetime: 3, damageScale: 0.1 } }
+            }
+        ]
+    }
+};
\ No newline at end of file
@@ -0,0 +1,308 @@
+/**
+ * Gravity Fruit power class
+ */
+import { Fruit } from './Fruit.js';
+import * as THREE from 'three';
+import fruitStore from '../lib/FruitStore.js';
+import { AttackImplementations } from './common/AttackImplementations.js';
+import { EffectsManager } from './common/EffectsManager.js';
+
+export class GravityFruit extends Fruit {
+    constructor(engine, options = {}) {
+        // Get gravity fruit configuration
+        const config = fruitDefinition.config;
+        
+        // Set default options for Gravity Fruit
+        const gravityOptions = {
+            name: options.name || config.name,
+            type: config.type,
+            power: options.power || config.power,
+            attacks: config.attacks,
+            awakenings: config.awakenings,
+            ...options
+        };
+        
+        super(engine, gravityOptions);
+        
+        // Special properties for Gravity Fruit
+        this.meteorHeight = config.specialProperties.meteorHeight;
+        
+        // Store colors for attacks
+        this.colors = config.colors;
+        
+        // Store attack settings
+        this.attackSettings = config.attackSettings;
+    }
+    
+    /**
+     * Use a basic attack - Gravity Bullet
+     */
+    useBasicAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Basic Attack');
+            
+            // Create a gravity bullet projectile using common implementation
+            AttackImplementations.createProjectileAttack(this, pos, dir, {
+                color: attackSettings.color || this.colors.primary,
+                speed: attackSettings.speed,
+                lifetime: attackSettings.lifetime,
+                type: this.type,
+                attackName: 'Basic Attack',
+                fruitStore: fruitStore,
+                immediateRange: attackSettings.range,
+                piercing: attackSettings.piercing,
+                homing: attackSettings.homing
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use a special attack - Gravity Well
+     * A well opens ahead of the player and drags the enemies around it into its center
+     */
+    useSpecialAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Special Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Special Attack');
+            
+            const center = AttackImplementations.keepOnIsland(this, new THREE.Vector3(
+                pos.x + dir.x * attackSettings.distance,
+                pos.y,
+                pos.z + dir.z * attackSettings.distance
+            ));
+            
+            // Create the well's area effect using common implementation
+            const well = AttackImplementations.createAreaEffectAttack(this, center, {
+                color: this.colors.secondary,
+                radius: attackSettings.radius,
+                lifetime: attackSettings.lifetime,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Special Attack',
+                fruitStore: fruitStore
+            });
+            
+            // Everyone in reach is dragged all the way in over the pull's duration
+            this._getEnemiesNear(center, attackSettings.pullRadius).forEach(enemy => {
+                const enemyPosition = enemy.object3D.position;
+                EffectsManager.applyStatusEffect(this, enemy.object3D, {
+                    type: this.type,
+                    duration: attackSettings.pullDuration,
+                    pull: Math.hypot(center.x - enemyPosition.x, center.z - enemyPosition.z),
+                    sourcePosition: center
+                });
+            });
+            
+            EffectsManager.createParticles(this, center, {
+                count: 15,
+                color: this.colors.primary,
+                type: this.type,
+                lifetime: attackSettings.lifetime,
+                size: 0.25,
+                speed: -3
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use an ultimate attack - Meteor Fall
+     * A meteor falls ahead of the player, its shadow warning where it will land
+     */
+    useUltimateAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
+            
+            const impact = AttackImplementations.keepOnIsland(this, new THREE.Vector3(
+                pos.x + dir.x * attackSettings.distance,
+                pos.y,
+                pos.z + dir.z * attackSettings.distance
+            ));
+            this._dropMeteor(impact, attackSettings);
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Get the enemies and boss within a distance of a point
+     */
+    _getEnemiesNear(position, range) {
+        const gameState = this.engine.stateManager.getCurrentState();
+        if (!gameState) return [];
+        
+        return [...(gameState.enemies || []), gameState.boss].filter(enemy => {
+            if (!enemy || !enemy.object3D || !enemy.isActive || enemy.banished) return false;
+            
+            const enemyPosition = enemy.object3D.position;
+            return Math.hypot(enemyPosition.x - position.x, enemyPosition.z - position.z) <= range;
+        });
+    }
+    
+    /**
+     * Drop a meteor that hits everything around the impact point when it lands
+     * @param {THREE.Vector3} impact - Where the meteor lands
+     * @param {Object} attackSettings - Meteor Fall settings
+     */
+    _dropMeteor(impact, attackSettings) {
+        const scene = this.engine.renderer.scene;
+        const size = attackSettings.meteorSize;
+        
+        const meteor = new THREE.Mesh(
+            new THREE.IcosahedronGeometry(size, 1),
+            new THREE.MeshBasicMaterial({ color: this.colors.ultimate })
+        );
+        meteor.position.set(impact.x, this.meteorHeight, impact.z);
+        
+        // The shadow grows as the meteor comes down
+        const shadow = new THREE.Mesh(
+            new THREE.CircleGeometry(attackSettings.radius, 32),
+            new THREE.MeshBasicMaterial({
+                color: 0x000000,
+                transparent: true,
+                opacity: 0,
+                depthWrite: false
+            })
+        );
+        shadow.rotation.x = -Math.PI / 2;
+        shadow.position.set(impact.x, 0.02, impact.z);
+        scene.add(shadow);
+        
+        let age = 0;
+        meteor.userData.update = (deltaTime) => {
+            age += deltaTime;
+            const progress = Math.min(1, age / attackSettings.fallTime);
+            
+            // Fall faster and faster, like a real drop
+            meteor.position.y = size + (this.meteorHeight - size) * (1 - progress * progress);
+            meteor.rotation.x += deltaTime * 3;
+            meteor.rotation.z += deltaTime * 2;
+            shadow.material.opacity = 0.5 * progress;
+            shadow.scale.setScalar(0.3 + 0.7 * progress);
+            
+            if (progress < 1) return true;
+            
+            // Create the impact using common implementation
+            AttackImplementations.createAreaEffectAttack(this, impact, {
+                color: this.colors.ultimate,
+                radius: attackSettings.radius,
+                lifetime: attackSettings.lifetime,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            // Pillars and ground fields from the attack settings, added by awakenings
+            AttackImplementations.createAwakenedEffects(this, impact, attackSettings, {
+                color: this.colors.secondary,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            EffectsManager.createParticles(this, impact, {
+                count: 30,
+                color: this.colors.ultimate,
+                type: this.type,
+                lifetime: 1,
+                size: 0.4,
+                speed: 7
+            });
+            
+            scene.remove(meteor);
+            scene.remove(shadow);
+            [meteor, shadow].forEach(mesh => {
+                mesh.geometry.dispose();
+                mesh.material.dispose();
+            });
+            return false;
+        };
+        
+        this.trackEffect(meteor);
+    }
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'gravity',
+    FruitClass: GravityFruit,
+    power: 11,
+    icon: 'models/fruits/GravityFruit.png',
+    color: 0x8844cc,
+    emoji: '🪐',
+    geometry: () => new THREE.IcosahedronGeometry(0.45, 0),
+    statusEffect: () => ({ duration: 1, slowFactor: 0.6 }),
+    unlock: { islandsCleared: 6 },
+    config: {
+        name: 'Gravity Fruit',
+        type: 'gravity',
+        power: 34,
+        attacks: ['Gravity Bullet', 'Gravity Well', 'Meteor Fall'],
+        specialProperties: {
+            meteorHeight: 20 // the meteor falls from this high
+        },
+        colors: {
+            primary: 0x8844cc,
+            secondary: 0x553399,
+            ultimate: 0xaa66ff
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Gravity Bullet',
+                range: 2,
+                speed: 10,
+                lifetime: 1.5
+            },
+            'Special Attack': {
+                name: 'Gravity Well',
+                distance: 6,     // how far ahead of the player the well opens
+                radius: 2.5,
+                pullRadius: 7,   // enemies this close are dragged into the well
+                pullDuration: 1.5,
+                lifetime: 1.5,
+                opacity: 0.4
+            },
+            'Ultimate Attack': {
+                name: 'Meteor Fall',
+                distance: 8,
+                radius: 6,
+                fallTime: 1.2,   // seconds from the warning to the impact
+                meteorSize: 2,
+                lifetime: 1.2,
+                opacity: 0.5
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Gravity Orb',
+                description: 'Bullets that bend toward the nearest enemy',
+                settings: { homing: 2 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Singularity',
+                description: 'The well drags enemies in from much further away',
+                settings: { radius: 3, pullRadius: 11 }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Meteor Shower',
+                description: 'A bigger meteor that leaves a crater of crushing gravity',
+                settings: { radius: 8, meteorSize: 3, groundField: { radius: 7, lifetime: 4, damageScale: 0.1 } }
+            }
+        ]
+    }
+};
\ No newline at end of file
@@ -6,12 +6,11 @@ import * as THREE from 'three';
 import fruitStore from '../lib/FruitStore.js';
 import { AttackImplementations } from './common/AttackImplementations.js';
 import { EffectsManager } from './common/EffectsManager.js';
-import { fruitConfigurations } from './common/FruitConfigurations.js';
 
 export class IceFruit extends Fruit {
     constructor(engine, options = {}) {
         // Get ice fruit configuration
-        const config = fruitConfigurations.ice;
+        const config = fruitDefinition.config;
         
         // Set default options for Ice Fruit
         const iceOptions = {
@@ -19,6 +18,7 @@ export class IceFruit extends Fruit {
             type: config.type,
             power: options.power || config.power,
             attacks: config.attacks,
+            awakenings: config.awakenings,
             ...options
         };
         
@@ -42,17 +42,19 @@ export class IceFruit extends Fruit {
         // Use the centralized attack logic
         return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
             // Get attack settings
-            const attackSettings = this.attackSettings['Basic Attack'];
+            const attackSettings = this.getAttackSettings('Basic Attack');
             
             // Create an ice spike projectile using common implementation
             const iceSpike = AttackImplementations.createProjectileAttack(this, pos, dir, {
-                color: this.colors.primary,
+                color: attackSettings.color || this.colors.primary,
                 speed: attackSettings.speed,
                 lifetime: attackSettings.lifetime,
                 type: this.type,
                 attackName: 'Basic Attack',
                 fruitStore: fruitStore,
-                immediateRange: attackSettings.range
+                immediateRange: attackSettings.range,
+                piercing: attackSettings.piercing,
+                homing: attackSettings.homing
             });
             
             return true;
@@ -66,7 +68,7 @@ export class IceFruit extends Fruit {
         // Use the centralized attack logic
         return this._useAttack('Special Attack', position, direction, (pos, dir) => {
             // Get attack settings
-            const attackSettings = this.attackSettings['Special Attack'];
+            const attackSettings = this.getAttackSettings('Special Attack');
             
             // Create an ice wall area effect using common implementation
             const iceWall = AttackImplementations.createAreaEffectAttack(this, pos, {
@@ -100,7 +102,7 @@ export class IceFruit extends Fruit {
         // Use the centralized attack logic
         return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
             // Get attack settings
-            const attackSettings = this.attackSettings['Ultimate Attack'];
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
             
             // Create a blizzard area effect using common implementation
             const blizzard = AttackImplementations.createAreaEffectAttack(this, pos, {
@@ -113,6 +115,14 @@ export class IceFruit extends Fruit {
                 fruitStore: fruitStore
             });
             
+            // Awakened versions add their own effects
+            AttackImplementations.createAwakenedEffects(this, pos, attackSettings, {
+                color: this.colors.ultimate,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
             // Create ice particles with reduced count and lifetime
             EffectsManager.createParticles(this, pos, {
                 count: 18, // Reduced from 25
@@ -134,4 +144,75 @@ export class IceFruit extends Fruit {
         // Disabled to remove particle effects
         return null;
     }
-}
\ No newline at end of file
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'ice',
+    FruitClass: IceFruit,
+    power: 8,
+    icon: 'models/fruits/IceFruit.png',
+    color: 0x00ccff,
+    emoji: '❄️',
+    geometry: () => new THREE.OctahedronGeometry(0.5, 0),
+    statusEffect: () => ({ duration: 1, slowFactor: 0.5 }),
+    unlock: null,
+    config: {
+        name: 'Ice Fruit',
+        type: 'ice',
+        power: 35,
+        attacks: ['Ice Spike', 'Ice Wall', 'Blizzard'],
+        specialProperties: {
+            freezeDuration: 2,  // seconds
+            slowEffect: 0.5     // 50% speed reduction
+        },
+        colors: {
+            primary: 0x00ccff,
+            secondary: 0x66ddff,
+            ultimate: 0x99eeff
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Ice Spike',
+                range: 3,
+                speed: 12,
+                lifetime: 1.5
+            },
+            'Special Attack': {
+                name: 'Ice Wall',
+                radius: 4,
+                lifetime: 2,
+                opacity: 0.5
+            },
+            'Ultimate Attack': {
+                name: 'Blizzard',
+                radius: 8,
+                lifetime: 2.5,
+                opacity: 0.6
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Glacial Spike',
+                description: 'Ice spikes fly faster and pierce an extra enemy',
+                settings: { speed: 16, piercing: 1 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Frost Fortress',
+                description: 'A bigger ice wall that stands for longer',
+                settings: { radius: 6, lifetime: 3 }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Frozen Blizzard',
+                description: 'Blizzard freezes the ground, slowing every enemy that walks on it',
+                settings: { groundField: { radius: 9, lifetime: 5, damageScale: 0.05, tickInterval: 0.4 } }
+            }
+        ]
+    }
+};
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * Leopard Fruit power class
+ */
+import { BeastFruit } from './BeastFruit.js';
+import * as THREE from 'three';
+
+export class LeopardFruit extends BeastFruit {
+    constructor(engine, options = {}) {
+        // Get leopard fruit configuration
+        const config = fruitDefinition.config;
+        
+        // Set default options for Leopard Fruit
+        const leopardOptions = {
+            name: options.name || config.name,
+            type: config.type,
+            power: options.power || config.power,
+            attacks: config.attacks,
+            awakenings: config.awakenings,
+            form: config.form,
+            ...options
+        };
+        
+        super(engine, leopardOptions);
+        
+        // Store colors for attacks
+        this.colors = config.colors;
+        
+        // Store attack settings
+        this.attackSettings = config.attackSettings;
+    }
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'leopard',
+    FruitClass: LeopardFruit,
+    power: 11,
+    icon: 'models/fruits/LeopardFruit.png',
+    color: 0xffcc44,
+    emoji: '🐆',
+    geometry: () => new THREE.TetrahedronGeometry(0.5, 0),
+    statusEffect: null,
+    unlock: { islandsCleared: 3 },
+    config: {
+        name: 'Leopard Fruit',
+        type: 'leopard',
+        power: 32,
+        attacks: ['Leopard Claw', 'Body Flicker', 'Leopard Transformation'],
+        form: {
+            name: 'Leopard Form',
+            speed: 12,
+            scale: 1.3,
+            collider: { radius: 0.9, height: 2 },
+            tint: 0xffdd88,
+            attackSettings: {
+                'Basic Attack': {
+                    name: 'Rapid Claws',
+                    style: 'claw',
+                    reach: 1.8,
+                    radius: 2.2,
+                    lifetime: 0.3,
+                    opacity: 0.5
+                },
+                'Special Attack': {
+                    name: 'Pounce',
+                    style: 'pounce',
+                    distance: 10,
+                    radius: 3,
+                    opacity: 0.5
+                }
+            }
+        },
+        colors: {
+            primary: 0xffcc44,
+            secondary: 0xcc9933,
+            ultimate: 0xffe066,
+            form: 0xff9900
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Leopard Claw',
+                style: 'claw',
+                reach: 1.5,
+                radius: 1.8,
+                lifetime: 0.3,
+                opacity: 0.5
+            },
+            'Special Attack': {
+                name: 'Body Flicker',
+                style: 'pounce',
+                distance: 7,
+                radius: 2,
+                opacity: 0.4
+            },
+            'Ultimate Attack': {
+                name: 'Leopard Transformation',
+                radius: 5,
+                lifetime: 0.8,
+                opacity: 0.5,
+                duration: 12
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Flurry Claw',
+                description: 'A wider swipe',
+                settings: { radius: 2.5 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Shadow Flicker',
+                description: 'Flicker further and hit everyone around where you land',
+                settings: { distance: 10, radius: 3 }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Predator',
+                description: 'Stay in leopard form longer',
+                settings: { duration: 20 }
+            }
+        ]
+    }
+};
\ No newline at end of file
@@ -6,12 +6,11 @@ import * as THREE from 'three';
 import fruitStore from '../lib/FruitStore.js';
 import { AttackImplementations } from './common/AttackImplementations.js';
 import { EffectsManager } from './common/EffectsManager.js';
-import { fruitConfigurations } from './common/FruitConfigurations.js';
 
 export class LightFruit extends Fruit {
     constructor(engine, options = {}) {
         // Get light fruit configuration
-        const config = fruitConfigurations.light;
+        const config = fruitDefinition.config;
         
         // Set default options for Light Fruit
         const lightOptions = {
@@ -19,6 +18,9 @@ export class LightFruit extends Fruit {
             type: config.type,
             power: options.power || config.power,
             attacks: config.attacks,
+            dash: config.dash,
+            flight: config.flight,
+            awakenings: config.awakenings,
             ...options
         };
         
@@ -27,6 +29,7 @@ export class LightFruit extends Fruit {
         // Special properties for Light Fruit
         this.blindDuration = config.specialProperties.blindDuration;
         this.speedBoost = config.specialProperties.speedBoost;
+        this.speedBoostDuration = config.specialProperties.speedBoostDuration;
         
         // Store colors for attacks
         this.colors = config.colors;
@@ -42,17 +45,19 @@ export class LightFruit extends Fruit {
         // Use the centralized attack logic
         return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
             // Get attack settings
-            const attackSettings = this.attackSettings['Basic Attack'];
+            const attackSettings = this.getAttackSettings('Basic Attack');
             
             // Create a light beam projectile using common implementation
             const lightBeam = AttackImplementations.createProjectileAttack(this, pos, dir, {
-                color: this.colors.primary,
+                color: attackSettings.color || this.colors.primary,
                 speed: attackSettings.speed,
                 lifetime: attackSettings.lifetime,
                 type: this.type,
                 attackName: 'Basic Attack',
                 fruitStore: fruitStore,
-                immediateRange: attackSettings.range
+                immediateRange: attackSettings.range,
+                piercing: attackSettings.piercing,
+                homing: attackSettings.homing
             });
             
             // Create light particles with reduced count and lifetime
@@ -71,39 +76,16 @@ export class LightFruit extends Fruit {
     
     /**
      * Use a special attack - Flash Step
+     * Blinks the player ahead, hurting the enemies where they land, and leaves them faster for a while
      */
     useSpecialAttack(position, direction) {
+        // Owners that can't teleport keep the attack for later
+        if (!AttackImplementations.canBlink(this)) return false;
+        
         // Use the centralized attack logic
         return this._useAttack('Special Attack', position, direction, (pos, dir) => {
             // Get attack settings
-            const attackSettings = this.attackSettings['Special Attack'];
-            
-            // Create a flash step self-buff using common implementation
-            const flashStep = AttackImplementations.createSelfBuffAttack(this, pos, {
-                color: this.colors.secondary,
-                radius: attackSettings.radius,
-                duration: attackSettings.lifetime,
-                opacity: attackSettings.opacity,
-                type: this.type,
-                attackName: 'Special Attack',
-                fruitStore: fruitStore,
-                buffCallback: (fruit, position, damage) => {
-                    // Apply the teleport/speed boost logic here
-                    // Calculate new position based on direction
-                    const teleportDistance = 5; // 5 units forward
-                    const newPos = new THREE.Vector3(
-                        position.x + dir.x * teleportDistance,
-                        position.y + dir.y * teleportDistance,
-                        position.z + dir.z * teleportDistance
-                    );
-                    
-                    // Check for enemies at destination
-                    fruit.checkEnemiesInRange(newPos, 3, damage, fruit.type);
-                    
-                    // Apply speed boost to player (would be handled by game logic)
-                    console.log(`Speed boost applied: ${this.speedBoost}x for ${attackSettings.lifetime} seconds`);
-                }
-            });
+            const attackSettings = this.getAttackSettings('Special Attack');
             
             // Create light particles at origin with reduced count and lifetime
             EffectsManager.createParticles(this, pos, {
@@ -115,6 +97,29 @@ export class LightFruit extends Fruit {
                 speed: 3
             });
             
+            // Blink the player forward using common implementation
+            const destination = AttackImplementations.createBlink(this, dir, {
+                color: this.colors.secondary,
+                distance: attackSettings.teleportDistance,
+                hitRadius: attackSettings.hitRadius,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Special Attack',
+                fruitStore: fruitStore
+            });
+            if (!destination) return false;
+            
+            // Speed boost through the owner's buffs - enemies holding the fruit only blink
+            if (this.owner && typeof this.owner.addBuff === 'function') {
+                this.owner.addBuff({
+                    name: 'Flash Step',
+                    stat: 'speed',
+                    multiplier: this.speedBoost,
+                    duration: this.speedBoostDuration,
+                    type: this.type
+                });
+            }
+            
             return true;
         });
     }
@@ -126,7 +131,7 @@ export class LightFruit extends Fruit {
         // Use the centralized attack logic
         return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
             // Get attack settings
-            const attackSettings = this.attackSettings['Ultimate Attack'];
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
             
             // Create a solar flare area effect using common implementation
             const solarFlare = AttackImplementations.createAreaEffectAttack(this, pos, {
@@ -139,6 +144,14 @@ export class LightFruit extends Fruit {
                 fruitStore: fruitStore
             });
             
+            // Awakened versions add their own effects
+            AttackImplementations.createAwakenedEffects(this, pos, attackSettings, {
+                color: this.colors.ultimate,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
             // Create intense light particles with reduced count and lifetime
             EffectsManager.createParticles(this, pos, {
                 count: 30, // Reduced from 50
@@ -168,4 +181,86 @@ export class LightFruit extends Fruit {
         // Disabled to remove flash effects
         return null;
     }
-}
\ No newline at end of file
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'light',
+    FruitClass: LightFruit,
+    power: 7,
+    icon: 'models/fruits/LightFruit.png',
+    color: 0xffffaa,
+    emoji: '✨',
+    geometry: () => new THREE.DodecahedronGeometry(0.5, 0),
+    statusEffect: () => ({ duration: 1, blindEffect: true }),
+    unlock: null,
+    config: {
+        name: 'Light Fruit',
+        type: 'light',
+        power: 32,
+        attacks: ['Light Beam', 'Flash Step', 'Solar Flare'],
+        specialProperties: {
+            blindDuration: 2,
+            speedBoost: 1.5,
+            speedBoostDuration: 3 // seconds of speed after a Flash Step
+        },
+        dash: {
+            teleport: true, // Flash Step - blink ahead instead of dashing
+            distance: 8
+        },
+        flight: {
+            height: 2.5,          // hovers this high above the ground
+            speedMultiplier: 1.6,
+            staminaDrain: 25      // stamina per second in the air
+        },
+        colors: {
+            primary: 0xffffaa,
+            secondary: 0xffeeaa,
+            ultimate: 0xffffff
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Light Beam',
+                range: 5,
+                speed: 20,
+                lifetime: 0.8,
+                piercing: true // The beam passes through every enemy in its path
+            },
+            'Special Attack': {
+                name: 'Flash Step',
+                teleportDistance: 5,
+                hitRadius: 3,
+                opacity: 0.4
+            },
+            'Ultimate Attack': {
+                name: 'Solar Flare',
+                radius: 12,
+                lifetime: 1.5,
+                opacity: 0.8
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Prism Beam',
+                description: 'Faster beams that bend toward enemies',
+                settings: { speed: 26, lifetime: 1, homing: 1.5 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Radiant Step',
+                description: 'Flash Step reaches further and hits a wider area',
+                settings: { teleportDistance: 8, hitRadius: 4 }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Heavenly Pillars',
+                description: 'Solar Flare calls down pillars of light all around you',
+                settings: { pillars: { count: 10, distance: 8, radius: 1.2, height: 10, damageScale: 0.4, delay: 0.08 } }
+            }
+        ]
+    }
+};
\ No newline at end of file
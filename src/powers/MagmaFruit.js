@@ -6,12 +6,11 @@ import * as THREE from 'three';
 import fruitStore from '../lib/FruitStore.js';
 import { AttackImplementations } from './common/AttackImplementations.js';
 import { EffectsManager } from './common/EffectsManager.js';
-import { fruitConfigurations } from './common/FruitConfigurations.js';
 
 export class MagmaFruit extends Fruit {
     constructor(engine, options = {}) {
         // Get magma fruit configuration
-        const config = fruitConfigurations.magma;
+        const config = fruitDefinition.config;
         
         // Set default options for Magma Fruit
         const magmaOptions = {
@@ -19,6 +18,7 @@ export class MagmaFruit extends Fruit {
             type: config.type,
             power: options.power || config.power,
             attacks: config.attacks,
+            awakenings: config.awakenings,
             ...options
         };
         
@@ -43,17 +43,19 @@ export class MagmaFruit extends Fruit {
         // Use the centralized attack logic
         return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
             // Get attack settings
-            const attackSettings = this.attackSettings['Basic Attack'];
+            const attackSettings = this.getAttackSettings('Basic Attack');
             
             // Create a magma ball projectile using common implementation
             const magmaBall = AttackImplementations.createProjectileAttack(this, pos, dir, {
-                color: this.colors.primary,
+                color: attackSettings.color || this.colors.primary,
                 speed: attackSettings.speed,
                 lifetime: attackSettings.lifetime,
                 type: this.type,
                 attackName: 'Basic Attack',
                 fruitStore: fruitStore,
-                immediateRange: attackSettings.range
+                immediateRange: attackSettings.range,
+                piercing: attackSettings.piercing,
+                homing: attackSettings.homing
             });
             
             // Create magma particles with reduced count and lifetime
@@ -77,7 +79,7 @@ export class MagmaFruit extends Fruit {
         // Use the centralized attack logic
         return this._useAttack('Special Attack', position, direction, (pos, dir) => {
             // Get attack settings
-            const attackSettings = this.attackSettings['Special Attack'];
+            const attackSettings = this.getAttackSettings('Special Attack');
             
             // Create a lava field in front of the player
             const fieldPosition = new THREE.Vector3(
@@ -97,6 +99,14 @@ export class MagmaFruit extends Fruit {
                 fruitStore: fruitStore
             });
             
+            // Awakened versions add their own effects
+            AttackImplementations.createAwakenedEffects(this, fieldPosition, attackSettings, {
+                color: this.colors.secondary,
+                type: this.type,
+                attackName: 'Special Attack',
+                fruitStore: fruitStore
+            });
+            
             // Create magma particles with reduced count and lifetime
             EffectsManager.createParticles(this, fieldPosition, {
                 count: 15, // Reduced from 20
@@ -118,7 +128,7 @@ export class MagmaFruit extends Fruit {
         // Use the centralized attack logic
         return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
             // Get attack settings
-            const attackSettings = this.attackSettings['Ultimate Attack'];
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
             
             // Create a volcanic eruption area effect using common implementation
             const volcanicEruption = AttackImplementations.createAreaEffectAttack(this, pos, {
@@ -131,6 +141,14 @@ export class MagmaFruit extends Fruit {
                 fruitStore: fruitStore
             });
             
+            // Awakened versions add their own effects
+            AttackImplementations.createAwakenedEffects(this, pos, attackSettings, {
+                color: this.colors.ultimate,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
             // Create intense magma particles erupting upward with reduced count and lifetime
             EffectsManager.createParticles(this, pos, {
                 count: 25, // Reduced from 35
@@ -184,4 +202,76 @@ export class MagmaFruit extends Fruit {
         // Disabled to remove particle effects
         return null;
     }
-}
\ No newline at end of file
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'magma',
+    FruitClass: MagmaFruit,
+    power: 12,
+    icon: 'models/fruits/MagmaFruit.png',
+    color: 0xff3300,
+    emoji: '🌋',
+    geometry: () => new THREE.IcosahedronGeometry(0.5, 0),
+    statusEffect: damage => ({ duration: 1, tickDamage: damage * 0.1 }),
+    unlock: null,
+    config: {
+        name: 'Magma Fruit',
+        type: 'magma',
+        power: 42,
+        attacks: ['Magma Ball', 'Lava Slam', 'Volcanic Eruption'],
+        specialProperties: {
+            burnDuration: 4,
+            burnDamage: 3,
+            terrainDamage: true
+        },
+        colors: {
+            primary: 0xff3300,
+            secondary: 0xdd2200,
+            ultimate: 0xbb1100
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Magma Ball',
+                range: 3,
+                speed: 12,
+                lifetime: 2
+            },
+            'Special Attack': {
+                name: 'Lava Slam',
+                radius: 6,
+                lifetime: 2.5,
+                opacity: 0.7
+            },
+            'Ultimate Attack': {
+                name: 'Volcanic Eruption',
+                radius: 10,
+                lifetime: 3,
+                opacity: 0.8
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Magma Meteor',
+                description: 'Heavier magma balls that smash through an extra enemy',
+                settings: { speed: 14, piercing: 1 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Lava Pool',
+                description: 'Lava Slam leaves a pool of lava that keeps burning',
+                settings: { groundField: { radius: 6, lifetime: 4, damageScale: 0.1 } }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Volcanic Fury',
+                description: 'Volcanic Eruption bursts out of magma geysers around you',
+                settings: { pillars: { count: 6, distance: 5, radius: 1.8, height: 6, damageScale: 0.6, delay: 0.2 } }
+            }
+        ]
+    }
+};
\ No newline at end of file
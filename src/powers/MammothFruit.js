@@ -0,0 +1,128 @@
+/**
+ * Mammoth Fruit power class
+ */
+import { BeastFruit } from './BeastFruit.js';
+import * as THREE from 'three';
+
+export class MammothFruit extends BeastFruit {
+    constructor(engine, options = {}) {
+        // Get mammoth fruit configuration
+        const config = fruitDefinition.config;
+        
+        // Set default options for Mammoth Fruit
+        const mammothOptions = {
+            name: options.name || config.name,
+            type: config.type,
+            power: options.power || config.power,
+            attacks: config.attacks,
+            awakenings: config.awakenings,
+            form: config.form,
+            ...options
+        };
+        
+        super(engine, mammothOptions);
+        
+        // Store colors for attacks
+        this.colors = config.colors;
+        
+        // Store attack settings
+        this.attackSettings = config.attackSettings;
+    }
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'mammoth',
+    FruitClass: MammothFruit,
+    power: 12,
+    icon: 'models/fruits/MammothFruit.png',
+    color: 0x996655,
+    emoji: '🦣',
+    geometry: () => new THREE.TetrahedronGeometry(0.5, 0),
+    statusEffect: () => ({ duration: 0.5, knockback: 5 }),
+    unlock: { islandsCleared: 4 },
+    config: {
+        name: 'Mammoth Fruit',
+        type: 'mammoth',
+        power: 34,
+        attacks: ['Trunk Slap', 'Tusk Charge', 'Mammoth Transformation'],
+        form: {
+            name: 'Mammoth Form',
+            speed: 4.5,
+            scale: 2.2,
+            collider: { radius: 1.7, height: 3.2 },
+            armor: 0.5,
+            tint: 0xddbb99,
+            attackSettings: {
+                'Basic Attack': {
+                    name: 'Tusk Sweep',
+                    style: 'claw',
+                    reach: 2,
+                    radius: 3,
+                    lifetime: 0.5,
+                    opacity: 0.6
+                },
+                'Special Attack': {
+                    name: 'Earthquake Stomp',
+                    style: 'stomp',
+                    radius: 8,
+                    lifetime: 1.2,
+                    opacity: 0.4
+                }
+            }
+        },
+        colors: {
+            primary: 0x996655,
+            secondary: 0x776655,
+            ultimate: 0xbb8866,
+            form: 0xeeddcc
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Trunk Slap',
+                style: 'claw',
+                reach: 1.5,
+                radius: 2,
+                lifetime: 0.4,
+                opacity: 0.5
+            },
+            'Special Attack': {
+                name: 'Tusk Charge',
+                style: 'pounce',
+                distance: 6,
+                radius: 2.5,
+                opacity: 0.5
+            },
+            'Ultimate Attack': {
+                name: 'Mammoth Transformation',
+                radius: 6,
+                lifetime: 1,
+                opacity: 0.5,
+                duration: 15
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Heavy Trunk',
+                description: 'A slap that reaches further',
+                settings: { reach: 2.2, radius: 2.5 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Stampede',
+                description: 'Charge further and hit a wider area',
+                settings: { distance: 9, radius: 3.5 }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Ice Age Titan',
+                description: 'Stay in mammoth form longer and leave frozen ground when transforming',
+                settings: { duration: 22, groundField: { radius: 7, lifetime: 4, damageScale: 0.1 } }
+            }
+        ]
+    }
+};
\ No newline at end of file
@@ -0,0 +1,311 @@
+/**
+ * Phoenix Fruit power class
+ */
+import { Fruit } from './Fruit.js';
+import * as THREE from 'three';
+import fruitStore from '../lib/FruitStore.js';
+import { AttackImplementations } from './common/AttackImplementations.js';
+import { EffectsManager } from './common/EffectsManager.js';
+
+export class PhoenixFruit extends Fruit {
+    constructor(engine, options = {}) {
+        // Get phoenix fruit configuration
+        const config = fruitDefinition.config;
+        
+        // Set default options for Phoenix Fruit
+        const phoenixOptions = {
+            name: options.name || config.name,
+            type: config.type,
+            power: options.power || config.power,
+            attacks: config.attacks,
+            awakenings: config.awakenings,
+            passive: config.passive,
+            flight: config.flight,
+            ...options
+        };
+        
+        super(engine, phoenixOptions);
+        
+        // Store colors for attacks
+        this.colors = config.colors;
+        
+        // Store attack settings
+        this.attackSettings = config.attackSettings;
+        
+        // Regeneration builds up and heals once per interval
+        this.regenTimer = 0;
+        
+        // Aura currently around the owner, replaced when a new one is lit
+        this.activeAura = null;
+    }
+    
+    /**
+     * Use a basic attack - Phoenix Flame
+     */
+    useBasicAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Basic Attack');
+            
+            // Create a blue flame projectile using common implementation
+            AttackImplementations.createProjectileAttack(this, pos, dir, {
+                color: attackSettings.color || this.colors.primary,
+                speed: attackSettings.speed,
+                lifetime: attackSettings.lifetime,
+                type: this.type,
+                attackName: 'Basic Attack',
+                fruitStore: fruitStore,
+                immediateRange: attackSettings.range,
+                piercing: attackSettings.piercing,
+                homing: attackSettings.homing
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use a special attack - Healing Flame
+     * An aura of flame that stays with the player and heals them
+     */
+    useSpecialAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Special Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Special Attack');
+            
+            // Light the aura using common implementation
+            AttackImplementations.createSelfBuffAttack(this, pos, {
+                color: this.colors.secondary,
+                radius: attackSettings.radius,
+                duration: 0.6,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Special Attack',
+                fruitStore: fruitStore,
+                buffCallback: () => this._createHealingAura(attackSettings)
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use an ultimate attack - Phoenix Blaze
+     * A blaze of blue flame that burns enemies around the player and heals them
+     */
+    useUltimateAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
+            
+            // Create a blaze area effect using common implementation
+            const blaze = AttackImplementations.createAreaEffectAttack(this, pos, {
+                color: this.colors.ultimate,
+                radius: attackSettings.radius,
+                lifetime: attackSettings.lifetime,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            // Pillars and ground fields from the attack settings, added by awakenings
+            AttackImplementations.createAwakenedEffects(this, pos, attackSettings, {
+                color: this.colors.primary,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            this.engine.damageSystem.heal({
+                source: this.owner,
+                target: this.owner,
+                amount: attackSettings.heal,
+                attackName: 'Ultimate Attack'
+            });
+            
+            EffectsManager.createParticles(this, pos, {
+                count: 30,
+                color: this.colors.secondary,
+                type: this.type,
+                lifetime: 1.2,
+                size: 0.35,
+                speed: 5
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Regenerate the owner's health while they're out of combat
+     */
+    updatePassive(deltaTime, owner) {
+        if (!this.passive || owner.isActive === false || typeof owner.isInCombat !== 'function') return;
+        
+        // Any fight starts the wait over
+        if (owner.isInCombat() || owner.health >= owner.maxHealth) {
+            this.regenTimer = 0;
+            return;
+        }
+        
+        this.regenTimer += deltaTime;
+        if (this.regenTimer < this.passive.interval) return;
+        
+        this.regenTimer -= this.passive.interval;
+        this.engine.damageSystem.heal({
+            source: owner,
+            target: owner,
+            amount: this.passive.healPerSecond * this.passive.interval,
+            attackName: this.passive.name
+        });
+    }
+    
+    /**
+     * Surround the owner with flames that heal them every half second
+     * @param {Object} attackSettings - Healing Flame settings with radius, healPerSecond and lifetime
+     */
+    _createHealingAura(attackSettings) {
+        const owner = this.owner;
+        if (!owner || !owner.object3D) return;
+        
+        // Only one aura at a time
+        if (this.activeAura) {
+            this.activeAura.userData.expired = true;
+        }
+        
+        const aura = new THREE.Mesh(
+            new THREE.CylinderGeometry(attackSettings.radius, attackSettings.radius, 0.6, 32, 1, true),
+            new THREE.MeshBasicMaterial({
+                color: this.colors.primary,
+                transparent: true,
+                opacity: attackSettings.opacity,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        );
+        aura.position.y = 0.3;
+        owner.object3D.add(aura);
+        this.activeAura = aura;
+        
+        const tickInterval = 0.5;
+        let tickTimer = 0;
+        let age = 0;
+        aura.userData.update = (deltaTime) => {
+            age += deltaTime;
+            tickTimer += deltaTime;
+            
+            // Flicker like a flame
+            aura.scale.y = 1 + Math.sin(age * 12) * 0.25;
+            
+            while (tickTimer >= tickInterval) {
+                tickTimer -= tickInterval;
+                this.engine.damageSystem.heal({
+                    source: owner,
+                    target: owner,
+                    amount: attackSettings.healPerSecond * tickInterval,
+                    attackName: 'Special Attack'
+                });
+            }
+            
+            if (age >= attackSettings.lifetime || aura.userData.expired || owner.isActive === false) {
+                owner.object3D.remove(aura);
+                aura.geometry.dispose();
+                aura.material.dispose();
+                if (this.activeAura === aura) {
+                    this.activeAura = null;
+                }
+                return false;
+            }
+            return true;
+        };
+        
+        // The aura is a child of the owner, so it's pushed straight onto the update list
+        if (!this.engine.effectsToUpdate) {
+            this.engine.effectsToUpdate = [];
+        }
+        this.engine.effectsToUpdate.push(aura);
+    }
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'phoenix',
+    FruitClass: PhoenixFruit,
+    power: 9,
+    icon: 'models/fruits/PhoenixFruit.png',
+    color: 0x33aaff,
+    emoji: '🐦‍🔥',
+    geometry: () => new THREE.ConeGeometry(0.4, 0.9, 8),
+    statusEffect: damage => ({ duration: 1, tickDamage: damage * 0.1 }),
+    unlock: { islandsCleared: 7 },
+    config: {
+        name: 'Phoenix Fruit',
+        type: 'phoenix',
+        power: 30,
+        attacks: ['Phoenix Flame', 'Healing Flame', 'Phoenix Blaze'],
+        passive: {
+            name: 'Blue Flame Regeneration',
+            healPerSecond: 2,  // only out of combat
+            interval: 1        // seconds between heals
+        },
+        flight: {
+            height: 3,
+            speedMultiplier: 1.4,
+            staminaDrain: 15
+        },
+        colors: {
+            primary: 0x33aaff,
+            secondary: 0xffcc33,
+            ultimate: 0x66ddff
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Phoenix Flame',
+                range: 2,
+                speed: 12,
+                lifetime: 1.5
+            },
+            'Special Attack': {
+                name: 'Healing Flame',
+                radius: 3,
+                healPerSecond: 6,
+                lifetime: 5,
+                opacity: 0.35
+            },
+            'Ultimate Attack': {
+                name: 'Phoenix Blaze',
+                radius: 8,
+                lifetime: 1.5,
+                opacity: 0.5,
+                heal: 25 // health restored to the player by the blaze
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Phoenix Talon',
+                description: 'The flame cuts through an enemy and keeps going',
+                settings: { speed: 15, piercing: 1 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Flame of Restoration',
+                description: 'A wider aura that heals faster',
+                settings: { radius: 4.5, healPerSecond: 10 }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Phoenix Rebirth',
+                description: 'A bigger blaze that heals more and leaves blue flames on the ground',
+                settings: { radius: 10, heal: 45, groundField: { radius: 5, lifetime: 4, damageScale: 0.1 } }
+            }
+        ]
+    }
+};
\ No newline at end of file
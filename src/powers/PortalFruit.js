@@ -0,0 +1,259 @@
+/**
+ * Portal Fruit power class
+ */
+import { Fruit } from './Fruit.js';
+import * as THREE from 'three';
+import fruitStore from '../lib/FruitStore.js';
+import { AttackImplementations } from './common/AttackImplementations.js';
+import { EffectsManager } from './common/EffectsManager.js';
+
+export class PortalFruit extends Fruit {
+    constructor(engine, options = {}) {
+        // Get portal fruit configuration
+        const config = fruitDefinition.config;
+        
+        // Set default options for Portal Fruit
+        const portalOptions = {
+            name: options.name || config.name,
+            type: config.type,
+            power: options.power || config.power,
+            attacks: config.attacks,
+            awakenings: config.awakenings,
+            ...options
+        };
+        
+        super(engine, portalOptions);
+        
+        // Special properties for Portal Fruit
+        this.portalHeight = config.specialProperties.portalHeight;
+        this.spinSpeed = config.specialProperties.spinSpeed;
+        
+        // Store colors for attacks
+        this.colors = config.colors;
+        
+        // Store attack settings
+        this.attackSettings = config.attackSettings;
+    }
+    
+    /**
+     * Use a basic attack - Portal Blink
+     */
+    useBasicAttack(position, direction) {
+        // Owners that can't teleport keep the attack for later
+        if (!AttackImplementations.canBlink(this)) return false;
+        
+        // Use the centralized attack logic
+        return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Basic Attack');
+            
+            // Blink the player forward using common implementation
+            const destination = AttackImplementations.createBlink(this, dir, {
+                color: this.colors.primary,
+                distance: attackSettings.distance,
+                hitRadius: attackSettings.hitRadius,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Basic Attack',
+                fruitStore: fruitStore
+            });
+            
+            return destination !== null;
+        });
+    }
+    
+    /**
+     * Use a special attack - Portal Link
+     * Opens a portal in front of the player, linked to a second one further along the aim
+     */
+    useSpecialAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Special Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Special Attack');
+            
+            const entrance = AttackImplementations.keepOnIsland(this, new THREE.Vector3(pos.x + dir.x, 0, pos.z + dir.z));
+            const exit = AttackImplementations.keepOnIsland(this, new THREE.Vector3(
+                pos.x + dir.x * attackSettings.distance,
+                0,
+                pos.z + dir.z * attackSettings.distance
+            ));
+            
+            // Link the two portals using common implementation
+            AttackImplementations.createLinkedPortals(this, entrance, exit, {
+                radius: attackSettings.radius,
+                lifetime: attackSettings.lifetime,
+                spinSpeed: this.spinSpeed,
+                createMesh: () => this._createPortalMesh()
+            });
+            
+            // Create portal particles at both ends
+            [entrance, exit].forEach(end => {
+                EffectsManager.createParticles(this, end, {
+                    count: 8,
+                    color: this.colors.secondary,
+                    type: this.type,
+                    lifetime: 0.6,
+                    size: 0.2,
+                    speed: 3
+                });
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use an ultimate attack - Dimension Rift
+     * Enemies caught in the rift are dragged through it to its center
+     */
+    useUltimateAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
+            
+            // Remember who the rift hits, they're pulled in after the damage
+            const attack = this.currentAttack;
+            
+            // Create a dimension rift area effect using common implementation
+            const rift = AttackImplementations.createAreaEffectAttack(this, pos, {
+                color: this.colors.ultimate,
+                radius: attackSettings.radius,
+                lifetime: attackSettings.lifetime,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            // Pillars and ground fields from the attack settings, added by awakenings
+            AttackImplementations.createAwakenedEffects(this, pos, attackSettings, {
+                color: this.colors.ultimate,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            // Drop every surviving enemy that was hit next to the rift's center
+            attack.hitTargets.forEach(enemy => {
+                if (!enemy.isActive) return;
+                
+                const angle = Math.random() * Math.PI * 2;
+                enemy.teleport({ x: pos.x + Math.cos(angle) * 1.5, z: pos.z + Math.sin(angle) * 1.5 });
+            });
+            
+            // Create rift particles
+            EffectsManager.createParticles(this, pos, {
+                count: 25,
+                color: this.colors.ultimate,
+                type: this.type,
+                lifetime: 1,
+                size: 0.35,
+                speed: 5
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Create a swirling portal - an upright ring around a glowing disc
+     */
+    _createPortalMesh() {
+        const portal = new THREE.Group();
+        const radius = this.portalHeight / 2;
+        
+        const ring = new THREE.Mesh(
+            new THREE.TorusGeometry(radius, 0.15, 8, 32),
+            new THREE.MeshBasicMaterial({ color: this.colors.primary, transparent: true, opacity: 0.9 })
+        );
+        const disc = new THREE.Mesh(
+            new THREE.CircleGeometry(radius, 32),
+            new THREE.MeshBasicMaterial({
+                color: this.colors.secondary,
+                transparent: true,
+                opacity: 0.5,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        );
+        ring.position.y = radius;
+        disc.position.y = radius;
+        portal.add(ring);
+        portal.add(disc);
+        
+        return portal;
+    }
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'portal',
+    FruitClass: PortalFruit,
+    power: 8,
+    icon: 'models/fruits/PortalFruit.png',
+    color: 0x66ccff,
+    emoji: '🌀',
+    geometry: () => new THREE.TorusGeometry(0.4, 0.1, 8, 16),
+    statusEffect: null,
+    unlock: { islandsCleared: 3 },
+    config: {
+        name: 'Portal Fruit',
+        type: 'portal',
+        power: 28,
+        attacks: ['Portal Blink', 'Portal Link', 'Dimension Rift'],
+        specialProperties: {
+            portalHeight: 2.5, // height of the portal rings
+            spinSpeed: 2
+        },
+        colors: {
+            primary: 0x66ccff,
+            secondary: 0x3399ff,
+            ultimate: 0x9966ff
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Portal Blink',
+                distance: 5, // how far the player blinks
+                hitRadius: 2,
+                opacity: 0.5
+            },
+            'Special Attack': {
+                name: 'Portal Link',
+                distance: 12, // how far in front of the player the exit portal opens
+                radius: 1.5,
+                lifetime: 6
+            },
+            'Ultimate Attack': {
+                name: 'Dimension Rift',
+                radius: 10,
+                lifetime: 1.5,
+                opacity: 0.4
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Phase Blink',
+                description: 'Blink further and hit everything around where you land',
+                settings: { distance: 7, hitRadius: 3 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Stable Link',
+                description: 'Wider portals that stay open longer and further apart',
+                settings: { distance: 16, radius: 2.2, lifetime: 10 }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Rift Collapse',
+                description: 'The rift tears open wider and crushes enemies with pillars of light',
+                settings: { radius: 13, pillars: { count: 6, distance: 6, radius: 1.5, height: 6, damageScale: 0.4 } }
+            }
+        ]
+    }
+};
\ No newline at end of file
@@ -0,0 +1,222 @@
+/**
+ * Revive Fruit power class
+ */
+import { Fruit } from './Fruit.js';
+import * as THREE from 'three';
+import fruitStore from '../lib/FruitStore.js';
+import { AttackImplementations } from './common/AttackImplementations.js';
+import { EffectsManager } from './common/EffectsManager.js';
+
+export class ReviveFruit extends Fruit {
+    constructor(engine, options = {}) {
+        // Get revive fruit configuration
+        const config = fruitDefinition.config;
+        
+        // Set default options for Revive Fruit
+        const reviveOptions = {
+            name: options.name || config.name,
+            type: config.type,
+            power: options.power || config.power,
+            attacks: config.attacks,
+            awakenings: config.awakenings,
+            passive: config.passive,
+            ...options
+        };
+        
+        super(engine, reviveOptions);
+        
+        // Store colors for attacks
+        this.colors = config.colors;
+        
+        // Store attack settings
+        this.attackSettings = config.attackSettings;
+        
+        // Revivals left - the fruit is created again on every island
+        this.revivesLeft = this.passive ? this.passive.revives : 0;
+    }
+    
+    /**
+     * Use a basic attack - Soul Note
+     */
+    useBasicAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Basic Attack');
+            
+            // Create a soul note projectile using common implementation
+            AttackImplementations.createProjectileAttack(this, pos, dir, {
+                color: attackSettings.color || this.colors.primary,
+                speed: attackSettings.speed,
+                lifetime: attackSettings.lifetime,
+                type: this.type,
+                attackName: 'Basic Attack',
+                fruitStore: fruitStore,
+                immediateRange: attackSettings.range,
+                piercing: attackSettings.piercing,
+                homing: attackSettings.homing
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use a special attack - Soul Chill
+     * A cold breath from the other side that slows the enemies it touches
+     */
+    useSpecialAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Special Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Special Attack');
+            
+            // Create a soul chill area effect using common implementation
+            const chill = AttackImplementations.createAreaEffectAttack(this, pos, {
+                color: this.colors.secondary,
+                radius: attackSettings.radius,
+                lifetime: attackSettings.lifetime,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Special Attack',
+                fruitStore: fruitStore
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use an ultimate attack - Soul Parade
+     */
+    useUltimateAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
+            
+            // Create a soul parade area effect using common implementation
+            const parade = AttackImplementations.createAreaEffectAttack(this, pos, {
+                color: this.colors.ultimate,
+                radius: attackSettings.radius,
+                lifetime: attackSettings.lifetime,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            // Pillars and ground fields from the attack settings, added by awakenings
+            AttackImplementations.createAwakenedEffects(this, pos, attackSettings, {
+                color: this.colors.secondary,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            EffectsManager.createParticles(this, pos, {
+                count: 25,
+                color: this.colors.primary,
+                type: this.type,
+                lifetime: 1.2,
+                size: 0.3,
+                speed: 4
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Bring the owner back once with part of their health, instead of the game ending
+     */
+    onOwnerDeath(owner) {
+        if (this.revivesLeft <= 0 || typeof owner.revive !== 'function') return false;
+        
+        this.revivesLeft--;
+        owner.revive(this.passive.healthFraction, this);
+        
+        EffectsManager.createParticles(this, owner.getPosition(), {
+            count: 30,
+            color: this.colors.primary,
+            type: this.type,
+            lifetime: 1.5,
+            size: 0.3,
+            speed: 3
+        });
+        
+        return true;
+    }
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'revive',
+    FruitClass: ReviveFruit,
+    power: 8,
+    icon: 'models/fruits/ReviveFruit.png',
+    color: 0xeeeeff,
+    emoji: '👻',
+    geometry: () => new THREE.SphereGeometry(0.5, 12, 12),
+    statusEffect: () => ({ duration: 1.5, slowFactor: 0.7 }),
+    unlock: { islandsCleared: 8 },
+    config: {
+        name: 'Revive Fruit',
+        type: 'revive',
+        power: 28,
+        attacks: ['Soul Note', 'Soul Chill', 'Soul Parade'],
+        passive: {
+            name: 'Second Life',
+            revives: 1,          // revivals per island
+            healthFraction: 0.4  // share of max health the player comes back with
+        },
+        colors: {
+            primary: 0xeeeeff,
+            secondary: 0x99aacc,
+            ultimate: 0xccccff
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Soul Note',
+                range: 2,
+                speed: 11,
+                lifetime: 1.5
+            },
+            'Special Attack': {
+                name: 'Soul Chill',
+                radius: 5,
+                lifetime: 1,
+                opacity: 0.4
+            },
+            'Ultimate Attack': {
+                name: 'Soul Parade',
+                radius: 9,
+                lifetime: 1.5,
+                opacity: 0.5
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Soul Chorus',
+                description: 'Notes that find their way to the nearest enemy',
+                settings: { homing: 2 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Soul Frost',
+                description: 'The chill reaches further',
+                settings: { radius: 7 }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Soul Requiem',
+                description: 'A larger parade that raises pillars of spirit',
+                settings: { radius: 12, pillars: { count: 8, distance: 7, radius: 1, height: 5, damageScale: 0.4 } }
+            }
+        ]
+    }
+};
\ No newline at end of file
@@ -0,0 +1,294 @@
+/**
+ * String Fruit power class
+ */
+import { Fruit } from './Fruit.js';
+import * as THREE from 'three';
+import fruitStore from '../lib/FruitStore.js';
+import { AttackImplementations } from './common/AttackImplementations.js';
+import { EffectsManager } from './common/EffectsManager.js';
+
+export class StringFruit extends Fruit {
+    constructor(engine, options = {}) {
+        // Get string fruit configuration
+        const config = fruitDefinition.config;
+        
+        // Set default options for String Fruit
+        const stringOptions = {
+            name: options.name || config.name,
+            type: config.type,
+            power: options.power || config.power,
+            attacks: config.attacks,
+            awakenings: config.awakenings,
+            ...options
+        };
+        
+        super(engine, stringOptions);
+        
+        // Store colors for attacks
+        this.colors = config.colors;
+        
+        // Store attack settings
+        this.attackSettings = config.attackSettings;
+    }
+    
+    /**
+     * Use a basic attack - String Bind
+     * Strings shoot out and tie down the closest enemy in front of the player
+     */
+    useBasicAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Basic Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Basic Attack');
+            
+            // Only enemies roughly in the aim direction can be caught
+            const target = this._getEnemiesNear(pos, attackSettings.range).find(enemy => {
+                const toEnemy = new THREE.Vector3(
+                    enemy.object3D.position.x - pos.x,
+                    0,
+                    enemy.object3D.position.z - pos.z
+                ).normalize();
+                return toEnemy.dot(new THREE.Vector3(dir.x, 0, dir.z).normalize()) > 0.8;
+            });
+            if (!target) return false;
+            
+            this._hit(target, 'Basic Attack');
+            EffectsManager.applyStatusEffect(this, target.object3D, {
+                type: 'tether',
+                duration: attackSettings.duration,
+                tetherAnchor: target.object3D.position,
+                tetherLength: attackSettings.tetherLength
+            });
+            
+            // The string stays between the player and the enemy while it's bound
+            this._createString(this.owner, target, attackSettings.duration, this.colors.primary);
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use a special attack - Puppet Link
+     * Two enemies ahead are strung together, and a hit on one hurts the other too
+     */
+    useSpecialAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Special Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Special Attack');
+            
+            const center = new THREE.Vector3(
+                pos.x + dir.x * attackSettings.distance,
+                pos.y,
+                pos.z + dir.z * attackSettings.distance
+            );
+            
+            // It takes two to link
+            const pair = this._getEnemiesNear(center, attackSettings.range).slice(0, 2);
+            if (pair.length < 2) return false;
+            
+            // Both take the hit before they're linked, so neither takes it twice
+            pair.forEach(enemy => this._hit(enemy, 'Special Attack'));
+            pair.forEach((enemy, index) => {
+                EffectsManager.applyStatusEffect(this, enemy.object3D, {
+                    type: 'link',
+                    duration: attackSettings.duration,
+                    linkedTo: pair[1 - index],
+                    linkShare: attackSettings.share
+                });
+            });
+            
+            this._createString(pair[0], pair[1], attackSettings.duration, this.colors.secondary);
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Use an ultimate attack - Bird Cage
+     * A cage of strings drops around the player, and nobody inside it can move
+     */
+    useUltimateAttack(position, direction) {
+        // Use the centralized attack logic
+        return this._useAttack('Ultimate Attack', position, direction, (pos, dir) => {
+            // Get attack settings
+            const attackSettings = this.getAttackSettings('Ultimate Attack');
+            
+            // Create the cage's area effect using common implementation
+            const cage = AttackImplementations.createAreaEffectAttack(this, pos, {
+                color: this.colors.ultimate,
+                radius: attackSettings.radius,
+                lifetime: attackSettings.lifetime,
+                opacity: attackSettings.opacity,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            // Pillars and ground fields from the attack settings, added by awakenings
+            AttackImplementations.createAwakenedEffects(this, pos, attackSettings, {
+                color: this.colors.secondary,
+                type: this.type,
+                attackName: 'Ultimate Attack',
+                fruitStore: fruitStore
+            });
+            
+            this._getEnemiesNear(pos, attackSettings.radius).forEach(enemy => {
+                EffectsManager.applyStatusEffect(this, enemy.object3D, {
+                    type: 'root',
+                    duration: attackSettings.rootDuration,
+                    root: true
+                });
+            });
+            
+            EffectsManager.createParticles(this, pos, {
+                count: 25,
+                color: this.colors.primary,
+                type: this.type,
+                lifetime: 1,
+                size: 0.2,
+                speed: 5
+            });
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Get the enemies and boss within a distance of a point, closest first
+     */
+    _getEnemiesNear(position, range) {
+        const gameState = this.engine.stateManager.getCurrentState();
+        if (!gameState) return [];
+        
+        const distanceTo = enemy => Math.hypot(enemy.object3D.position.x - position.x, enemy.object3D.position.z - position.z);
+        
+        return [...(gameState.enemies || []), gameState.boss]
+            .filter(enemy => enemy && enemy.object3D && enemy.isActive && !enemy.banished && distanceTo(enemy) <= range)
+            .sort((a, b) => distanceTo(a) - distanceTo(b));
+    }
+    
+    /**
+     * Deal an attack's damage to one enemy through the damage system
+     */
+    _hit(enemy, attackName) {
+        this.engine.damageSystem.deal({
+            source: this.owner,
+            target: enemy,
+            amount: fruitStore.getFruit(this.name).damageValues[attackName],
+            element: this.type,
+            attackName: attackName,
+            position: this.owner.object3D.position.clone()
+        });
+        this.recordHit(enemy);
+    }
+    
+    /**
+     * Draw a string between two entities for a while, or until one of them is gone
+     * @param {Object} from - Entity the string starts at
+     * @param {Object} to - Entity the string ends at
+     * @param {Number} duration - Seconds the string lasts
+     * @param {Number} color - Color of the string
+     */
+    _createString(from, to, duration, color) {
+        const geometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+        const string = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: color }));
+        // The ends move every frame, so the bounds computed here go stale
+        string.frustumCulled = false;
+        
+        // Strings hang at chest height
+        const placeEnds = () => {
+            const start = from.object3D.position;
+            const end = to.object3D.position;
+            geometry.attributes.position.setXYZ(0, start.x, start.y + 1, start.z);
+            geometry.attributes.position.setXYZ(1, end.x, end.y + 1, end.z);
+            geometry.attributes.position.needsUpdate = true;
+        };
+        placeEnds();
+        
+        let age = 0;
+        string.userData.update = (deltaTime) => {
+            age += deltaTime;
+            placeEnds();
+            
+            if (age >= duration || from.isActive === false || to.isActive === false) {
+                this.engine.renderer.scene.remove(string);
+                geometry.dispose();
+                string.material.dispose();
+                return false;
+            }
+            return true;
+        };
+        
+        this.trackEffect(string);
+    }
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'string',
+    FruitClass: StringFruit,
+    power: 10,
+    icon: 'models/fruits/StringFruit.png',
+    color: 0xff66cc,
+    emoji: '🧵',
+    geometry: () => new THREE.CylinderGeometry(0.05, 0.05, 1, 4),
+    statusEffect: null,
+    unlock: { islandsCleared: 5 },
+    config: {
+        name: 'String Fruit',
+        type: 'string',
+        power: 30,
+        attacks: ['String Bind', 'Puppet Link', 'Bird Cage'],
+        colors: {
+            primary: 0xffffff,
+            secondary: 0xff66cc,
+            ultimate: 0xffccee
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'String Bind',
+                range: 10,
+                tetherLength: 0.5, // how far the bound enemy can still move
+                duration: 2
+            },
+            'Special Attack': {
+                name: 'Puppet Link',
+                distance: 6,       // the link catches the two enemies closest to this point ahead
+                range: 8,
+                share: 0.5,        // share of a hit on one linked enemy the other also takes
+                duration: 2
+            },
+            'Ultimate Attack': {
+                name: 'Bird Cage',
+                radius: 8,
+                rootDuration: 2,
+                lifetime: 2,
+                opacity: 0.3
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Overheat Bind',
+                description: 'The strings reach further',
+                settings: { range: 14 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Parasite Link',
+                description: 'Linked enemies share every hit in full',
+                settings: { share: 1 }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Full Bird Cage',
+                description: 'A wider cage with strings that cut the enemies inside',
+                settings: { radius: 11, groundField: { radius: 10, lifetime: 3, damageScale: 0.1 } }
+            }
+        ]
+    }
+};
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * T-Rex Fruit power class
+ */
+import { BeastFruit } from './BeastFruit.js';
+import * as THREE from 'three';
+
+export class TRexFruit extends BeastFruit {
+    constructor(engine, options = {}) {
+        // Get T-Rex fruit configuration
+        const config = fruitDefinition.config;
+        
+        // Set default options for T-Rex Fruit
+        const trexOptions = {
+            name: options.name || config.name,
+            type: config.type,
+            power: options.power || config.power,
+            attacks: config.attacks,
+            awakenings: config.awakenings,
+            form: config.form,
+            ...options
+        };
+        
+        super(engine, trexOptions);
+        
+        // Store colors for attacks
+        this.colors = config.colors;
+        
+        // Store attack settings
+        this.attackSettings = config.attackSettings;
+    }
+}
+
+// Registry entry, picked up by FruitRegistry
+export const fruitDefinition = {
+    type: 'trex',
+    FruitClass: TRexFruit,
+    power: 12,
+    icon: 'models/fruits/T-RexFruit.png',
+    color: 0x66aa44,
+    emoji: '🦖',
+    geometry: () => new THREE.TetrahedronGeometry(0.5, 0),
+    statusEffect: () => ({ duration: 0.5, knockback: 5 }),
+    unlock: { islandsCleared: 2 },
+    config: {
+        name: 'T-Rex Fruit',
+        type: 'trex',
+        power: 34,
+        attacks: ['Tail Whip', 'Ground Stomp', 'T-Rex Transformation'],
+        form: {
+            name: 'T-Rex Form',
+            speed: 4,
+            scale: 2.2,
+            collider: { radius: 1.6, height: 3.5 },
+            armor: 0.4,
+            tint: 0xaaddaa,
+            attackSettings: {
+                'Basic Attack': {
+                    name: 'Chomp',
+                    style: 'claw',
+                    reach: 2.5,
+                    radius: 2.5,
+                    lifetime: 0.4,
+                    opacity: 0.6
+                },
+                'Special Attack': {
+                    name: 'Ancient Roar',
+                    style: 'stomp',
+                    radius: 7,
+                    lifetime: 1,
+                    opacity: 0.4
+                }
+            }
+        },
+        colors: {
+            primary: 0x66aa44,
+            secondary: 0x996633,
+            ultimate: 0x88cc55,
+            form: 0xccaa66
+        },
+        attackSettings: {
+            'Basic Attack': {
+                name: 'Tail Whip',
+                style: 'claw',
+                reach: 1,
+                radius: 2.5,
+                lifetime: 0.4,
+                opacity: 0.5
+            },
+            'Special Attack': {
+                name: 'Ground Stomp',
+                style: 'stomp',
+                radius: 4,
+                lifetime: 0.8,
+                opacity: 0.5
+            },
+            'Ultimate Attack': {
+                name: 'T-Rex Transformation',
+                radius: 6,
+                lifetime: 1,
+                opacity: 0.5,
+                duration: 15
+            }
+        },
+        awakenings: [
+            {
+                attack: 'Basic Attack',
+                level: 3,
+                name: 'Spiked Tail',
+                description: 'The tail sweeps a wider arc',
+                settings: { radius: 3.2 }
+            },
+            {
+                attack: 'Special Attack',
+                level: 5,
+                name: 'Tremor Stomp',
+                description: 'A stomp that shakes a wider area',
+                settings: { radius: 6 }
+            },
+            {
+                attack: 'Ultimate Attack',
+                level: 8,
+                name: 'Tyrant King',
+                description: 'Stay in T-Rex form longer and raise rock pillars when transforming',
+                settings: { duration: 22, pillars: { count: 6, distance: 5, radius: 1.2, height: 4, damageScale: 0.4 } }
+            }
+        ]
+    }
+};
\ No newline at end of file
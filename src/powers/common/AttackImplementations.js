@@ -24,7 +24,9 @@ export class AttackImplementations {
             geometry: options.geometry,
             material: options.material,
             lifetime: options.lifetime || 1,
-            opacity: options.opacity || 0.3
+            opacity: options.opacity || 0.3,
+            piercing: options.piercing,
+            homing: options.homing
         });
         
         // Check for enemies in range if immediate damage is requested
@@ -33,7 +35,8 @@ export class AttackImplementations {
                 position, 
                 options.immediateRange, 
                 fruitStore.getFruit(fruit.name).damageValues[attackName], 
-                options.type || fruit.type
+                options.type || fruit.type,
+                attackName
             );
         }
         
@@ -65,7 +68,8 @@ export class AttackImplementations {
             position, 
             options.radius || 5, 
             fruitStore.getFruit(fruit.name).damageValues[attackName], 
-            options.type || fruit.type
+            options.type || fruit.type,
+            attackName
         );
         
         return areaEffect;
@@ -98,4 +102,396 @@ export class AttackImplementations {
         
         return buffEffect;
     }
+    
+    /**
+     * Add the extra effects an awakened attack declares in its settings
+     * @param {Object} fruit - The fruit instance
+     * @param {Object} position - Position of the attack
+     * @param {Object} attackSettings - Settings from fruit.getAttackSettings
+     * @param {Object} options - Customization options
+     */
+    static createAwakenedEffects(fruit, position, attackSettings, options = {}) {
+        if (attackSettings.pillars) {
+            this.createPillarRing(fruit, position, { ...options, ...attackSettings.pillars });
+        }
+        
+        if (attackSettings.groundField) {
+            this.createGroundField(fruit, position, { ...options, ...attackSettings.groundField });
+        }
+    }
+    
+    /**
+     * Raise a ring of pillars one after another, each hurting the enemies standing in it
+     * @param {Object} fruit - The fruit instance
+     * @param {Object} position - Center of the ring
+     * @param {Object} options - Customization options
+     */
+    static createPillarRing(fruit, position, options = {}) {
+        const attackName = options.attackName || 'Ultimate Attack';
+        const damage = options.fruitStore.getFruit(fruit.name).damageValues[attackName] * (options.damageScale || 0.5);
+        const count = options.count || 6;
+        const distance = options.distance || 4;
+        const radius = options.radius || 1.2;
+        const height = options.height || 5;
+        
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2;
+            const pillarPosition = new THREE.Vector3(
+                position.x + Math.cos(angle) * distance,
+                0,
+                position.z + Math.sin(angle) * distance
+            );
+            
+            const pillar = new THREE.Mesh(
+                new THREE.CylinderGeometry(radius * 0.7, radius, height, 12),
+                new THREE.MeshBasicMaterial({
+                    color: options.color || 0xffffff,
+                    transparent: true,
+                    opacity: 0.8
+                })
+            );
+            pillar.position.set(pillarPosition.x, height / 2, pillarPosition.z);
+            pillar.scale.y = 0.01;
+            
+            // Each pillar waits its turn, shoots up, hits once and fades
+            let delay = i * (options.delay ?? 0.15);
+            let age = 0;
+            const lifetime = options.lifetime || 1;
+            pillar.userData.update = (deltaTime) => {
+                if (delay > 0) {
+                    delay -= deltaTime;
+                    return true;
+                }
+                
+                if (age === 0) {
+                    fruit.checkEnemiesInRange(pillarPosition, radius + 0.5, damage, options.type || fruit.type, attackName);
+                }
+                age += deltaTime;
+                
+                pillar.scale.y = Math.min(1, age / 0.15);
+                pillar.material.opacity = 0.8 * (1 - age / lifetime);
+                
+                if (age >= lifetime) {
+                    fruit.engine.renderer.scene.remove(pillar);
+                    pillar.geometry.dispose();
+                    pillar.material.dispose();
+                    return false;
+                }
+                return true;
+            };
+            
+            this._trackEffect(fruit, pillar);
+        }
+    }
+    
+    /**
+     * Cover the ground with a field that hits the enemies inside it every tick
+     * Hits carry the fruit's element, so the field also applies its status (burn, slow...)
+     * @param {Object} fruit - The fruit instance
+     * @param {Object} position - Center of the field
+     * @param {Object} options - Customization options
+     */
+    static createGroundField(fruit, position, options = {}) {
+        const attackName = options.attackName || 'Ultimate Attack';
+        const damage = options.fruitStore.getFruit(fruit.name).damageValues[attackName] * (options.damageScale || 0.1);
+        const radius = options.radius || 5;
+        const lifetime = options.lifetime || 3;
+        const tickInterval = options.tickInterval || 0.5;
+        const opacity = options.opacity || 0.5;
+        const center = new THREE.Vector3(position.x, 0, position.z);
+        
+        // Clouds are a dome over the area, other fields lie flat on the ground
+        const geometry = options.cloud ?
+            new THREE.SphereGeometry(radius, 24, 12, 0, Math.PI * 2, 0, Math.PI / 2) :
+            new THREE.CircleGeometry(radius, 32);
+        const field = new THREE.Mesh(
+            geometry,
+            new THREE.MeshBasicMaterial({
+                color: options.color || 0xffffff,
+                transparent: true,
+                opacity: opacity,
+                depthWrite: false
+            })
+        );
+        if (!options.cloud) {
+            field.rotation.x = -Math.PI / 2;
+        }
+        field.position.set(center.x, 0.04, center.z);
+        
+        let age = 0;
+        let tickTimer = 0;
+        field.userData.update = (deltaTime) => {
+            age += deltaTime;
+            tickTimer += deltaTime;
+            
+            if (tickTimer >= tickInterval) {
+                tickTimer -= tickInterval;
+                fruit.checkEnemiesInRange(center, radius, damage, options.type || fruit.type, attackName);
+            }
+            
+            // Fade out over the last second
+            field.material.opacity = opacity * Math.min(1, lifetime - age);
+            
+            if (age >= lifetime) {
+                fruit.engine.renderer.scene.remove(field);
+                field.geometry.dispose();
+                field.material.dispose();
+                return false;
+            }
+            return true;
+        };
+        
+        this._trackEffect(fruit, field);
+    }
+    
+    /**
+     * Check if the fruit's owner can blink - attacks built on createBlink check this before spending their cooldown
+     * @param {Object} fruit - The fruit instance
+     */
+    static canBlink(fruit) {
+        return Boolean(fruit.owner && typeof fruit.owner.teleport === 'function');
+    }
+    
+    /**
+     * Blink the fruit's owner a short distance, hurting the enemies where they land
+     * @param {Object} fruit - The fruit instance
+     * @param {Object} direction - Direction of the blink
+     * @param {Object} options - Customization options
+     * @returns {THREE.Vector3|null} Where the owner landed, null if it can't teleport
+     */
+    static createBlink(fruit, direction, options = {}) {
+        if (!this.canBlink(fruit)) return null;
+        
+        const owner = fruit.owner;
+        
+        const attackName = options.attackName || 'Basic Attack';
+        const fruitStore = options.fruitStore;
+        const distance = options.distance || 5;
+        const start = owner.getPosition();
+        const destination = new THREE.Vector3(
+            start.x + direction.x * distance,
+            start.y,
+            start.z + direction.z * distance
+        );
+        this.keepOnIsland(fruit, destination);
+        
+        // A flash where the blink starts and where it ends
+        [new THREE.Vector3(start.x, start.y + 1, start.z), destination.clone().setY(start.y + 1)].forEach(flashPosition => {
+            fruit.createAreaEffect(flashPosition, {
+                color: options.color || 0xffffff,
+                radius: 1,
+                damage: 0,
+                lifetime: 0.4,
+                opacity: options.opacity || 0.5,
+                type: options.type || fruit.type
+            });
+        });
+        
+        owner.teleport(destination);
+        
+        fruit.checkEnemiesInRange(
+            destination,
+            options.hitRadius || 2,
+            fruitStore.getFruit(fruit.name).damageValues[attackName],
+            options.type || fruit.type,
+            attackName
+        );
+        
+        return destination;
+    }
+    
+    /**
+     * Move a position back inside the island the fruit's owner is fighting on
+     * @param {Object} fruit - The fruit instance
+     * @param {THREE.Vector3} position - Position to change in place
+     * @returns {THREE.Vector3} The same position
+     */
+    static keepOnIsland(fruit, position) {
+        const arenaRadius = (fruit.owner && fruit.owner.arenaRadius) || Infinity;
+        const distanceFromCenter = Math.sqrt(position.x * position.x + position.z * position.z);
+        if (distanceFromCenter > arenaRadius) {
+            position.x *= arenaRadius / distanceFromCenter;
+            position.z *= arenaRadius / distanceFromCenter;
+        }
+        return position;
+    }
+    
+    /**
+     * Open two linked portals - the player, enemies and projectiles entering one come out of the other
+     * Whatever comes out has to step off the exit before it can go back through.
+     * @param {Object} fruit - The fruit instance
+     * @param {Object} entrance - Center of the first portal
+     * @param {Object} exit - Center of the second portal
+     * @param {Object} options - Customization options
+     * @param {Function} options.createMesh - () => Object3D drawn at each end, a ring when missing
+     */
+    static createLinkedPortals(fruit, entrance, exit, options = {}) {
+        const engine = fruit.engine;
+        const radius = options.radius || 1.5;
+        const lifetime = options.lifetime || 6;
+        
+        // One group holds both ends, so they open, close and get cleaned up together
+        const group = new THREE.Group();
+        const ends = [entrance, exit].map(position => {
+            const mesh = options.createMesh ? options.createMesh() : this._createPortalRing(radius, options.color);
+            mesh.position.set(position.x, 0, position.z);
+            group.add(mesh);
+            return mesh;
+        });
+        
+        // Things that came out of a portal and haven't stepped off it yet
+        const arrived = new Set();
+        
+        let age = 0;
+        group.userData.update = (deltaTime) => {
+            age += deltaTime;
+            
+            // Open quickly and shrink away at the end
+            const scale = Math.max(0.01, Math.min(1, age * 4, (lifetime - age) * 4));
+            ends.forEach(end => {
+                end.scale.setScalar(scale);
+                end.rotation.y += deltaTime * (options.spinSpeed || 0);
+            });
+            
+            this._getPortalTravellers(engine).forEach(traveller => {
+                const position = traveller.position;
+                const end = ends.find(mesh => {
+                    const dx = mesh.position.x - position.x;
+                    const dz = mesh.position.z - position.z;
+                    return dx * dx + dz * dz <= radius * radius;
+                });
+                
+                if (!end) {
+                    arrived.delete(traveller.key);
+                    return;
+                }
+                if (arrived.has(traveller.key)) return;
+                
+                const otherEnd = end === ends[0] ? ends[1] : ends[0];
+                traveller.moveTo(otherEnd.position.x, otherEnd.position.z);
+                arrived.add(traveller.key);
+            });
+            
+            if (age >= lifetime) {
+                engine.renderer.scene.remove(group);
+                group.traverse(child => {
+                    if (child.geometry) child.geometry.dispose();
+                    if (child.material) child.material.dispose();
+                });
+                return false;
+            }
+            return true;
+        };
+        
+        this._trackEffect(fruit, group);
+        return group;
+    }
+    
+    /**
+     * Create an upright ring standing on the ground
+     */
+    static _createPortalRing(radius, color) {
+        const portal = new THREE.Group();
+        const ring = new THREE.Mesh(
+            new THREE.TorusGeometry(radius, 0.15, 8, 32),
+            new THREE.MeshBasicMaterial({ color: color || 0xffffff, transparent: true, opacity: 0.8 })
+        );
+        ring.position.y = radius;
+        portal.add(ring);
+        return portal;
+    }
+    
+    /**
+     * Get everything that can pass through a portal - the player, enemies, boss and flying projectiles
+     */
+    static _getPortalTravellers(engine) {
+        const travellers = [];
+        
+        const gameState = engine.stateManager.getCurrentState();
+        if (gameState) {
+            const entities = [gameState.player, ...(gameState.enemies || []), gameState.boss];
+            entities.forEach(entity => {
+                if (!entity || !entity.object3D || entity.isActive === false || entity.banished) return;
+                
+                travellers.push({
+                    key: entity,
+                    position: entity.object3D.position,
+                    moveTo: (x, z) => entity.teleport({ x: x, z: z })
+                });
+            });
+        }
+        
+        engine.projectileSystem.projectiles.forEach(projectile => {
+            if (projectile.removed || projectile.delay > 0) return;
+            
+            travellers.push({
+                key: projectile,
+                position: projectile.object3D.position,
+                moveTo: (x, z) => {
+                    projectile.object3D.position.x = x;
+                    projectile.object3D.position.z = z;
+                }
+            });
+        });
+        
+        return travellers;
+    }
+    
+    /**
+     * Summon allies for the fruit's owner, spread in a circle around a position
+     * The gameplay state keeps them and updates them until they expire or are defeated.
+     * @param {Object} fruit - The fruit instance
+     * @param {Object} position - Where the allies appear
+     * @param {Object} options - Ally settings (see the Ally entity), plus count and spread
+     * @returns {Array} The allies summoned
+     */
+    static createSummon(fruit, position, options = {}) {
+        const gameState = fruit.engine.stateManager.getCurrentState();
+        if (!gameState || typeof gameState.spawnAlly !== 'function') return [];
+        
+        const count = options.count || 1;
+        const spread = count > 1 ? (options.spread || 1.5) : 0;
+        const allies = [];
+        
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2;
+            const spawnPosition = this.keepOnIsland(fruit, new THREE.Vector3(
+                position.x + Math.cos(angle) * spread,
+                0,
+                position.z + Math.sin(angle) * spread
+            ));
+            
+            // A puff where each ally appears
+            fruit.createAreaEffect(spawnPosition.clone().setY(1), {
+                color: options.color || 0xffffff,
+                radius: 0.8,
+                damage: 0,
+                lifetime: 0.4,
+                opacity: 0.5,
+                type: options.type || fruit.type
+            });
+            
+            allies.push(gameState.spawnAlly({
+                ...options,
+                owner: fruit.owner,
+                type: options.type || fruit.type,
+                position: spawnPosition
+            }));
+        }
+        
+        return allies;
+    }
+    
+    /**
+     * Add an effect mesh to the scene and the engine's effects
+     */
+    static _trackEffect(fruit, mesh) {
+        const engine = fruit.engine;
+        engine.renderer.scene.add(mesh);
+        
+        if (!engine.effectsToUpdate) {
+            engine.effectsToUpdate = [];
+        }
+        engine.effectsToUpdate.push(mesh);
+    }
 } 
\ No newline at end of file
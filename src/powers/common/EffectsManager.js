@@ -3,6 +3,7 @@
  */
 import * as THREE from 'three';
 import { EffectsUpdateManager } from '../../core/EffectsUpdateManager.js';
+import fruitRegistry from '../FruitRegistry.js';
 
 export class EffectsManager {
     /**
@@ -63,6 +64,16 @@ export class EffectsManager {
             remainingTime: options.duration || 1,
             tickDamage: options.tickDamage || 0,
             slowFactor: options.slowFactor || 1,
+            knockback: options.knockback || 0,
+            pull: options.pull || 0,
+            poison: !!options.poison,
+            blind: !!options.blindEffect,
+            root: !!options.root,
+            tetherAnchor: options.tetherAnchor ? options.tetherAnchor.clone() : null,
+            tetherLength: options.tetherLength || 0,
+            linkedTo: options.linkedTo || null,
+            linkShare: options.linkShare || 0,
+            sourcePosition: options.sourcePosition ? options.sourcePosition.clone() : null,
             source: options.source || 'player'
         };
         
@@ -86,6 +97,32 @@ export class EffectsManager {
             if (effect.slowFactor < existingEffect.slowFactor) {
                 existingEffect.slowFactor = effect.slowFactor;
             }
+            
+            // A new knockback pushes the entity again, away from the new hit
+            if (effect.knockback > 0) {
+                existingEffect.knockback = effect.knockback;
+                existingEffect.sourcePosition = effect.sourcePosition;
+                existingEffect.knockbackDirection = null;
+            }
+            
+            // A new pull drags the entity toward the new hit
+            if (effect.pull > 0) {
+                existingEffect.pull = effect.pull;
+                existingEffect.sourcePosition = effect.sourcePosition;
+            }
+            
+            // A new tether or link replaces the old one
+            if (effect.root) {
+                existingEffect.root = true;
+            }
+            if (effect.tetherAnchor) {
+                existingEffect.tetherAnchor = effect.tetherAnchor;
+                existingEffect.tetherLength = effect.tetherLength;
+            }
+            if (effect.linkedTo) {
+                existingEffect.linkedTo = effect.linkedTo;
+                existingEffect.linkShare = effect.linkShare;
+            }
         } else {
             entity.userData.statusEffects.push(effect);
         }
@@ -93,20 +130,21 @@ export class EffectsManager {
         return true;
     }
     
+    /**
+     * Get the status effect a hit of the given damage type applies
+     * @param {String} damageType - The fruit type that dealt the damage
+     * @param {Number} damage - Damage of the hit
+     */
+    static getStatusEffectForType(damageType, damage) {
+        return fruitRegistry.getStatusEffect(damageType, damage);
+    }
+    
     /**
      * Get a color based on fruit type
      * @param {String} type - The fruit type
      */
     static getTypeColor(type) {
-        const colorMap = {
-            'flame': 0xff5500,
-            'ice': 0x00ccff,
-            'bomb': 0x777700,
-            'light': 0xffffaa,
-            'magma': 0xff3300
-        };
-        
-        return colorMap[type] || 0xffffff;
+        return fruitRegistry.getColor(type);
     }
     
     /**
@@ -115,20 +153,7 @@ export class EffectsManager {
      */
     static getTypeGeometry(type) {
         // Each fruit type can have a different particle shape
-        switch (type) {
-            case 'flame':
-                return new THREE.TetrahedronGeometry(0.5, 0);
-            case 'ice':
-                return new THREE.OctahedronGeometry(0.5, 0);
-            case 'bomb':
-                return new THREE.SphereGeometry(0.5, 8, 8);
-            case 'light':
-                return new THREE.DodecahedronGeometry(0.5, 0);
-            case 'magma':
-                return new THREE.IcosahedronGeometry(0.5, 0);
-            default:
-                return new THREE.SphereGeometry(0.5, 8, 8);
-        }
+        return fruitRegistry.createGeometry(type) || new THREE.SphereGeometry(0.5, 8, 8);
     }
     
     /**
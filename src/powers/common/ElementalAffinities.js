@@ -0,0 +1,74 @@
+/**
+ * Elemental affinities between fruit types
+ *
+ * elementalAffinities[attacker][defender] is the damage multiplier of a hit
+ * from an attacker fruit type against a defender of the given fruit type.
+ * Pairs that aren't listed deal normal damage.
+ */
+
+export const elementalAffinities = {
+    flame: {
+        flame: 0.5,
+        ice: 1.5,
+        gas: 1.5,
+        magma: 0.5
+    },
+    ice: {
+        ice: 0.5,
+        bomb: 1.5,
+        gas: 1.5,
+        flame: 0.5,
+        magma: 0.5
+    },
+    bomb: {
+        bomb: 0.5,
+        ice: 1.5,
+        light: 1.5,
+        magma: 0.5
+    },
+    light: {
+        light: 0.5,
+        dark: 1.5,
+        bomb: 0.5
+    },
+    magma: {
+        magma: 0.5,
+        ice: 1.5,
+        bomb: 1.5
+    },
+    dark: {
+        dark: 0.5,
+        light: 1.5
+    },
+    gas: {
+        gas: 0.5,
+        flame: 1.5,
+        light: 1.5
+    }
+};
+
+/**
+ * Get the damage multiplier of an attacker type against a defender type
+ */
+export function getAffinityMultiplier(attackerType, defenderType) {
+    const affinities = elementalAffinities[attackerType];
+    if (!affinities || !defenderType) return 1;
+    
+    return affinities[defenderType] ?? 1;
+}
+
+/**
+ * Get the defender types an attacker type deals extra damage to
+ */
+export function getStrengths(attackerType) {
+    const affinities = elementalAffinities[attackerType] || {};
+    return Object.keys(affinities).filter(type => affinities[type] > 1);
+}
+
+/**
+ * Get the defender types an attacker type deals reduced damage to
+ */
+export function getWeaknesses(attackerType) {
+    const affinities = elementalAffinities[attackerType] || {};
+    return Object.keys(affinities).filter(type => affinities[type] < 1);
+}
@@ -5,6 +5,9 @@ import { BaseState } from './BaseState.js';
 import * as THREE from 'three';
 import fruitStore from '../lib/FruitStore.js';
 import audioManager from '../lib/AudioManager.js';
+import saveManager from '../lib/SaveManager.js';
+import { getStrengths, getWeaknesses } from '../powers/common/ElementalAffinities.js';
+import fruitRegistry from '../powers/FruitRegistry.js';
 
 export class FruitSelectState extends BaseState {
     constructor(engine) {
@@ -15,6 +18,10 @@ export class FruitSelectState extends BaseState {
         
         this.selectedFruits = [];
         this.maxSelections = 5;
+        
+        // Island the player is heading to, and the fruit types defending it
+        this.islandId = null;
+        this.islandTypes = [];
     }
     
     /**
@@ -46,12 +53,27 @@ export class FruitSelectState extends BaseState {
     enter(params = {}) {
         super.enter(params);
         
-        // Reset the fruit store
+        // Remember which island was picked on the world map
+        this.islandId = params.islandId || null;
+        
+        // Enemy fruits plus the boss's signature fruit decide the matchups
+        const island = this.engine.worldMap ? this.engine.worldMap.getIsland(this.islandId) : null;
+        this.islandTypes = island ? [...new Set([
+            ...island.getEnemyFruitTypes(),
+            ...(island.boss.fruits || []).slice(0, 1)
+        ])] : [];
+        
+        // Reset the fruit store, keeping the saved fruit uses
         fruitStore.initialize();
+        fruitStore.restore(saveManager.getFruitStoreState());
         
-        // Pre-select the first 5 fruits by default
-        const fruits = this.engine.config.fruits;
-        this.selectedFruits = fruits.slice(0, this.maxSelections);
+        // Pre-select the saved loadout, or the first 5 unlocked fruits by default
+        const fruits = fruitRegistry.getSelectableFruits(this.getClearedIslandCount());
+        const savedLoadout = this.engine.playerFruits || [];
+        const savedFruits = fruits.filter(fruit => savedLoadout.some(saved => saved.name === fruit.name));
+        this.selectedFruits = savedFruits.length > 0 ?
+            savedFruits.slice(0, this.maxSelections) :
+            fruits.slice(0, this.maxSelections);
         
         // Add selected fruits to the store
         this.selectedFruits.forEach(fruit => {
@@ -81,9 +103,16 @@ export class FruitSelectState extends BaseState {
         this.fruitSelectUI = document.createElement('div');
         this.fruitSelectUI.className = 'fruit-select-ui';
         
+        // Name of the island we're heading to
+        const worldMap = this.engine.worldMap;
+        const island = worldMap ? worldMap.getIsland(this.islandId) : null;
+        const islandLabel = island ? island.getLabel(worldMap.getSeaForIsland(island)) : '';
+        
         // Basic UI structure
         this.fruitSelectUI.innerHTML = `
             <div class="fruit-select-header">Choose Your Fruits</div>
+            ${islandLabel ? `<div class="fruit-select-island">Heading to ${islandLabel}</div>` : ''}
+            ${this.islandTypes.length > 0 ? `<div class="fruit-select-enemies">Defended by: ${this.formatTypes(this.islandTypes)}</div>` : ''}
             <div class="fruit-select-subtitle">Select 5 fruits to begin your adventure</div>
             <div class="fruit-selection-count">Selected: ${this.selectedFruits.length}/${this.maxSelections}</div>
             <div class="fruit-grid interactive-element"></div>
@@ -118,6 +147,17 @@ export class FruitSelectState extends BaseState {
                 margin-bottom: 10px;
             }
             
+            .fruit-select-island {
+                font-size: 20px;
+                color: gold;
+                margin-bottom: 10px;
+            }
+            
+            .fruit-select-enemies {
+                font-size: 16px;
+                margin-bottom: 10px;
+            }
+            
             .fruit-select-subtitle {
                 font-size: 18px;
                 margin-bottom: 20px;
@@ -159,6 +199,23 @@ export class FruitSelectState extends BaseState {
                 border-color: gold;
             }
             
+            .fruit-item.locked {
+                opacity: 0.5;
+                filter: grayscale(1);
+                cursor: not-allowed;
+            }
+            
+            .fruit-item.locked:hover {
+                background-color: rgba(255, 255, 255, 0.1);
+                transform: none;
+            }
+            
+            .fruit-unlock {
+                font-size: 12px;
+                text-align: center;
+                margin-top: 5px;
+            }
+            
             .fruit-icon {
                 width: 64px;
                 height: 64px;
@@ -181,6 +238,57 @@ export class FruitSelectState extends BaseState {
                 color: #aaa;
             }
             
+            .fruit-matchup {
+                font-size: 12px;
+                font-weight: bold;
+                margin-top: 4px;
+            }
+            
+            .fruit-matchup.strong {
+                color: #66ff66;
+            }
+            
+            .fruit-matchup.weak {
+                color: #ff6666;
+            }
+            
+            .fruit-affinities {
+                font-size: 12px;
+                margin-top: 8px;
+            }
+            
+            .fruit-affinities .strong {
+                color: #66ff66;
+            }
+            
+            .fruit-affinities .weak {
+                color: #ff6666;
+            }
+            
+            .fruit-mastery {
+                font-size: 12px;
+                margin-bottom: 8px;
+            }
+            
+            .fruit-mastery-label {
+                display: flex;
+                justify-content: space-between;
+                color: #7bed9f;
+                margin-bottom: 3px;
+            }
+            
+            .fruit-mastery-bar {
+                height: 5px;
+                background-color: rgba(255, 255, 255, 0.15);
+                border-radius: 3px;
+                overflow: hidden;
+            }
+            
+            .fruit-mastery-fill {
+                height: 100%;
+                background-color: #2ecc71;
+            }
+            
             .fruit-details-container {
                 width: 80%;
                 max-width: 800px;
@@ -282,7 +390,8 @@ export class FruitSelectState extends BaseState {
         
         // Add fruit options to the grid
         const fruitGrid = this.fruitSelectUI.querySelector('.fruit-grid');
-        const fruits = this.engine.config.fruits;
+        const fruits = fruitRegistry.getSelectableFruits();
+        const islandsCleared = this.getClearedIslandCount();
         
         fruits.forEach((fruit, index) => {
             const fruitItem = document.createElement('div');
@@ -294,12 +403,19 @@ export class FruitSelectState extends BaseState {
                 fruitItem.classList.add('selected');
             }
             
+            // Locked fruits are shown with what it takes to unlock them
+            const isUnlocked = fruitRegistry.isUnlocked(fruit.type, islandsCleared);
+            if (!isUnlocked) {
+                fruitItem.classList.add('locked');
+            }
+            
             fruitItem.innerHTML = `
                 <div class="fruit-icon">
-                    <img src="models/fruits/${fruit.type.charAt(0).toUpperCase() + fruit.type.slice(1)}Fruit.png" alt="${fruit.name}" style="width: 64px; height: 64px; object-fit: contain;">
+                    <img src="${fruitRegistry.getIcon(fruit.type)}" alt="${fruit.name}" style="width: 64px; height: 64px; object-fit: contain;">
                 </div>
                 <div class="fruit-name">${fruit.name}</div>
                 <div class="fruit-power">Power: ${fruit.power}</div>
+                ${isUnlocked ? this.getMatchupLabel(fruit.type) : `<div class="fruit-unlock">${fruitRegistry.getUnlockLabel(fruit.type)}</div>`}
             `;
             
             // Add a specific z-index to ensure fruit items are on top and clickable
@@ -310,6 +426,7 @@ export class FruitSelectState extends BaseState {
             fruitItem.onclick = (e) => {
                 e.preventDefault();
                 e.stopPropagation();
+                if (!isUnlocked) return false;
                 this.toggleFruitSelection(fruitItem, fruit);
                 return false;
             };
@@ -328,11 +445,12 @@ export class FruitSelectState extends BaseState {
                 const audioBuffer = this.engine.resources.getSound('bgMusic');
                 audioManager.playBackgroundMusic(audioBuffer);
                 
-                // Store selected fruits for gameplay
+                // Store selected fruits for gameplay and remember them
                 this.engine.playerFruits = this.selectedFruits;
+                this.engine.saveGame();
                 
-                // Transition to gameplay state
-                this.engine.stateManager.changeState('gameplay');
+                // Transition to gameplay state on the chosen island
+                this.engine.stateManager.changeState('gameplay', { islandId: this.islandId });
             }
         });
     }
@@ -356,7 +474,9 @@ export class FruitSelectState extends BaseState {
                     'Special Attack': Math.round(fruit.power * 1.5),
                     'Ultimate Attack': Math.round(fruit.power * 3)
                 },
-                cooldowns: fruitStore.defaultCooldowns
+                cooldowns: fruitStore.defaultCooldowns,
+                masteryLevel: 1,
+                masteryXp: 0
             };
             
             const detailCard = document.createElement('div');
@@ -378,6 +498,22 @@ export class FruitSelectState extends BaseState {
             header.appendChild(name);
             detailCard.appendChild(header);
             
+            // Mastery level and progress toward the next level
+            const isMaxLevel = fruitData.masteryLevel >= fruitStore.maxMasteryLevel;
+            const xpNeeded = fruitStore.getMasteryXpForLevel(fruitData.masteryLevel);
+            const mastery = document.createElement('div');
+            mastery.className = 'fruit-mastery';
+            mastery.innerHTML = `
+                <div class="fruit-mastery-label">
+                    <span>Mastery Lv ${fruitData.masteryLevel}</span>
+                    <span>${isMaxLevel ? 'MAX' : `${fruitData.masteryXp}/${xpNeeded} XP`}</span>
+                </div>
+                <div class="fruit-mastery-bar">
+                    <div class="fruit-mastery-fill" style="width: ${isMaxLevel ? 100 : (fruitData.masteryXp / xpNeeded) * 100}%"></div>
+                </div>
+            `;
+            detailCard.appendChild(mastery);
+            
             // Create attack list
             const attackList = document.createElement('div');
             attackList.className = 'attack-list';
@@ -402,6 +538,18 @@ export class FruitSelectState extends BaseState {
             });
             
             detailCard.appendChild(attackList);
+            
+            // Elemental strengths and weaknesses
+            const strengths = getStrengths(fruit.type);
+            const weaknesses = getWeaknesses(fruit.type);
+            const affinities = document.createElement('div');
+            affinities.className = 'fruit-affinities';
+            affinities.innerHTML = `
+                <div class="strong">Strong vs: ${strengths.length > 0 ? this.formatTypes(strengths) : 'nothing'}</div>
+                <div class="weak">Weak vs: ${weaknesses.length > 0 ? this.formatTypes(weaknesses) : 'nothing'}</div>
+            `;
+            detailCard.appendChild(affinities);
+            
             detailsContent.appendChild(detailCard);
         });
     }
@@ -410,15 +558,38 @@ export class FruitSelectState extends BaseState {
      * Get emoji for fruit type
      */
     getFruitEmoji(type) {
-        const emojiMap = {
-            'flame': '🔥',
-            'ice': '❄️',
-            'bomb': '💣',
-            'light': '✨',
-            'magma': '🌋'
-        };
+        return fruitRegistry.getEmoji(type);
+    }
+    
+    /**
+     * Format fruit types as a list such as "🔥 Flame, ❄️ Ice"
+     */
+    formatTypes(types) {
+        return types.map(type => `${this.getFruitEmoji(type)} ${type.charAt(0).toUpperCase() + type.slice(1)}`).join(', ');
+    }
+    
+    /**
+     * Get a label telling how well a fruit type does against the island's defenders
+     */
+    getMatchupLabel(type) {
+        const strongCount = getStrengths(type).filter(defender => this.islandTypes.includes(defender)).length;
+        const weakCount = getWeaknesses(type).filter(defender => this.islandTypes.includes(defender)).length;
         
-        return emojiMap[type] || '🍎';
+        if (strongCount > weakCount) {
+            return '<div class="fruit-matchup strong">Strong here</div>';
+        }
+        if (weakCount > strongCount) {
+            return '<div class="fruit-matchup weak">Weak here</div>';
+        }
+        return '';
+    }
+    
+    /**
+     * Get how many islands the player has cleared, for fruit unlocks
+     */
+    getClearedIslandCount() {
+        const worldMap = this.engine.worldMap;
+        return worldMap ? worldMap.getProgress().clearedIslands.length : 0;
     }
     
     /**
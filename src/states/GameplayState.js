@@ -5,10 +5,16 @@ import { BaseState } from './BaseState.js';
 import { Player } from '../entities/Player.js';
 import { Enemy } from '../entities/Enemy.js';
 import { MiniBoss } from '../entities/MiniBoss.js';
+import { Ally } from '../entities/Ally.js';
 import * as THREE from 'three';
 import fruitStore from '../lib/FruitStore.js';
+import fruitRegistry from '../powers/FruitRegistry.js';
 import audioManager from '../lib/AudioManager.js';
 import { EffectsUpdateManager } from '../core/EffectsUpdateManager.js';
+import { StatusEffectSystem } from '../core/StatusEffectSystem.js';
+
+// Aimed attacks hit enemies within 45 degrees of the aim direction
+const AIM_CONE_COS = Math.cos(Math.PI / 4);
 
 export class GameplayState extends BaseState {
     constructor(engine) {
@@ -22,6 +28,9 @@ export class GameplayState extends BaseState {
         this.boss = null;
         this.currentIsland = null;
         
+        // Minions and turrets summoned by the player's fruits
+        this.allies = [];
+        
         // Store currently selected fruit index
         this.selectedFruitIndex = 0;
         
@@ -51,9 +60,31 @@ export class GameplayState extends BaseState {
     enter(params = {}) {
         super.enter(params);
         
+        // Find the island we're playing on, defaulting to the next open island
+        const worldMap = this.engine.worldMap;
+        this.currentIsland = worldMap ? (worldMap.getIsland(params.islandId) || worldMap.getNextIsland()) : null;
+        
+        // Listen to every hit for damage numbers, combat stats, fruit mastery and sounds, and to heals
+        this.combatStats = { damageDealt: 0, damageTaken: 0, criticalHits: 0, enemiesDefeated: 0 };
+        const damageSystem = this.engine.damageSystem;
+        this.damageListeners = [
+            damageSystem.on('damage', event => this._showDamageNumber(event)),
+            damageSystem.on('damage', event => this._recordCombatStats(event)),
+            damageSystem.on('damage', event => this._awardMastery(event)),
+            damageSystem.on('damage', event => this._playHitSound(event)),
+            damageSystem.on('heal', event => this._showHealNumber(event))
+        ];
+        
+        // Unlock ceremonies of awakened moves waiting to be shown
+        this.awakeningQueue = [];
+        this.awakeningScreen = null;
+        
         // Create game world
         this.createGameWorld();
         
+        // Play the island's music
+        this.playIslandMusic();
+        
         // Create player
         this.createPlayer();
         
@@ -92,16 +123,21 @@ export class GameplayState extends BaseState {
             }
         }
         
-        // Set background texture
-        const backgroundTexture = this.engine.resources.getTexture('background');
+        // Set background texture from the island, falling back to the default background
+        const island = this.currentIsland;
+        const backgroundTexture = (island && this.engine.resources.getTexture(island.background)) ||
+            this.engine.resources.getTexture('background');
         if (backgroundTexture) {
             scene.background = backgroundTexture;
         } else {
             scene.background = new THREE.Color(0x87CEEB); // Sky blue fallback
         }
         
+        // Size the ground to cover the island arena
+        const groundSize = Math.max(100, this.getArenaRadius() * 2 + 10);
+        
         // Create a simple flat ground for collision detection - shared geometry/material
-        const groundGeometry = new THREE.PlaneGeometry(100, 100, 1, 1); // Reduced segments
+        const groundGeometry = new THREE.PlaneGeometry(groundSize, groundSize, 1, 1); // Reduced segments
         const groundMaterial = new THREE.MeshBasicMaterial({ visible: false });
         const ground = new THREE.Mesh(groundGeometry, groundMaterial);
         ground.rotation.x = -Math.PI / 2; // Make it horizontal
@@ -109,6 +145,24 @@ export class GameplayState extends BaseState {
         scene.add(ground);
     }
     
+    /**
+     * Get the radius of the playable island area
+     */
+    getArenaRadius() {
+        return this.currentIsland ? this.currentIsland.arenaRadius : 45;
+    }
+    
+    /**
+     * Play the music of the current island
+     */
+    playIslandMusic() {
+        const island = this.currentIsland;
+        const musicBuffer = (island && this.engine.resources.getSound(island.music)) ||
+            this.engine.resources.getSound('bgMusic');
+        
+        audioManager.switchBackgroundMusic(musicBuffer);
+    }
+    
     /**
      * Add environment elements to the scene
      */
@@ -128,8 +182,8 @@ export class GameplayState extends BaseState {
         if (this.engine.playerFruits && this.engine.playerFruits.length > 0) {
             playerFruits = this.engine.playerFruits;
         } else {
-            // Use default fruits from config
-            playerFruits = this.engine.config.fruits;
+            // Use the registered fruits everyone starts with
+            playerFruits = fruitRegistry.getSelectableFruits(0);
         }
         
         // Create player instance
@@ -139,6 +193,9 @@ export class GameplayState extends BaseState {
             maxHealth: playerConfig.health,
             speed: playerConfig.speed,
             jumpPower: playerConfig.jumpPower,
+            gravity: this.engine.config.physics.gravity,
+            gravityScale: playerConfig.gravityScale,
+            arenaRadius: this.getArenaRadius(),
             fruits: playerFruits
         });
         
@@ -162,6 +219,7 @@ export class GameplayState extends BaseState {
         // Adjust camera settings
         camera.fov = 70; // Wider field of view for better visibility
         camera.updateProjectionMatrix();
+        this.cameraAltitude = 0;
         
         // Disable orbit controls for gameplay
         if (this.engine.renderer.controls) {
@@ -187,25 +245,51 @@ export class GameplayState extends BaseState {
                     </div>
                     <div class="health-text">100/100</div>
                 </div>
+                <div class="stamina-bar-container">
+                    <div class="stamina-bar">
+                        <div class="stamina-fill" style="width: 100%;"></div>
+                    </div>
+                    <div class="stamina-text">Flight (F)</div>
+                </div>
+                <div class="buff-list"></div>
             </div>
             <div class="game-message" id="game-message"></div>
+            <div class="blind-overlay"></div>
             <div class="fruit-powers">
                 <div class="fruit-power-header">
                     <div class="fruit-power-title">Fruit Powers</div>
                     <div class="fruit-power-help">Press 1-5 to select</div>
                 </div>
                 <div class="fruit-power-list"></div>
+                <div class="ultimate-meter">
+                    <div class="ultimate-meter-label">
+                        <span class="ultimate-meter-title">Ultimate (E)</span>
+                        <span class="ultimate-meter-value">0%</span>
+                    </div>
+                    <div class="ultimate-meter-bar">
+                        <div class="ultimate-meter-fill" style="width: 0%;"></div>
+                    </div>
+                </div>
                 <div class="fruit-details-panel">
                     <div class="fruit-details-header">
                         <div class="fruit-details-name"></div>
                         <div class="fruit-details-type"></div>
                     </div>
+                    <div class="fruit-mastery">
+                        <div class="fruit-mastery-label">
+                            <span class="fruit-mastery-level">Mastery Lv 1</span>
+                            <span class="fruit-mastery-xp"></span>
+                        </div>
+                        <div class="fruit-mastery-bar">
+                            <div class="fruit-mastery-fill" style="width: 0%;"></div>
+                        </div>
+                    </div>
                     <div class="fruit-details-attacks"></div>
                 </div>
             </div>
             <div class="game-controls">
                 <div class="controls-info">
-                    <p>WASD/Arrows: Move | Space: Attack | 1-5: Select Fruit | M: Math Challenge</p>
+                    <p>WASD/Arrows: Move | Mouse: Aim | Space/Left Click: Attack | Shift/Right Click: Special | E: Ultimate | Q: Dash | R: Jump | F: Fly | V: Auto-Aim | 1-5: Select Fruit | M: Math Challenge</p>
                 </div>
             </div>
         `;
@@ -268,6 +352,66 @@ export class GameplayState extends BaseState {
                 color: rgba(255, 255, 255, 0.8);
             }
             
+            .stamina-bar-container {
+                display: none;
+                flex-direction: column;
+                gap: 4px;
+                margin-top: 8px;
+            }
+            
+            .stamina-bar-container.available {
+                display: flex;
+            }
+            
+            .stamina-bar {
+                width: 100%;
+                height: 6px;
+                background-color: rgba(68, 68, 68, 0.7);
+                border-radius: 3px;
+                overflow: hidden;
+            }
+            
+            .stamina-fill {
+                height: 100%;
+                background: linear-gradient(to right, #48dbfb, #0abde3);
+                border-radius: 3px;
+            }
+            
+            .stamina-bar-container.flying .stamina-fill {
+                box-shadow: 0 0 6px rgba(72, 219, 251, 0.8);
+            }
+            
+            .stamina-text {
+                font-size: 11px;
+                text-align: right;
+                color: rgba(255, 255, 255, 0.7);
+            }
+            
+            .buff-list {
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+            }
+            
+            .buff-list:not(:empty) {
+                margin-top: 8px;
+            }
+            
+            .buff-item {
+                display: flex;
+                justify-content: space-between;
+                padding: 3px 8px;
+                font-size: 12px;
+                background-color: rgba(255, 255, 255, 0.08);
+                border-left: 3px solid rgba(255, 255, 255, 0.5);
+                border-radius: 4px;
+                color: rgba(255, 255, 255, 0.9);
+            }
+            
+            .buff-value {
+                color: rgba(255, 255, 255, 0.7);
+            }
+            
             .fruit-powers {
                 position: absolute;
                 bottom: 20px;
@@ -353,6 +497,47 @@ export class GameplayState extends BaseState {
                 z-index: 3;
             }
             
+            .ultimate-meter {
+                margin-bottom: 15px;
+            }
+            
+            .ultimate-meter-label {
+                display: flex;
+                justify-content: space-between;
+                font-size: 13px;
+                margin-bottom: 4px;
+                color: rgba(255, 255, 255, 0.8);
+            }
+            
+            .ultimate-meter-bar {
+                height: 8px;
+                background-color: rgba(68, 68, 68, 0.7);
+                border-radius: 4px;
+                overflow: hidden;
+            }
+            
+            .ultimate-meter-fill {
+                height: 100%;
+                background: linear-gradient(to right, #9b59b6, #e056fd);
+                border-radius: 4px;
+                transition: width 0.2s ease;
+            }
+            
+            .ultimate-meter.ready .ultimate-meter-fill {
+                background: linear-gradient(to right, #f1c40f, #ff9f43);
+                box-shadow: 0 0 8px rgba(255, 215, 0, 0.8);
+            }
+            
+            .ultimate-meter.ready .ultimate-meter-value {
+                color: gold;
+                font-weight: bold;
+            }
+            
+            .ultimate-meter.transformed .ultimate-meter-fill {
+                background: linear-gradient(to right, #e67e22, #e74c3c);
+                transition: none;
+            }
+            
             .fruit-details-panel {
                 background-color: rgba(35, 35, 35, 0.8);
                 border-radius: 8px;
@@ -384,6 +569,53 @@ export class GameplayState extends BaseState {
                 border-radius: 4px;
             }
             
+            .fruit-mastery {
+                margin-bottom: 12px;
+            }
+            
+            .fruit-mastery-label {
+                display: flex;
+                justify-content: space-between;
+                font-size: 13px;
+                margin-bottom: 4px;
+                color: rgba(255, 255, 255, 0.8);
+            }
+            
+            .fruit-mastery-level {
+                font-weight: bold;
+                color: #7bed9f;
+            }
+            
+            .fruit-mastery-bar {
+                height: 6px;
+                background-color: rgba(68, 68, 68, 0.7);
+                border-radius: 3px;
+                overflow: hidden;
+            }
+            
+            .fruit-mastery-fill {
+                height: 100%;
+                background: linear-gradient(to right, #2ecc71, #7bed9f);
+                border-radius: 3px;
+                transition: width 0.2s ease;
+            }
+            
+            .fruit-level {
+                position: absolute;
+                bottom: 3px;
+                left: 3px;
+                background-color: rgba(46, 204, 113, 0.85);
+                color: white;
+                font-size: 10px;
+                font-weight: bold;
+                height: 16px;
+                border-radius: 4px;
+                display: flex;
+                align-items: center;
+                padding: 0 3px;
+                z-index: 3;
+            }
+            
             .fruit-attack-item {
                 display: flex;
                 flex-direction: column;
@@ -445,6 +677,21 @@ export class GameplayState extends BaseState {
                 border: 1px solid rgba(255, 255, 255, 0.1);
             }
             
+            .blind-overlay {
+                position: absolute;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: radial-gradient(circle, rgba(255, 255, 240, 0.5), rgba(255, 255, 220, 0.95));
+                opacity: 0;
+                transition: opacity 0.2s ease;
+            }
+            
+            .blind-overlay.active {
+                opacity: 1;
+            }
+            
             .game-message {
                 position: absolute;
                 top: 100px;
@@ -496,12 +743,14 @@ export class GameplayState extends BaseState {
                 // Get fruit data from store
                 const fruitData = fruitStore.getFruit(fruit.name);
                 const usesRemaining = fruitData ? fruitData.usesRemaining : 5;
+                const masteryLevel = fruitData ? fruitData.masteryLevel : 1;
                 
                 fruitItem.innerHTML = `
-                    <img src="models/fruits/${fruit.type.charAt(0).toUpperCase() + fruit.type.slice(1)}Fruit.png" 
+                    <img src="${fruitRegistry.getIcon(fruit.type)}" 
                          alt="${fruit.name}">
                     <span class="fruit-uses">${usesRemaining}</span>
                     <span class="fruit-hotkey">${index + 1}</span>
+                    <span class="fruit-level">Lv ${masteryLevel}</span>
                 `;
                 fruitItem.dataset.fruitIndex = index;
                 
@@ -518,7 +767,7 @@ export class GameplayState extends BaseState {
                 const fruitItem = document.createElement('div');
                 fruitItem.className = 'fruit-power-item';
                 fruitItem.innerHTML = `
-                    <img src="models/fruits/${type.charAt(0).toUpperCase() + type.slice(1)}Fruit.png" 
+                    <img src="${fruitRegistry.getIcon(type)}" 
                          alt="${type}">
                     <span class="fruit-uses">5</span>
                     <span class="fruit-hotkey">${index + 1}</span>
@@ -584,18 +833,32 @@ export class GameplayState extends BaseState {
         const typeColor = this.getTypeColor(selectedFruit.type);
         detailsType.style.backgroundColor = typeColor;
         
+        // Update the mastery level and experience bar
+        const isMaxLevel = fruitData.masteryLevel >= fruitStore.maxMasteryLevel;
+        this.gameplayUI.querySelector('.fruit-mastery-level').textContent = `Mastery Lv ${fruitData.masteryLevel}`;
+        this.gameplayUI.querySelector('.fruit-mastery-xp').textContent = isMaxLevel ?
+            'MAX' : `${fruitData.masteryXp}/${fruitStore.getMasteryXpForLevel(fruitData.masteryLevel)} XP`;
+        this.gameplayUI.querySelector('.fruit-mastery-fill').style.width = `${fruitStore.getMasteryPercentage(selectedFruit.name)}%`;
+        
         // Clear and update attacks
         detailsAttacks.innerHTML = '';
         
         // Use document fragment for better performance
         const fragment = document.createDocumentFragment();
         
-        const attackTypes = ['Basic Attack', 'Special Attack'];
-        const attackKeys = ['Space', 'Shift'];
+        const attackTypes = ['Basic Attack', 'Special Attack', 'Ultimate Attack'];
+        const attackKeys = ['Space', 'Shift', 'E'];
+        const fruitPower = this.player ? this.player.fruits[this.selectedFruitIndex] : null;
         
         attackTypes.forEach((attackType, index) => {
-            // Get the attack name from fruit attacks array if available
-            const attackName = selectedFruit.attacks[index] || attackType;
+            // Get the attack name from fruit attacks array if available, awakened and beast form attacks use their own name
+            const attackSettings = fruitPower ? fruitPower.getAttackSettings(attackType) : null;
+            let attackName = selectedFruit.attacks[index] || attackType;
+            if (attackSettings && attackSettings.awakened) {
+                attackName = `✦ ${attackSettings.name}`;
+            } else if (attackSettings && attackSettings.formAttack) {
+                attackName = attackSettings.name;
+            }
             
             const attackItem = document.createElement('div');
             attackItem.className = 'fruit-attack-item';
@@ -629,18 +892,8 @@ export class GameplayState extends BaseState {
      * Get color based on fruit type
      */
     getTypeColor(type) {
-        const colors = {
-            flame: 'rgba(255, 87, 34, 0.7)',
-            ice: 'rgba(33, 150, 243, 0.7)',
-            bomb: 'rgba(158, 158, 158, 0.7)',
-            light: 'rgba(255, 235, 59, 0.7)',
-            magma: 'rgba(230, 74, 25, 0.7)',
-            dark: 'rgba(66, 66, 66, 0.7)',
-            gas: 'rgba(178, 223, 219, 0.7)',
-            default: 'rgba(96, 125, 139, 0.7)'
-        };
-        
-        return colors[type] || colors.default;
+        const color = fruitRegistry.getColor(type, 0x607d8b);
+        return `rgba(${(color >> 16) & 255}, ${(color >> 8) & 255}, ${color & 255}, 0.7)`;
     }
     
     /**
@@ -675,6 +928,11 @@ export class GameplayState extends BaseState {
                         usesEl.style.fontWeight = 'normal';
                     }
                 }
+                
+                const levelEl = item.querySelector('.fruit-level');
+                if (levelEl) {
+                    levelEl.textContent = `Lv ${fruitData.masteryLevel}`;
+                }
             }
         });
         
@@ -700,10 +958,107 @@ export class GameplayState extends BaseState {
             }
         }
         
+        // Update the ultimate meter of the selected fruit
+        this.updateUltimateMeter();
+        
+        // Update the flight stamina of the player
+        this.updateStaminaMeter();
+        
+        // Update the player's active buffs
+        this.updateBuffList();
+        
         // Update the selected fruit's details
         this.updateFruitDetails();
     }
     
+    /**
+     * Update the ultimate meter for the selected fruit
+     */
+    updateUltimateMeter() {
+        const meter = this.gameplayUI.querySelector('.ultimate-meter');
+        const fruits = this.engine.playerFruits || [];
+        if (!meter || this.selectedFruitIndex >= fruits.length) return;
+        
+        // In beast form the meter counts down the time left in the form
+        const transformation = this.player ? this.player.transformation : null;
+        meter.classList.toggle('transformed', !!transformation);
+        if (transformation) {
+            meter.querySelector('.ultimate-meter-title').textContent = `${transformation.form.name} (E to leave)`;
+            meter.querySelector('.ultimate-meter-fill').style.width = `${this.player.getTransformationPercentage() * 100}%`;
+            meter.querySelector('.ultimate-meter-value').textContent = `${Math.ceil(transformation.timeRemaining)}s`;
+            meter.classList.remove('ready');
+            return;
+        }
+        meter.querySelector('.ultimate-meter-title').textContent = 'Ultimate (E)';
+        
+        const fruitName = fruits[this.selectedFruitIndex].name;
+        const chargePercent = Math.round(fruitStore.getUltimateChargePercentage(fruitName));
+        const isReady = fruitStore.isUltimateReady(fruitName);
+        
+        meter.querySelector('.ultimate-meter-fill').style.width = `${chargePercent}%`;
+        meter.querySelector('.ultimate-meter-value').textContent = isReady ? 'READY' : `${chargePercent}%`;
+        meter.classList.toggle('ready', isReady);
+    }
+    
+    /**
+     * Update the flight stamina meter - only shown when one of the player's fruits can fly
+     */
+    updateStaminaMeter() {
+        const meter = this.gameplayUI.querySelector('.stamina-bar-container');
+        if (!meter || !this.player) return;
+        
+        const canFly = this.player.fruits.some(fruit => fruit.flight);
+        meter.classList.toggle('available', canFly);
+        if (!canFly) return;
+        
+        const flying = !!this.player.flight;
+        meter.classList.toggle('flying', flying);
+        meter.querySelector('.stamina-fill').style.width = `${this.player.getStaminaPercentage() * 100}%`;
+        meter.querySelector('.stamina-text').textContent = flying ? 'Flying (F to land)' : 'Flight (F)';
+    }
+    
+    /**
+     * List the player's active buffs with what they boost and the seconds left
+     */
+    updateBuffList() {
+        const list = this.gameplayUI.querySelector('.buff-list');
+        if (!list || !this.player) return;
+        
+        list.innerHTML = '';
+        this.player.buffs.forEach(buff => {
+            const bonus = Math.round((buff.multiplier - 1) * 100);
+            
+            const item = document.createElement('div');
+            item.className = 'buff-item';
+            if (buff.type) {
+                item.style.borderLeftColor = this.getTypeColor(buff.type);
+            }
+            item.innerHTML = `
+                <span class="buff-name">${buff.name}</span>
+                <span class="buff-value">${bonus >= 0 ? '+' : ''}${bonus}% ${buff.stat} · ${Math.ceil(buff.timeRemaining)}s</span>
+            `;
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * Show a message in the middle of the screen for a while
+     */
+    showMessage(text, duration = 3000) {
+        if (!this.messageElement) return;
+        
+        this.messageElement.textContent = text;
+        this.messageElement.style.display = "block";
+        
+        // Hide the message after the duration, unless a newer message replaced it
+        clearTimeout(this.messageTimeout);
+        this.messageTimeout = setTimeout(() => {
+            if (this.messageElement) {
+                this.messageElement.style.display = "none";
+            }
+        }, duration);
+    }
+    
     /**
      * Select a fruit by index - optimized
      */
@@ -723,8 +1078,9 @@ export class GameplayState extends BaseState {
             }
         });
         
-        // Update the fruit details panel
+        // Update the fruit details panel and ultimate meter
         this.updateFruitDetails();
+        this.updateUltimateMeter();
     }
     
     /**
@@ -735,38 +1091,41 @@ export class GameplayState extends BaseState {
      * Create enemies and boss - optimized
      */
     createEnemies() {
-        // Clear any existing enemies
+        // Clear any existing enemies and allies
         this.enemies.forEach(enemy => {
             if (enemy) enemy.destroy();
         });
         this.enemies = [];
+        this.clearAllies();
         
         if (this.boss) {
             this.boss.destroy();
             this.boss = null;
         }
         
-        // Create 5 enemies 
-        for (let i = 0; i < 3; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const radius = 8 + Math.random() * 6;
-            
-            const x = Math.cos(angle) * radius;
-            const z = Math.sin(angle) * radius;
-            
+        // Create the enemies from the island roster
+        const roster = this.currentIsland ? this.currentIsland.enemies : [];
+        roster.forEach(definition => {
             const enemy = new Enemy(this.engine, {
-                name: `Villain ${i+1}`,
-                health: 50 + i * 10
+                name: definition.name,
+                health: definition.health,
+                maxHealth: definition.health,
+                speed: definition.speed,
+                attackPower: definition.attackPower,
+                fruitType: definition.fruit,
+                fruitPower: definition.power,
+                resistances: definition.resistances
             });
             
-            enemy.setPosition(x, 0, z);
+            const spawnPosition = this.currentIsland.getEnemySpawnPosition(definition);
+            enemy.setPosition(spawnPosition.x, 0, spawnPosition.z);
             
             // Visual indicator of enemy's fruit type (small floating icon above enemy)
             if (enemy.fruit) {
                 const fruitIndicator = document.createElement('div');
                 fruitIndicator.className = 'enemy-fruit-indicator';
                 fruitIndicator.innerHTML = `
-                    <img src="models/fruits/${enemy.fruit.type.charAt(0).toUpperCase() + enemy.fruit.type.slice(1)}Fruit.png" 
+                    <img src="${fruitRegistry.getIcon(enemy.fruit.type)}" 
                          alt="${enemy.fruit.type}">
                     <span class="fruit-type-label">${enemy.fruit.type}</span>
                 `;
@@ -830,11 +1189,30 @@ export class GameplayState extends BaseState {
             }
             
             this.enemies.push(enemy);
-        }
+        });
         
         // Initialize boss but don't create it yet - will spawn after all enemies are defeated
         this.bossCreated = false;
     }
+    
+    /**
+     * Summon an ally that fights for the player
+     * @param {Object} options - Ally settings, see the Ally entity
+     * @returns {Ally} The ally
+     */
+    spawnAlly(options = {}) {
+        const ally = new Ally(this.engine, options);
+        this.allies.push(ally);
+        return ally;
+    }
+    
+    /**
+     * Remove every ally from the island
+     */
+    clearAllies() {
+        this.allies.forEach(ally => ally.destroy());
+        this.allies = [];
+    }
 
     /**
      * Create the boss when all enemies are defeated
@@ -844,35 +1222,28 @@ export class GameplayState extends BaseState {
             this.boss.destroy();
         }
         
-        // Create a boss at the far end of the island, but not too far
+        // Create the boss from the island definition
+        const bossDefinition = this.currentIsland ? this.currentIsland.boss : {};
         this.boss = new MiniBoss(this.engine, {
-            name: 'Island Boss',
-            health: 200,
-            abilities: [
-                { name: 'shockwave', power: 30 },
-                { name: 'teleport', power: 0 },
-                { name: 'fireBlast', power: 40 }
-            ]
+            name: bossDefinition.name,
+            health: bossDefinition.health,
+            maxHealth: bossDefinition.health,
+            speed: bossDefinition.speed,
+            attackPower: bossDefinition.attackPower,
+            abilities: bossDefinition.abilities,
+            fruitTypes: bossDefinition.fruits,
+            resistances: bossDefinition.resistances
         });
         
-        // Position the boss closer to the player
-        this.boss.setPosition(0, 0, -18);
+        // Position the boss at the far end of the island, but not too far
+        const bossPosition = bossDefinition.position || { x: 0, z: -18 };
+        this.boss.setPosition(bossPosition.x, 0, bossPosition.z);
         
         // Mark boss as created
         this.bossCreated = true;
         
         // Display a message to the player
-        if (this.messageElement) {
-            this.messageElement.textContent = "The Island Boss has appeared!";
-            this.messageElement.style.display = "block";
-            
-            // Hide the message after 3 seconds
-            setTimeout(() => {
-                if (this.messageElement) {
-                    this.messageElement.style.display = "none";
-                }
-            }, 3000);
-        }
+        this.showMessage(`${this.boss.name} has appeared!`);
         
         // Display boss fruit powers
         if (this.boss.fruits && this.boss.fruits.length > 0) {
@@ -894,7 +1265,7 @@ export class GameplayState extends BaseState {
             const fruitIcon = document.createElement('div');
             fruitIcon.className = 'boss-fruit-icon';
             fruitIcon.innerHTML = `
-                <img src="models/fruits/${fruit.type.charAt(0).toUpperCase() + fruit.type.slice(1)}Fruit.png" 
+                <img src="${fruitRegistry.getIcon(fruit.type)}" 
                      alt="${fruit.type}">
                 <span class="boss-fruit-type">${fruit.type}</span>
             `;
@@ -954,6 +1325,14 @@ export class GameplayState extends BaseState {
     update(deltaTime) {
         super.update(deltaTime);
         
+        // Hold the game while an awakening ceremony is on screen
+        if (this.awakeningScreen) {
+            if (this.engine.input.isKeyPressed('Enter')) {
+                this._closeAwakeningCeremony();
+            }
+            return;
+        }
+        
         // Decrement UI update timer
         if (this.uiUpdateTimer > 0) {
             this.uiUpdateTimer -= deltaTime;
@@ -964,6 +1343,17 @@ export class GameplayState extends BaseState {
             this.player.update(deltaTime);
         }
         
+        // Update allies and drop the ones that expired or were defeated
+        for (let i = this.allies.length - 1; i >= 0; i--) {
+            const ally = this.allies[i];
+            if (ally.isActive) {
+                ally.update(deltaTime);
+            }
+            if (!ally.isActive) {
+                this.allies.splice(i, 1);
+            }
+        }
+        
         // Update enemies and remove dead ones - optimized by reducing work
         for (let i = this.enemies.length - 1; i >= 0; i--) {
             const enemy = this.enemies[i];
@@ -990,6 +1380,16 @@ export class GameplayState extends BaseState {
             this.boss.update(deltaTime);
         }
         
+        // Move projectiles and let them hit whoever they touch
+        const combatants = [this.player, ...this.allies, ...this.enemies, this.boss].filter(Boolean);
+        this.engine.projectileSystem.update(deltaTime, combatants);
+        
+        // Set off the mines someone stepped on
+        this.engine.mineSystem.update(deltaTime, combatants);
+        
+        // Tick burns, slows, knockback and blind on everyone
+        this.updateStatusEffects(deltaTime);
+        
         // Update all effects
         EffectsUpdateManager.updateEffects(this.engine, deltaTime);
         
@@ -1010,6 +1410,20 @@ export class GameplayState extends BaseState {
         }
     }
     
+    /**
+     * Update status effects on the player, allies, enemies and boss
+     */
+    updateStatusEffects(deltaTime) {
+        const entities = [this.player, ...this.allies, ...this.enemies, this.boss].filter(Boolean);
+        StatusEffectSystem.update(entities, deltaTime, this.getArenaRadius());
+        
+        // A blinded player sees a bright glare
+        const blindOverlay = this.gameplayUI ? this.gameplayUI.querySelector('.blind-overlay') : null;
+        if (blindOverlay) {
+            blindOverlay.classList.toggle('active', !!this.player && StatusEffectSystem.isBlinded(this.player));
+        }
+    }
+    
     /**
      * Update the positions of enemy fruit indicators
      */
@@ -1035,6 +1449,12 @@ export class GameplayState extends BaseState {
                 continue;
             }
             
+            // Banished enemies are out of sight
+            if (enemy.banished) {
+                element.style.display = 'none';
+                continue;
+            }
+            
             // Get enemy position
             const position = enemy.getPosition();
             if (!position) continue;
@@ -1116,10 +1536,21 @@ export class GameplayState extends BaseState {
         this.cameraOffset.x = Math.max(-maxOffset, Math.min(maxOffset, this.cameraOffset.x));
         this.cameraOffset.z = Math.max(-maxOffset, Math.min(maxOffset, this.cameraOffset.z));
         
+        // Ease toward the flight altitude, so taking off and landing don't jolt the view
+        const altitude = this.player.isFlying() ? this.player.getHeightAboveGround() : 0;
+        this.cameraAltitude = THREE.MathUtils.lerp(this.cameraAltitude || 0, altitude, Math.min(1, this.engine.time.deltaTime * 3));
+        
+        // Widen the view up high, so the ground around a flyer stays in frame
+        const fov = 70 + this.cameraAltitude * 2;
+        if (Math.abs(camera.fov - fov) > 0.01) {
+            camera.fov = fov;
+            camera.updateProjectionMatrix();
+        }
+        
         // Calculate center point (player position + camera offset)
         const centerPosition = new THREE.Vector3(
             playerPosition.x + this.cameraOffset.x,
-            0, // Keep at ground level
+            this.cameraAltitude * 0.5, // Ground level, raised toward a flying player
             playerPosition.z + this.cameraOffset.z
         );
         
@@ -1129,12 +1560,21 @@ export class GameplayState extends BaseState {
     
     /**
      * Check for direct hits on enemies from an attack - optimized
+     * Strikes the closest enemy unless the fruit's attack already hit something
+     * Aimed attacks pass a direction and only strike enemies in front of them
+     * @returns {Boolean} Whether the attack hit any enemy
      */
-    checkDirectAttackHits(attackPosition, attackRange, damage, attackType) {
+    checkDirectAttackHits(attackPosition, attackRange, fruit, attackName, direction = null) {
         if (!this.enemies || !Array.isArray(this.enemies)) {
             return false;
         }
         
+        // The attack already landed or has projectiles in flight - don't hit twice
+        const attack = fruit.currentAttack;
+        if (attack && (attack.hitTargets.length > 0 || attack.projectileCount > 0)) {
+            return attack.hitTargets.length > 0;
+        }
+        
         // Create combined targets array only when needed
         const targets = [...this.enemies];
         if (this.boss && this.boss.isActive) {
@@ -1146,7 +1586,7 @@ export class GameplayState extends BaseState {
         let closestDistance = Infinity;
         
         for (const enemy of targets) {
-            if (!enemy || !enemy.isActive) continue;
+            if (!enemy || !enemy.isActive || enemy.banished) continue;
             
             const enemyPosition = enemy.getPosition();
             if (!enemyPosition) continue;
@@ -1159,6 +1599,12 @@ export class GameplayState extends BaseState {
             // Compare with squared range
             const rangeSquared = attackRange * attackRange;
             
+            // Skip enemies outside the aim cone, unless they're right next to the attack
+            if (direction && distanceSquared > 2.25) {
+                const facing = -(dx * direction.x + dz * direction.z) / Math.sqrt(distanceSquared);
+                if (facing < AIM_CONE_COS) continue;
+            }
+            
             // Check if within range and closer than current closest
             if (distanceSquared <= rangeSquared && distanceSquared < closestDistance) {
                 closestEnemy = enemy;
@@ -1166,15 +1612,227 @@ export class GameplayState extends BaseState {
             }
         }
         
-        // If we found a closest enemy in range, damage it
+        // If we found a closest enemy in range, damage it with the attack's damage value
         if (closestEnemy) {
-            closestEnemy.takeDamage(damage);
+            const fruitData = fruitStore.getFruit(fruit.name);
+            this.engine.damageSystem.deal({
+                source: this.player,
+                target: closestEnemy,
+                amount: fruitData ? fruitData.damageValues[attackName] : fruit.power,
+                element: fruit.type,
+                attackName: attackName,
+                position: attackPosition
+            });
+            fruit.recordHit(closestEnemy);
             return true;
         }
         
         return false;
     }
     
+    /**
+     * Show the damage of a hit above the entity that took it
+     */
+    _showDamageNumber(event) {
+        const position = event.target.getPosition();
+        if (!position) return;
+        
+        // Red when the player is hurt, gold for critical hits,
+        // orange for super effective hits and grey for resisted ones
+        let color = 0xffffff;
+        if (event.target === this.player) {
+            color = 0xff4444;
+        } else if (event.isCrit) {
+            color = 0xffd700;
+        } else if (event.affinity > 1) {
+            color = 0xff8800;
+        } else if (event.affinity < 1) {
+            color = 0xaaaaaa;
+        }
+        
+        const damage = Math.max(1, Math.round(event.amount));
+        const text = event.isCrit ? `${damage}!` : `${damage}`;
+        this._showDamageText(position, text, color, event.isCrit ? 1.5 : 1);
+    }
+    
+    /**
+     * Show the health restored by a heal above the entity that got it
+     */
+    _showHealNumber(event) {
+        const position = event.target.getPosition();
+        if (!position) return;
+        
+        const healed = Math.max(1, Math.round(event.amount));
+        this._showDamageText(position, `+${healed}`, 0x44ff88, event.attackName === 'Revive' ? 1.5 : 1);
+    }
+    
+    /**
+     * Show floating text that rises and fades out
+     */
+    _showDamageText(position, text, color, scale = 1) {
+        const scene = this.engine.renderer.scene;
+        if (!scene) return;
+        
+        // Draw the text on a canvas
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 64;
+        
+        const context = canvas.getContext('2d');
+        context.font = 'bold 40px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.lineWidth = 6;
+        context.strokeStyle = 'black';
+        context.strokeText(text, 64, 32);
+        context.fillStyle = `#${new THREE.Color(color).getHexString()}`;
+        context.fillText(text, 64, 32);
+        
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            transparent: true,
+            depthTest: false
+        }));
+        sprite.scale.set(2 * scale, scale, 1);
+        sprite.position.set(
+            position.x + (Math.random() - 0.5),
+            position.y + 3,
+            position.z + (Math.random() - 0.5)
+        );
+        scene.add(sprite);
+        
+        // Float up and fade out
+        const lifetime = 1;
+        let age = 0;
+        sprite.userData.update = (deltaTime) => {
+            age += deltaTime;
+            sprite.position.y += deltaTime * 1.5;
+            sprite.material.opacity = Math.max(0, 1 - age / lifetime);
+            
+            if (age >= lifetime) {
+                scene.remove(sprite);
+                sprite.material.map.dispose();
+                sprite.material.dispose();
+                return false;
+            }
+            return true;
+        };
+        
+        if (!this.engine.effectsToUpdate) {
+            this.engine.effectsToUpdate = [];
+        }
+        this.engine.effectsToUpdate.push(sprite);
+    }
+    
+    /**
+     * Add a hit to the combat stats shown on the victory screen
+     */
+    _recordCombatStats(event) {
+        if (event.target === this.player) {
+            this.combatStats.damageTaken += event.amount;
+            return;
+        }
+        
+        // Hits on allies are neither dealt nor taken by the player
+        if (this.allies.includes(event.target)) return;
+        
+        this.combatStats.damageDealt += event.amount;
+        if (event.isCrit) this.combatStats.criticalHits++;
+        if (event.killed) this.combatStats.enemiesDefeated++;
+    }
+    
+    /**
+     * Give the fruit that landed a hit mastery experience, with a bonus for kills
+     */
+    _awardMastery(event) {
+        if (!this.player || event.source !== this.player || !event.element) return;
+        
+        const fruit = this.player.fruits.find(playerFruit => playerFruit.type === event.element);
+        if (!fruit) return;
+        
+        const xp = fruitStore.masteryXpPerHit + (event.killed ? fruitStore.masteryXpPerKill : 0);
+        const levelsGained = fruitStore.addMasteryXp(fruit.name, xp);
+        if (levelsGained > 0) {
+            const fruitData = fruitStore.getFruit(fruit.name);
+            this.showMessage(`${fruit.name} reached mastery level ${fruitData.masteryLevel}!`, 2500);
+            
+            // Celebrate every awakened move the new level unlocks
+            fruit.getAwakeningsBetween(fruitData.masteryLevel - levelsGained, fruitData.masteryLevel)
+                .forEach(awakening => this._queueAwakeningCeremony(fruit, awakening));
+        }
+    }
+    
+    /**
+     * Queue the unlock ceremony of an awakened move, showing it now if no other ceremony is on screen
+     */
+    _queueAwakeningCeremony(fruit, awakening) {
+        this.awakeningQueue.push({ fruit, awakening });
+        if (!this.awakeningScreen) {
+            this._showNextAwakeningCeremony();
+        }
+    }
+    
+    /**
+     * Show the next unlock ceremony - the game holds still until the player continues
+     */
+    _showNextAwakeningCeremony() {
+        const next = this.awakeningQueue.shift();
+        if (!next) return;
+        
+        const { fruit, awakening } = next;
+        const baseSettings = fruit.attackSettings ? fruit.attackSettings[awakening.attack] : null;
+        const baseName = baseSettings ? baseSettings.name : awakening.attack;
+        
+        const awakeningScreen = document.createElement('div');
+        awakeningScreen.className = 'awakening-screen';
+        awakeningScreen.innerHTML = `
+            <div class="awakening-content">
+                <img src="${fruitRegistry.getIcon(fruit.type)}" alt="${fruit.name}">
+                <h2>Awakening!</h2>
+                <p>${fruit.name} · Mastery Lv ${awakening.level}</p>
+                <p class="awakening-move">${baseName} → <strong>${awakening.name}</strong></p>
+                <p>${awakening.description}</p>
+                <button class="awakening-continue">Continue (Enter)</button>
+            </div>
+        `;
+        
+        document.body.appendChild(awakeningScreen);
+        awakeningScreen.querySelector('.awakening-continue').addEventListener('click', () => {
+            this._closeAwakeningCeremony();
+        });
+        this.awakeningScreen = awakeningScreen;
+        
+        // Play victory sound if available
+        const victorySound = this.engine.resources.getSound('victory');
+        if (victorySound) {
+            audioManager.playSound(victorySound, 0.6, false);
+        }
+    }
+    
+    /**
+     * Close the ceremony on screen and move on to the next one
+     */
+    _closeAwakeningCeremony() {
+        if (this.awakeningScreen && this.awakeningScreen.parentNode) {
+            this.awakeningScreen.parentNode.removeChild(this.awakeningScreen);
+        }
+        this.awakeningScreen = null;
+        
+        this._showNextAwakeningCeremony();
+    }
+    
+    /**
+     * Play a sound for critical hits
+     */
+    _playHitSound(event) {
+        if (!event.isCrit) return;
+        
+        const critSound = this.engine.resources.getSound('dropSound');
+        if (critSound) {
+            audioManager.playSound(critSound, 0.6, false);
+        }
+    }
+    
     /**
      * Exit gameplay state
      */
@@ -1182,19 +1840,29 @@ export class GameplayState extends BaseState {
         super.exit();
         
         // Remove UI
+        clearTimeout(this.messageTimeout);
         this.removeUI();
         
+        // Stop listening to hits
+        this.damageListeners.forEach(unsubscribe => unsubscribe());
+        this.damageListeners = [];
+        
+        // Drop any awakening ceremonies
+        this.awakeningQueue = [];
+        this._closeAwakeningCeremony();
+        
         // Clean up player
         if (this.player) {
             this.player.destroy();
             this.player = null;
         }
         
-        // Clean up enemies
+        // Clean up enemies and allies
         this.enemies.forEach(enemy => {
             if (enemy) enemy.destroy();
         });
         this.enemies = [];
+        this.clearAllies();
         
         // Clean up boss
         if (this.boss) {
@@ -1218,8 +1886,13 @@ export class GameplayState extends BaseState {
             this.bossFruitContainer = null;
         }
         
-        // Clean up all effects
+        // Clean up all effects, projectiles and mines
         EffectsUpdateManager.cleanupAllEffects(this.engine);
+        this.engine.projectileSystem.clear();
+        this.engine.mineSystem.clear();
+        
+        // Save fruit uses earned or spent on this island
+        this.engine.saveGame();
         
         // Re-enable orbit controls if they exist
         if (this.engine.renderer.controls) {
@@ -1258,29 +1931,100 @@ export class GameplayState extends BaseState {
             // Remove game over screen
             document.body.removeChild(gameOverScreen);
             
-            // Restart the game
-            this.engine.stateManager.switchState('gameplay');
+            // Restart the same island
+            this.engine.stateManager.changeState('gameplay', {
+                islandId: this.currentIsland ? this.currentIsland.id : null
+            });
         });
     }
     
+    /**
+     * Show the player coming back from defeat - a flash on screen and a pillar of light
+     * @param {Fruit} fruit - Fruit that revived the player
+     */
+    onPlayerRevived(fruit = null) {
+        this.showMessage(fruit ? `${fruit.name} brought you back!` : 'Revived!', 2500);
+        
+        // Flash the screen, the element removes itself when its animation ends
+        const flash = document.createElement('div');
+        flash.className = 'revive-flash';
+        flash.addEventListener('animationend', () => {
+            if (flash.parentNode) flash.parentNode.removeChild(flash);
+        });
+        document.body.appendChild(flash);
+        
+        const scene = this.engine.renderer.scene;
+        const position = this.player ? this.player.getPosition() : null;
+        if (!scene || !position) return;
+        
+        // A pillar of light that widens and fades around the player
+        const pillar = new THREE.Mesh(
+            new THREE.CylinderGeometry(1, 1, 8, 24, 1, true),
+            new THREE.MeshBasicMaterial({
+                color: 0xfff2b3,
+                transparent: true,
+                opacity: 0.7,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        );
+        pillar.position.set(position.x, 4, position.z);
+        scene.add(pillar);
+        
+        const lifetime = 1.5;
+        let age = 0;
+        pillar.userData.update = (deltaTime) => {
+            age += deltaTime;
+            const progress = age / lifetime;
+            pillar.scale.set(0.5 + progress * 1.5, 1, 0.5 + progress * 1.5);
+            pillar.material.opacity = 0.7 * Math.max(0, 1 - progress);
+            
+            if (age >= lifetime) {
+                scene.remove(pillar);
+                pillar.geometry.dispose();
+                pillar.material.dispose();
+                return false;
+            }
+            return true;
+        };
+        
+        if (!this.engine.effectsToUpdate) {
+            this.engine.effectsToUpdate = [];
+        }
+        this.engine.effectsToUpdate.push(pillar);
+    }
+    
     /**
      * Handle boss defeat and victory
      */
     onBossDefeated() {
+        // Mark the island as cleared on the world map
+        if (this.currentIsland && this.engine.worldMap) {
+            this.engine.worldMap.markIslandCleared(this.currentIsland.id);
+        }
+        
+        // Save the progress right away
+        this.engine.saveGame();
+        
         // Play victory sound if available
         const victorySound = this.engine.resources.getSound('victory');
         if (victorySound) {
             audioManager.playSound(victorySound, 0.8, false);
         }
         
-        // Create victory banner
+        // Create victory banner with the island's combat stats
+        const stats = this.combatStats;
         const victoryScreen = document.createElement('div');
         victoryScreen.className = 'victory-screen';
         victoryScreen.innerHTML = `
             <div class="victory-content">
                 <h2>Victory!</h2>
-                <p>Congratulations, Efrain! You've defeated the boss!</p>
-                <button id="play-again-button">Play Again</button>
+                <p>Congratulations, Efrain! You've defeated the boss${this.currentIsland ? ` of ${this.currentIsland.name}` : ''}!</p>
+                <p class="victory-stats">
+                    Damage dealt: ${Math.round(stats.damageDealt)} · Critical hits: ${stats.criticalHits}<br>
+                    Enemies defeated: ${stats.enemiesDefeated} · Damage taken: ${Math.round(stats.damageTaken)}
+                </p>
+                <button id="play-again-button">Back to Map</button>
             </div>
         `;
         
@@ -1290,8 +2034,8 @@ export class GameplayState extends BaseState {
             // Remove victory screen
             document.body.removeChild(victoryScreen);
             
-            // Reload the window
-            window.location.reload();
+            // Return to the world map
+            this.engine.stateManager.changeState('menu');
         });
     }
 }
\ No newline at end of file
@@ -2,6 +2,7 @@
  * Loading state for asset loading and initialization
  */
 import { BaseState } from './BaseState.js';
+import fruitRegistry from '../powers/FruitRegistry.js';
 
 // Direct path to resources without CORS proxy
 // const BASE_PATH = 'https://mathkraft-games.s3.us-east-1.amazonaws.com/efrain/blox-fruits';
@@ -73,12 +74,11 @@ export class LoadingState extends BaseState {
                 { name: 'villain', path: `${BASE_PATH}/models/entities/villian.png` },
                 // Load boss texture
                 { name: 'boss', path: `${BASE_PATH}/models/entities/boss.png` },
-                // Load all fruit textures
-                { name: 'flameFruit', path: `${BASE_PATH}/models/fruits/FlameFruit.png` },
-                { name: 'iceFruit', path: `${BASE_PATH}/models/fruits/IceFruit.png` },
-                { name: 'bombFruit', path: `${BASE_PATH}/models/fruits/BombFruit.png` },
-                { name: 'lightFruit', path: `${BASE_PATH}/models/fruits/LightFruit.png` },
-                { name: 'magmaFruit', path: `${BASE_PATH}/models/fruits/MagmaFruit.png` }
+                // Load the textures of all registered fruits
+                ...fruitRegistry.getAll().map(fruit => ({
+                    name: fruitRegistry.getTextureName(fruit.type),
+                    path: `${BASE_PATH}/${fruit.icon}`
+                }))
             ],
             models: [],
             sounds: [
@@ -86,6 +86,10 @@ export class LoadingState extends BaseState {
                 { name: 'bgMusic', path: `${BASE_PATH}/sounds/bg-music.mpeg` },
                 // Load drop sound effect
                 { name: 'dropSound', path: `${BASE_PATH}/sounds/drop.mp3` }
+            ],
+            data: [
+                // Load island level definitions
+                { name: 'islands', path: `${BASE_PATH}/data/islands.json` }
             ]
         };
         
@@ -131,6 +135,10 @@ export class LoadingState extends BaseState {
             
             // Load actual resources
             this.engine.resources.loadResources(resources)
+                .then(() => {
+                    // Island definitions decide which backgrounds and music are needed
+                    return this.loadIslandResources();
+                })
                 .then(() => {
                     this.onComplete();
                 })
@@ -146,6 +154,23 @@ export class LoadingState extends BaseState {
         }
     }
     
+    /**
+     * Apply island definitions and load the backgrounds and music they use
+     */
+    loadIslandResources() {
+        const worldMap = this.engine.worldMap;
+        if (!worldMap) return Promise.resolve();
+        
+        worldMap.loadIslandDefinitions(this.engine.resources.getData('islands'));
+        
+        // Island assets are stored under their path so islands can refer to them directly
+        const assets = worldMap.getIslandAssets();
+        return this.engine.resources.loadResources({
+            textures: assets.textures.map(path => ({ name: path, path: `${BASE_PATH}/${path}` })),
+            sounds: assets.sounds.map(path => ({ name: path, path: `${BASE_PATH}/${path}` }))
+        });
+    }
+    
     /**
      * Update loading state
      */
@@ -4,6 +4,7 @@
 import { BaseState } from './BaseState.js';
 import * as THREE from 'three';
 import audioManager from '../lib/AudioManager.js';
+import saveManager from '../lib/SaveManager.js';
 import { EffectsUpdateManager } from '../core/EffectsUpdateManager.js';
 
 export class MenuState extends BaseState {
@@ -27,15 +28,6 @@ export class MenuState extends BaseState {
         if (!audioManager.initialized && this.engine.renderer.camera) {
             audioManager.init(this.engine.renderer.camera);
         }
-        
-        try {
-            // Create menu scene
-            this.createMenuScene();
-        } catch (error) {
-            console.error("Error creating menu scene:", error);
-            // Make sure we at least show the UI even if 3D fails
-            this.createUI();
-        }
     }
     
     /**
@@ -60,17 +52,8 @@ export class MenuState extends BaseState {
                 scene.background = new THREE.Color(0x87CEEB); // Sky blue fallback
             }
             
-            // Create an invisible plane for click detection
-            const planeGeometry = new THREE.PlaneGeometry(100, 100);
-            const planeMaterial = new THREE.MeshBasicMaterial({ 
-                visible: false // Invisible click plane
-            });
-            const clickPlane = new THREE.Mesh(planeGeometry, planeMaterial);
-            clickPlane.rotation.x = -Math.PI / 2; // Make it horizontal
-            clickPlane.position.y = 0;
-            clickPlane.userData.isInteractive = true;
-            clickPlane.userData.islandId = 'sea0_island0'; // Default to first island
-            scene.add(clickPlane);
+            // Create the world map islands
+            this.createIslands(scene);
         } catch (error) {
             console.error("Error in createMenuScene:", error);
         }
@@ -80,8 +63,11 @@ export class MenuState extends BaseState {
      * Create islands for the world map
      */
     createIslands(scene) {
-        // This method is kept empty as we're now using just the background image
-        // but kept for compatibility with other code
+        const worldMap = this.engine.worldMap;
+        if (!worldMap) return;
+        
+        worldMap.createMapObjects(scene);
+        worldMap.createLabels(this.uiContainer);
     }
     
     /**
@@ -98,6 +84,13 @@ export class MenuState extends BaseState {
     enter(params = {}) {
         super.enter(params);
         
+        try {
+            // Create menu scene - rebuilt on every visit since gameplay clears the scene
+            this.createMenuScene();
+        } catch (error) {
+            console.error("Error creating menu scene:", error);
+        }
+        
         // Create and show UI
         this.createUI();
         
@@ -135,16 +128,25 @@ export class MenuState extends BaseState {
         this.menuUI.innerHTML = `
             <div class="menu-title">Blox Fruits</div>
             <div class="menu-subtitle">A Fruit Adventure Game</div>
+            <div class="menu-instructions">Click an unlocked island to set sail!</div>
+            <div class="menu-profile"></div>
         `;
         
+        // Show who is playing
+        const activeProfile = saveManager.getActiveProfile();
+        if (activeProfile) {
+            this.menuUI.querySelector('.menu-profile').textContent = `Playing as ${activeProfile.name}`;
+        }
+        
         // Add some basic styling
         const style = document.createElement('style');
+        style.id = 'menu-ui-style';
         style.textContent = `
             .menu-ui {
                 position: absolute;
-                top: 50%;
+                top: 30px;
                 left: 50%;
-                transform: translate(-50%, -50%);
+                transform: translateX(-50%);
                 width: 100%;
                 text-align: center;
                 color: white;
@@ -174,6 +176,12 @@ export class MenuState extends BaseState {
                 display: inline-block;
             }
             
+            .menu-profile {
+                font-size: 16px;
+                margin-top: 10px;
+                text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.5);
+            }
+            
             /* Add start button for navigation without 3D */
             .start-button {
                 display: inline-block;
@@ -194,6 +202,27 @@ export class MenuState extends BaseState {
                 background-color: #ff7700;
                 transform: translateY(-2px);
             }
+            
+            .save-buttons {
+                margin-top: 15px;
+                display: flex;
+                gap: 10px;
+                justify-content: center;
+            }
+            
+            .save-button {
+                padding: 6px 14px;
+                background-color: rgba(0, 0, 0, 0.6);
+                color: white;
+                border: 1px solid rgba(255, 255, 255, 0.4);
+                border-radius: 5px;
+                cursor: pointer;
+                font-size: 14px;
+            }
+            
+            .save-button:hover {
+                background-color: rgba(0, 0, 0, 0.8);
+            }
         `;
         
         // Add a start button element that will work without 3D
@@ -201,16 +230,45 @@ export class MenuState extends BaseState {
         startButtonDiv.innerHTML = '<div class="start-button">Start Adventure</div>';
         this.menuUI.appendChild(startButtonDiv);
         
-        this.uiContainer.appendChild(style);
+        // Buttons to move a save between browsers
+        const saveButtonsDiv = document.createElement('div');
+        saveButtonsDiv.className = 'save-buttons';
+        saveButtonsDiv.innerHTML = `
+            <button class="save-button export-save-button">Export Save</button>
+            <button class="save-button import-save-button">Import Save</button>
+            <input type="file" class="import-save-input" accept="application/json,.json" style="display: none;">
+        `;
+        this.menuUI.appendChild(saveButtonsDiv);
+        
+        // The menu is entered again after every island - add its styling only once
+        if (!document.getElementById('menu-ui-style')) {
+            this.uiContainer.appendChild(style);
+        }
         this.uiContainer.appendChild(this.menuUI);
         
         // Add event listener to the start button
         const startButton = this.menuUI.querySelector('.start-button');
         if (startButton) {
             startButton.addEventListener('click', () => {
-                this.engine.stateManager.changeState('fruitSelect');
+                // Pick a profile first - it continues with its next island
+                this.engine.stateManager.changeState('profileSelect');
             });
         }
+        
+        // Add event listeners to the save buttons
+        const importInput = this.menuUI.querySelector('.import-save-input');
+        this.menuUI.querySelector('.export-save-button').addEventListener('click', () => {
+            this.exportSave();
+        });
+        this.menuUI.querySelector('.import-save-button').addEventListener('click', () => {
+            importInput.click();
+        });
+        importInput.addEventListener('change', () => {
+            if (importInput.files.length > 0) {
+                this.importSave(importInput.files[0]);
+            }
+            importInput.value = '';
+        });
     }
     
     /**
@@ -266,9 +324,16 @@ export class MenuState extends BaseState {
                 }
                 
                 if (parent && parent.userData.isInteractive) {
+                    const islandId = parent.userData.islandId;
+                    
+                    // Locked islands can't be played yet
+                    if (!this.engine.worldMap.isIslandUnlocked(islandId)) {
+                        this.showMessage("That island is locked! Clear the islands before it first.");
+                        break;
+                    }
                     
-                    // Start fruit selection screen
-                    this.engine.stateManager.changeState('fruitSelect');
+                    // Start fruit selection screen for this island
+                    this.startIsland(islandId);
                     break;
                 }
             }
@@ -277,6 +342,79 @@ export class MenuState extends BaseState {
         }
     }
     
+    /**
+     * Start an island - fruit selection comes first, then gameplay
+     * Without an active profile the player picks one first
+     */
+    startIsland(islandId) {
+        if (!saveManager.getActiveProfile()) {
+            this.engine.stateManager.changeState('profileSelect', { islandId: islandId });
+            return;
+        }
+        
+        this.engine.stateManager.changeState('fruitSelect', { islandId: islandId });
+    }
+    
+    /**
+     * Download the save as a JSON file
+     */
+    exportSave() {
+        this.engine.saveGame();
+        
+        const blob = new Blob([saveManager.exportToJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'blox-fruits-save.json';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        URL.revokeObjectURL(url);
+        this.showMessage("Save exported!");
+    }
+    
+    /**
+     * Load a save from a JSON file
+     */
+    importSave(file) {
+        const reader = new FileReader();
+        
+        reader.onload = () => {
+            if (saveManager.importFromJSON(reader.result)) {
+                // Apply the imported progress - the map redraws itself
+                saveManager.apply(this.engine);
+                this.menuUI.querySelector('.menu-profile').textContent = `Playing as ${saveManager.getActiveProfile().name}`;
+                this.showMessage("Save imported!");
+            } else {
+                this.showMessage("That file isn't a valid save.");
+            }
+        };
+        
+        reader.onerror = () => {
+            this.showMessage("Couldn't read that file.");
+        };
+        
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Show a short message in the menu instructions
+     */
+    showMessage(text) {
+        const instructions = this.menuUI ? this.menuUI.querySelector('.menu-instructions') : null;
+        if (!instructions) return;
+        
+        instructions.textContent = text;
+        
+        // Restore the default instructions after a few seconds
+        clearTimeout(this.messageTimeout);
+        this.messageTimeout = setTimeout(() => {
+            instructions.textContent = "Click an unlocked island to set sail!";
+        }, 3000);
+    }
+    
     /**
      * Update the menu state
      */
@@ -290,6 +428,11 @@ export class MenuState extends BaseState {
             // Update all effects
             EffectsUpdateManager.updateEffects(this.engine, deltaTime);
             
+            // Animate the world map and keep island labels in place
+            if (this.engine.worldMap) {
+                this.engine.worldMap.update(deltaTime, this.engine.renderer.camera);
+            }
+            
             // Animate clouds or other elements
             if (this.engine.renderer && this.engine.renderer.scene) {
                 this.engine.renderer.scene.traverse((object) => {
@@ -328,6 +471,12 @@ export class MenuState extends BaseState {
         // Clean up effects
         EffectsUpdateManager.cleanupAllEffects(this.engine);
         
+        // Remove the world map from the scene
+        if (this.engine.worldMap) {
+            this.engine.worldMap.removeMapObjects();
+        }
+        clearTimeout(this.messageTimeout);
+        
         // Remove UI elements
         this.removeUI();
     }
@@ -0,0 +1,350 @@
+/**
+ * Profile selection state - pick, create, rename or delete a save profile
+ */
+import { BaseState } from './BaseState.js';
+import saveManager from '../lib/SaveManager.js';
+
+export class ProfileSelectState extends BaseState {
+    constructor(engine) {
+        super(engine);
+        
+        this.uiContainer = document.getElementById('ui-container');
+        this.profileSelectUI = null;
+        
+        // Island picked on the world map before choosing a profile
+        this.islandId = null;
+        
+        // Profile whose name is being edited
+        this.renamingProfileId = null;
+    }
+    
+    /**
+     * Enter the profile selection state
+     */
+    enter(params = {}) {
+        super.enter(params);
+        
+        this.islandId = params.islandId || null;
+        this.renamingProfileId = null;
+        
+        // Create and show UI
+        this.createUI();
+    }
+    
+    /**
+     * Create profile selection UI
+     */
+    createUI() {
+        this.profileSelectUI = document.createElement('div');
+        this.profileSelectUI.className = 'profile-select-ui';
+        this.profileSelectUI.innerHTML = `
+            <div class="profile-select-header">Choose Your Profile</div>
+            <div class="profile-select-subtitle">Each profile keeps its own islands, fruits and math record</div>
+            <div class="profile-list interactive-element"></div>
+            <div class="profile-create interactive-element">
+                <input type="text" class="profile-name-input" maxlength="20" placeholder="New profile name">
+                <button class="profile-button create-profile-button">Create Profile</button>
+            </div>
+            <button class="profile-button back-button">Back to Map</button>
+        `;
+        
+        // Add some basic styling
+        const style = document.createElement('style');
+        style.textContent = `
+            .profile-select-ui {
+                position: absolute;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background-color: rgba(0, 0, 0, 0.7);
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                justify-content: center;
+                color: white;
+                user-select: none;
+            }
+            
+            .profile-select-header {
+                font-size: 36px;
+                font-weight: bold;
+                margin-bottom: 10px;
+            }
+            
+            .profile-select-subtitle {
+                font-size: 18px;
+                margin-bottom: 20px;
+            }
+            
+            .profile-list {
+                display: flex;
+                flex-direction: column;
+                gap: 10px;
+                width: 80%;
+                max-width: 600px;
+                max-height: 50%;
+                overflow-y: auto;
+                margin-bottom: 20px;
+            }
+            
+            .profile-empty {
+                text-align: center;
+                color: #ccc;
+            }
+            
+            .profile-card {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                background-color: rgba(255, 255, 255, 0.1);
+                border: 2px solid rgba(255, 255, 255, 0.3);
+                border-radius: 10px;
+                padding: 12px 15px;
+            }
+            
+            .profile-card.active {
+                border-color: gold;
+            }
+            
+            .profile-name {
+                font-size: 20px;
+                font-weight: bold;
+            }
+            
+            .profile-info {
+                font-size: 13px;
+                color: #ccc;
+                margin-top: 4px;
+            }
+            
+            .profile-actions {
+                display: flex;
+                gap: 8px;
+            }
+            
+            .profile-create {
+                display: flex;
+                gap: 10px;
+                margin-bottom: 20px;
+            }
+            
+            .profile-name-input {
+                padding: 8px 12px;
+                font-size: 16px;
+                border-radius: 5px;
+                border: none;
+                pointer-events: auto;
+            }
+            
+            .profile-button {
+                padding: 8px 16px;
+                font-size: 14px;
+                background-color: rgba(0, 0, 0, 0.6);
+                color: white;
+                border: 1px solid rgba(255, 255, 255, 0.4);
+                border-radius: 5px;
+                cursor: pointer;
+            }
+            
+            .profile-button:hover {
+                background-color: rgba(0, 0, 0, 0.8);
+            }
+            
+            .profile-button.continue-button {
+                background-color: #4CAF50;
+                border-color: #4CAF50;
+            }
+            
+            .profile-button.delete-button {
+                background-color: #b71c1c;
+                border-color: #b71c1c;
+            }
+        `;
+        this.profileSelectUI.appendChild(style);
+        
+        this.uiContainer.appendChild(this.profileSelectUI);
+        
+        // Fill in the profile cards
+        this.updateProfileList();
+        
+        // Create a profile from the name input
+        const nameInput = this.profileSelectUI.querySelector('.profile-name-input');
+        this.profileSelectUI.querySelector('.create-profile-button').addEventListener('click', () => {
+            this.createProfile(nameInput.value);
+            nameInput.value = '';
+        });
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.createProfile(nameInput.value);
+                nameInput.value = '';
+            }
+        });
+        
+        this.profileSelectUI.querySelector('.back-button').addEventListener('click', () => {
+            this.engine.stateManager.changeState('menu');
+        });
+    }
+    
+    /**
+     * Rebuild the list of profile cards
+     */
+    updateProfileList() {
+        const profileList = this.profileSelectUI.querySelector('.profile-list');
+        profileList.innerHTML = '';
+        
+        const profiles = saveManager.getProfiles();
+        if (profiles.length === 0) {
+            profileList.innerHTML = '<div class="profile-empty">No profiles yet - create one to start your adventure!</div>';
+            return;
+        }
+        
+        const activeProfile = saveManager.getActiveProfile();
+        
+        profiles.forEach(profile => {
+            const card = document.createElement('div');
+            card.className = `profile-card ${activeProfile && activeProfile.id === profile.id ? 'active' : ''}`;
+            
+            // Profile summary, or a name input while renaming
+            const details = document.createElement('div');
+            if (this.renamingProfileId === profile.id) {
+                details.innerHTML = `<input type="text" class="profile-name-input" maxlength="20">`;
+                details.querySelector('input').value = profile.name;
+            } else {
+                const clearedCount = profile.progress.clearedIslands.length;
+                const islandCount = this.engine.worldMap ? this.engine.worldMap.getIslands().length : 0;
+                const fruitNames = profile.loadout.map(fruit => fruit.name).join(', ') || 'No fruits chosen yet';
+                const correctAnswers = profile.mathHistory.filter(entry => entry.correct).length;
+                
+                details.innerHTML = `
+                    <div class="profile-name"></div>
+                    <div class="profile-info">Islands cleared: ${clearedCount}/${islandCount} · Math: ${correctAnswers}/${profile.mathHistory.length} correct</div>
+                    <div class="profile-info">${fruitNames}</div>
+                `;
+                details.querySelector('.profile-name').textContent = profile.name;
+            }
+            card.appendChild(details);
+            
+            // Action buttons
+            const actions = document.createElement('div');
+            actions.className = 'profile-actions';
+            if (this.renamingProfileId === profile.id) {
+                actions.innerHTML = `
+                    <button class="profile-button save-name-button">Save</button>
+                    <button class="profile-button cancel-name-button">Cancel</button>
+                `;
+            } else {
+                actions.innerHTML = `
+                    <button class="profile-button continue-button">Continue</button>
+                    <button class="profile-button rename-button">Rename</button>
+                    <button class="profile-button delete-button">Delete</button>
+                `;
+            }
+            card.appendChild(actions);
+            
+            profileList.appendChild(card);
+            this._bindProfileCard(card, profile);
+        });
+    }
+    
+    /**
+     * Add event listeners to the buttons of a profile card
+     */
+    _bindProfileCard(card, profile) {
+        if (this.renamingProfileId === profile.id) {
+            const nameInput = card.querySelector('.profile-name-input');
+            nameInput.focus();
+            
+            const saveName = () => {
+                saveManager.renameProfile(profile.id, nameInput.value);
+                this.renamingProfileId = null;
+                this.updateProfileList();
+            };
+            
+            card.querySelector('.save-name-button').addEventListener('click', saveName);
+            nameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') saveName();
+            });
+            card.querySelector('.cancel-name-button').addEventListener('click', () => {
+                this.renamingProfileId = null;
+                this.updateProfileList();
+            });
+            return;
+        }
+        
+        card.querySelector('.continue-button').addEventListener('click', () => {
+            this.continueProfile(profile.id);
+        });
+        card.querySelector('.rename-button').addEventListener('click', () => {
+            this.renamingProfileId = profile.id;
+            this.updateProfileList();
+        });
+        card.querySelector('.delete-button').addEventListener('click', () => {
+            this.deleteProfile(profile);
+        });
+    }
+    
+    /**
+     * Create a new profile and start playing with it
+     */
+    createProfile(name) {
+        const profile = saveManager.createProfile(name);
+        this.continueProfile(profile.id);
+    }
+    
+    /**
+     * Delete a profile after asking for confirmation
+     */
+    deleteProfile(profile) {
+        if (!window.confirm(`Delete "${profile.name}"? All of its progress will be lost.`)) return;
+        
+        const wasActive = saveManager.getActiveProfile() === profile;
+        saveManager.deleteProfile(profile.id);
+        
+        // Reset the game so the deleted profile's progress isn't kept around
+        if (wasActive) {
+            saveManager.apply(this.engine);
+        }
+        
+        this.updateProfileList();
+    }
+    
+    /**
+     * Load a profile and continue to fruit selection
+     */
+    continueProfile(profileId) {
+        // Store the progress of the profile that was playing before switching
+        this.engine.saveGame();
+        
+        if (!saveManager.selectProfile(profileId)) return;
+        saveManager.apply(this.engine);
+        
+        // Go to the island picked on the map, or the next island of this profile
+        let islandId = this.islandId;
+        if (!islandId || !this.engine.worldMap.isIslandUnlocked(islandId)) {
+            const nextIsland = this.engine.worldMap.getNextIsland();
+            islandId = nextIsland ? nextIsland.id : null;
+        }
+        
+        this.engine.stateManager.changeState('fruitSelect', { islandId: islandId });
+    }
+    
+    /**
+     * Exit profile selection state
+     */
+    exit() {
+        super.exit();
+        
+        // Remove UI
+        this.removeUI();
+    }
+    
+    /**
+     * Remove profile selection UI
+     */
+    removeUI() {
+        if (this.profileSelectUI && this.profileSelectUI.parentNode) {
+            this.profileSelectUI.parentNode.removeChild(this.profileSelectUI);
+        }
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * Island model - a single playable island on the world map
+ *
+ * Level data (enemies, boss, arena, background and music) is authored in
+ * assets/data/islands.json and applied with applyDefinition().
+ */
+
+// Level settings used when an island has no definition
+const DEFAULT_DEFINITION = {
+    arenaRadius: 45,
+    background: 'models/background.png',
+    music: 'sounds/bg-music.mpeg',
+    spawnPoints: [],
+    enemies: [
+        { name: 'Villain 1', health: 50 },
+        { name: 'Villain 2', health: 60 },
+        { name: 'Villain 3', health: 70 }
+    ],
+    boss: {
+        name: 'Island Boss',
+        health: 200,
+        position: { x: 0, z: -18 },
+        abilities: [
+            { name: 'shockwave', power: 30 },
+            { name: 'teleport', power: 0 },
+            { name: 'fireBlast', power: 40 }
+        ]
+    }
+};
+
+export class Island {
+    constructor(options = {}) {
+        this.id = options.id;
+        this.name = options.name || 'Island';
+        this.seaIndex = options.seaIndex || 0;
+        this.index = options.index || 0;
+        
+        // Position of the island inside its sea on the world map
+        this.mapPosition = options.mapPosition || { x: 0, z: 0 };
+        
+        // Level data
+        this.applyDefinition(options.definition || {});
+    }
+    
+    /**
+     * Apply a level definition loaded from JSON
+     */
+    applyDefinition(definition = {}) {
+        if (definition.name) {
+            this.name = definition.name;
+        }
+        
+        this.arenaRadius = definition.arenaRadius || DEFAULT_DEFINITION.arenaRadius;
+        this.background = definition.background || DEFAULT_DEFINITION.background;
+        this.music = definition.music || DEFAULT_DEFINITION.music;
+        this.spawnPoints = definition.spawnPoints || DEFAULT_DEFINITION.spawnPoints;
+        this.enemies = definition.enemies || DEFAULT_DEFINITION.enemies;
+        this.boss = { ...DEFAULT_DEFINITION.boss, ...(definition.boss || {}) };
+    }
+    
+    /**
+     * Get the spawn position for an enemy in the roster
+     * Falls back to a random point in a ring around the center
+     */
+    getEnemySpawnPosition(enemyDefinition) {
+        const spawnPoint = this.spawnPoints[enemyDefinition.spawn];
+        if (spawnPoint) {
+            return { x: spawnPoint.x, y: 0, z: spawnPoint.z };
+        }
+        
+        const angle = Math.random() * Math.PI * 2;
+        const radius = 8 + Math.random() * 6;
+        
+        return {
+            x: Math.cos(angle) * radius,
+            y: 0,
+            z: Math.sin(angle) * radius
+        };
+    }
+    
+    /**
+     * Get the list of fruit types used by this island's enemies
+     */
+    getEnemyFruitTypes() {
+        const types = this.enemies.map(enemy => enemy.fruit).filter(Boolean);
+        return [...new Set(types)];
+    }
+    
+    /**
+     * Get a display label such as "First Sea - Island 2"
+     */
+    getLabel(sea) {
+        return sea ? `${sea.name} - ${this.name}` : this.name;
+    }
+}
@@ -0,0 +1,50 @@
+/**
+ * Sea model - a group of islands that unlock together
+ */
+import { Island } from './Island.js';
+
+// Layout of the islands inside a sea on the world map
+const ISLAND_LAYOUT = [
+    { x: -5, z: 4 },
+    { x: 0, z: -4 },
+    { x: 5, z: 4 }
+];
+
+export class Sea {
+    constructor(seaConfig = {}, index = 0) {
+        this.index = index;
+        this.name = seaConfig.name || `Sea ${index + 1}`;
+        
+        // Seas flagged as unlocked in the config are always open
+        this.unlockedByDefault = !!seaConfig.unlocked;
+        
+        // Create the islands of this sea
+        this.islands = [];
+        const islandCount = seaConfig.islands || 0;
+        for (let i = 0; i < islandCount; i++) {
+            const layout = ISLAND_LAYOUT[i % ISLAND_LAYOUT.length];
+            
+            this.islands.push(new Island({
+                id: `sea${index}_island${i}`,
+                name: `Island ${i + 1}`,
+                seaIndex: index,
+                index: i,
+                mapPosition: { x: layout.x, z: layout.z }
+            }));
+        }
+    }
+    
+    /**
+     * Get an island of this sea by index
+     */
+    getIsland(index) {
+        return this.islands[index] || null;
+    }
+    
+    /**
+     * Check if every island in this sea has been cleared
+     */
+    isCleared(clearedIslands) {
+        return this.islands.length > 0 && this.islands.every(island => clearedIslands.has(island.id));
+    }
+}
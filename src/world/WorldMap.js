@@ -0,0 +1,447 @@
+/**
+ * World map - the seas and islands the player travels between
+ */
+import * as THREE from 'three';
+import { Sea } from './Sea.js';
+
+// Possible island states on the map
+export const ISLAND_STATUS = {
+    LOCKED: 'locked',
+    AVAILABLE: 'available',
+    CLEARED: 'cleared'
+};
+
+// Distance between the centers of two seas on the map
+const SEA_SPACING = 24;
+
+// Colors used to show the island state
+const STATUS_COLORS = {
+    locked: 0x555555,
+    available: 0x4caf50,
+    cleared: 0xffd700
+};
+
+export class WorldMap {
+    constructor(worldConfig = {}) {
+        // Build seas and islands from the config
+        this.seas = (worldConfig.seas || []).map((seaConfig, index) => new Sea(seaConfig, index));
+        
+        // Ids of the islands whose boss has been defeated
+        this.clearedIslands = new Set();
+        
+        // Seas and islands unlocked by a save, on top of the ones opened by clearing islands
+        this.unlockedSeas = new Set();
+        this.unlockedIslands = new Set();
+        
+        // Scene objects and labels while the map is shown
+        this.mapGroup = null;
+        this.islandObjects = [];
+        this.labels = [];
+        this.elapsedTime = 0;
+    }
+    
+    /**
+     * Get a flat list of all islands
+     */
+    getIslands() {
+        return this.seas.reduce((islands, sea) => islands.concat(sea.islands), []);
+    }
+    
+    /**
+     * Find an island by id
+     */
+    getIsland(islandId) {
+        return this.getIslands().find(island => island.id === islandId) || null;
+    }
+    
+    /**
+     * Apply island level definitions loaded from JSON
+     */
+    loadIslandDefinitions(data) {
+        if (!data || !Array.isArray(data.islands)) {
+            console.warn("No island definitions found, using default islands");
+            return;
+        }
+        
+        data.islands.forEach(definition => {
+            const island = this.getIsland(definition.id);
+            if (island) {
+                island.applyDefinition(definition);
+            } else {
+                console.warn(`Island definition for unknown island: ${definition.id}`);
+            }
+        });
+    }
+    
+    /**
+     * Get the background textures and music used by all islands
+     */
+    getIslandAssets() {
+        const textures = new Set();
+        const sounds = new Set();
+        
+        this.getIslands().forEach(island => {
+            if (island.background) textures.add(island.background);
+            if (island.music) sounds.add(island.music);
+        });
+        
+        return {
+            textures: [...textures],
+            sounds: [...sounds]
+        };
+    }
+    
+    /**
+     * Get the sea an island belongs to
+     */
+    getSeaForIsland(island) {
+        return island ? this.seas[island.seaIndex] || null : null;
+    }
+    
+    /**
+     * Check if a sea is open - either unlocked in the config or the previous sea is cleared
+     */
+    isSeaUnlocked(seaIndex) {
+        const sea = this.seas[seaIndex];
+        if (!sea) return false;
+        
+        if (sea.unlockedByDefault || seaIndex === 0 || this.unlockedSeas.has(seaIndex)) return true;
+        
+        return this.seas[seaIndex - 1].isCleared(this.clearedIslands);
+    }
+    
+    /**
+     * Get the state of an island: locked, available or cleared
+     */
+    getIslandStatus(islandId) {
+        const island = this.getIsland(islandId);
+        if (!island) return ISLAND_STATUS.LOCKED;
+        
+        if (this.clearedIslands.has(island.id)) {
+            return ISLAND_STATUS.CLEARED;
+        }
+        
+        if (this.unlockedIslands.has(island.id)) {
+            return ISLAND_STATUS.AVAILABLE;
+        }
+        
+        if (!this.isSeaUnlocked(island.seaIndex)) {
+            return ISLAND_STATUS.LOCKED;
+        }
+        
+        // Islands inside a sea are played in order
+        const previousIsland = this.seas[island.seaIndex].getIsland(island.index - 1);
+        if (previousIsland && !this.clearedIslands.has(previousIsland.id)) {
+            return ISLAND_STATUS.LOCKED;
+        }
+        
+        return ISLAND_STATUS.AVAILABLE;
+    }
+    
+    /**
+     * Check if an island can be played
+     */
+    isIslandUnlocked(islandId) {
+        return this.getIslandStatus(islandId) !== ISLAND_STATUS.LOCKED;
+    }
+    
+    /**
+     * Mark an island as cleared, which may unlock the next island or sea
+     */
+    markIslandCleared(islandId) {
+        if (!this.getIsland(islandId)) {
+            console.warn(`Unknown island: ${islandId}`);
+            return false;
+        }
+        
+        this.clearedIslands.add(islandId);
+        this.refreshMapObjects();
+        return true;
+    }
+    
+    /**
+     * Get the progress that should be saved
+     */
+    getProgress() {
+        return {
+            unlockedSeas: this.seas.filter(sea => this.isSeaUnlocked(sea.index)).map(sea => sea.index),
+            unlockedIslands: this.getIslands().filter(island => this.isIslandUnlocked(island.id)).map(island => island.id),
+            clearedIslands: [...this.clearedIslands]
+        };
+    }
+    
+    /**
+     * Restore saved progress
+     */
+    setProgress(progress = {}) {
+        this.clearedIslands = new Set(progress.clearedIslands || []);
+        this.unlockedSeas = new Set(progress.unlockedSeas || []);
+        this.unlockedIslands = new Set(progress.unlockedIslands || []);
+        this.refreshMapObjects();
+    }
+    
+    /**
+     * Get the next island to play - the first available one, or the first island if all are cleared
+     */
+    getNextIsland() {
+        const islands = this.getIslands();
+        return islands.find(island => this.getIslandStatus(island.id) === ISLAND_STATUS.AVAILABLE) || islands[0] || null;
+    }
+    
+    /**
+     * Get the map position of an island in world space
+     */
+    getIslandWorldPosition(island) {
+        const seaOffset = (island.seaIndex - (this.seas.length - 1) / 2) * SEA_SPACING;
+        return new THREE.Vector3(seaOffset + island.mapPosition.x, 0, island.mapPosition.z);
+    }
+    
+    /**
+     * Create the 3D map objects and add them to the scene
+     */
+    createMapObjects(scene) {
+        this.removeMapObjects();
+        
+        this.mapGroup = new THREE.Group();
+        this.mapGroup.name = 'worldMap';
+        this.islandObjects = [];
+        
+        this.seas.forEach(sea => {
+            // Water disc for each sea
+            const seaOffset = (sea.index - (this.seas.length - 1) / 2) * SEA_SPACING;
+            const waterGeometry = new THREE.CircleGeometry(10, 32);
+            const waterMaterial = new THREE.MeshBasicMaterial({
+                color: this.isSeaUnlocked(sea.index) ? 0x1e88e5 : 0x37474f,
+                transparent: true,
+                opacity: 0.6
+            });
+            const water = new THREE.Mesh(waterGeometry, waterMaterial);
+            water.rotation.x = -Math.PI / 2;
+            water.position.set(seaOffset, -0.2, 0);
+            water.userData.seaIndex = sea.index;
+            this.mapGroup.add(water);
+            
+            // Islands of this sea
+            sea.islands.forEach(island => {
+                const islandObject = this._createIslandObject(island);
+                this.islandObjects.push(islandObject);
+                this.mapGroup.add(islandObject);
+            });
+        });
+        
+        scene.add(this.mapGroup);
+        return this.mapGroup;
+    }
+    
+    /**
+     * Create the mesh group for a single island
+     */
+    _createIslandObject(island) {
+        const status = this.getIslandStatus(island.id);
+        const group = new THREE.Group();
+        
+        // Island base
+        const baseGeometry = new THREE.CylinderGeometry(2.2, 2.6, 1, 16);
+        const baseMaterial = new THREE.MeshBasicMaterial({ color: STATUS_COLORS[status] });
+        const base = new THREE.Mesh(baseGeometry, baseMaterial);
+        group.add(base);
+        
+        // Sandy top so the island reads as land
+        const topGeometry = new THREE.CylinderGeometry(1.6, 2.2, 0.3, 16);
+        const topMaterial = new THREE.MeshBasicMaterial({
+            color: status === ISLAND_STATUS.LOCKED ? 0x777777 : 0xf4e1a1
+        });
+        const top = new THREE.Mesh(topGeometry, topMaterial);
+        top.position.y = 0.65;
+        group.add(top);
+        
+        // Flag on cleared islands
+        if (status === ISLAND_STATUS.CLEARED) {
+            const poleGeometry = new THREE.CylinderGeometry(0.05, 0.05, 2, 6);
+            const poleMaterial = new THREE.MeshBasicMaterial({ color: 0x8d6e63 });
+            const pole = new THREE.Mesh(poleGeometry, poleMaterial);
+            pole.position.set(0, 1.8, 0);
+            group.add(pole);
+            
+            const flagGeometry = new THREE.PlaneGeometry(0.8, 0.5);
+            const flagMaterial = new THREE.MeshBasicMaterial({ color: 0xff5500, side: THREE.DoubleSide });
+            const flag = new THREE.Mesh(flagGeometry, flagMaterial);
+            flag.position.set(0.4, 2.5, 0);
+            group.add(flag);
+        }
+        
+        group.position.copy(this.getIslandWorldPosition(island));
+        group.userData.isInteractive = true;
+        group.userData.islandId = island.id;
+        group.userData.status = status;
+        
+        return group;
+    }
+    
+    /**
+     * Rebuild the map objects after progress changed
+     */
+    refreshMapObjects() {
+        if (!this.mapGroup || !this.mapGroup.parent) return;
+        
+        const scene = this.mapGroup.parent;
+        const container = this.labelContainer;
+        
+        this.createMapObjects(scene);
+        if (container) {
+            this.createLabels(container);
+        }
+    }
+    
+    /**
+     * Create DOM labels with the name and state of each island
+     */
+    createLabels(container) {
+        this.removeLabels();
+        this.labelContainer = container;
+        
+        // Add styling for the labels
+        if (!document.getElementById('world-map-label-style')) {
+            const style = document.createElement('style');
+            style.id = 'world-map-label-style';
+            style.textContent = `
+                .world-map-label {
+                    position: absolute;
+                    top: 0;
+                    left: 0;
+                    pointer-events: none;
+                    padding: 4px 8px;
+                    border-radius: 6px;
+                    background-color: rgba(0, 0, 0, 0.7);
+                    color: white;
+                    font-size: 12px;
+                    text-align: center;
+                    white-space: nowrap;
+                    z-index: 20;
+                }
+                
+                .world-map-label .island-status {
+                    font-size: 11px;
+                    text-transform: capitalize;
+                }
+                
+                .world-map-label.locked .island-status {
+                    color: #aaa;
+                }
+                
+                .world-map-label.available .island-status {
+                    color: #2ecc71;
+                }
+                
+                .world-map-label.cleared .island-status {
+                    color: gold;
+                }
+                
+                .world-map-sea-label {
+                    font-size: 16px;
+                    font-weight: bold;
+                    background-color: rgba(0, 60, 120, 0.7);
+                }
+            `;
+            document.head.appendChild(style);
+        }
+        
+        // One label per sea
+        this.seas.forEach(sea => {
+            const element = document.createElement('div');
+            element.className = 'world-map-label world-map-sea-label';
+            element.textContent = this.isSeaUnlocked(sea.index) ? sea.name : `${sea.name} (Locked)`;
+            container.appendChild(element);
+            
+            const seaOffset = (sea.index - (this.seas.length - 1) / 2) * SEA_SPACING;
+            this.labels.push({
+                element: element,
+                position: new THREE.Vector3(seaOffset, 0, 9)
+            });
+        });
+        
+        // One label per island
+        this.getIslands().forEach(island => {
+            const status = this.getIslandStatus(island.id);
+            const element = document.createElement('div');
+            element.className = `world-map-label ${status}`;
+            element.innerHTML = `
+                <div class="island-name">${island.name}</div>
+                <div class="island-status">${status}</div>
+            `;
+            container.appendChild(element);
+            
+            const position = this.getIslandWorldPosition(island);
+            position.y = 3.5;
+            this.labels.push({
+                element: element,
+                position: position
+            });
+        });
+    }
+    
+    /**
+     * Remove the DOM labels
+     */
+    removeLabels() {
+        this.labels.forEach(label => {
+            if (label.element && label.element.parentNode) {
+                label.element.parentNode.removeChild(label.element);
+            }
+        });
+        this.labels = [];
+    }
+    
+    /**
+     * Animate available islands and keep labels above their islands
+     */
+    update(deltaTime, camera) {
+        this.elapsedTime += deltaTime;
+        
+        // Gentle bobbing on islands that can be played
+        this.islandObjects.forEach((object, index) => {
+            if (object.userData.status === ISLAND_STATUS.AVAILABLE) {
+                object.position.y = Math.sin(this.elapsedTime * 2 + index) * 0.2;
+            }
+        });
+        
+        if (!camera) return;
+        
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        
+        this.labels.forEach(label => {
+            const pos = label.position.clone().project(camera);
+            
+            // Hide labels behind the camera
+            if (pos.z < 1) {
+                const x = (pos.x * 0.5 + 0.5) * width;
+                const y = (-(pos.y * 0.5) + 0.5) * height;
+                label.element.style.transform = `translate(-50%, -50%) translate(${x}px, ${y}px)`;
+                label.element.style.display = 'block';
+            } else {
+                label.element.style.display = 'none';
+            }
+        });
+    }
+    
+    /**
+     * Remove the 3D map objects and labels
+     */
+    removeMapObjects() {
+        if (this.mapGroup) {
+            this.mapGroup.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) object.material.dispose();
+            });
+            
+            if (this.mapGroup.parent) {
+                this.mapGroup.parent.remove(this.mapGroup);
+            }
+            this.mapGroup = null;
+        }
+        
+        this.islandObjects = [];
+        this.removeLabels();
+    }
+}